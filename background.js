@@ -5,11 +5,16 @@
 
 // 統計収集モジュールをインポート
 import './stats-collector.js';
+// サウンドパックの読み込み
+import './sound-pack.js';
 
 const DB_NAME = 'RemoworkSoundChangerDB';
-const DB_VERSION = 1;
+const DB_VERSION = 3;
 const STORE_NAME = 'sounds';
+const CALL_HISTORY_STORE_NAME = 'callHistory';
+const SOUND_PACK_STORE_NAME = 'soundPacks';
 const MAX_FILE_SIZE = 300 * 1024 * 1024; // 300MB
+const MAX_FADE_IN_SECONDS = 10;
 
 // ========================================
 // APIキー暗号化用ユーティリティ
@@ -148,6 +153,61 @@ const SOUND_TYPES = {
   }
 };
 
+// 通話状態（inject.js で判定）
+const CALL_STATES = ['idle', 'ringing-in', 'ringing-out', 'in-call', 'ended'];
+
+// 通話履歴
+const MAX_CALL_HISTORY = 1000;
+// 同じ相手のノックをまとめる間隔（ドアチャイムは繰り返し鳴るため）
+const KNOCK_DEDUPE_MS = 15000;
+// ノックのあとこの時間内に通話が始まればノックに応じたとみなす
+const KNOCK_ANSWER_WINDOW_MS = 60000;
+
+// おやすみモード（音を鳴らさず画面に表示）
+const DND_ALARM_NAME = 'dndEnd';
+const DND_VISUALS = ['banner', 'flash'];
+const MAX_DND_MINUTES = 24 * 60;
+const MAX_DND_MISSED = 50;
+
+// デスクトップ通知（着信・ドアチャイム・ハンドサイン）
+const DESKTOP_NOTIFICATION_KINDS = ['call', 'knock', 'handsign'];
+const DEFAULT_DESKTOP_NOTIFICATIONS = {
+  enabled: false,
+  onlyWhenHidden: true,
+  call: true,
+  knock: true,
+  handsign: true
+};
+const NOTIFICATION_SNOOZE_KEY = 'notificationSnoozes';
+const NOTIFICATION_SNOOZE_MINUTES = 30;
+const REMOWORK_URL = 'https://remowork.biz/';
+
+// キーボードショートカット（manifest.json の commands）
+const PAGE_SHORTCUT_COMMANDS = ['toggle-recording', 'toggle-away-mode', 'send-wave', 'send-thumbsup', 'open-meeting-notes'];
+
+// 検出した音声URLの記録
+const DISCOVERY_STORAGE_KEY = 'discoveredAudio';
+const MAX_DISCOVERED_AUDIO = 200;
+
+// 発信者別ルールを適用できる音声種別
+const CALLER_RULE_SOUND_TYPES = ['incoming', 'doorchime'];
+
+// 同時に鳴らせる出力先デバイスの数
+const MAX_OUTPUT_DEVICES = 2;
+
+// 読み上げ（音声合成）に対応する音声タイプと既定の読み上げ文
+const ANNOUNCE_SOUND_TYPES = ['incoming', 'calling', 'doorchime'];
+const DEFAULT_ANNOUNCE_TEMPLATES = {
+  incoming: '{name}さんから着信です',
+  calling: '{name}さんを呼び出しています',
+  doorchime: '{name}さんがノックしています'
+};
+
+// 時間帯スケジュール
+const SCHEDULE_ACTIONS = ['preset', 'mute', 'profile'];
+const SCHEDULE_ALARM_NAME = 'soundSchedule';
+const SCHEDULE_CHECK_INTERVAL_MINUTES = 1;
+
 // プリセット音声の定義（sounds/フォルダ内の音源）
 // 実際のファイル名と一致させる必要がある
 const PRESET_SOUNDS = {
@@ -245,14 +305,21 @@ function openDB() {
       if (!db.objectStoreNames.contains(STORE_NAME)) {
         db.createObjectStore(STORE_NAME, { keyPath: 'id' });
       }
+      if (!db.objectStoreNames.contains(CALL_HISTORY_STORE_NAME)) {
+        const historyStore = db.createObjectStore(CALL_HISTORY_STORE_NAME, { keyPath: 'id' });
+        historyStore.createIndex('startedAt', 'startedAt', { unique: false });
+      }
+      if (!db.objectStoreNames.contains(SOUND_PACK_STORE_NAME)) {
+        db.createObjectStore(SOUND_PACK_STORE_NAME, { keyPath: 'id' });
+      }
     };
   });
 }
 
 /**
- * 音声データを保存
+ * 音声データを保存（metadata: ライブラリの名前・タグなどの追加項目）
  */
-async function saveSound(id, data, fileName, mimeType) {
+async function saveSound(id, data, fileName, mimeType, metadata = {}) {
   const db = await openDB();
   return new Promise((resolve, reject) => {
     const transaction = db.transaction([STORE_NAME], 'readwrite');
@@ -263,6 +330,7 @@ async function saveSound(id, data, fileName, mimeType) {
       data,
       fileName,
       mimeType,
+      ...metadata,
       updatedAt: Date.now()
     };
 
@@ -344,19 +412,143 @@ async function saveSettings(settings) {
  * メッセージハンドラー
  */
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  handleMessage(message)
+  handleMessage(message, sender)
     .then(sendResponse)
     .catch((error) => sendResponse({ success: false, error: error.message }));
   return true; // 非同期レスポンス
 });
 
-async function handleMessage(message) {
+async function handleMessage(message, sender) {
+  // サウンドパックのプリセットを読み込んでから処理
+  await presetCatalogReady;
+
   switch (message.type) {
     case 'GET_SOUND_TYPES':
-      return { success: true, data: SOUND_TYPES };
+      return { success: true, data: getSoundTypes(await getSettings()) };
+
+    case 'CALL_STATE_CHANGED':
+      // ページで判定した通話状態の変化
+      await handleCallStateChanged(message.event);
+      return { success: true };
+
+    case 'RECORD_DOOR_KNOCK':
+      // ドアチャイム（ノック）を通話履歴に記録
+      await recordDoorKnock(message.callerName, message.timestamp);
+      return { success: true };
+
+    case 'SHOW_DESKTOP_NOTIFICATION':
+      // 着信・ドアチャイム・ハンドサインをデスクトップ通知
+      const notificationId = await showDesktopNotification(message.notification, sender?.tab);
+      return { success: true, data: notificationId };
+
+    case 'GET_NOTIFICATION_SNOOZES':
+      return { success: true, data: await getNotificationSnoozes() };
+
+    case 'CLEAR_NOTIFICATION_SNOOZE':
+      await clearNotificationSnooze(message.memberName);
+      return { success: true };
+
+    case 'GET_CALL_HISTORY':
+      const callHistory = await getCallHistory();
+      return { success: true, data: callHistory };
+
+    case 'MARK_CALL_HISTORY_SEEN':
+      await markCallHistorySeen();
+      return { success: true };
+
+    case 'CLEAR_CALL_HISTORY':
+      await clearCallHistory();
+      return { success: true };
+
+    case 'GET_CALL_STATE':
+      const callStateResult = await chrome.storage.local.get('callState');
+      return { success: true, data: callStateResult.callState || { state: 'idle' } };
+
+    case 'GET_DND_STATE':
+      const dndState = await getDndState();
+      return { success: true, data: dndState };
+
+    case 'START_DND':
+      // おやすみモードを開始（minutes が 0 の場合は解除するまで）
+      const startedDnd = await startDnd(message.minutes, message.visual);
+      return { success: true, data: startedDnd };
+
+    case 'END_DND':
+      const endedDnd = await endDnd();
+      return { success: true, data: endedDnd };
+
+    case 'RECORD_DND_MISSED':
+      // おやすみモード中に鳴らなかった着信・ハンドサインを記録
+      await recordDndMissed(message.entry);
+      return { success: true };
+
+    case 'RECORD_AUDIO_DISCOVERY':
+      // ページで検出した音声URLを記録
+      await recordAudioDiscovery(message.entries || []);
+      return { success: true };
+
+    case 'GET_DISCOVERED_AUDIO':
+      const discoveredAudio = await getDiscoveredAudio();
+      return { success: true, data: discoveredAudio };
+
+    case 'CLEAR_DISCOVERED_AUDIO':
+      await chrome.storage.local.remove(DISCOVERY_STORAGE_KEY);
+      return { success: true };
+
+    case 'MAP_DISCOVERED_AUDIO':
+      // 検出した音声を新しい音声タイプ、または既存の音声タイプの追加パスとして登録
+      const mappedSoundId = await mapDiscoveredAudio(message.path, message.target, message.label);
+      return { success: true, data: mappedSoundId };
+
+    case 'DELETE_SOUND_TYPE':
+      await deleteUserSoundType(message.id);
+      return { success: true };
 
     case 'GET_PRESET_SOUNDS':
-      return { success: true, data: PRESET_SOUNDS };
+      return { success: true, data: getPresetSummaries() };
+
+    case 'GET_PRESET_SOUND_URL':
+      // 試聴用（サウンドパック・ライブラリの音声データはここでだけ渡す）
+      const requestedPreset = resolvePresetValue(message.value);
+      return {
+        success: true,
+        data: requestedPreset ? getPresetSoundUrl(requestedPreset.category, requestedPreset) : null
+      };
+
+    case 'GET_SOUND_PACKS':
+      return { success: true, data: await getSoundPackSummaries() };
+
+    case 'IMPORT_SOUND_PACK':
+      const importedPack = await importSoundPack(message.data);
+      return { success: true, data: importedPack };
+
+    case 'DELETE_SOUND_PACK':
+      await removeSoundPack(message.packId);
+      return { success: true };
+
+    case 'GET_SOUND_LIBRARY':
+      // ライブラリの一覧（音声データを除く）
+      const soundLibrary = await getSoundLibrarySummaries();
+      return { success: true, data: soundLibrary };
+
+    case 'ADD_LIBRARY_SOUND':
+      if (message.data && message.data.length > MAX_FILE_SIZE) {
+        return { success: false, error: 'ファイルサイズが300MBを超えています' };
+      }
+      const addedLibrarySound = await addLibrarySound(message.data, message.fileName, message.mimeType, {
+        name: message.name,
+        tags: message.tags,
+        duration: message.duration
+      }, !!message.rendered);
+      return { success: true, data: addedLibrarySound };
+
+    case 'UPDATE_LIBRARY_SOUND':
+      await updateLibrarySound(message.soundId, { name: message.name, tags: message.tags });
+      return { success: true };
+
+    case 'DELETE_LIBRARY_SOUND':
+      await removeLibrarySound(message.soundId);
+      return { success: true };
 
     case 'GET_SOUND':
       const sound = await getSound(message.id);
@@ -366,9 +558,11 @@ async function handleMessage(message) {
       if (message.data && message.data.length > MAX_FILE_SIZE) {
         return { success: false, error: 'ファイルサイズが300MBを超えています' };
       }
-      await saveSound(message.id, message.data, message.fileName, message.mimeType);
+      const normalizedSound = await normalizeUploadedSound(message.data, message.mimeType, !!message.rendered);
+      await saveSound(message.id, normalizedSound.data, message.fileName, normalizedSound.mimeType);
       await updateSoundSetting(message.id, 'custom');
-      return { success: true };
+      await updateSoundLoopPoints(message.id, message.loopPoints || null);
+      return { success: true, data: { normalized: normalizedSound.normalized, gainDb: normalizedSound.gainDb } };
 
     case 'DELETE_SOUND':
       await deleteSound(message.id);
@@ -376,7 +570,22 @@ async function handleMessage(message) {
       return { success: true };
 
     case 'SET_PRESET':
-      await updateSoundSetting(message.id, 'preset', message.presetId);
+      // presetCategory を指定すると他の音声タイプのカテゴリのプリセットも使える
+      await setPresetSound(message.id, message.presetCategory || message.id, message.presetId);
+      return { success: true };
+
+    case 'GET_PRESET_PICKER_STATE':
+      // プリセット選択のお気に入り・最近使った音声
+      const presetPickerState = await getPresetPickerState();
+      return { success: true, data: presetPickerState };
+
+    case 'TOGGLE_PRESET_FAVORITE':
+      const toggledPickerState = await togglePresetFavorite(message.value);
+      return { success: true, data: toggledPickerState };
+
+    case 'SET_LIBRARY_SOUND':
+      // 音声タイプにライブラリの音声を設定
+      await setLibrarySound(message.id, message.soundId);
       return { success: true };
 
     case 'SET_ORIGINAL':
@@ -384,6 +593,54 @@ async function handleMessage(message) {
       await updateSoundSetting(message.id, 'original');
       return { success: true };
 
+    case 'RENDER_AUDIO_CLIP':
+      // アップロード音声の切り出し（オフスクリーンで正規化してMP3にエンコード）
+      const clipSettings = await getSettings();
+      const clipResult = await sendToOffscreen({
+        type: 'RENDER_AUDIO_CLIP',
+        data: message.data,
+        start: message.start,
+        end: message.end,
+        fadeOut: message.fadeOut || 0,
+        normalize: clipSettings.normalizeLoudness !== false
+      });
+      return clipResult;
+
+    case 'SET_ROTATION':
+      // ローテーション（複数の音から順番/ランダムに再生）を設定
+      await setRotation(message.slot, message.rotation);
+      return { success: true };
+
+    case 'ADD_ROTATION_SOUND':
+      if (message.data && message.data.length > MAX_FILE_SIZE) {
+        return { success: false, error: 'ファイルサイズが300MBを超えています' };
+      }
+      const rotationItem = await addRotationSound(message.slot, message.data, message.fileName, message.mimeType, !!message.rendered);
+      return { success: true, data: rotationItem };
+
+    case 'DELETE_ROTATION_SOUND':
+      await deleteRotationSound(message.slot, message.soundId);
+      return { success: true };
+
+    case 'GET_OUTPUT_DEVICES':
+      // Remoworkのタブから出力先デバイス一覧を取得
+      return await getOutputDevices();
+
+    case 'SET_SOUND_OUTPUT':
+      // 出力先デバイスを設定
+      await updateSoundOutput(message.id, message.outputDevices);
+      return { success: true };
+
+    case 'SET_ANNOUNCE':
+      // 読み上げモードを設定
+      await setAnnounce(message.id, message.announce);
+      return { success: true };
+
+    case 'SET_SOUND_PLAYBACK':
+      // 音量・フェードインを設定
+      await updateSoundPlayback(message.id, message.volume, message.fadeIn);
+      return { success: true };
+
     case 'GET_ALL_SOUNDS':
       const sounds = await getAllSounds();
       return { success: true, data: sounds };
@@ -396,6 +653,66 @@ async function handleMessage(message) {
       await saveSettings(message.settings);
       return { success: true };
 
+    case 'SAVE_CALLER_RULE':
+      // 発信者別ルールを保存（カスタム音声があれば同時に保存）
+      if (message.data && message.data.length > MAX_FILE_SIZE) {
+        return { success: false, error: 'ファイルサイズが300MBを超えています' };
+      }
+      const savedRule = await saveCallerRule(message.rule, message.data, message.fileName, message.mimeType);
+      return { success: true, data: savedRule };
+
+    case 'DELETE_CALLER_RULE':
+      await deleteCallerRule(message.ruleId);
+      return { success: true };
+
+    case 'SAVE_SCHEDULE_RULE':
+      // 時間帯スケジュールを保存
+      const savedSchedule = await saveScheduleRule(message.rule);
+      return { success: true, data: savedSchedule };
+
+    case 'DELETE_SCHEDULE_RULE':
+      await deleteScheduleRule(message.ruleId);
+      return { success: true };
+
+    case 'GET_ACTIVE_SCHEDULES':
+      // 現在有効なスケジュールのID一覧
+      const scheduleSettings = await getSettings();
+      return { success: true, data: getActiveSchedules(scheduleSettings.schedules).map(rule => rule.id) };
+
+    case 'GET_SOUND_PROFILES':
+      const soundProfiles = await getSoundProfiles();
+      return { success: true, data: soundProfiles };
+
+    case 'SAVE_SOUND_PROFILE':
+      // 現在の音声設定をプロファイルとして保存（profileId指定時は上書き）
+      const savedProfile = await saveCurrentAsProfile(message.name, message.profileId);
+      return { success: true, data: savedProfile };
+
+    case 'APPLY_SOUND_PROFILE':
+      await applySoundProfile(message.profileId);
+      return { success: true };
+
+    case 'DELETE_SOUND_PROFILE':
+      await deleteSoundProfile(message.profileId);
+      return { success: true };
+
+    case 'EXPORT_SOUND_PROFILE':
+      const exportedProfile = await exportSoundProfile(message.profileId);
+      return { success: true, data: exportedProfile };
+
+    case 'IMPORT_SOUND_PROFILE':
+      const importedProfile = await importSoundProfile(message.data);
+      return { success: true, data: importedProfile };
+
+    case 'CREATE_BACKUP':
+      // すべてのデータを1つのファイルにまとめる
+      const backup = await createBackup(message.passphrase);
+      return { success: true, data: backup };
+
+    case 'RESTORE_BACKUP':
+      const restoreResult = await restoreBackup(message.data, message.passphrase);
+      return { success: true, data: restoreResult };
+
     case 'GET_SOUND_CONFIG':
       // Content Script用: 現在の音声設定を取得
       const config = await getSoundConfig();
@@ -414,34 +731,19 @@ async function handleMessage(message) {
       await saveHandSignSettings(message.settings);
       return { success: true };
 
-    case 'SAVE_NOTIFICATION_CUSTOM_SOUND':
-      // カスタム通知音を保存
-      await chrome.storage.local.set({
-        notificationCustomSound: {
-          data: message.data,
-          fileName: message.fileName,
-          mimeType: message.mimeType
-        }
-      });
-      return { success: true };
-
-    case 'DELETE_NOTIFICATION_CUSTOM_SOUND':
-      // カスタム通知音を削除
-      await chrome.storage.local.remove('notificationCustomSound');
-      return { success: true };
-
     case 'INIT_HAND_DETECTOR':
       // オフスクリーンでハンド検出器を初期化
       const initResult = await sendToOffscreen({ type: 'INIT_DETECTOR' });
       return initResult;
 
-    case 'DETECT_HAND_SIGN':
-      // オフスクリーンでハンドサイン検出
-      const detectResult = await sendToOffscreen({
-        type: 'DETECT_HAND_SIGN',
-        imageData: message.imageData
+    case 'ANALYZE_IMAGE_BATCH':
+      // オフスクリーンで画像をまとめて解析（ハンドサイン・表情・キャリブレーション計測）
+      const batchResult = await sendToOffscreen({
+        type: 'ANALYZE_IMAGE_BATCH',
+        items: message.items,
+        thresholds: message.thresholds
       });
-      return detectResult;
+      return batchResult;
 
     case 'GET_DETECTOR_STATUS':
       // オフスクリーンの検出器状態を取得
@@ -453,13 +755,6 @@ async function handleMessage(message) {
       const faceApiResult = await sendToOffscreen({ type: 'INIT_FACE_API' });
       return faceApiResult;
 
-    case 'ANALYZE_EXPRESSION':
-      const expressionResult = await sendToOffscreen({
-        type: 'ANALYZE_EXPRESSION',
-        imageData: message.imageData
-      });
-      return expressionResult;
-
     // 文字起こし関連
     case 'START_TRANSCRIPTION':
       const startResult = await sendToOffscreen({ type: 'START_TRANSCRIPTION' });
@@ -473,125 +768,2359 @@ async function handleMessage(message) {
       const transcriptResult = await sendToOffscreen({ type: 'GET_TRANSCRIPT' });
       return transcriptResult;
 
-    // MP3変換
-    case 'CONVERT_TO_MP3':
-      const mp3Result = await sendToOffscreen({
-        type: 'CONVERT_TO_MP3',
-        audioData: message.audioData
-      });
-      return mp3Result;
+    // MP3変換
+    case 'CONVERT_TO_MP3':
+      const mp3Result = await sendToOffscreen({
+        type: 'CONVERT_TO_MP3',
+        audioData: message.audioData
+      });
+      return mp3Result;
+
+    // LLM設定
+    case 'GET_LLM_SETTINGS':
+      const llmSettings = await getLLMSettings();
+      return { success: true, data: llmSettings };
+
+    case 'SAVE_LLM_SETTINGS':
+      await saveLLMSettings(message.settings);
+      return { success: true };
+
+    case 'TEST_LLM_CONNECTION':
+      const testResult = await testLLMConnection(message.settings);
+      return testResult;
+
+    case 'STRUCTURE_TRANSCRIPT':
+      const structureResult = await structureTranscript(message.transcript, message.settings);
+      return structureResult;
+
+    // Whisper API関連
+    case 'GET_WHISPER_SETTINGS':
+      const whisperSettings = await getWhisperSettings();
+      return { success: true, data: whisperSettings };
+
+    case 'SAVE_WHISPER_SETTINGS':
+      await saveWhisperSettings(message.settings);
+      return { success: true };
+
+    case 'TEST_WHISPER_CONNECTION':
+      const whisperTestResult = await testWhisperConnection(message.apiKey);
+      return whisperTestResult;
+
+    case 'TRANSCRIBE_AUDIO':
+      try {
+        const whisperConfig = await getWhisperSettings();
+        const transcribedText = await transcribeWithWhisper(
+          message.audioBase64,
+          whisperConfig.apiKey,
+          whisperConfig.language || 'ja'
+        );
+        return { success: true, text: transcribedText };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+
+    // 統計収集関連
+    case 'GET_STATS_SETTINGS':
+      if (globalThis.StatsCollector) {
+        const statsSettings = await globalThis.StatsCollector.getStatsSettings();
+        return { success: true, data: statsSettings };
+      }
+      return { success: false, error: 'StatsCollector not available' };
+
+    case 'SAVE_STATS_SETTINGS':
+      if (globalThis.StatsCollector) {
+        await globalThis.StatsCollector.saveStatsSettings(message.settings);
+        return { success: true };
+      }
+      return { success: false, error: 'StatsCollector not available' };
+
+    case 'RECORD_STAT':
+      if (globalThis.StatsCollector) {
+        await globalThis.StatsCollector.recordStat(message.category, message.key, message.increment || 1);
+        return { success: true };
+      }
+      return { success: false, error: 'StatsCollector not available' };
+
+    case 'RECORD_CALL_DURATION':
+      if (globalThis.StatsCollector) {
+        await globalThis.StatsCollector.recordCallDuration(message.callType, message.durationSec);
+        return { success: true };
+      }
+      return { success: false, error: 'StatsCollector not available' };
+
+    case 'RECORD_SCREEN_TIME':
+      if (globalThis.StatsCollector) {
+        await globalThis.StatsCollector.recordScreenTime(message.totalSec, message.activeSec);
+        return { success: true };
+      }
+      return { success: false, error: 'StatsCollector not available' };
+
+    case 'SEND_STATS_NOW':
+      if (globalThis.StatsCollector) {
+        const result = await globalThis.StatsCollector.sendStatsToWebhook();
+        return result;
+      }
+      return { success: false, error: 'StatsCollector not available' };
+
+    case 'GET_CURRENT_STATS':
+      if (globalThis.StatsCollector) {
+        const currentStats = await globalThis.StatsCollector.getStats();
+        return { success: true, data: currentStats };
+      }
+      return { success: false, error: 'StatsCollector not available' };
+
+    default:
+      return { success: false, error: 'Unknown message type' };
+  }
+}
+
+/**
+ * 音声設定を更新（音量・フェードイン・ローテーション項目は引き継ぐ）
+ * selection: { presetId, presetCategory, librarySoundId }（プリセット・ライブラリの音声の選択）
+ */
+async function updateSoundSetting(id, mode, selection = {}) {
+  const { presetId, presetCategory, librarySoundId } = selection;
+  const settings = await getSettings();
+  if (!settings.sounds) {
+    settings.sounds = {};
+  }
+  const previous = settings.sounds[id];
+  settings.sounds[id] = { mode, ...pickPlaybackOptions(previous) };
+  // ローテーションの項目・読み上げ設定は他のモードに切り替えても保持
+  if (previous?.rotation) {
+    settings.sounds[id].rotation = previous.rotation;
+  }
+  if (previous?.announce) {
+    settings.sounds[id].announce = previous.announce;
+  }
+  if (presetId) {
+    settings.sounds[id].presetId = presetId;
+  }
+  // 他の音声タイプのカテゴリのプリセット
+  if (presetCategory && presetCategory !== id) {
+    settings.sounds[id].presetCategory = presetCategory;
+  }
+  if (librarySoundId) {
+    settings.sounds[id].librarySoundId = librarySoundId;
+  }
+  await saveSettings(settings);
+}
+
+/**
+ * 音量・フェードイン設定を更新
+ */
+async function updateSoundPlayback(id, volume, fadeIn) {
+  const settings = await getSettings();
+  if (!settings.sounds) {
+    settings.sounds = {};
+  }
+  const soundSetting = settings.sounds[id] || { mode: 'original' };
+  settings.sounds[id] = {
+    ...soundSetting,
+    ...pickPlaybackOptions({ volume, fadeIn })
+  };
+  await saveSettings(settings);
+}
+
+/**
+ * カスタム音声のループ区間を設定（nullで解除）
+ */
+async function updateSoundLoopPoints(id, loopPoints) {
+  const settings = await getSettings();
+  const soundSetting = settings.sounds?.[id];
+  if (!soundSetting) return;
+
+  delete soundSetting.loopPoints;
+  Object.assign(soundSetting, pickPlaybackOptions({ loopPoints }));
+  await saveSettings(settings);
+}
+
+/**
+ * 音声設定から再生オプション（音量・フェードイン・ループ区間）を取り出す
+ */
+function pickPlaybackOptions(soundSetting) {
+  const options = {};
+  const loopPoints = soundSetting?.loopPoints;
+  if (loopPoints && typeof loopPoints.start === 'number' && typeof loopPoints.end === 'number' &&
+      loopPoints.start >= 0 && loopPoints.end > loopPoints.start) {
+    options.loopPoints = { start: loopPoints.start, end: loopPoints.end };
+  }
+  if (typeof soundSetting?.volume === 'number') {
+    options.volume = Math.max(0, Math.min(1, soundSetting.volume));
+  }
+  if (typeof soundSetting?.fadeIn === 'number') {
+    options.fadeIn = Math.max(0, Math.min(MAX_FADE_IN_SECONDS, soundSetting.fadeIn));
+  }
+  const outputDevices = sanitizeOutputDevices(soundSetting?.outputDevices);
+  if (outputDevices.length > 0) {
+    options.outputDevices = outputDevices;
+  }
+  return options;
+}
+
+/**
+ * 出力先デバイスを検証して正規化（デバイスが変わった場合に備えて名前も保持）
+ */
+function sanitizeOutputDevices(outputDevices) {
+  if (!Array.isArray(outputDevices)) return [];
+  return outputDevices
+    .filter(device => typeof device?.deviceId === 'string' && device.deviceId)
+    .slice(0, MAX_OUTPUT_DEVICES)
+    .map(device => ({ deviceId: device.deviceId, label: typeof device.label === 'string' ? device.label : '' }));
+}
+
+/**
+ * 出力先デバイスを更新（空の場合は既定のデバイス）
+ */
+async function updateSoundOutput(id, outputDevices) {
+  const settings = await getSettings();
+  if (!settings.sounds) {
+    settings.sounds = {};
+  }
+  const soundSetting = { ...(settings.sounds[id] || { mode: 'original' }) };
+  delete soundSetting.outputDevices;
+  const sanitized = sanitizeOutputDevices(outputDevices);
+  if (sanitized.length > 0) {
+    soundSetting.outputDevices = sanitized;
+  }
+  settings.sounds[id] = soundSetting;
+  await saveSettings(settings);
+}
+
+/**
+ * Remoworkのタブから出力先デバイス一覧を取得
+ * （デバイスIDはオリジンごとに異なるため、ページと同じオリジンのContent Scriptで取得する）
+ */
+async function getOutputDevices() {
+  return sendToRemoworkTab({ type: 'GET_OUTPUT_DEVICES' });
+}
+
+/**
+ * 開いているRemoworkのタブにメッセージを送信（最初に応答したタブの結果を返す）
+ */
+async function sendToRemoworkTab(message) {
+  const tabs = await chrome.tabs.query({ url: ['https://remowork.biz/*', 'https://stage.remowork.biz/*'] });
+  for (const tab of tabs) {
+    try {
+      const response = await chrome.tabs.sendMessage(tab.id, message);
+      if (response?.success) {
+        return response;
+      }
+    } catch (error) {
+      console.warn('[Background] Failed to send message to tab:', tab.id, message.type, error);
+    }
+  }
+  return { success: false, error: 'Remoworkのタブを開いてください' };
+}
+
+/**
+ * アップロードされた音声のラウドネスを正規化
+ * 失敗した場合や設定で無効な場合、切り出しで書き出し済み（rendered）の場合は元のデータを返す
+ */
+async function normalizeUploadedSound(data, mimeType, rendered = false) {
+  const original = { data, mimeType, normalized: false, gainDb: 0 };
+  if (!data || rendered) return original;
+
+  const settings = await getSettings();
+  if (settings.normalizeLoudness === false) return original;
+
+  const result = await sendToOffscreen({ type: 'NORMALIZE_AUDIO', data });
+  if (!result || !result.success) {
+    console.warn('[Background] Loudness normalization failed:', result?.error);
+    return original;
+  }
+  if (!result.normalized) {
+    return { ...original, gainDb: result.gainDb || 0 };
+  }
+  return { data: result.data, mimeType: result.mimeType, normalized: true, gainDb: result.gainDb };
+}
+
+/**
+ * 発信者別ルールのカスタム音声IDを取得
+ */
+function getCallerRuleSoundId(ruleId) {
+  return `caller_${ruleId}`;
+}
+
+/**
+ * 発信者別ルールを保存（同じIDがあれば上書き）
+ */
+async function saveCallerRule(rule, data = null, fileName = null, mimeType = null) {
+  const settings = await getSettings();
+  const rules = settings.callerRules || [];
+
+  const savedRule = {
+    id: rule.id || Date.now().toString(36),
+    pattern: (rule.pattern || '').trim(),
+    soundTypes: (rule.soundTypes || []).filter(type => CALLER_RULE_SOUND_TYPES.includes(type)),
+    mode: rule.mode === 'custom' ? 'custom' : 'preset',
+    preset: rule.mode === 'custom' ? null : rule.preset || null,
+    fileName: rule.mode === 'custom' ? (fileName || rule.fileName || null) : null
+  };
+
+  if (!savedRule.pattern || savedRule.soundTypes.length === 0) {
+    throw new Error('発信者名と対象の音声を指定してください');
+  }
+
+  if (savedRule.mode === 'custom' && data) {
+    const normalizedSound = await normalizeUploadedSound(data, mimeType);
+    await saveSound(getCallerRuleSoundId(savedRule.id), normalizedSound.data, fileName, normalizedSound.mimeType);
+  } else if (savedRule.mode === 'preset') {
+    await deleteSound(getCallerRuleSoundId(savedRule.id));
+  }
+
+  const index = rules.findIndex(r => r.id === savedRule.id);
+  if (index >= 0) {
+    rules[index] = savedRule;
+  } else {
+    rules.push(savedRule);
+  }
+  settings.callerRules = rules;
+  await saveSettings(settings);
+  return savedRule;
+}
+
+/**
+ * 発信者別ルールを削除
+ */
+async function deleteCallerRule(ruleId) {
+  const settings = await getSettings();
+  settings.callerRules = (settings.callerRules || []).filter(r => r.id !== ruleId);
+  await deleteSound(getCallerRuleSoundId(ruleId));
+  await saveSettings(settings);
+}
+
+// =====================================
+// 読み上げ（音声合成）
+// =====================================
+
+/**
+ * 読み上げ設定を検証して正規化
+ * template: 「{name}」が相手の名前に置き換わる / chime: 読み上げ前に鳴らすプリセット（category:presetId）
+ */
+function sanitizeAnnounce(id, announce) {
+  const clamp = (value, min, max, fallback) => {
+    const number = Number(value);
+    return Number.isFinite(number) ? Math.min(Math.max(number, min), max) : fallback;
+  };
+
+  return {
+    template: (announce?.template || '').trim() || DEFAULT_ANNOUNCE_TEMPLATES[id] || '{name}さん',
+    voice: announce?.voice || null,
+    rate: clamp(announce?.rate, 0.5, 2, 1),
+    pitch: clamp(announce?.pitch, 0, 2, 1),
+    chime: resolvePresetValue(announce?.chime) ? announce.chime : null
+  };
+}
+
+/**
+ * 読み上げ設定を保存し、読み上げモードに切り替え
+ */
+async function setAnnounce(id, announce) {
+  if (!ANNOUNCE_SOUND_TYPES.includes(id)) {
+    throw new Error('この音声は読み上げに対応していません');
+  }
+
+  const settings = await getSettings();
+  settings.sounds = settings.sounds || {};
+  const previous = settings.sounds[id];
+  settings.sounds[id] = {
+    mode: 'announce',
+    ...pickPlaybackOptions(previous),
+    announce: sanitizeAnnounce(id, announce)
+  };
+  if (previous?.rotation) {
+    settings.sounds[id].rotation = previous.rotation;
+  }
+  await saveSettings(settings);
+}
+
+/**
+ * 読み上げ設定を再生用に解決（前置きのプリセットのパス）
+ */
+function resolveAnnounce(id, announce) {
+  const sanitized = sanitizeAnnounce(id, announce);
+  const chime = resolvePresetValue(sanitized.chime);
+  return {
+    template: sanitized.template,
+    voice: sanitized.voice,
+    rate: sanitized.rate,
+    pitch: sanitized.pitch,
+    chimeCategory: chime ? chime.category : null,
+    chimeFile: chime ? chime.file : null,
+    chimeData: chime ? chime.data : null
+  };
+}
+
+// =====================================
+// 時間帯スケジュール
+// =====================================
+
+/**
+ * 「HH:MM」を0時からの分数に変換
+ */
+function parseScheduleTime(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(value || '');
+  if (!match) return null;
+  const minutes = Number(match[1]) * 60 + Number(match[2]);
+  return minutes < 24 * 60 && Number(match[2]) < 60 ? minutes : null;
+}
+
+/**
+ * スケジュールを保存（ruleにidがあれば更新）
+ * days: 曜日（0=日曜〜6=土曜）、start/end: 「HH:MM」（end < start は日付をまたぐ）
+ */
+async function saveScheduleRule(rule) {
+  const settings = await getSettings();
+  const schedules = settings.schedules || [];
+  const soundTypes = getSoundTypes(settings);
+
+  const savedRule = {
+    id: rule.id || Date.now().toString(36),
+    name: (rule.name || '').trim(),
+    enabled: rule.enabled !== false,
+    days: [...new Set((rule.days || []).map(Number))].filter(day => day >= 0 && day <= 6).sort(),
+    start: rule.start,
+    end: rule.end,
+    soundTypes: (rule.soundTypes || []).filter(type => soundTypes[type]),
+    action: SCHEDULE_ACTIONS.includes(rule.action) ? rule.action : 'mute',
+    preset: rule.action === 'preset' ? rule.preset || null : null,
+    profileId: rule.action === 'profile' ? rule.profileId || null : null
+  };
+
+  if (parseScheduleTime(savedRule.start) === null || parseScheduleTime(savedRule.end) === null) {
+    throw new Error('開始・終了時刻を指定してください');
+  }
+  if (savedRule.start === savedRule.end) {
+    throw new Error('開始と終了に同じ時刻は指定できません');
+  }
+  if (savedRule.days.length === 0 || savedRule.soundTypes.length === 0) {
+    throw new Error('曜日と対象の音声を指定してください');
+  }
+  if (savedRule.action === 'preset' && !resolvePresetValue(savedRule.preset)) {
+    throw new Error('切り替えるプリセットを指定してください');
+  }
+  if (savedRule.action === 'profile' && !savedRule.profileId) {
+    throw new Error('切り替えるプロファイルを指定してください');
+  }
+
+  const index = schedules.findIndex(r => r.id === savedRule.id);
+  if (index >= 0) {
+    schedules[index] = savedRule;
+  } else {
+    schedules.push(savedRule);
+  }
+  settings.schedules = schedules;
+  await saveSettings(settings);
+  await updateScheduleAlarm(schedules);
+  return savedRule;
+}
+
+/**
+ * スケジュールを削除
+ */
+async function deleteScheduleRule(ruleId) {
+  const settings = await getSettings();
+  settings.schedules = (settings.schedules || []).filter(r => r.id !== ruleId);
+  await saveSettings(settings);
+  await updateScheduleAlarm(settings.schedules);
+}
+
+/**
+ * スケジュールが指定日時に有効か判定
+ */
+function isScheduleActive(rule, date) {
+  const start = parseScheduleTime(rule.start);
+  const end = parseScheduleTime(rule.end);
+  if (!rule.enabled || start === null || end === null) return false;
+
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  const day = date.getDay();
+
+  if (start < end) {
+    return rule.days.includes(day) && minutes >= start && minutes < end;
+  }
+  // 日付をまたぐ（例: 22:00〜7:00）場合、開始日の曜日で判定
+  const previousDay = (day + 6) % 7;
+  return (rule.days.includes(day) && minutes >= start) || (rule.days.includes(previousDay) && minutes < end);
+}
+
+/**
+ * 有効なスケジュールを取得（上から順に優先）
+ */
+function getActiveSchedules(schedules, date = new Date()) {
+  return (schedules || []).filter(rule => isScheduleActive(rule, date));
+}
+
+/**
+ * スケジュール判定用のアラームを設定（有効なスケジュールがなければ解除）
+ */
+async function updateScheduleAlarm(schedules) {
+  if (!(schedules || []).some(rule => rule.enabled)) {
+    await chrome.alarms.clear(SCHEDULE_ALARM_NAME);
+    await chrome.storage.local.remove('scheduleState');
+    return;
+  }
+
+  const existingAlarm = await chrome.alarms.get(SCHEDULE_ALARM_NAME);
+  if (!existingAlarm) {
+    chrome.alarms.create(SCHEDULE_ALARM_NAME, {
+      delayInMinutes: SCHEDULE_CHECK_INTERVAL_MINUTES,
+      periodInMinutes: SCHEDULE_CHECK_INTERVAL_MINUTES
+    });
+  }
+  await checkSchedules();
+}
+
+/**
+ * 有効なスケジュールが変わったら scheduleState を更新
+ * （content.js が変更を検知して CONFIG_UPDATED でページに反映する）
+ */
+async function checkSchedules() {
+  const settings = await getSettings();
+  const activeIds = getActiveSchedules(settings.schedules).map(rule => rule.id);
+
+  const { scheduleState } = await chrome.storage.local.get('scheduleState');
+  if (scheduleState && scheduleState.activeIds.join(',') === activeIds.join(',')) {
+    return;
+  }
+
+  await chrome.storage.local.set({ scheduleState: { activeIds, updatedAt: Date.now() } });
+  console.log('[Background] Active schedules changed:', activeIds);
+}
+
+/**
+ * スケジュールを適用した音声設定を取得
+ * @returns {Promise<Object>} 音声タイプごとの { soundSetting, customSoundId, presetCategory }
+ */
+async function getScheduledSoundSettings(settings) {
+  const activeSchedules = getActiveSchedules(settings.schedules);
+  const soundProfiles = activeSchedules.some(rule => rule.action === 'profile') ? await getSoundProfiles() : null;
+  const resolved = {};
+
+  for (const id of Object.keys(getSoundTypes(settings))) {
+    const baseSetting = settings.sounds?.[id] || { mode: 'original' };
+    resolved[id] = resolveLibrarySetting({ soundSetting: baseSetting, customSoundId: id, presetCategory: baseSetting.presetCategory || id });
+
+    const rule = activeSchedules.find(r => r.soundTypes.includes(id));
+    if (!rule) continue;
+
+    if (rule.action === 'mute') {
+      resolved[id].soundSetting = { ...baseSetting, volume: 0 };
+    } else if (rule.action === 'preset') {
+      const preset = resolvePresetValue(rule.preset);
+      if (preset) {
+        resolved[id] = {
+          soundSetting: { mode: 'preset', presetId: preset.presetId, ...pickPlaybackOptions(baseSetting) },
+          customSoundId: id,
+          presetCategory: preset.category
+        };
+      }
+    } else if (rule.action === 'profile') {
+      const profile = soundProfiles.profiles.find(p => p.id === rule.profileId);
+      if (profile) {
+        const profileSetting = profile.sounds?.[id] || { mode: 'original' };
+        resolved[id] = resolveLibrarySetting({
+          soundSetting: profileSetting,
+          customSoundId: getProfileSoundId(profile.id, id),
+          presetCategory: profileSetting.presetCategory || id
+        });
+      }
+    }
+  }
+
+  return resolved;
+}
+
+/**
+ * ライブラリの音声を選んだ設定は「library」カテゴリのプリセットとして再生する
+ */
+function resolveLibrarySetting(resolved) {
+  const { soundSetting } = resolved;
+  if (soundSetting.mode !== 'library') return resolved;
+  return {
+    ...resolved,
+    soundSetting: { mode: 'preset', presetId: soundSetting.librarySoundId, ...pickPlaybackOptions(soundSetting) },
+    presetCategory: LIBRARY_CATEGORY
+  };
+}
+
+// ========================================
+// 通話状態
+// ========================================
+
+/**
+ * 通話状態の変化を記録（通話の開始・終了を他の機能から参照できるように）
+ * @param {Object} event - inject.js の通話状態イベント
+ */
+async function handleCallStateChanged(event) {
+  if (!event || !CALL_STATES.includes(event.state)) {
+    throw new Error('不明な通話状態です');
+  }
+
+  const callState = {
+    state: event.state,
+    direction: event.direction === 'incoming' || event.direction === 'outgoing' ? event.direction : null,
+    callerName: typeof event.callerName === 'string' ? event.callerName : null,
+    since: Number(event.timestamp) || Date.now(),
+    ringStartedAt: Number(event.ringStartedAt) || null,
+    connectedAt: Number(event.connectedAt) || null,
+    endedAt: Number(event.endedAt) || null,
+    duration: Number(event.duration) || null,
+    reason: typeof event.reason === 'string' ? event.reason : null
+  };
+  await chrome.storage.local.set({ callState });
+  console.log('[Background] Call state:', event.previousState, '→', callState.state, callState);
+
+  if (callState.state === 'in-call') {
+    await markKnocksAnswered(callState.callerName, callState.ringStartedAt || callState.connectedAt);
+  } else if (callState.state === 'ended') {
+    await recordCallHistory(callState);
+  }
+  return callState;
+}
+
+// ========================================
+// 通話履歴
+// ========================================
+
+/**
+ * 通話履歴を保存
+ */
+async function putCallHistoryEntries(entries) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([CALL_HISTORY_STORE_NAME], 'readwrite');
+    const store = transaction.objectStore(CALL_HISTORY_STORE_NAME);
+    entries.forEach(entry => store.put(entry));
+    transaction.oncomplete = () => resolve(true);
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+/**
+ * 通話履歴を取得（新しい順）
+ */
+async function getCallHistory() {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([CALL_HISTORY_STORE_NAME], 'readonly');
+    const store = transaction.objectStore(CALL_HISTORY_STORE_NAME);
+
+    const request = store.index('startedAt').getAll();
+    request.onsuccess = () => resolve((request.result || []).reverse());
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * 通話履歴をすべて削除
+ */
+async function clearCallHistory() {
+  const db = await openDB();
+  await new Promise((resolve, reject) => {
+    const transaction = db.transaction([CALL_HISTORY_STORE_NAME], 'readwrite');
+    transaction.objectStore(CALL_HISTORY_STORE_NAME).clear();
+    transaction.oncomplete = () => resolve(true);
+    transaction.onerror = () => reject(transaction.error);
+  });
+  await updateMissedCallCount();
+}
+
+/**
+ * 通話履歴を追加（上限を超えた古い履歴は削除）
+ */
+async function addCallHistoryEntry(entry) {
+  await putCallHistoryEntries([entry]);
+
+  const history = await getCallHistory();
+  if (history.length > MAX_CALL_HISTORY) {
+    const db = await openDB();
+    await new Promise((resolve, reject) => {
+      const transaction = db.transaction([CALL_HISTORY_STORE_NAME], 'readwrite');
+      const store = transaction.objectStore(CALL_HISTORY_STORE_NAME);
+      history.slice(MAX_CALL_HISTORY).forEach(old => store.delete(old.id));
+      transaction.oncomplete = () => resolve(true);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+  await updateMissedCallCount();
+}
+
+/**
+ * 終了した通話を履歴に記録
+ */
+async function recordCallHistory(callState) {
+  const startedAt = callState.ringStartedAt || callState.connectedAt || callState.endedAt || callState.since;
+  const answered = !!callState.connectedAt;
+  await addCallHistoryEntry({
+    id: `call_${startedAt}`,
+    kind: 'call',
+    direction: callState.direction || 'incoming',
+    name: callState.callerName || '',
+    startedAt,
+    // 呼び出し時間（応答まで、応答がなければ終了まで）
+    ringDuration: callState.ringStartedAt ? (callState.connectedAt || callState.endedAt) - callState.ringStartedAt : null,
+    answered,
+    callDuration: answered ? callState.duration : null,
+    reason: callState.reason,
+    // 不在着信のみ未確認として数える
+    seen: answered || callState.direction === 'outgoing'
+  });
+}
+
+// ノックの記録・応答済みへの更新を直列化（複数タブから同時に届いても重複を判定できるように）
+let knockWriteQueue = Promise.resolve();
+
+/**
+ * ドアチャイム（ノック）を履歴に記録
+ */
+function recordDoorKnock(callerName, timestamp) {
+  const at = Number(timestamp) || Date.now();
+  const name = typeof callerName === 'string' ? callerName : '';
+
+  knockWriteQueue = knockWriteQueue.then(async () => {
+    const history = await getCallHistory();
+    const duplicate = history.find(entry =>
+      entry.kind === 'knock' && entry.name === name && at - entry.startedAt < KNOCK_DEDUPE_MS);
+    if (duplicate) return;
+
+    await addCallHistoryEntry({
+      id: `knock_${at}`,
+      kind: 'knock',
+      direction: 'incoming',
+      name,
+      startedAt: at,
+      ringDuration: null,
+      answered: false,
+      callDuration: null,
+      reason: 'knock',
+      seen: false
+    });
+  }).catch((error) => {
+    console.error('[Background] Failed to record door knock:', error);
+  });
+  return knockWriteQueue;
+}
+
+/**
+ * 通話が始まったら直前のノックを応答済みにする
+ */
+function markKnocksAnswered(callerName, startedAt) {
+  knockWriteQueue = knockWriteQueue.then(async () => {
+    const history = await getCallHistory();
+    const knocks = history.filter(entry =>
+      entry.kind === 'knock' && !entry.answered &&
+      startedAt - entry.startedAt >= 0 && startedAt - entry.startedAt < KNOCK_ANSWER_WINDOW_MS &&
+      (!entry.name || !callerName || entry.name === callerName));
+    if (knocks.length === 0) return;
+
+    await putCallHistoryEntries(knocks.map(entry => ({ ...entry, answered: true, seen: true })));
+    await updateMissedCallCount();
+  }).catch((error) => {
+    console.error('[Background] Failed to mark knocks answered:', error);
+  });
+  return knockWriteQueue;
+}
+
+/**
+ * 不在着信・ノックをすべて確認済みにする
+ */
+async function markCallHistorySeen() {
+  const history = await getCallHistory();
+  const unseen = history.filter(entry => !entry.seen);
+  if (unseen.length > 0) {
+    await putCallHistoryEntries(unseen.map(entry => ({ ...entry, seen: true })));
+  }
+  await updateMissedCallCount();
+}
+
+/**
+ * 未確認の不在着信数を保存（タイマーのバッジ表示用）
+ */
+async function updateMissedCallCount() {
+  const history = await getCallHistory();
+  const missedCallCount = history.filter(entry => !entry.seen).length;
+  await chrome.storage.local.set({ missedCallCount });
+}
+
+// ========================================
+// おやすみモード
+// ========================================
+
+/**
+ * おやすみモードの状態を取得
+ * @returns {Promise<Object>} { active, startedAt, until, visual, missed, endedAt }
+ */
+async function getDndState() {
+  const result = await chrome.storage.local.get('dndState');
+  return result.dndState || { active: false, missed: [] };
+}
+
+/**
+ * おやすみモードを開始
+ * @param {number} minutes - 継続時間（0 は解除するまで）
+ * @param {string} visual - 'banner' | 'flash'（省略時は前回の表示方法）
+ */
+async function startDnd(minutes, visual) {
+  const duration = Number(minutes) || 0;
+  if (duration < 0 || duration > MAX_DND_MINUTES) {
+    throw new Error('時間は24時間以内で指定してください');
+  }
+
+  const settings = await getSettings();
+  if (DND_VISUALS.includes(visual)) {
+    settings.dndVisual = visual;
+    await saveSettings(settings);
+  }
+
+  const now = Date.now();
+  const dndState = {
+    active: true,
+    startedAt: now,
+    until: duration > 0 ? now + duration * 60 * 1000 : null,
+    visual: DND_VISUALS.includes(settings.dndVisual) ? settings.dndVisual : 'banner',
+    missed: []
+  };
+  await chrome.storage.local.set({ dndState });
+
+  await chrome.alarms.clear(DND_ALARM_NAME);
+  if (dndState.until) {
+    await chrome.alarms.create(DND_ALARM_NAME, { when: dndState.until });
+  }
+  return dndState;
+}
+
+/**
+ * おやすみモードを終了（見逃した内容は次に開始するまで残す）
+ */
+async function endDnd() {
+  await chrome.alarms.clear(DND_ALARM_NAME);
+
+  const current = await getDndState();
+  if (!current.active) return current;
+
+  const dndState = {
+    active: false,
+    startedAt: current.startedAt,
+    endedAt: Date.now(),
+    missed: current.missed || []
+  };
+  await chrome.storage.local.set({ dndState });
+  return dndState;
+}
+
+// 見逃した内容の書き込みを直列化
+let dndWriteQueue = Promise.resolve();
+
+/**
+ * おやすみモード中に見逃した内容を記録
+ * @param {Object} entry - { kind: 'sound' | 'handsign', name, message, emoji, score }
+ */
+function recordDndMissed(entry) {
+  dndWriteQueue = dndWriteQueue.then(async () => {
+    const dndState = await getDndState();
+    if (!dndState.active || !entry) return;
+
+    dndState.missed = [...(dndState.missed || []), {
+      kind: entry.kind === 'handsign' ? 'handsign' : 'sound',
+      name: typeof entry.name === 'string' ? entry.name.slice(0, 100) : '',
+      message: typeof entry.message === 'string' ? entry.message.slice(0, 100) : '',
+      emoji: typeof entry.emoji === 'string' ? entry.emoji.slice(0, 8) : '',
+      // ハンドサインの信頼度（0〜1）
+      score: Number.isFinite(entry.score) ? Math.min(Math.max(entry.score, 0), 1) : null,
+      at: Date.now()
+    }].slice(-MAX_DND_MISSED);
+    await chrome.storage.local.set({ dndState });
+  }).catch((error) => {
+    console.error('[Background] Failed to record missed alert:', error);
+  });
+  return dndWriteQueue;
+}
+
+// ========================================
+// デスクトップ通知
+// ========================================
+
+/**
+ * デスクトップ通知の設定を取得
+ */
+function getDesktopNotificationSettings(settings) {
+  return { ...DEFAULT_DESKTOP_NOTIFICATIONS, ...(settings.desktopNotifications || {}) };
+}
+
+/**
+ * 通知を止めているメンバーを取得（期限切れは除く）
+ * @returns {Promise<Object>} { メンバー名: 再開する時刻 }
+ */
+async function getNotificationSnoozes() {
+  const result = await chrome.storage.local.get(NOTIFICATION_SNOOZE_KEY);
+  const snoozes = result[NOTIFICATION_SNOOZE_KEY] || {};
+  const now = Date.now();
+  return Object.fromEntries(Object.entries(snoozes).filter(([, until]) => until > now));
+}
+
+/**
+ * メンバーの通知を一定時間止める
+ */
+async function snoozeNotificationMember(memberName) {
+  if (!memberName) return;
+  const snoozes = await getNotificationSnoozes();
+  snoozes[memberName] = Date.now() + NOTIFICATION_SNOOZE_MINUTES * 60 * 1000;
+  await chrome.storage.local.set({ [NOTIFICATION_SNOOZE_KEY]: snoozes });
+}
+
+/**
+ * メンバーの通知の停止を解除
+ */
+async function clearNotificationSnooze(memberName) {
+  const snoozes = await getNotificationSnoozes();
+  delete snoozes[memberName];
+  await chrome.storage.local.set({ [NOTIFICATION_SNOOZE_KEY]: snoozes });
+}
+
+/**
+ * デスクトップ通知を表示
+ * @param {Object} notification - { kind: 'call' | 'knock' | 'handsign', memberName, title, message, iconUrl }
+ * @param {Object} tab - 送信元のRemoworkのタブ
+ * @returns {Promise<string|null>} 通知ID（設定で無効・停止中の場合は null）
+ */
+async function showDesktopNotification(notification, tab) {
+  if (!notification || !DESKTOP_NOTIFICATION_KINDS.includes(notification.kind)) {
+    throw new Error('不明な通知の種類です');
+  }
+
+  const settings = await getSettings();
+  const notificationSettings = getDesktopNotificationSettings(settings);
+  if (!notificationSettings.enabled || !notificationSettings[notification.kind]) {
+    return null;
+  }
+
+  const memberName = typeof notification.memberName === 'string' ? notification.memberName.slice(0, 100) : '';
+  if (memberName) {
+    const snoozes = await getNotificationSnoozes();
+    if (snoozes[memberName]) return null;
+  }
+
+  // アイコンはメンバーの在席写真（Data URL）、取得できなければ拡張機能のアイコン
+  const iconUrl = typeof notification.iconUrl === 'string' && notification.iconUrl.startsWith('data:image/')
+    ? notification.iconUrl
+    : 'icons/icon128.png';
+
+  const buttons = [{ title: 'Remoworkを開く' }];
+  if (memberName) {
+    buttons.push({ title: `${memberName}さんを${NOTIFICATION_SNOOZE_MINUTES}分通知しない` });
+  }
+
+  const notificationId = `rsc-${notification.kind}-${Date.now()}`;
+  await chrome.notifications.create(notificationId, {
+    type: 'basic',
+    iconUrl,
+    title: String(notification.title || 'Remowork').slice(0, 100),
+    message: String(notification.message || '').slice(0, 200),
+    buttons,
+    priority: notification.kind === 'call' ? 2 : 0,
+    requireInteraction: notification.kind === 'call'
+  });
+
+  // ボタン操作用に送信元のタブを記録（Service Workerが停止しても残るようにsessionへ）
+  await chrome.storage.session.set({
+    [notificationId]: { tabId: tab?.id ?? null, windowId: tab?.windowId ?? null, memberName }
+  });
+  return notificationId;
+}
+
+/**
+ * 通知元のRemoworkのタブを前面に表示（閉じられていれば開く）
+ */
+async function focusRemoworkTab(target) {
+  if (target?.tabId != null) {
+    try {
+      await chrome.tabs.update(target.tabId, { active: true });
+      if (target.windowId != null) {
+        await chrome.windows.update(target.windowId, { focused: true });
+      }
+      return;
+    } catch (error) {
+      console.warn('[Background] Notification source tab is gone:', error);
+    }
+  }
+
+  const tabs = await chrome.tabs.query({ url: ['https://remowork.biz/*', 'https://stage.remowork.biz/*'] });
+  if (tabs.length > 0) {
+    await chrome.tabs.update(tabs[0].id, { active: true });
+    await chrome.windows.update(tabs[0].windowId, { focused: true });
+    return;
+  }
+  await chrome.tabs.create({ url: REMOWORK_URL });
+}
+
+/**
+ * 通知の記録を取り出して通知を閉じる
+ */
+async function takeNotificationTarget(notificationId) {
+  const result = await chrome.storage.session.get(notificationId);
+  await chrome.storage.session.remove(notificationId);
+  chrome.notifications.clear(notificationId);
+  return result[notificationId] || null;
+}
+
+// 通知のボタン（0: Remoworkを開く / 1: このメンバーを30分通知しない）
+chrome.notifications.onButtonClicked.addListener(async (notificationId, buttonIndex) => {
+  if (!notificationId.startsWith('rsc-')) return;
+  const target = await takeNotificationTarget(notificationId);
+  try {
+    if (buttonIndex === 0) {
+      await focusRemoworkTab(target);
+    } else if (buttonIndex === 1 && target?.memberName) {
+      await snoozeNotificationMember(target.memberName);
+    }
+  } catch (error) {
+    console.error('[Background] Notification button failed:', error);
+  }
+});
+
+// 通知本体のクリックはRemoworkを開く
+chrome.notifications.onClicked.addListener(async (notificationId) => {
+  if (!notificationId.startsWith('rsc-')) return;
+  const target = await takeNotificationTarget(notificationId);
+  try {
+    await focusRemoworkTab(target);
+  } catch (error) {
+    console.error('[Background] Failed to open Remowork tab:', error);
+  }
+});
+
+chrome.notifications.onClosed.addListener((notificationId) => {
+  if (!notificationId.startsWith('rsc-')) return;
+  chrome.storage.session.remove(notificationId);
+});
+
+// =====================================
+// ローテーション
+// =====================================
+
+const ROTATION_ORDERS = ['random', 'sequential'];
+
+// 通知音ローテーションの直前の再生位置（Service Worker再起動でリセット）
+const rotationLastIndex = {};
+
+/**
+ * ローテーション設定を検証して正規化
+ * items: { type: 'preset', value: 'category:presetId' } | { type: 'custom', soundId, fileName }
+ */
+function sanitizeRotation(rotation) {
+  const items = (rotation?.items || []).filter(item => {
+    if (item?.type === 'preset') return !!resolvePresetValue(item.value);
+    if (item?.type === 'custom') return typeof item.soundId === 'string' && item.soundId.startsWith('rotation_');
+    return false;
+  }).map(item => item.type === 'preset'
+    ? { type: 'preset', value: item.value }
+    : { type: 'custom', soundId: item.soundId, fileName: item.fileName || null });
+
+  return {
+    order: ROTATION_ORDERS.includes(rotation?.order) ? rotation.order : 'random',
+    items
+  };
+}
+
+/**
+ * ローテーション設定を取得（slot: 音声タイプ or notification）
+ */
+async function getRotation(slot) {
+  if (slot === 'notification') {
+    const handSignSettings = await getHandSignSettings();
+    return sanitizeRotation(handSignSettings.notifications?.rotation);
+  }
+  const settings = await getSettings();
+  return sanitizeRotation(settings.sounds?.[slot]?.rotation);
+}
+
+/**
+ * ローテーション設定を保存し、ローテーションモードに切り替え
+ */
+async function setRotation(slot, rotation) {
+  const sanitized = sanitizeRotation(rotation);
+
+  if (slot === 'notification') {
+    const handSignSettings = await getHandSignSettings();
+    handSignSettings.notifications = handSignSettings.notifications || {};
+    handSignSettings.notifications.rotation = sanitized;
+    handSignSettings.notifications.soundPreset = 'rotation';
+    await saveHandSignSettings(handSignSettings);
+    return;
+  }
+
+  const settings = await getSettings();
+  if (!getSoundTypes(settings)[slot]) {
+    throw new Error('不明な音声タイプです');
+  }
+  settings.sounds = settings.sounds || {};
+  settings.sounds[slot] = {
+    mode: 'rotation',
+    ...pickPlaybackOptions(settings.sounds[slot]),
+    rotation: sanitized
+  };
+  await saveSettings(settings);
+}
+
+/**
+ * ローテーション用のカスタム音声を追加
+ */
+async function addRotationSound(slot, data, fileName, mimeType, rendered = false) {
+  const soundId = `rotation_${slot}_${Date.now().toString(36)}`;
+  const normalizedSound = await normalizeUploadedSound(data, mimeType, rendered);
+  await saveSound(soundId, normalizedSound.data, fileName, normalizedSound.mimeType);
+
+  const rotation = await getRotation(slot);
+  const item = { type: 'custom', soundId, fileName };
+  rotation.items.push(item);
+  await setRotation(slot, rotation);
+  return item;
+}
+
+/**
+ * ローテーション用のカスタム音声を削除
+ */
+async function deleteRotationSound(slot, soundId) {
+  const rotation = await getRotation(slot);
+  rotation.items = rotation.items.filter(item => item.soundId !== soundId);
+  await deleteSound(soundId);
+  await setRotation(slot, rotation);
+}
+
+/**
+ * ローテーションの項目を再生用に解決（プリセットのパス・カスタム音声のデータ）
+ */
+function resolveRotationItems(rotation, sounds) {
+  return sanitizeRotation(rotation).items.map(item => {
+    if (item.type === 'preset') {
+      const preset = resolvePresetValue(item.value);
+      if (preset.data) return { customData: preset.data };
+      return { presetCategory: preset.category, presetFile: preset.file };
+    }
+    const soundData = sounds.find(s => s.id === item.soundId);
+    return soundData ? { customData: soundData.data } : null;
+  }).filter(Boolean);
+}
+
+/**
+ * 次に再生する項目の位置を決定
+ * random: 直前と同じ項目を避けてランダム / sequential: 順番に
+ */
+function pickRotationIndex(count, order, lastIndex) {
+  if (count <= 1) return 0;
+  if (order === 'sequential') {
+    return typeof lastIndex === 'number' ? (lastIndex + 1) % count : 0;
+  }
+  // 最初の1回は全項目から選ぶ
+  if (typeof lastIndex !== 'number') {
+    return Math.floor(Math.random() * count);
+  }
+  let index = Math.floor(Math.random() * (count - 1));
+  if (index >= lastIndex) {
+    index++;
+  }
+  return index;
+}
+
+// ページに渡す再生順の長さ（使い切ったら先頭に戻る）
+const ROTATION_SEQUENCE_LENGTH = 32;
+
+/**
+ * ページ側で再生する順番を決めておく（選び方はこの pickRotationIndex だけで行う）
+ * @returns {Array<number>} 項目の位置の並び
+ */
+function buildRotationSequence(count, order) {
+  const length = order === 'sequential' ? count : ROTATION_SEQUENCE_LENGTH;
+  const sequence = [];
+  let lastIndex;
+  for (let i = 0; i < length; i++) {
+    lastIndex = pickRotationIndex(count, order, lastIndex);
+    sequence.push(lastIndex);
+  }
+  return sequence;
+}
+
+/**
+ * ページに渡すローテーション設定（項目と再生順）
+ */
+function buildRotationConfig(rotation, sounds) {
+  const items = resolveRotationItems(rotation, sounds);
+  return { items, sequence: buildRotationSequence(items.length, sanitizeRotation(rotation).order) };
+}
+
+/**
+ * ローテーションから次の音声URLを取得（通知音用）
+ */
+async function pickRotationUrl(stateKey, rotation) {
+  const sounds = await getAllSounds();
+  const items = resolveRotationItems(rotation, sounds);
+  if (items.length === 0) return null;
+
+  const index = pickRotationIndex(items.length, rotation.order, rotationLastIndex[stateKey]);
+  rotationLastIndex[stateKey] = index;
+
+  const item = items[index];
+  if (item.customData) return item.customData;
+  return getPresetSoundUrl(item.presetCategory, { file: item.presetFile });
+}
+
+// =====================================
+// サウンドプロファイル
+// =====================================
+
+const PROFILE_EXPORT_FORMAT = 'remowork-sound-profile';
+const PROFILE_EXPORT_VERSION = 1;
+const DEFAULT_NOTIFICATION_SOUND = 'outgoing:outgoing_horn';
+const DEFAULT_COUNTDOWN_SOUND = 'countdown:countdown_button2';
+
+/**
+ * プロファイル一覧を取得
+ */
+async function getSoundProfiles() {
+  const result = await chrome.storage.local.get('soundProfiles');
+  return result.soundProfiles || { activeId: null, profiles: [] };
+}
+
+/**
+ * プロファイル一覧を保存
+ */
+async function saveSoundProfiles(soundProfiles) {
+  await chrome.storage.local.set({ soundProfiles });
+}
+
+/**
+ * プロファイル内のカスタム音声IDを取得（slot: 音声タイプ。notification は旧形式の通知音）
+ */
+function getProfileSoundId(profileId, slot) {
+  return `profile_${profileId}_${slot}`;
+}
+
+/**
+ * 現在の音声設定をプロファイルとして保存
+ */
+async function saveCurrentAsProfile(name, profileId = null) {
+  const settings = await getSettings();
+  const handSignSettings = await getHandSignSettings();
+  const soundProfiles = await getSoundProfiles();
+  const existing = soundProfiles.profiles.find(p => p.id === profileId);
+
+  const profile = {
+    id: existing ? existing.id : Date.now().toString(36),
+    name: (name || existing?.name || '').trim(),
+    sounds: {},
+    notificationSound: handSignSettings.notifications?.soundPreset || DEFAULT_NOTIFICATION_SOUND,
+    notificationRotation: sanitizeRotation(handSignSettings.notifications?.rotation),
+    countdownSound: handSignSettings.countdown?.soundPreset || DEFAULT_COUNTDOWN_SOUND,
+    updatedAt: Date.now()
+  };
+
+  if (!profile.name) {
+    throw new Error('プロファイル名を入力してください');
+  }
+
+  // 各音声タイプ（カスタム音声はプロファイル用にコピー）
+  for (const id of Object.keys(getSoundTypes(settings))) {
+    const soundSetting = settings.sounds?.[id] || { mode: 'original' };
+    const slotId = getProfileSoundId(profile.id, id);
+    profile.sounds[id] = { mode: soundSetting.mode, ...pickPlaybackOptions(soundSetting) };
+    if (soundSetting.presetId) {
+      profile.sounds[id].presetId = soundSetting.presetId;
+    }
+    if (soundSetting.presetCategory) {
+      profile.sounds[id].presetCategory = soundSetting.presetCategory;
+    }
+    if (soundSetting.librarySoundId) {
+      // ライブラリの音声は共有（プロファイルからは参照のみ）
+      profile.sounds[id].librarySoundId = soundSetting.librarySoundId;
+    }
+    if (soundSetting.mode === 'rotation') {
+      // ローテーションのカスタム音声は共有（プロファイルからは参照のみ）
+      profile.sounds[id].rotation = sanitizeRotation(soundSetting.rotation);
+    }
+    if (soundSetting.mode === 'announce') {
+      profile.sounds[id].announce = sanitizeAnnounce(id, soundSetting.announce);
+    }
+
+    const sound = soundSetting.mode === 'custom' ? await getSound(id) : null;
+    if (sound) {
+      await saveSound(slotId, sound.data, sound.fileName, sound.mimeType);
+      profile.sounds[id].fileName = sound.fileName;
+    } else {
+      if (soundSetting.mode === 'custom') {
+        profile.sounds[id] = { mode: 'original', ...pickPlaybackOptions(soundSetting) };
+      }
+      await deleteSound(slotId);
+    }
+  }
+
+  if (existing) {
+    soundProfiles.profiles = soundProfiles.profiles.map(p => p.id === profile.id ? profile : p);
+  } else {
+    soundProfiles.profiles.push(profile);
+  }
+  soundProfiles.activeId = profile.id;
+  await saveSoundProfiles(soundProfiles);
+  return profile;
+}
+
+/**
+ * プロファイルを現在の音声設定に適用
+ */
+async function applySoundProfile(profileId) {
+  const soundProfiles = await getSoundProfiles();
+  const profile = soundProfiles.profiles.find(p => p.id === profileId);
+  if (!profile) {
+    throw new Error('プロファイルが見つかりません');
+  }
+
+  const settings = await getSettings();
+  const handSignSettings = await getHandSignSettings();
+  settings.sounds = settings.sounds || {};
+
+  for (const id of Object.keys(getSoundTypes(settings))) {
+    const soundSetting = profile.sounds?.[id] || { mode: 'original' };
+    if (soundSetting.mode === 'custom') {
+      const sound = await getSound(getProfileSoundId(profile.id, id));
+      if (!sound) {
+        settings.sounds[id] = { mode: 'original', ...pickPlaybackOptions(soundSetting) };
+        continue;
+      }
+      await saveSound(id, sound.data, sound.fileName, sound.mimeType);
+    }
+    settings.sounds[id] = { mode: soundSetting.mode, ...pickPlaybackOptions(soundSetting) };
+    if (soundSetting.presetId) {
+      settings.sounds[id].presetId = soundSetting.presetId;
+    }
+    if (soundSetting.presetCategory) {
+      settings.sounds[id].presetCategory = soundSetting.presetCategory;
+    }
+    if (soundSetting.librarySoundId) {
+      settings.sounds[id].librarySoundId = soundSetting.librarySoundId;
+    }
+    if (soundSetting.mode === 'rotation') {
+      settings.sounds[id].rotation = sanitizeRotation(soundSetting.rotation);
+    }
+    if (soundSetting.mode === 'announce') {
+      settings.sounds[id].announce = sanitizeAnnounce(id, soundSetting.announce);
+    }
+  }
+
+  handSignSettings.notifications = handSignSettings.notifications || {};
+  handSignSettings.countdown = handSignSettings.countdown || {};
+  handSignSettings.notifications.soundPreset = profile.notificationSound || DEFAULT_NOTIFICATION_SOUND;
+  handSignSettings.notifications.rotation = sanitizeRotation(profile.notificationRotation);
+  handSignSettings.countdown.soundPreset = profile.countdownSound || DEFAULT_COUNTDOWN_SOUND;
+
+  await saveSettings(settings);
+  await saveHandSignSettings(handSignSettings);
+
+  soundProfiles.activeId = profile.id;
+  await saveSoundProfiles(soundProfiles);
+  console.log(`[Background] Sound profile applied: ${profile.name}`);
+}
+
+/**
+ * プロファイルを削除
+ */
+async function deleteSoundProfile(profileId) {
+  const soundProfiles = await getSoundProfiles();
+  soundProfiles.profiles = soundProfiles.profiles.filter(p => p.id !== profileId);
+  if (soundProfiles.activeId === profileId) {
+    soundProfiles.activeId = null;
+  }
+
+  const settings = await getSettings();
+  for (const slot of [...Object.keys(getSoundTypes(settings)), 'notification']) {
+    await deleteSound(getProfileSoundId(profileId, slot));
+  }
+  await saveSoundProfiles(soundProfiles);
+}
+
+/**
+ * プロファイルを書き出し（カスタム音声を埋め込んだ1ファイル）
+ */
+async function exportSoundProfile(profileId) {
+  const soundProfiles = await getSoundProfiles();
+  const profile = soundProfiles.profiles.find(p => p.id === profileId);
+  if (!profile) {
+    throw new Error('プロファイルが見つかりません');
+  }
+
+  const customSounds = {};
+  const settings = await getSettings();
+  for (const slot of Object.keys(getSoundTypes(settings))) {
+    const sound = await getSound(getProfileSoundId(profile.id, slot));
+    if (sound) {
+      customSounds[slot] = { data: sound.data, fileName: sound.fileName, mimeType: sound.mimeType };
+    }
+  }
+
+  // ローテーションのカスタム音声も埋め込む
+  const rotations = [
+    ...Object.values(profile.sounds || {}).map(s => s.rotation),
+    profile.notificationRotation
+  ];
+  const libraryValues = [profile.notificationSound, profile.countdownSound];
+  for (const rotation of rotations) {
+    for (const item of sanitizeRotation(rotation).items) {
+      if (item.type === 'preset') {
+        libraryValues.push(item.value);
+        continue;
+      }
+      const sound = await getSound(item.soundId);
+      if (sound) {
+        customSounds[item.soundId] = { data: sound.data, fileName: sound.fileName, mimeType: sound.mimeType };
+      }
+    }
+  }
+
+  // 使っているライブラリの音声も埋め込む（読み込み先のライブラリに追加する）
+  const libraryIds = new Set(Object.values(profile.sounds || {})
+    .filter(s => s.mode === 'library' && s.librarySoundId)
+    .map(s => s.librarySoundId));
+  for (const value of libraryValues) {
+    if (typeof value === 'string' && value.startsWith(`${LIBRARY_CATEGORY}:`)) {
+      libraryIds.add(value.slice(LIBRARY_CATEGORY.length + 1));
+    }
+  }
+  const librarySoundData = {};
+  for (const soundId of libraryIds) {
+    const sound = await getSound(getLibraryRecordId(soundId));
+    if (sound) {
+      librarySoundData[soundId] = {
+        data: sound.data,
+        fileName: sound.fileName,
+        mimeType: sound.mimeType,
+        name: sound.library?.name,
+        tags: sound.library?.tags,
+        duration: sound.library?.duration
+      };
+    }
+  }
+
+  return {
+    format: PROFILE_EXPORT_FORMAT,
+    version: PROFILE_EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    profile: {
+      name: profile.name,
+      sounds: profile.sounds,
+      notificationSound: profile.notificationSound,
+      notificationRotation: profile.notificationRotation,
+      countdownSound: profile.countdownSound
+    },
+    customSounds,
+    librarySounds: librarySoundData
+  };
+}
+
+/**
+ * 書き出したプロファイルを読み込み（新しいプロファイルとして追加）
+ */
+async function importSoundProfile(data) {
+  if (!data || data.format !== PROFILE_EXPORT_FORMAT || !data.profile) {
+    throw new Error('プロファイルファイルの形式が正しくありません');
+  }
+  if (data.version > PROFILE_EXPORT_VERSION) {
+    throw new Error('新しいバージョンで書き出されたプロファイルです');
+  }
+
+  const source = data.profile;
+  const customSounds = data.customSounds || {};
+  const libraryIds = await importProfileLibrarySounds(data.librarySounds);
+  const profile = {
+    id: Date.now().toString(36),
+    name: String(source.name || 'インポートしたプロファイル').trim(),
+    sounds: {},
+    notificationSound: typeof source.notificationSound === 'string'
+      ? remapLibraryValue(source.notificationSound, libraryIds)
+      : DEFAULT_NOTIFICATION_SOUND,
+    countdownSound: DEFAULT_COUNTDOWN_SOUND,
+    updatedAt: Date.now()
+  };
+  const countdownSound = remapLibraryValue(source.countdownSound, libraryIds);
+  if (resolvePresetValue(countdownSound)) {
+    profile.countdownSound = countdownSound;
+  }
+
+  const settings = await getSettings();
+  for (const id of Object.keys(getSoundTypes(settings))) {
+    const soundSetting = source.sounds?.[id];
+    if (!soundSetting || !['original', 'preset', 'custom', 'library', 'rotation', 'announce'].includes(soundSetting.mode)) {
+      profile.sounds[id] = { mode: 'original' };
+      continue;
+    }
+
+    const playbackOptions = pickPlaybackOptions(soundSetting);
+    const customSound = customSounds[id];
+    if (soundSetting.mode === 'custom') {
+      if (!isValidCustomSoundData(customSound)) {
+        profile.sounds[id] = { mode: 'original', ...playbackOptions };
+        continue;
+      }
+      await saveSound(getProfileSoundId(profile.id, id), customSound.data, customSound.fileName, customSound.mimeType);
+      profile.sounds[id] = { mode: 'custom', fileName: customSound.fileName, ...playbackOptions };
+    } else if (soundSetting.mode === 'preset' && soundSetting.presetCategory !== LIBRARY_CATEGORY &&
+      getPresetCatalog()[soundSetting.presetCategory || id]?.some(p => p.id === soundSetting.presetId)) {
+      profile.sounds[id] = { mode: 'preset', presetId: soundSetting.presetId, ...playbackOptions };
+      if (soundSetting.presetCategory && soundSetting.presetCategory !== id) {
+        profile.sounds[id].presetCategory = soundSetting.presetCategory;
+      }
+    } else if (soundSetting.mode === 'library' && libraryIds.has(soundSetting.librarySoundId)) {
+      profile.sounds[id] = { mode: 'library', librarySoundId: libraryIds.get(soundSetting.librarySoundId), ...playbackOptions };
+    } else if (soundSetting.mode === 'rotation') {
+      const rotation = await importRotation(id, soundSetting.rotation, customSounds, libraryIds);
+      profile.sounds[id] = { mode: 'rotation', rotation, ...playbackOptions };
+    } else if (soundSetting.mode === 'announce' && ANNOUNCE_SOUND_TYPES.includes(id)) {
+      profile.sounds[id] = { mode: 'announce', announce: sanitizeAnnounce(id, soundSetting.announce), ...playbackOptions };
+    } else {
+      profile.sounds[id] = { mode: 'original', ...playbackOptions };
+    }
+  }
+
+  profile.notificationRotation = await importRotation('notification', source.notificationRotation, customSounds, libraryIds);
+
+  // 旧形式の書き出しファイル: 埋め込まれたカスタム通知音はライブラリに追加
+  if (profile.notificationSound === 'custom') {
+    profile.notificationSound = await addLegacyNotificationSound(customSounds.notification) || DEFAULT_NOTIFICATION_SOUND;
+  }
+  // この環境にないプリセット・ライブラリの音声はデフォルトに戻す
+  if (profile.notificationSound !== 'rotation' && !resolvePresetValue(profile.notificationSound)) {
+    profile.notificationSound = DEFAULT_NOTIFICATION_SOUND;
+  }
+
+  const soundProfiles = await getSoundProfiles();
+  soundProfiles.profiles.push(profile);
+  await saveSoundProfiles(soundProfiles);
+  return profile;
+}
+
+/**
+ * 書き出したプロファイルに埋め込まれたライブラリの音声をライブラリに追加
+ * 同じ音声が既にライブラリにある場合はそれを使う
+ * @returns {Map<string, string>} 書き出し元のID → 追加先のID
+ */
+async function importProfileLibrarySounds(embedded) {
+  const libraryIds = new Map();
+  for (const [soundId, sound] of Object.entries(embedded || {})) {
+    if (!isValidCustomSoundData(sound)) continue;
+
+    const existing = librarySounds.find(librarySound => librarySound.data === sound.data);
+    if (existing) {
+      libraryIds.set(soundId, existing.id);
+      continue;
+    }
+    // 書き出し元で正規化済みのため、再エンコードせずに保存する
+    const added = await addLibrarySound(sound.data, sound.fileName, sound.mimeType, {
+      name: sound.name,
+      tags: sound.tags,
+      duration: sound.duration
+    }, true);
+    libraryIds.set(soundId, added.id);
+  }
+  return libraryIds;
+}
+
+/**
+ * ライブラリの音声を指すプリセット値（library:<id>）を読み込み先のIDに置き換える
+ * 読み込めなかったライブラリの音声は null
+ */
+function remapLibraryValue(value, libraryIds) {
+  if (typeof value !== 'string' || !value.startsWith(`${LIBRARY_CATEGORY}:`)) return value;
+  const soundId = libraryIds.get(value.slice(LIBRARY_CATEGORY.length + 1));
+  return soundId ? `${LIBRARY_CATEGORY}:${soundId}` : null;
+}
+
+/**
+ * 書き出したローテーション設定を読み込み（カスタム音声は新しいIDで保存、ライブラリの音声はIDを置き換え）
+ */
+async function importRotation(slot, rotation, customSounds, libraryIds) {
+  const remapped = {
+    ...rotation,
+    items: (rotation?.items || []).map(item => item?.type === 'preset'
+      ? { ...item, value: remapLibraryValue(item.value, libraryIds) }
+      : item)
+  };
+  const items = [];
+  for (const item of sanitizeRotation(remapped).items) {
+    if (item.type === 'preset') {
+      items.push(item);
+      continue;
+    }
+    const customSound = customSounds[item.soundId];
+    if (!isValidCustomSoundData(customSound)) continue;
+    const soundId = `rotation_${slot}_${Date.now().toString(36)}${items.length}`;
+    await saveSound(soundId, customSound.data, customSound.fileName, customSound.mimeType);
+    items.push({ type: 'custom', soundId, fileName: customSound.fileName });
+  }
+  return { order: sanitizeRotation(remapped).order, items };
+}
+
+/**
+ * 埋め込まれたカスタム音声データを検証
+ */
+function isValidCustomSoundData(sound) {
+  return !!sound &&
+    typeof sound.data === 'string' &&
+    sound.data.startsWith('data:audio/') &&
+    sound.data.length <= MAX_FILE_SIZE;
+}
+
+// =====================================
+// サウンドパック
+// =====================================
+
+// サウンドパックのプリセット（カテゴリ → 一覧、音声データ付き）
+let packPresetSounds = {};
+
+/**
+ * 保存されているサウンドパックを取得
+ */
+async function getSoundPacks() {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([SOUND_PACK_STORE_NAME], 'readonly');
+    const request = transaction.objectStore(SOUND_PACK_STORE_NAME).getAll();
+    request.onsuccess = () => resolve(request.result || []);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * サウンドパックを保存（同じIDのパックは置き換え）
+ */
+async function putSoundPack(pack) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([SOUND_PACK_STORE_NAME], 'readwrite');
+    const request = transaction.objectStore(SOUND_PACK_STORE_NAME).put(pack);
+    request.onsuccess = () => resolve(true);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * サウンドパックを削除
+ */
+async function deleteSoundPack(packId) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([SOUND_PACK_STORE_NAME], 'readwrite');
+    const request = transaction.objectStore(SOUND_PACK_STORE_NAME).delete(packId);
+    request.onsuccess = () => resolve(true);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * パックの音声のプリセットID
+ */
+function getPackPresetId(packId, soundId) {
+  return `pack_${packId}_${soundId}`;
+}
+
+/**
+ * サウンドパックのプリセットを読み込み直す
+ */
+async function loadSoundPacks() {
+  const presets = {};
+  for (const pack of await getSoundPacks()) {
+    for (const sound of pack.sounds) {
+      presets[sound.category] = presets[sound.category] || [];
+      presets[sound.category].push({
+        id: getPackPresetId(pack.id, sound.id),
+        file: sound.file,
+        label: sound.label,
+        license: sound.license,
+        packId: pack.id,
+        packName: pack.name,
+        data: sound.data
+      });
+    }
+  }
+  packPresetSounds = presets;
+}
+
+/**
+ * 組み込みのプリセット・サウンドパック・ライブラリを合わせた一覧（カテゴリ別）
+ * ライブラリの音声は「library」カテゴリ（どの音声タイプからも選べる）
+ */
+function getPresetCatalog() {
+  const catalog = {};
+  for (const [category, presets] of Object.entries(PRESET_SOUNDS)) {
+    catalog[category] = [...presets, ...(packPresetSounds[category] || [])];
+  }
+  catalog[LIBRARY_CATEGORY] = librarySounds;
+  return catalog;
+}
+
+/**
+ * UI向けのプリセット一覧（音声データを除く、カテゴリ別）
+ * source は builtin / pack / library
+ */
+function getPresetSummaries() {
+  const summaries = {};
+  for (const [category, presets] of Object.entries(getPresetCatalog())) {
+    summaries[category] = presets.map(({ data, ...preset }) => ({
+      ...preset,
+      name: preset.label,
+      category,
+      source: category === LIBRARY_CATEGORY ? 'library' : preset.packId ? 'pack' : 'builtin'
+    }));
+  }
+  return summaries;
+}
+
+/**
+ * サウンドパックの一覧（音声データを除く）
+ */
+async function getSoundPackSummaries() {
+  const packs = await getSoundPacks();
+  return packs
+    .map(pack => ({
+      id: pack.id,
+      name: pack.name,
+      version: pack.version,
+      author: pack.author,
+      license: pack.license,
+      importedAt: pack.importedAt,
+      sounds: pack.sounds.map(({ id, label, category, license }) => ({ id, label, category, license }))
+    }))
+    .sort((a, b) => a.importedAt - b.importedAt);
+}
+
+/**
+ * サウンドパックのアーカイブ（Data URL）を読み込んで保存
+ */
+async function importSoundPack(dataUrl) {
+  if (typeof dataUrl !== 'string' || !dataUrl.startsWith('data:') || dataUrl.length > MAX_FILE_SIZE) {
+    throw new Error('サウンドパックのファイルが正しくありません');
+  }
+
+  const binary = atob(dataUrl.slice(dataUrl.indexOf(',') + 1));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+
+  const pack = await globalThis.SoundPack.readSoundPackArchive(bytes, Object.keys(PRESET_SOUNDS));
+  pack.importedAt = Date.now();
+  await putSoundPack(pack);
+  await loadSoundPacks();
+  console.log('[Background] Sound pack imported:', pack.id, pack.sounds.length);
+
+  return { id: pack.id, name: pack.name, version: pack.version, count: pack.sounds.length };
+}
+
+/**
+ * サウンドパックを削除（このパックの音声を参照していた設定は既定の音に戻す）
+ */
+async function removeSoundPack(packId) {
+  await deleteSoundPack(packId);
+  await loadSoundPacks();
+
+  const prefix = getPackPresetId(packId, '');
+  await removeSoundReferences({
+    value: value => typeof value === 'string' && !!value.split(':')[1]?.startsWith(prefix),
+    setting: soundSetting => soundSetting.mode === 'preset' && !!soundSetting.presetId?.startsWith(prefix)
+  });
+}
+
+/**
+ * 音声（サウンドパック・ライブラリ）を参照している箇所の一覧
+ * 使用箇所の表示と削除時の片付けで同じ一覧を使う
+ * @param {Object} match - value: 「category:presetId」形式の値を判定 / setting: 音声タイプの設定を判定
+ * @returns {Array<{label: string, target: string, reset: Function}>} target は保存先（settings / handSign / profiles）
+ */
+function findSoundReferences(match, settings, handSignSettings, soundProfiles) {
+  const references = [];
+  const isPresetItem = item => item?.type === 'preset' && match.value(item.value);
+  const inRotation = rotation => (rotation?.items || []).some(isPresetItem);
+  const removeFromRotation = rotation => {
+    rotation.items = rotation.items.filter(item => !isPresetItem(item));
+    return rotation.items.length > 0;
+  };
+
+  // 音声タイプごとの設定（選んでいる音声・ローテーションの項目・読み上げのチャイム）
+  const addSoundSettings = (sounds, labelOf, target) => {
+    for (const [id, soundSetting] of Object.entries(sounds || {})) {
+      if (!soundSetting) continue;
+      const label = labelOf(id);
+      if (match.setting(soundSetting)) {
+        references.push({ label, target, reset: () => {
+          soundSetting.mode = 'original';
+          delete soundSetting.presetId;
+          delete soundSetting.presetCategory;
+          delete soundSetting.librarySoundId;
+        } });
+      }
+      if (inRotation(soundSetting.rotation)) {
+        references.push({ label, target, reset: () => {
+          if (!removeFromRotation(soundSetting.rotation) && soundSetting.mode === 'rotation') {
+            soundSetting.mode = 'original';
+          }
+        } });
+      }
+      if (soundSetting.announce?.chime && match.value(soundSetting.announce.chime)) {
+        references.push({ label: `${label}の読み上げチャイム`, target, reset: () => {
+          soundSetting.announce.chime = null;
+        } });
+      }
+    }
+  };
+
+  const soundTypes = getSoundTypes(settings);
+  addSoundSettings(settings.sounds, id => soundTypes[id]?.label || id, 'settings');
+
+  const notifications = handSignSettings.notifications || {};
+  if (match.value(notifications.soundPreset)) {
+    references.push({ label: 'ハンドサイン通知音', target: 'handSign', reset: () => {
+      notifications.soundPreset = DEFAULT_NOTIFICATION_SOUND;
+    } });
+  }
+  if (inRotation(notifications.rotation)) {
+    references.push({ label: 'ハンドサイン通知音', target: 'handSign', reset: () => {
+      if (!removeFromRotation(notifications.rotation) && notifications.soundPreset === 'rotation') {
+        notifications.soundPreset = DEFAULT_NOTIFICATION_SOUND;
+      }
+    } });
+  }
+  if (match.value(handSignSettings.countdown?.soundPreset)) {
+    references.push({ label: 'カウントダウン音', target: 'handSign', reset: () => {
+      handSignSettings.countdown.soundPreset = DEFAULT_COUNTDOWN_SOUND;
+    } });
+  }
+
+  for (const profile of soundProfiles.profiles) {
+    const label = `プロファイル「${profile.name}」`;
+    addSoundSettings(profile.sounds, () => label, 'profiles');
+    if (match.value(profile.notificationSound)) {
+      references.push({ label, target: 'profiles', reset: () => {
+        profile.notificationSound = DEFAULT_NOTIFICATION_SOUND;
+      } });
+    }
+    if (inRotation(profile.notificationRotation)) {
+      references.push({ label, target: 'profiles', reset: () => {
+        if (!removeFromRotation(profile.notificationRotation) && profile.notificationSound === 'rotation') {
+          profile.notificationSound = DEFAULT_NOTIFICATION_SOUND;
+        }
+      } });
+    }
+    if (match.value(profile.countdownSound)) {
+      references.push({ label, target: 'profiles', reset: () => {
+        profile.countdownSound = DEFAULT_COUNTDOWN_SOUND;
+      } });
+    }
+  }
+
+  // スケジュールは曜日・時間帯を残して無効にし、発信者別ルールは削除する
+  for (const rule of settings.schedules || []) {
+    if (rule.action === 'preset' && match.value(rule.preset)) {
+      references.push({ label: `スケジュール「${rule.name || `${rule.start}〜${rule.end}`}」`, target: 'settings', reset: () => {
+        rule.enabled = false;
+      } });
+    }
+  }
+  for (const rule of settings.callerRules || []) {
+    if (rule.mode === 'preset' && match.value(rule.preset)) {
+      references.push({ label: `発信者別ルール「${rule.pattern}」`, target: 'settings', reset: () => {
+        settings.callerRules = settings.callerRules.filter(r => r !== rule);
+      } });
+    }
+  }
+
+  return references;
+}
+
+/**
+ * 削除した音声を参照していた設定を既定に戻して保存
+ * @param {Object} match - findSoundReferences の判定
+ */
+async function removeSoundReferences(match) {
+  const settings = await getSettings();
+  const handSignSettings = await getHandSignSettings();
+  const soundProfiles = await getSoundProfiles();
+
+  const references = findSoundReferences(match, settings, handSignSettings, soundProfiles);
+  references.forEach(reference => reference.reset());
+  const targets = new Set(references.map(reference => reference.target));
+
+  if (targets.has('settings')) {
+    await saveSettings(settings);
+    await updateScheduleAlarm(settings.schedules);
+  }
+  if (targets.has('handSign')) {
+    await saveHandSignSettings(handSignSettings);
+  }
+  if (targets.has('profiles')) {
+    await saveSoundProfiles(soundProfiles);
+  }
+}
+
+/**
+ * 「category:presetId」形式のプリセット指定を解決
+ * data はサウンドパック・ライブラリの音声（組み込みのプリセットは null）
+ */
+function resolvePresetValue(value) {
+  if (!value || !value.includes(':')) return null;
+  const [category, presetId] = value.split(':');
+  const preset = (getPresetCatalog()[category] || []).find(p => p.id === presetId);
+  if (!preset || !preset.file) return null;
+  return { category, presetId, file: preset.file, data: preset.data || null };
+}
+
+/**
+ * プリセットの再生用URL（サウンドパック・ライブラリの音声はData URL）
+ */
+function getPresetSoundUrl(category, preset) {
+  return preset.data || chrome.runtime.getURL(`sounds/${category}/${preset.file}`);
+}
+
+// =====================================
+// サウンドライブラリ（すべての音声設定から選べるユーザーの音声）
+// =====================================
+
+const LIBRARY_CATEGORY = 'library';
+const LIBRARY_SOUND_PREFIX = 'library_';
+const LIBRARY_MAX_TAGS = 10;
+
+// ライブラリの音声（プリセットと同じ形式、音声データ付き）
+let librarySounds = [];
+
+/**
+ * ライブラリの音声の保存ID（sounds ストア）
+ */
+function getLibraryRecordId(soundId) {
+  return `${LIBRARY_SOUND_PREFIX}${soundId}`;
+}
+
+/**
+ * ライブラリの名前・タグ・長さを検証して正規化
+ * tags は配列またはカンマ・空白区切りの文字列
+ */
+function sanitizeLibraryMetadata(metadata, fileName) {
+  const tags = Array.isArray(metadata?.tags) ? metadata.tags : String(metadata?.tags || '').split(/[,、\s]+/);
+  return {
+    name: String(metadata?.name || '').trim().slice(0, 100) || fileName || '名前なし',
+    tags: [...new Set(tags.map(tag => String(tag).trim().slice(0, 30)).filter(Boolean))].slice(0, LIBRARY_MAX_TAGS),
+    duration: Number.isFinite(metadata?.duration) ? Math.max(0, metadata.duration) : null,
+    createdAt: typeof metadata?.createdAt === 'number' ? metadata.createdAt : Date.now()
+  };
+}
+
+/**
+ * ライブラリの音声を読み込み直す
+ */
+async function loadSoundLibrary() {
+  const sounds = await getAllSounds();
+  librarySounds = sounds
+    .filter(sound => sound.id.startsWith(LIBRARY_SOUND_PREFIX) && sound.library)
+    .map(sound => ({
+      id: sound.id.slice(LIBRARY_SOUND_PREFIX.length),
+      file: sound.fileName || sound.id,
+      label: sound.library.name,
+      tags: sound.library.tags || [],
+      duration: sound.library.duration ?? null,
+      createdAt: sound.library.createdAt || 0,
+      data: sound.data
+    }))
+    .sort((a, b) => a.createdAt - b.createdAt);
+}
+
+// Service Worker起動時に読み込む（メッセージ処理の前に待つ）
+const presetCatalogReady = Promise.all([loadSoundPacks(), loadSoundLibrary()]).catch((error) => {
+  console.error('[Background] Failed to load sound packs or library:', error);
+});
+
+// 旧形式のカスタム通知音をライブラリに移行（ライブラリの読み込み後）
+presetCatalogReady.then(migrateNotificationCustomSound).catch((error) => {
+  console.error('[Background] Failed to migrate notification custom sound:', error);
+});
+
+/**
+ * ライブラリの音声を参照しているかの判定（findSoundReferences 用）
+ */
+function getLibrarySoundMatch(soundId) {
+  const value = `${LIBRARY_CATEGORY}:${soundId}`;
+  return {
+    value: presetValue => presetValue === value,
+    setting: soundSetting => soundSetting.mode === 'library' && soundSetting.librarySoundId === soundId
+  };
+}
+
+/**
+ * ライブラリの音声の使用箇所（削除時に既定に戻す箇所と同じ一覧）
+ */
+function getLibrarySoundUsage(soundId, settings, handSignSettings, soundProfiles) {
+  const references = findSoundReferences(getLibrarySoundMatch(soundId), settings, handSignSettings, soundProfiles);
+  return [...new Set(references.map(reference => reference.label))];
+}
+
+/**
+ * ライブラリの一覧（音声データを除く）
+ */
+async function getSoundLibrarySummaries() {
+  const settings = await getSettings();
+  const handSignSettings = await getHandSignSettings();
+  const soundProfiles = await getSoundProfiles();
+  return librarySounds.map(sound => ({
+    id: sound.id,
+    name: sound.label,
+    fileName: sound.file,
+    tags: sound.tags,
+    duration: sound.duration,
+    createdAt: sound.createdAt,
+    usage: getLibrarySoundUsage(sound.id, settings, handSignSettings, soundProfiles)
+  }));
+}
+
+/**
+ * ライブラリに音声を追加
+ */
+async function addLibrarySound(data, fileName, mimeType, metadata, rendered = false) {
+  if (typeof data !== 'string' || !data.startsWith('data:audio/') || data.length > MAX_FILE_SIZE) {
+    throw new Error('音声ファイルが正しくありません');
+  }
+
+  // 続けて追加しても（移行時など）IDが重ならないようにする
+  let soundId = Date.now().toString(36);
+  for (let n = 1; librarySounds.some(sound => sound.id === soundId); n++) {
+    soundId = `${Date.now().toString(36)}${n}`;
+  }
+  const normalizedSound = await normalizeUploadedSound(data, mimeType, rendered);
+  await saveSound(getLibraryRecordId(soundId), normalizedSound.data, fileName, normalizedSound.mimeType, {
+    library: sanitizeLibraryMetadata(metadata, fileName)
+  });
+  await loadSoundLibrary();
+  console.log('[Background] Library sound added:', soundId);
+
+  return { id: soundId, normalized: normalizedSound.normalized, gainDb: normalizedSound.gainDb };
+}
+
+/**
+ * ライブラリの音声の名前・タグを変更
+ */
+async function updateLibrarySound(soundId, metadata) {
+  const sound = await getSound(getLibraryRecordId(soundId));
+  if (!sound?.library) {
+    throw new Error('ライブラリの音声が見つかりません');
+  }
+
+  const changes = Object.fromEntries(Object.entries(metadata).filter(([, value]) => value !== undefined));
+  await saveSound(sound.id, sound.data, sound.fileName, sound.mimeType, {
+    library: sanitizeLibraryMetadata({ ...sound.library, ...changes }, sound.fileName)
+  });
+  await loadSoundLibrary();
+}
+
+/**
+ * ライブラリの音声を削除（この音声を選んでいた設定は既定の音に戻す）
+ * スケジュールは無効にし、発信者別ルールは削除する
+ */
+async function removeLibrarySound(soundId) {
+  await deleteSound(getLibraryRecordId(soundId));
+  await loadSoundLibrary();
+  await removeSoundReferences(getLibrarySoundMatch(soundId));
+}
+
+/**
+ * 旧形式のカスタム通知音をライブラリに追加
+ * @returns {string|null} 通知音の設定値（「library:<id>」）、追加できなければ null
+ */
+async function addLegacyNotificationSound(sound) {
+  if (!isValidCustomSoundData(sound)) return null;
+  try {
+    const fileName = sound.fileName || 'notification';
+    const added = await addLibrarySound(sound.data, fileName, sound.mimeType, {
+      name: fileName.replace(/\.[^.]+$/, ''),
+      tags: ['通知音']
+    });
+    return `${LIBRARY_CATEGORY}:${added.id}`;
+  } catch (error) {
+    console.warn('[Background] Failed to move notification sound to library:', error);
+    return null;
+  }
+}
+
+/**
+ * 旧形式のカスタム通知音（notificationCustomSound）をライブラリに移行
+ * 通知音の設定・プロファイルの「custom」を「library:<id>」に書き換える（一度だけ）
+ */
+async function migrateNotificationCustomSound() {
+  const { notificationCustomSound } = await chrome.storage.local.get('notificationCustomSound');
+  const handSignSettings = await getHandSignSettings();
+  const soundProfiles = await getSoundProfiles();
+  const legacyProfiles = soundProfiles.profiles.filter(p => p.notificationSound === 'custom');
+  if (!notificationCustomSound && handSignSettings.notifications?.soundPreset !== 'custom' && legacyProfiles.length === 0) {
+    return;
+  }
+
+  // 同じ音声データは1つのライブラリ音声にまとめる
+  const migrated = new Map();
+  const migrate = async (sound) => {
+    if (!sound?.data) return null;
+    if (!migrated.has(sound.data)) {
+      migrated.set(sound.data, await addLegacyNotificationSound(sound));
+    }
+    return migrated.get(sound.data);
+  };
+
+  const currentValue = await migrate(notificationCustomSound);
+  if (handSignSettings.notifications?.soundPreset === 'custom') {
+    handSignSettings.notifications.soundPreset = currentValue || DEFAULT_NOTIFICATION_SOUND;
+    delete handSignSettings.notifications.customFileName;
+    await saveHandSignSettings(handSignSettings);
+  }
+
+  for (const profile of legacyProfiles) {
+    const slotId = getProfileSoundId(profile.id, 'notification');
+    profile.notificationSound = await migrate(await getSound(slotId)) || DEFAULT_NOTIFICATION_SOUND;
+    delete profile.notificationFileName;
+    await deleteSound(slotId);
+  }
+  if (legacyProfiles.length > 0) {
+    await saveSoundProfiles(soundProfiles);
+  }
+
+  await chrome.storage.local.remove('notificationCustomSound');
+  console.log('[Background] Notification custom sound migrated to library:', currentValue);
+}
+
+/**
+ * 音声タイプにライブラリの音声を設定
+ */
+async function setLibrarySound(id, soundId) {
+  if (!librarySounds.some(sound => sound.id === soundId)) {
+    throw new Error('ライブラリの音声が見つかりません');
+  }
+  await updateSoundSetting(id, 'library', { librarySoundId: soundId });
+  await recordRecentPreset(`${LIBRARY_CATEGORY}:${soundId}`);
+}
+
+// =====================================
+// プリセットの選択（お気に入り・最近使った音声）
+// =====================================
+
+const PRESET_PICKER_KEY = 'presetPicker';
+const MAX_RECENT_PRESETS = 8;
+
+/**
+ * お気に入り・最近使った音声を取得（「category:presetId」形式、存在しない音声は除く）
+ */
+async function getPresetPickerState() {
+  const result = await chrome.storage.local.get(PRESET_PICKER_KEY);
+  const state = result[PRESET_PICKER_KEY] || {};
+  const isValid = value => typeof value === 'string' && !!resolvePresetValue(value);
+  return {
+    favorites: (state.favorites || []).filter(isValid),
+    recents: (state.recents || []).filter(isValid)
+  };
+}
+
+/**
+ * お気に入りの追加・解除
+ */
+async function togglePresetFavorite(value) {
+  if (!resolvePresetValue(value)) {
+    throw new Error('プリセットが見つかりません');
+  }
+  const state = await getPresetPickerState();
+  state.favorites = state.favorites.includes(value)
+    ? state.favorites.filter(v => v !== value)
+    : [...state.favorites, value];
+  await chrome.storage.local.set({ [PRESET_PICKER_KEY]: state });
+  return state;
+}
 
-    // LLM設定
-    case 'GET_LLM_SETTINGS':
-      const llmSettings = await getLLMSettings();
-      return { success: true, data: llmSettings };
+/**
+ * 最近使った音声に記録（新しい順）
+ */
+async function recordRecentPreset(value) {
+  const state = await getPresetPickerState();
+  state.recents = [value, ...state.recents.filter(v => v !== value)].slice(0, MAX_RECENT_PRESETS);
+  await chrome.storage.local.set({ [PRESET_PICKER_KEY]: state });
+}
 
-    case 'SAVE_LLM_SETTINGS':
-      await saveLLMSettings(message.settings);
-      return { success: true };
+/**
+ * 音声タイプにプリセットを設定（他の音声タイプのカテゴリのプリセットも使える）
+ */
+async function setPresetSound(id, presetCategory, presetId) {
+  const value = `${presetCategory}:${presetId}`;
+  if (presetCategory === LIBRARY_CATEGORY || !resolvePresetValue(value)) {
+    throw new Error('プリセットが見つかりません');
+  }
+  await updateSoundSetting(id, 'preset', { presetId, presetCategory });
+  await recordRecentPreset(value);
+}
 
-    case 'TEST_LLM_CONNECTION':
-      const testResult = await testLLMConnection(message.settings);
-      return testResult;
+/**
+ * 音声タイプの定義を取得（検出した音声の割り当てを反映）
+ */
+function getSoundTypes(settings) {
+  const extraPaths = settings.extraSoundPaths || {};
+  const soundTypes = {};
 
-    case 'STRUCTURE_TRANSCRIPT':
-      const structureResult = await structureTranscript(message.transcript, message.settings);
-      return structureResult;
+  for (const [id, typeInfo] of Object.entries(SOUND_TYPES)) {
+    soundTypes[id] = {
+      ...typeInfo,
+      paths: [...typeInfo.paths, ...(extraPaths[id] || [])]
+    };
+  }
 
-    // Whisper API関連
-    case 'GET_WHISPER_SETTINGS':
-      const whisperSettings = await getWhisperSettings();
-      return { success: true, data: whisperSettings };
+  // ユーザーが追加した音声タイプ
+  for (const [id, typeInfo] of Object.entries(settings.customSoundTypes || {})) {
+    if (!typeInfo || !Array.isArray(typeInfo.paths) || typeInfo.paths.length === 0) continue;
+    soundTypes[id] = {
+      path: typeInfo.paths[0],
+      paths: typeInfo.paths,
+      label: typeInfo.label,
+      userDefined: true
+    };
+  }
 
-    case 'SAVE_WHISPER_SETTINGS':
-      await saveWhisperSettings(message.settings);
-      return { success: true };
+  return soundTypes;
+}
 
-    case 'TEST_WHISPER_CONNECTION':
-      const whisperTestResult = await testWhisperConnection(message.apiKey);
-      return whisperTestResult;
+/**
+ * パスに対応する音声タイプのIDを取得
+ */
+function findSoundTypeByPath(soundTypes, path) {
+  for (const [id, typeInfo] of Object.entries(soundTypes)) {
+    if (typeInfo.paths.some(p => path.endsWith(p))) {
+      return id;
+    }
+  }
+  return null;
+}
 
-    case 'TRANSCRIBE_AUDIO':
-      try {
-        const whisperConfig = await getWhisperSettings();
-        const transcribedText = await transcribeWithWhisper(
-          message.audioBase64,
-          whisperConfig.apiKey,
-          whisperConfig.language || 'ja'
-        );
-        return { success: true, text: transcribedText };
-      } catch (error) {
-        return { success: false, error: error.message };
-      }
+// 検出記録の書き込みを直列化（同時に届いた記録で上書きしないように）
+let discoveryWriteQueue = Promise.resolve();
 
-    // 統計収集関連
-    case 'GET_STATS_SETTINGS':
-      if (globalThis.StatsCollector) {
-        const statsSettings = await globalThis.StatsCollector.getStatsSettings();
-        return { success: true, data: statsSettings };
+/**
+ * ページで検出した音声URLを記録
+ */
+function recordAudioDiscovery(entries) {
+  discoveryWriteQueue = discoveryWriteQueue.then(async () => {
+    const result = await chrome.storage.local.get([DISCOVERY_STORAGE_KEY]);
+    const discovered = result[DISCOVERY_STORAGE_KEY] || {};
+    const now = Date.now();
+
+    for (const entry of entries) {
+      if (typeof entry.path !== 'string' || !entry.path.startsWith('/')) continue;
+      const record = discovered[entry.path] || {
+        path: entry.path,
+        url: entry.url,
+        firstSeen: now,
+        loadCount: 0,
+        playCount: 0
+      };
+      const count = Math.max(1, Number(entry.count) || 1);
+      if (entry.event === 'play') {
+        record.playCount += count;
+      } else {
+        record.loadCount += count;
       }
-      return { success: false, error: 'StatsCollector not available' };
+      record.url = entry.url || record.url;
+      record.lastSeen = now;
+      discovered[entry.path] = record;
+    }
 
-    case 'SAVE_STATS_SETTINGS':
-      if (globalThis.StatsCollector) {
-        await globalThis.StatsCollector.saveStatsSettings(message.settings);
-        return { success: true };
-      }
-      return { success: false, error: 'StatsCollector not available' };
+    // 上限を超えたら最後に検出した時刻が古いものから削除
+    const paths = Object.keys(discovered);
+    if (paths.length > MAX_DISCOVERED_AUDIO) {
+      paths
+        .sort((a, b) => discovered[a].lastSeen - discovered[b].lastSeen)
+        .slice(0, paths.length - MAX_DISCOVERED_AUDIO)
+        .forEach(path => delete discovered[path]);
+    }
 
-    case 'RECORD_STAT':
-      if (globalThis.StatsCollector) {
-        await globalThis.StatsCollector.recordStat(message.category, message.key, message.increment || 1);
-        return { success: true };
-      }
-      return { success: false, error: 'StatsCollector not available' };
+    await chrome.storage.local.set({ [DISCOVERY_STORAGE_KEY]: discovered });
+  }).catch((error) => {
+    console.error('[Background] Failed to record audio discovery:', error);
+  });
+  return discoveryWriteQueue;
+}
 
-    case 'RECORD_CALL_DURATION':
-      if (globalThis.StatsCollector) {
-        await globalThis.StatsCollector.recordCallDuration(message.callType, message.durationSec);
-        return { success: true };
-      }
-      return { success: false, error: 'StatsCollector not available' };
+/**
+ * 検出した音声の一覧を取得（割り当て済みの音声タイプ付き、再生回数順）
+ */
+async function getDiscoveredAudio() {
+  const settings = await getSettings();
+  const soundTypes = getSoundTypes(settings);
+  const result = await chrome.storage.local.get([DISCOVERY_STORAGE_KEY]);
 
-    case 'RECORD_SCREEN_TIME':
-      if (globalThis.StatsCollector) {
-        await globalThis.StatsCollector.recordScreenTime(message.totalSec, message.activeSec);
-        return { success: true };
-      }
-      return { success: false, error: 'StatsCollector not available' };
+  return Object.values(result[DISCOVERY_STORAGE_KEY] || {})
+    .map(record => ({ ...record, soundId: findSoundTypeByPath(soundTypes, record.path) }))
+    .sort((a, b) => b.playCount - a.playCount || b.lastSeen - a.lastSeen);
+}
 
-    case 'SEND_STATS_NOW':
-      if (globalThis.StatsCollector) {
-        const result = await globalThis.StatsCollector.sendStatsToWebhook();
-        return result;
-      }
-      return { success: false, error: 'StatsCollector not available' };
+/**
+ * 検出した音声を音声タイプに割り当て
+ * @param {string} path - 検出したパス
+ * @param {string} target - 'new'（新しい音声タイプ）または既存の音声タイプID
+ * @param {string} label - 新しい音声タイプの表示名
+ * @returns {Promise<string>} 割り当てた音声タイプID
+ */
+async function mapDiscoveredAudio(path, target, label) {
+  if (typeof path !== 'string' || !path.startsWith('/')) {
+    throw new Error('音声のパスが正しくありません');
+  }
 
-    case 'GET_CURRENT_STATS':
-      if (globalThis.StatsCollector) {
-        const currentStats = await globalThis.StatsCollector.getStats();
-        return { success: true, data: currentStats };
-      }
-      return { success: false, error: 'StatsCollector not available' };
+  const settings = await getSettings();
+  const soundTypes = getSoundTypes(settings);
+  const mappedId = findSoundTypeByPath(soundTypes, path);
+  if (mappedId) {
+    throw new Error(`この音声はすでに「${soundTypes[mappedId].label}」に割り当てられています`);
+  }
 
-    default:
-      return { success: false, error: 'Unknown message type' };
+  if (target === 'new') {
+    const name = String(label || '').trim();
+    if (!name) {
+      throw new Error('音声タイプの名前を入力してください');
+    }
+    const id = `custom_${Date.now().toString(36)}`;
+    settings.customSoundTypes = settings.customSoundTypes || {};
+    settings.customSoundTypes[id] = { label: name, paths: [path] };
+    await saveSettings(settings);
+    return id;
+  }
+
+  if (!soundTypes[target]) {
+    throw new Error('不明な音声タイプです');
+  }
+
+  if (soundTypes[target].userDefined) {
+    settings.customSoundTypes[target].paths.push(path);
+  } else {
+    settings.extraSoundPaths = settings.extraSoundPaths || {};
+    settings.extraSoundPaths[target] = [...(settings.extraSoundPaths[target] || []), path];
   }
+  await saveSettings(settings);
+  return target;
 }
 
 /**
- * 音声設定を更新
+ * ユーザーが追加した音声タイプを削除
  */
-async function updateSoundSetting(id, mode, presetId = null) {
+async function deleteUserSoundType(id) {
   const settings = await getSettings();
-  if (!settings.sounds) {
-    settings.sounds = {};
+  if (!settings.customSoundTypes?.[id]) {
+    throw new Error('削除できる音声タイプではありません');
   }
-  settings.sounds[id] = { mode };
-  if (presetId) {
-    settings.sounds[id].presetId = presetId;
+
+  delete settings.customSoundTypes[id];
+  if (settings.sounds) {
+    delete settings.sounds[id];
   }
+  // 時間帯スケジュールの対象からも外す
+  settings.schedules = (settings.schedules || []).map(rule => ({
+    ...rule,
+    soundTypes: (rule.soundTypes || []).filter(type => type !== id)
+  }));
   await saveSettings(settings);
+  await deleteSound(id);
 }
 
 /**
@@ -603,33 +3132,88 @@ async function getSoundConfig() {
 
   const config = {
     enabled: settings.enabled !== false,
+    // 未登録の音声URLを検出して記録する
+    discovery: settings.discoveryEnabled !== false,
     sounds: {}
   };
 
-  for (const [id, typeInfo] of Object.entries(SOUND_TYPES)) {
-    const soundSetting = settings.sounds?.[id] || { mode: 'original' };
-    const soundData = sounds.find(s => s.id === id);
+  // おやすみモード（終了時刻はページ側でも判定する）
+  const dndState = await getDndState();
+  config.dnd = dndState.active ? { until: dndState.until } : null;
+
+  // 時間帯スケジュールで切り替わる音声設定
+  const scheduledSettings = await getScheduledSoundSettings(settings);
+
+  for (const [id, typeInfo] of Object.entries(getSoundTypes(settings))) {
+    const { soundSetting, customSoundId, presetCategory } = scheduledSettings[id];
+    const soundData = sounds.find(s => s.id === customSoundId);
 
     config.sounds[id] = {
+      label: typeInfo.label,
       path: typeInfo.path,
       paths: typeInfo.paths || [typeInfo.path],
       mode: soundSetting.mode,
       customData: soundSetting.mode === 'custom' && soundData ? soundData.data : null,
       presetId: soundSetting.presetId || null,
-      // プリセットの場合はファイルパスを追加
-      presetFile: null
+      // プリセットの場合はファイルパスを追加（スケジュールでは他カテゴリのプリセットも使える）
+      presetCategory,
+      presetFile: null,
+      // サウンドパックのプリセットの音声データ
+      presetData: null,
+      // 再生時の音量（0〜1）とフェードイン秒数
+      volume: typeof soundSetting.volume === 'number' ? soundSetting.volume : 1,
+      fadeIn: soundSetting.fadeIn || 0,
+      // 出力先デバイス（2台目は同時に鳴らす）
+      outputDevices: sanitizeOutputDevices(soundSetting.outputDevices),
+      // カスタム音声のループ区間（ループ再生時の2周目以降）
+      loopPoints: soundSetting.mode === 'custom' ? soundSetting.loopPoints || null : null,
+      // ローテーション（再生のたびに項目を選ぶ）
+      rotation: soundSetting.mode === 'rotation'
+        ? buildRotationConfig(soundSetting.rotation, sounds)
+        : null,
+      // 読み上げ（相手の名前を音声合成で読み上げる）
+      announce: soundSetting.mode === 'announce' && ANNOUNCE_SOUND_TYPES.includes(id)
+        ? resolveAnnounce(id, soundSetting.announce)
+        : null
     };
 
     // プリセット音声の場合、ファイル名を取得
     if (soundSetting.mode === 'preset' && soundSetting.presetId) {
-      const presets = PRESET_SOUNDS[id] || [];
+      const presets = getPresetCatalog()[presetCategory] || [];
       const preset = presets.find(p => p.id === soundSetting.presetId);
       if (preset) {
         config.sounds[id].presetFile = preset.file;
+        config.sounds[id].presetData = preset.data || null;
       }
     }
   }
 
+  // 発信者別ルール（上から順に評価される）
+  config.callerRules = (settings.callerRules || []).map(rule => {
+    const resolved = {
+      id: rule.id,
+      pattern: rule.pattern,
+      soundTypes: rule.soundTypes || [],
+      mode: rule.mode,
+      presetCategory: null,
+      presetFile: null,
+      customData: null
+    };
+    if (rule.mode === 'custom') {
+      const soundData = sounds.find(s => s.id === getCallerRuleSoundId(rule.id));
+      resolved.customData = soundData ? soundData.data : null;
+    } else {
+      const preset = resolvePresetValue(rule.preset);
+      if (preset?.data) {
+        resolved.customData = preset.data;
+      } else if (preset) {
+        resolved.presetCategory = preset.category;
+        resolved.presetFile = preset.file;
+      }
+    }
+    return resolved;
+  }).filter(rule => rule.customData || rule.presetFile);
+
   return config;
 }
 
@@ -673,29 +3257,26 @@ async function playHandSignSound(presetType) {
 
     let soundUrl = null;
 
-    if (soundValue === 'custom') {
-      // カスタム音声（storage.localから取得）
-      const result = await chrome.storage.local.get('notificationCustomSound');
-      if (result.notificationCustomSound?.data) {
-        soundUrl = result.notificationCustomSound.data; // Base64データをそのまま送る
-      }
+    if (soundValue === 'rotation') {
+      // ローテーション
+      soundUrl = await pickRotationUrl('notification', sanitizeRotation(handSignSettings.notifications?.rotation));
     } else if (soundValue.includes(':')) {
       // 新形式: category:presetId
       const [category, presetId] = soundValue.split(':');
-      const presets = PRESET_SOUNDS[category];
+      const presets = getPresetCatalog()[category];
       if (presets) {
         const preset = presets.find(p => p.id === presetId);
         if (preset) {
-          soundUrl = chrome.runtime.getURL(`sounds/${category}/${preset.file}`);
+          soundUrl = getPresetSoundUrl(category, preset);
         }
       }
     } else {
-      // 旧形式: カテゴリ名のみ（後方互換性）
-      const presets = PRESET_SOUNDS[soundValue];
-      if (presets && presets.length > 0) {
-        const preset = presets[Math.floor(Math.random() * presets.length)];
-        soundUrl = chrome.runtime.getURL(`sounds/${soundValue}/${preset.file}`);
-      }
+      // 旧形式: カテゴリ名のみ（後方互換性）→ カテゴリ全体のランダムローテーションとして扱う
+      const presets = (getPresetCatalog()[soundValue] || []).filter(p => p.file);
+      soundUrl = await pickRotationUrl(`legacy_${soundValue}`, {
+        order: 'random',
+        items: presets.map(p => ({ type: 'preset', value: `${soundValue}:${p.id}` }))
+      });
     }
 
     if (!soundUrl) return;
@@ -787,8 +3368,60 @@ chrome.runtime.onInstalled.addListener(async () => {
   }
 });
 
+// キーボードショートカット
+chrome.commands.onCommand.addListener((command, tab) => {
+  handleShortcutCommand(command, tab).catch((error) => {
+    console.error('[Background] Shortcut failed:', command, error);
+  });
+});
+
+/**
+ * キーボードショートカットを処理
+ * 音声変更の切り替えはここで行い、それ以外はRemoworkのタブ（hand-sign-detector.js）で実行する
+ */
+async function handleShortcutCommand(command, tab) {
+  const message = { type: 'RUN_SHORTCUT', command };
+
+  if (command === 'toggle-sound-changer') {
+    const settings = await getSettings();
+    settings.enabled = settings.enabled === false;
+    await saveSettings(settings);
+    message.enabled = settings.enabled;
+  } else if (!PAGE_SHORTCUT_COMMANDS.includes(command)) {
+    return;
+  }
+
+  // 操作中のタブがRemoworkならそのタブ、そうでなければ開いているRemoworkのタブ（表示中のものを優先）
+  const tabs = await chrome.tabs.query({ url: ['https://remowork.biz/*', 'https://stage.remowork.biz/*'] });
+  const target = tabs.find(t => t.id === tab?.id) || tabs.find(t => t.active) || tabs[0];
+  if (!target) {
+    if (command !== 'toggle-sound-changer') {
+      console.warn('[Background] No Remowork tab for shortcut:', command);
+    }
+    return;
+  }
+
+  try {
+    await chrome.tabs.sendMessage(target.id, message);
+  } catch (error) {
+    console.warn('[Background] Failed to send shortcut to tab:', target.id, command, error);
+  }
+}
+
 // アラームハンドラー
 chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === SCHEDULE_ALARM_NAME) {
+    presetCatalogReady.then(checkSchedules).catch((error) => {
+      console.error('[Background] Failed to check schedules:', error);
+    });
+    return;
+  }
+  if (alarm.name === DND_ALARM_NAME) {
+    endDnd().catch((error) => {
+      console.error('[Background] Failed to end do-not-disturb:', error);
+    });
+    return;
+  }
   if (globalThis.StatsCollector) {
     globalThis.StatsCollector.handleStatsAlarm(alarm);
   }
@@ -801,7 +3434,19 @@ chrome.alarms.onAlarm.addListener((alarm) => {
   if (!existingAlarm && globalThis.StatsCollector) {
     await globalThis.StatsCollector.setupStatsAlarm();
   }
-})();
+
+  // 時間帯スケジュール
+  const settings = await getSettings();
+  await updateScheduleAlarm(settings.schedules);
+
+  // 停止中に終了時刻を過ぎたおやすみモード
+  const dndState = await getDndState();
+  if (dndState.active && dndState.until && dndState.until <= Date.now()) {
+    await endDnd();
+  }
+})().catch((error) => {
+  console.error('[Background] Failed to restore alarms on startup:', error);
+});
 
 // ========================================
 // LLM設定と構造化機能
@@ -1238,3 +3883,246 @@ async function testWhisperConnection(apiKey) {
     return { success: false, error: error.message };
   }
 }
+
+// ========================================
+// バックアップと復元
+// ========================================
+
+const BACKUP_FORMAT = 'remowork-sound-changer-backup';
+const BACKUP_VERSION = 1;
+
+// バックアップに含めるストレージのキー（暗号化キー・匿名IDなど端末固有のものは含めない）
+const BACKUP_STORAGE_KEYS = [
+  'settings',
+  'handSignSettings',
+  'llmSettings',
+  'whisperSettings',
+  'virtualCameraImages',
+  'statsSettings',
+  'rateLimitData',
+  'soundProfiles',
+  PRESET_PICKER_KEY,
+  'timerPosition',
+  'modalHeight',
+  DISCOVERY_STORAGE_KEY
+];
+
+// パスフレーズからの鍵導出の反復回数
+const BACKUP_KDF_ITERATIONS = 200000;
+
+/**
+ * パスフレーズからバックアップ用の暗号化キーを生成
+ */
+async function deriveBackupKey(passphrase, salt) {
+  const baseKey = await crypto.subtle.importKey(
+    'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+  );
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations: BACKUP_KDF_ITERATIONS, hash: 'SHA-256' },
+    baseKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * APIキーをパスフレーズで暗号化（バックアップ用）
+ */
+async function encryptBackupSecrets(secrets, passphrase) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const key = await deriveBackupKey(passphrase, salt);
+  const encoded = new TextEncoder().encode(JSON.stringify(secrets));
+  const encrypted = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, encoded);
+  return {
+    salt: Array.from(salt),
+    iv: Array.from(iv),
+    data: Array.from(new Uint8Array(encrypted))
+  };
+}
+
+/**
+ * バックアップのAPIキーを復号化
+ */
+async function decryptBackupSecrets(encryptedData, passphrase) {
+  try {
+    const key = await deriveBackupKey(passphrase, new Uint8Array(encryptedData.salt));
+    const decrypted = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: new Uint8Array(encryptedData.iv) }, key, new Uint8Array(encryptedData.data)
+    );
+    return JSON.parse(new TextDecoder().decode(decrypted));
+  } catch (error) {
+    throw new Error('パスフレーズが正しくありません');
+  }
+}
+
+/**
+ * すべてのデータをバックアップ
+ * @param {string} passphrase - 指定した場合のみAPIキーを暗号化して含める
+ */
+async function createBackup(passphrase) {
+  const storage = await chrome.storage.local.get(BACKUP_STORAGE_KEYS);
+  const sounds = await getAllSounds();
+  const callHistory = await getCallHistory();
+  const soundPacks = await getSoundPacks();
+
+  // 録音・ハンドサインの検出履歴はRemoworkのページ側のIndexedDBにあるため、タブ経由で取得
+  const recordingsResponse = await sendToRemoworkTab({ type: 'EXPORT_RECORDINGS' });
+  const handSignHistoryResponse = await sendToRemoworkTab({ type: 'EXPORT_HAND_SIGN_HISTORY' });
+
+  let secrets = null;
+  if (passphrase) {
+    const llmSettings = await getLLMSettings();
+    const whisperSettings = await getWhisperSettings();
+    secrets = await encryptBackupSecrets({
+      llmApiKey: llmSettings.apiKey || '',
+      whisperApiKey: whisperSettings.apiKey || ''
+    }, passphrase);
+  }
+
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    extensionVersion: chrome.runtime.getManifest().version,
+    exportedAt: new Date().toISOString(),
+    storage,
+    sounds: sounds.map(({ id, data, fileName, mimeType, library }) => ({ id, data, fileName, mimeType, library })),
+    callHistory,
+    soundPacks,
+    recordings: recordingsResponse.success ? recordingsResponse.data : null,
+    handSignHistory: handSignHistoryResponse.success ? handSignHistoryResponse.data : null,
+    secrets
+  };
+}
+
+/**
+ * バックアップの形式を検証
+ */
+function validateBackup(data) {
+  if (!data || data.format !== BACKUP_FORMAT) {
+    throw new Error('バックアップファイルの形式が正しくありません');
+  }
+  if (data.version > BACKUP_VERSION) {
+    throw new Error('新しいバージョンで作成されたバックアップです');
+  }
+  if (!data.storage || typeof data.storage !== 'object' || Array.isArray(data.storage)) {
+    throw new Error('バックアップに設定が含まれていません');
+  }
+  if (!Array.isArray(data.sounds) || data.sounds.some(s => typeof s.id !== 'string' || !isValidCustomSoundData(s))) {
+    throw new Error('バックアップの音声データが壊れています');
+  }
+  if (data.callHistory !== undefined && !Array.isArray(data.callHistory)) {
+    throw new Error('バックアップの通話履歴が壊れています');
+  }
+  if (data.soundPacks !== undefined && (!Array.isArray(data.soundPacks) ||
+    data.soundPacks.some(pack => typeof pack?.id !== 'string' || !Array.isArray(pack.sounds) ||
+      pack.sounds.some(sound => !isValidCustomSoundData(sound))))) {
+    throw new Error('バックアップのサウンドパックが壊れています');
+  }
+  if (data.recordings !== null && data.recordings !== undefined && !Array.isArray(data.recordings)) {
+    throw new Error('バックアップの録音データが壊れています');
+  }
+  if (data.handSignHistory !== null && data.handSignHistory !== undefined && !Array.isArray(data.handSignHistory)) {
+    throw new Error('バックアップのハンドサイン履歴が壊れています');
+  }
+}
+
+/**
+ * バックアップから復元（バックアップにない設定・音声・録音は残す）
+ * @param {Object} data - createBackup で作成したデータ
+ * @param {string} passphrase - APIキーを含むバックアップの場合のパスフレーズ
+ */
+async function restoreBackup(data, passphrase) {
+  validateBackup(data);
+
+  // 書き込む前にAPIキーを復号化（パスフレーズ違いで途中まで復元されないように）
+  let secrets = null;
+  if (data.secrets && passphrase) {
+    secrets = await decryptBackupSecrets(data.secrets, passphrase);
+  }
+
+  // ストレージ: オブジェクトは項目ごとに上書き、それ以外は置き換え
+  const keys = BACKUP_STORAGE_KEYS.filter(key => data.storage[key] !== undefined);
+  const current = await chrome.storage.local.get(keys);
+  const isPlainObject = value => value && typeof value === 'object' && !Array.isArray(value);
+  const merged = {};
+  for (const key of keys) {
+    const value = data.storage[key];
+    merged[key] = isPlainObject(value) && isPlainObject(current[key])
+      ? { ...current[key], ...value }
+      : value;
+  }
+  // 平文のAPIキーは保存しない
+  for (const key of ['llmSettings', 'whisperSettings']) {
+    if (merged[key]) merged[key].apiKey = '';
+  }
+  await chrome.storage.local.set(merged);
+
+  if (secrets) {
+    if (secrets.llmApiKey) {
+      await saveLLMSettings({ ...(await getLLMSettings()), apiKey: secrets.llmApiKey });
+    }
+    if (secrets.whisperApiKey) {
+      await saveWhisperSettings({ ...(await getWhisperSettings()), apiKey: secrets.whisperApiKey });
+    }
+  }
+
+  for (const sound of data.sounds) {
+    const metadata = sound.library ? { library: sanitizeLibraryMetadata(sound.library, sound.fileName) } : {};
+    await saveSound(sound.id, sound.data, sound.fileName, sound.mimeType, metadata);
+  }
+
+  // 通話履歴（同じIDの履歴は上書き）
+  const callHistory = (data.callHistory || []).filter(entry =>
+    entry && typeof entry.id === 'string' && typeof entry.startedAt === 'number');
+  if (callHistory.length > 0) {
+    await putCallHistoryEntries(callHistory);
+    await updateMissedCallCount();
+  }
+
+  // サウンドパック（同じIDのパックは置き換え）
+  for (const pack of data.soundPacks || []) {
+    await putSoundPack(pack);
+  }
+  await loadSoundPacks();
+  await loadSoundLibrary();
+
+  // 旧形式のバックアップに含まれるカスタム通知音はライブラリに移行
+  if (data.storage.notificationCustomSound) {
+    await chrome.storage.local.set({ notificationCustomSound: data.storage.notificationCustomSound });
+  }
+  await migrateNotificationCustomSound();
+
+  let recordingsRestored = 0;
+  const recordings = data.recordings || [];
+  if (recordings.length > 0) {
+    const response = await sendToRemoworkTab({ type: 'IMPORT_RECORDINGS', recordings });
+    recordingsRestored = response.success ? response.data : 0;
+  }
+
+  let handSignHistoryRestored = 0;
+  const handSignHistory = data.handSignHistory || [];
+  if (handSignHistory.length > 0) {
+    const response = await sendToRemoworkTab({ type: 'IMPORT_HAND_SIGN_HISTORY', entries: handSignHistory });
+    handSignHistoryRestored = response.success ? response.data : 0;
+  }
+
+  // 復元したスケジュールを反映
+  const settings = await getSettings();
+  await updateScheduleAlarm(settings.schedules);
+  await checkSchedules();
+
+  return {
+    storageKeys: keys.length,
+    sounds: data.sounds.length,
+    callHistory: callHistory.length,
+    soundPacks: (data.soundPacks || []).length,
+    recordings: recordingsRestored,
+    recordingsSkipped: recordings.length - recordingsRestored,
+    handSignHistory: handSignHistoryRestored,
+    handSignHistorySkipped: handSignHistory.length > 0 && handSignHistoryRestored === 0,
+    apiKeysRestored: !!secrets,
+    apiKeysSkipped: !!data.secrets && !secrets
+  };
+}
@@ -24,18 +24,17 @@
 
       const config = response.data;
 
-      // 無効化されている場合は何もしない
-      if (!config.enabled) {
-        console.log('[RemoworkSoundChanger] Extension is disabled');
-        return;
-      }
-
       // 設定をページに伝達
       injectConfig(config);
 
-      // inject.js を注入
+      // inject.js を注入（無効な場合も通話状態・おやすみモード・音声URLの検出のために注入し、差し替えだけを止める）
       injectScript();
 
+      if (!config.enabled) {
+        console.log('[RemoworkSoundChanger] Sound replacement is disabled');
+        return;
+      }
+
       // virtual-camera.js を注入（隠し機能）
       injectVirtualCamera();
 
@@ -150,12 +149,22 @@
     });
   }
 
+  /**
+   * おやすみモードの状態（有効・終了時刻）が変わったか
+   * 不在着信の記録だけの書き込みでは設定を取り直さない
+   */
+  function isDndStateChanged(change) {
+    if (!change) return false;
+    const { oldValue, newValue } = change;
+    return !!oldValue?.active !== !!newValue?.active || (oldValue?.until ?? null) !== (newValue?.until ?? null);
+  }
+
   /**
    * 設定変更を監視してページに伝達
    */
   chrome.storage.onChanged.addListener(async (changes, areaName) => {
-    if (areaName === 'local' && changes.settings) {
-      // 設定が変更されたらページに通知
+    if (areaName === 'local' && (changes.settings || changes.scheduleState || isDndStateChanged(changes.dndState))) {
+      // 設定・有効な時間帯スケジュール・おやすみモードが変わったらページに通知
       try {
         const response = await chrome.runtime.sendMessage({ type: 'GET_SOUND_CONFIG' });
         if (response.success) {
@@ -171,6 +180,39 @@
     }
   });
 
+  // 検出した音声URLはまとめてバックグラウンドに送る
+  const DISCOVERY_FLUSH_MS = 3000;
+  const pendingDiscoveries = new Map();
+  let discoveryTimer = null;
+
+  /**
+   * 検出した音声URLを送信待ちに追加
+   */
+  function queueAudioDiscovery(path, url, event) {
+    const key = `${event}:${path}`;
+    const entry = pendingDiscoveries.get(key) || { path, url, event, count: 0 };
+    entry.count++;
+    pendingDiscoveries.set(key, entry);
+
+    if (!discoveryTimer) {
+      discoveryTimer = setTimeout(flushAudioDiscoveries, DISCOVERY_FLUSH_MS);
+    }
+  }
+
+  /**
+   * 送信待ちの音声URLをバックグラウンドに送る
+   */
+  function flushAudioDiscoveries() {
+    discoveryTimer = null;
+    const entries = [...pendingDiscoveries.values()];
+    pendingDiscoveries.clear();
+    if (entries.length === 0) return;
+
+    chrome.runtime.sendMessage({ type: 'RECORD_AUDIO_DISCOVERY', entries }).catch(error => {
+      console.warn('[RemoworkSoundChanger] Failed to record audio discovery:', error);
+    });
+  }
+
   /**
    * ページからのメッセージを受信（音声データ取得用）
    */
@@ -180,6 +222,31 @@
 
     const { type, id, requestId } = event.data;
 
+    if (type === 'AUDIO_DISCOVERED') {
+      queueAudioDiscovery(event.data.path, event.data.url, event.data.event);
+      return;
+    }
+
+    if (type === 'DOOR_KNOCK') {
+      // ノックを通話履歴に記録
+      chrome.runtime.sendMessage({
+        type: 'RECORD_DOOR_KNOCK',
+        callerName: event.data.callerName,
+        timestamp: event.data.timestamp
+      }).catch(error => {
+        console.warn('[RemoworkSoundChanger] Failed to record door knock:', error);
+      });
+      return;
+    }
+
+    if (type === 'CALL_STATE_CHANGED') {
+      // 通話状態の変化をバックグラウンドに通知
+      chrome.runtime.sendMessage({ type: 'CALL_STATE_CHANGED', event: event.data.event }).catch(error => {
+        console.warn('[RemoworkSoundChanger] Failed to send call state:', error);
+      });
+      return;
+    }
+
     if (type === 'GET_CUSTOM_SOUND') {
       try {
         const response = await chrome.runtime.sendMessage({ type: 'GET_SOUND', id });
@@ -201,6 +268,24 @@
     }
   });
 
+  /**
+   * 拡張機能からのメッセージを受信
+   */
+  chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    // 音声の出力先デバイス一覧（デバイスIDはページのオリジンごとに異なるため、ページ側で取得する）
+    if (message.type === 'GET_OUTPUT_DEVICES') {
+      navigator.mediaDevices.enumerateDevices()
+        .then(devices => {
+          const outputs = devices
+            .filter(device => device.kind === 'audiooutput')
+            .map(device => ({ deviceId: device.deviceId, label: device.label }));
+          sendResponse({ success: true, data: outputs });
+        })
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
+    }
+  });
+
   // 初期化
   loadAndInjectConfig();
 })();
@@ -9,18 +9,36 @@
   const DETECTION_INTERVAL = 10000; // 10秒ごとにチェック（画像URL変更検知用、キャッシュがあれば軽量）
   const NOTIFICATION_COOLDOWN = 300000; // 同じ人からの通知は5分間抑制
   const PHOTO_INTERVAL = 297; // 写真撮影間隔（4分57秒）- Remoworkより少し早めにカウントダウン終了
+  const PRESENCE_IMAGE_SIZE = 640; // オフスクリーンに送る在席画像の最大サイズ（px）
+  const PRESENCE_IMAGE_QUALITY = 0.85; // 在席画像のJPEG品質
+  const HISTORY_THUMBNAIL_SIZE = 96; // 検出履歴のサムネイル最大サイズ（px）
+  const HISTORY_RETENTION_DAYS = 30; // 検出履歴の保持日数
+  const HISTORY_THUMBNAIL_PATTERN = /^data:image\/(?:jpeg|png|webp);base64,[A-Za-z0-9+/]+={0,2}$/; // 検出履歴のサムネイル（Base64の画像Data URLのみ）
 
   // ジェスチャータイプの設定
+  // statKey: 使用統計（handSigns）のキー、color: 撮影ボタンの色
+  // 通知メッセージは検出側（offscreen.js の GESTURE_RESULTS）で持つ
   const GESTURE_CONFIG = {
-    wave: { emoji: '👋', guide: '手を振って', negative: false },
-    thumbsup: { emoji: '👍', guide: 'サムズアップで', negative: false },
-    peace: { emoji: '✌️', guide: 'ピースして', negative: false },
-    head_in_hands: { emoji: '😢', guide: '頭を抱えて', negative: true }
+    wave: { emoji: '👋', guide: '手を振って', negative: false, statKey: 'wave', color: 'linear-gradient(135deg, #667eea, #764ba2)' },
+    thumbsup: { emoji: '👍', guide: 'サムズアップで', negative: false, statKey: 'thumbsUp', color: 'linear-gradient(135deg, #f093fb, #f5576c)' },
+    peace: { emoji: '✌️', guide: 'ピースして', negative: false, statKey: 'peace', color: 'linear-gradient(135deg, #43e97b, #38f9d7)' },
+    ok: { emoji: '👌', guide: 'OKサインで', negative: false, statKey: 'ok', color: 'linear-gradient(135deg, #4facfe, #00f2fe)' },
+    raised_hand: { emoji: '✋', guide: '手を挙げて', negative: false, statKey: 'openPalm', color: 'linear-gradient(135deg, #f6d365, #fda085)' },
+    pointing: { emoji: '☝️', guide: '指を立てて', negative: false, statKey: 'pointUp', color: 'linear-gradient(135deg, #a18cd1, #fbc2eb)' },
+    rock: { emoji: '🤘', guide: 'ロックサインで', negative: false, statKey: 'rock', color: 'linear-gradient(135deg, #30cfd0, #330867)' },
+    phone: { emoji: '🤙', guide: '電話のポーズで', negative: false, statKey: 'call', color: 'linear-gradient(135deg, #0ba360, #3cba92)' },
+    head_in_hands: { emoji: '😢', guide: '頭を抱えて', negative: true, statKey: 'headInHands', color: 'linear-gradient(135deg, #fa709a, #fee140)' },
+    fist: { emoji: '✊', guide: 'グーで', negative: true, statKey: 'fist', color: 'linear-gradient(135deg, #868f96, #596164)' },
+    thumbsdown: { emoji: '👎', guide: 'サムズダウンで', negative: true, statKey: 'thumbsDown', color: 'linear-gradient(135deg, #ff758c, #ff7eb3)' },
+    crossed_arms: { emoji: '🙅', guide: '腕で×をして', negative: true, statKey: 'crossedArms', color: 'linear-gradient(135deg, #eb3349, #f45c43)' }
   };
 
   // ジェスチャータイプ一覧
   const GESTURE_TYPES = Object.keys(GESTURE_CONFIG);
 
+  // 最低信頼度のデフォルト（検出タブでジェスチャーごとに変更可能、0 = すべて通知）
+  const DEFAULT_MIN_CONFIDENCE = 0;
+
   // ポジティブなジェスチャーのみ（留守モードで使用）
   const POSITIVE_GESTURE_TYPES = GESTURE_TYPES.filter(type => !GESTURE_CONFIG[type].negative);
 
@@ -49,6 +67,8 @@
   const processedImages = new Map();
   // 通知クールダウン管理
   const notificationCooldowns = new Map();
+  // スキャン中（オフスクリーンの解析待ち）かどうか
+  let isScanning = false;
   // タイマー関連
   let timerElement = null;
   let remainingSeconds = PHOTO_INTERVAL;
@@ -198,12 +218,14 @@
         </div>
       </div>
       <div class="rsc-timer-rows">
+        <div class="rsc-timer-row rsc-send-row">
+          ${GESTURE_TYPES.map(type => `<button class="rsc-send-btn" data-type="${type}" title="${getGestureEmoji(type)}を次回送信">${getGestureEmoji(type)}</button>`).join('')}
+        </div>
         <div class="rsc-timer-row">
-          <button class="rsc-send-btn" data-type="wave" title="👋を次回送信">👋</button>
-          <button class="rsc-send-btn" data-type="thumbsup" title="👍を次回送信">👍</button>
-          <button class="rsc-send-btn" data-type="peace" title="✌️を次回送信">✌️</button>
-          <button class="rsc-send-btn" data-type="head_in_hands" title="😢を次回送信">😢</button>
           <button class="rsc-away-btn" title="留守モード（30分間自動送信）">🏃 留守</button>
+          <button class="rsc-dnd-btn" title="おやすみモード（音を鳴らさず画面に表示）">🔕</button>
+          <button class="rsc-history-btn" title="ハンドサイン履歴">📜</button>
+          <button class="rsc-missed-btn" title="不在着信・ノック（クリックで確認）" hidden>📞 0</button>
           <div class="rsc-timer-divider"></div>
           <button class="rsc-record-btn" title="録音">🎙️ 録音</button>
         </div>
@@ -288,6 +310,10 @@
           align-items: center;
           gap: 6px;
         }
+        .rsc-send-row {
+          flex-wrap: wrap;
+          max-width: 230px;
+        }
         #rsc-photo-timer.rsc-dragging {
           opacity: 1;
           box-shadow: 0 8px 32px rgba(0, 0, 0, 0.5);
@@ -371,6 +397,62 @@
           box-shadow: 0 0 8px rgba(245, 158, 11, 0.5);
           animation: rsc-away-pulse 2s infinite;
         }
+        .rsc-dnd-btn {
+          height: 32px;
+          padding: 0 10px;
+          border: none;
+          border-radius: 6px;
+          background: rgba(255,255,255,0.15);
+          color: #fff;
+          font-size: 13px;
+          cursor: pointer;
+          transition: all 0.2s;
+          white-space: nowrap;
+        }
+        .rsc-dnd-btn:hover {
+          background: rgba(255,255,255,0.25);
+          transform: scale(1.05);
+        }
+        .rsc-history-btn {
+          height: 32px;
+          padding: 0 10px;
+          border: none;
+          border-radius: 6px;
+          background: rgba(255,255,255,0.15);
+          color: #fff;
+          font-size: 13px;
+          cursor: pointer;
+          transition: all 0.2s;
+          white-space: nowrap;
+        }
+        .rsc-history-btn:hover {
+          background: rgba(255,255,255,0.25);
+          transform: scale(1.05);
+        }
+        .rsc-dnd-btn.rsc-active {
+          background: linear-gradient(135deg, #8b5cf6 0%, #6d28d9 100%);
+          box-shadow: 0 0 8px rgba(139, 92, 246, 0.5);
+        }
+        .rsc-missed-btn {
+          height: 32px;
+          padding: 0 10px;
+          border: none;
+          border-radius: 6px;
+          background: linear-gradient(135deg, #ef4444 0%, #dc2626 100%);
+          color: #fff;
+          font-size: 13px;
+          font-weight: 600;
+          cursor: pointer;
+          transition: all 0.2s;
+          white-space: nowrap;
+          animation: rsc-away-pulse 2s infinite;
+        }
+        .rsc-missed-btn[hidden] {
+          display: none;
+        }
+        .rsc-missed-btn:hover {
+          transform: scale(1.05);
+        }
         @keyframes rsc-away-pulse {
           0%, 100% { opacity: 1; }
           50% { opacity: 0.7; }
@@ -839,6 +921,12 @@
     // 通知設定ボタンのハンドラー
     setupNotifyButton();
 
+    // おやすみモードボタンのハンドラー
+    setupDndButton();
+
+    // 不在着信バッジのハンドラー
+    setupMissedCallButton();
+
     // 事前撮影ボタンのハンドラー
     setupToolsButton();
 
@@ -864,6 +952,15 @@
     // 録音ボタン（3ボタン）
     setupTimerRecordButtons();
 
+    // ハンドサイン履歴ボタン
+    const historyBtn = timerElement.querySelector('.rsc-history-btn');
+    if (historyBtn) {
+      historyBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        openToolsModal('history');
+      });
+    }
+
     // 音声設定ボタン
     const soundBtn = timerElement.querySelector('.rsc-sound-btn');
     if (soundBtn) {
@@ -1166,7 +1263,7 @@
    */
   function onDragStart(e) {
     // ボタンクリックは除外（タイマーメインのクリックも含む）
-    if (e.target.closest('.rsc-send-btn') || e.target.closest('.rsc-notify-btn') || e.target.closest('.rsc-tools-btn') || e.target.closest('.rsc-away-btn') || e.target.closest('.rsc-record-btn') || e.target.closest('.rsc-sound-btn') || e.target.closest('.rsc-timer-main')) return;
+    if (e.target.closest('.rsc-send-btn') || e.target.closest('.rsc-notify-btn') || e.target.closest('.rsc-tools-btn') || e.target.closest('.rsc-away-btn') || e.target.closest('.rsc-dnd-btn') || e.target.closest('.rsc-history-btn') || e.target.closest('.rsc-missed-btn') || e.target.closest('.rsc-record-btn') || e.target.closest('.rsc-sound-btn') || e.target.closest('.rsc-timer-main')) return;
 
     isDragging = true;
     timerElement.classList.add('rsc-dragging');
@@ -1387,6 +1484,358 @@
     disableVirtualCamera();
   }
 
+  // おやすみモード関連（状態は background.js が管理し、storage で共有）
+  let dndState = { active: false, missed: [] };
+  let dndButtonInterval = null;
+
+  // おやすみモード中に画面に表示する音声
+  const DND_ALERT_SOUNDS = {
+    incoming: { emoji: '📞', message: '呼び出しています' },
+    doorchime: { emoji: '🚪', message: 'ノックしています' }
+  };
+  // 同じ音声の表示間隔（ループ再生で何度も表示しないように）
+  const DND_ALERT_COOLDOWN = 10000;
+  const dndAlertCooldowns = new Map();
+
+  /**
+   * おやすみモードの状態を読み込む
+   */
+  async function loadDndState() {
+    try {
+      const result = await chrome.storage.local.get('dndState');
+      if (result.dndState) {
+        dndState = result.dndState;
+      }
+    } catch (error) {
+      console.error('[HandSign] Failed to load DND state:', error);
+    }
+  }
+
+  /**
+   * おやすみモード中か
+   */
+  function isDndActive() {
+    return !!dndState.active && (!dndState.until || Date.now() < dndState.until);
+  }
+
+  /**
+   * おやすみモードボタンのセットアップ
+   */
+  function setupDndButton() {
+    const dndBtn = timerElement.querySelector('.rsc-dnd-btn');
+    if (dndBtn) {
+      dndBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        toggleDnd();
+      });
+    }
+    updateDndButton();
+  }
+
+  /**
+   * おやすみモードをトグル
+   */
+  async function toggleDnd() {
+    try {
+      if (isDndActive()) {
+        await chrome.runtime.sendMessage({ type: 'END_DND' });
+        return;
+      }
+
+      // 時間を入力（分単位、0 は解除するまで）
+      const inputMinutes = prompt('おやすみモードの時間を入力（分）\n0 を入力すると、解除するまで続きます', '60');
+      if (inputMinutes === null) return; // キャンセル
+
+      const minutes = parseInt(inputMinutes, 10);
+      if (isNaN(minutes) || minutes < 0) {
+        showTimerToast('有効な時間を入力してください');
+        return;
+      }
+
+      const response = await chrome.runtime.sendMessage({ type: 'START_DND', minutes });
+      if (!response?.success) {
+        showTimerToast(response?.error || 'おやすみモードを開始できませんでした');
+        return;
+      }
+      showTimerToast(minutes > 0 ? `🔕 おやすみモード開始（${minutes}分後に自動解除）` : '🔕 おやすみモード開始');
+    } catch (error) {
+      console.error('[HandSign] Failed to toggle DND:', error);
+    }
+  }
+
+  /**
+   * おやすみモードボタンの表示を更新
+   */
+  function updateDndButton() {
+    const dndBtn = timerElement?.querySelector('.rsc-dnd-btn');
+    if (!dndBtn) return;
+
+    if (!isDndActive()) {
+      dndBtn.classList.remove('rsc-active');
+      dndBtn.textContent = '🔕';
+      if (dndButtonInterval) {
+        clearInterval(dndButtonInterval);
+        dndButtonInterval = null;
+      }
+      return;
+    }
+
+    dndBtn.classList.add('rsc-active');
+    if (!dndState.until) {
+      dndBtn.textContent = '🔕 ON';
+      return;
+    }
+
+    const remaining = Math.max(0, dndState.until - Date.now());
+    const minutes = Math.floor(remaining / 60000);
+    const seconds = Math.floor((remaining % 60000) / 1000);
+    dndBtn.textContent = `🔕 ${minutes}:${seconds.toString().padStart(2, '0')}`;
+
+    if (!dndButtonInterval) {
+      dndButtonInterval = setInterval(updateDndButton, 1000);
+    }
+  }
+
+  /**
+   * おやすみモード中にミュートした音声を画面に表示
+   */
+  function handleSoundSuppressed({ soundId, callerName }) {
+    const dndAlert = DND_ALERT_SOUNDS[soundId];
+    if (!dndAlert || !isDndActive()) return;
+
+    const key = `${soundId}:${callerName || ''}`;
+    const last = dndAlertCooldowns.get(key);
+    if (last && Date.now() - last < DND_ALERT_COOLDOWN) return;
+    dndAlertCooldowns.set(key, Date.now());
+
+    const name = escapeHtml(callerName || '誰か');
+    if (dndState.visual === 'flash') {
+      showDndFlash();
+      showToast(name, dndAlert);
+    } else {
+      showToast(name, dndAlert, { persistent: true });
+    }
+
+    chrome.runtime.sendMessage({
+      type: 'RECORD_DND_MISSED',
+      entry: { kind: 'sound', name: callerName || '', message: dndAlert.message, emoji: dndAlert.emoji }
+    }).catch(() => {});
+  }
+
+  /**
+   * 画面の縁を点滅させる
+   */
+  function showDndFlash() {
+    if (!document.getElementById('rsc-dnd-styles')) {
+      const style = document.createElement('style');
+      style.id = 'rsc-dnd-styles';
+      style.textContent = `
+        .rsc-dnd-flash {
+          position: fixed;
+          inset: 0;
+          pointer-events: none;
+          z-index: 100002;
+          box-shadow: inset 0 0 0 6px #8b5cf6, inset 0 0 40px rgba(139, 92, 246, 0.6);
+          animation: rsc-dnd-flash 1s ease-in-out 3 forwards;
+        }
+        @keyframes rsc-dnd-flash {
+          0%, 100% { opacity: 0; }
+          50% { opacity: 1; }
+        }
+      `;
+      document.head.appendChild(style);
+    }
+
+    const flash = document.createElement('div');
+    flash.className = 'rsc-dnd-flash';
+    document.body.appendChild(flash);
+    setTimeout(() => flash.remove(), 3000);
+  }
+
+  /**
+   * おやすみモード終了時に見逃した内容を表示
+   */
+  function showDndSummary(missed) {
+    if (!missed || missed.length === 0) {
+      showTimerToast('おやすみモードを終了しました');
+      return;
+    }
+
+    const lines = missed.map(entry => {
+      const time = new Date(entry.at).toLocaleTimeString('ja-JP', { hour: '2-digit', minute: '2-digit' });
+      const name = entry.name || '誰か';
+      const score = formatGestureScore(entry.score);
+      return `<div>${time} ${escapeHtml(entry.emoji)} <strong>${escapeHtml(name)}</strong>さんが${escapeHtml(entry.message)}${score ? `（${score}）` : ''}</div>`;
+    });
+
+    displayToast(`
+      <div class="rsc-hand-sign-toast-content">
+        <span class="rsc-hand-sign-emoji">🔔</span>
+        <div class="rsc-hand-sign-text">
+          <div><strong>おやすみモード中の通知（${missed.length}件）</strong></div>
+          ${lines.join('')}
+        </div>
+      </div>
+    `, { persistent: true });
+  }
+
+  // =============================================
+  // デスクトップ通知
+  // =============================================
+
+  // 設定（settings.desktopNotifications、判定の本体は background.js）
+  let desktopNotificationSettings = { enabled: false, onlyWhenHidden: true };
+  // 同じ相手・種類の通知間隔（着信音・ドアチャイムのループで何度も通知しないように）
+  const DESKTOP_NOTIFICATION_COOLDOWN = 15000;
+  const desktopNotificationCooldowns = new Map();
+  // 通知アイコンのサイズ
+  const DESKTOP_NOTIFICATION_ICON_SIZE = 80;
+
+  /**
+   * デスクトップ通知の設定を読み込む
+   */
+  async function loadDesktopNotificationSettings() {
+    try {
+      const result = await chrome.storage.local.get('settings');
+      desktopNotificationSettings = { enabled: false, onlyWhenHidden: true, ...(result.settings?.desktopNotifications || {}) };
+    } catch (error) {
+      console.error('[HandSign] Failed to load desktop notification settings:', error);
+    }
+  }
+
+  /**
+   * メンバーの在席写真を通知アイコン用のData URLに変換
+   * 取得できない場合（離席中・CORS制限など）は null
+   */
+  async function getMemberPhotoDataUrl(memberName) {
+    const member = getOnlineMembers().find(m => m.name === memberName);
+    if (!member) return null;
+
+    try {
+      const originalCanvas = await loadImageToCanvas(member.imageUrl);
+      const size = DESKTOP_NOTIFICATION_ICON_SIZE;
+      const canvas = document.createElement('canvas');
+      canvas.width = size;
+      canvas.height = size;
+      const ctx = canvas.getContext('2d');
+      // 中央を正方形に切り抜く
+      const side = Math.min(originalCanvas.width, originalCanvas.height);
+      ctx.drawImage(
+        originalCanvas,
+        (originalCanvas.width - side) / 2, (originalCanvas.height - side) / 2, side, side,
+        0, 0, size, size
+      );
+      return canvas.toDataURL('image/jpeg', 0.85);
+    } catch (error) {
+      console.warn('[HandSign] Failed to get member photo for notification:', memberName, error);
+      return null;
+    }
+  }
+
+  /**
+   * デスクトップ通知を送信
+   * @param {string} kind - 'call' | 'knock' | 'handsign'
+   */
+  async function sendDesktopNotification(kind, memberName, title, message) {
+    if (!desktopNotificationSettings.enabled || desktopNotificationSettings[kind] === false) return;
+    // タブを見ている間はページ内の表示で十分
+    if (desktopNotificationSettings.onlyWhenHidden && document.visibilityState === 'visible' && document.hasFocus()) return;
+
+    const cooldownKey = `${kind}:${memberName || ''}`;
+    const lastNotified = desktopNotificationCooldowns.get(cooldownKey);
+    if (lastNotified && Date.now() - lastNotified < DESKTOP_NOTIFICATION_COOLDOWN) return;
+    desktopNotificationCooldowns.set(cooldownKey, Date.now());
+
+    try {
+      const iconUrl = memberName ? await getMemberPhotoDataUrl(memberName) : null;
+      await chrome.runtime.sendMessage({
+        type: 'SHOW_DESKTOP_NOTIFICATION',
+        notification: { kind, memberName, title, message, iconUrl }
+      });
+    } catch (error) {
+      console.error('[HandSign] Failed to send desktop notification:', error);
+    }
+  }
+
+  /**
+   * 着信・ドアチャイムをデスクトップ通知
+   */
+  function handleCallEventForNotification(data) {
+    if (data.type === 'CALL_STATE_CHANGED' && data.event?.state === 'ringing-in') {
+      const name = data.event.callerName || '';
+      sendDesktopNotification('call', name, '📞 着信', name ? `${name}さんから着信しています` : '着信しています');
+    }
+    if (data.type === 'DOOR_KNOCK') {
+      const name = data.callerName || '';
+      sendDesktopNotification('knock', name, '🚪 ドアチャイム', name ? `${name}さんがノックしています` : 'ノックされています');
+    }
+  }
+
+  /**
+   * 不在着信バッジのセットアップ
+   */
+  async function setupMissedCallButton() {
+    const missedBtn = timerElement.querySelector('.rsc-missed-btn');
+    if (!missedBtn) return;
+
+    missedBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      showMissedCalls();
+    });
+
+    try {
+      const result = await chrome.storage.local.get('missedCallCount');
+      updateMissedCallBadge(result.missedCallCount || 0);
+    } catch (error) {
+      console.error('[HandSign] Failed to load missed call count:', error);
+    }
+  }
+
+  /**
+   * 不在着信バッジの表示を更新
+   */
+  function updateMissedCallBadge(count) {
+    const missedBtn = timerElement?.querySelector('.rsc-missed-btn');
+    if (!missedBtn) return;
+
+    missedBtn.hidden = count === 0;
+    missedBtn.textContent = `📞 ${count}`;
+  }
+
+  /**
+   * 未確認の不在着信・ノックを表示して確認済みにする
+   */
+  async function showMissedCalls() {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_CALL_HISTORY' });
+      const missed = (response?.data || []).filter(entry => !entry.seen);
+
+      const lines = missed.map(entry => {
+        const time = new Date(entry.startedAt).toLocaleString('ja-JP', { month: 'numeric', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+        const name = entry.name || '誰か';
+        const message = entry.kind === 'knock' ? 'ノックしました' : '着信しました（不在）';
+        const emoji = entry.kind === 'knock' ? '🚪' : '📞';
+        return `<div>${time} ${emoji} <strong>${escapeHtml(name)}</strong>さんが${message}</div>`;
+      });
+
+      if (lines.length > 0) {
+        displayToast(`
+          <div class="rsc-hand-sign-toast-content">
+            <span class="rsc-hand-sign-emoji">📞</span>
+            <div class="rsc-hand-sign-text">
+              <div><strong>不在着信・ノック（${missed.length}件）</strong></div>
+              ${lines.join('')}
+            </div>
+          </div>
+        `, { persistent: true });
+      }
+
+      await chrome.runtime.sendMessage({ type: 'MARK_CALL_HISTORY_SEEN' });
+    } catch (error) {
+      console.error('[HandSign] Failed to show missed calls:', error);
+    }
+  }
+
   /**
    * ランダムな画像タイプで仮想カメラを有効化（留守モード用）
    * ネガティブなジェスチャーは除外
@@ -1668,11 +2117,23 @@
     console.log('[HandSign] Timer reset to 5 minutes');
   }
 
+  /**
+   * プリセットの再生用URLを取得（サウンドパック・ライブラリの音声データは再生するときだけ受け取る）
+   */
+  async function getPresetSoundUrl(category, preset) {
+    if (preset.source === 'builtin') {
+      return chrome.runtime.getURL(`sounds/${category}/${preset.file}`);
+    }
+    const result = await chrome.runtime.sendMessage({ type: 'GET_PRESET_SOUND_URL', value: `${category}:${preset.id}` });
+    return result?.data || null;
+  }
+
   /**
    * カウントダウン音を再生
    */
   async function playCountdownSound() {
     if (!settings.countdown?.enabled) return;
+    if (isDndActive()) return;
 
     const soundPreset = settings.countdown?.soundPreset || 'countdown:countdown_button2';
     const [category, presetId] = soundPreset.split(':');
@@ -1699,8 +2160,8 @@
       const presets = presetSounds[category];
       if (presets) {
         const preset = presets.find(p => p.id === presetId);
-        if (preset && preset.file) {
-          const soundUrl = chrome.runtime.getURL(`sounds/${category}/${preset.file}`);
+        const soundUrl = preset && preset.file ? await getPresetSoundUrl(category, preset) : null;
+        if (soundUrl) {
           const audio = new Audio(soundUrl);
           audio.volume = 0.6;
           await audio.play();
@@ -1939,45 +2400,114 @@
   }
 
   /**
-   * 画像からハンドサインを検出（オフスクリーンAPI経由）
+   * 在席画像を読み込み、解析用の JPEG Data URL に1回だけエンコード
+   * 手の検出（オフスクリーン側で256pxに縮小）と表情分析で同じ画像を使う
+   * @returns {{canvas: HTMLCanvasElement, image: string}}
    */
-  async function detectHandSign(member) {
-    try {
-      const originalCanvas = await loadImageToCanvas(member.imageUrl);
+  async function encodePresenceImage(imageUrl) {
+    const originalCanvas = await loadImageToCanvas(imageUrl);
 
-      // 画像を縮小してメッセージサイズを削減（最大256px）
-      const maxSize = 256;
-      const scale = Math.min(maxSize / originalCanvas.width, maxSize / originalCanvas.height, 1);
-      const width = Math.floor(originalCanvas.width * scale);
-      const height = Math.floor(originalCanvas.height * scale);
+    // 表情分析の精度に合わせて最大640pxに縮小
+    const scale = Math.min(PRESENCE_IMAGE_SIZE / originalCanvas.width, PRESENCE_IMAGE_SIZE / originalCanvas.height, 1);
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.floor(originalCanvas.width * scale));
+    canvas.height = Math.max(1, Math.floor(originalCanvas.height * scale));
+    canvas.getContext('2d').drawImage(originalCanvas, 0, 0, canvas.width, canvas.height);
 
-      const canvas = document.createElement('canvas');
-      canvas.width = width;
-      canvas.height = height;
-      const ctx = canvas.getContext('2d');
-      ctx.drawImage(originalCanvas, 0, 0, width, height);
+    return { canvas, image: canvas.toDataURL('image/jpeg', PRESENCE_IMAGE_QUALITY) };
+  }
 
-      const imageData = ctx.getImageData(0, 0, width, height);
+  /**
+   * 在席画像をまとめてオフスクリーンで解析（オフスクリーンAPI経由）
+   * 1回のメッセージで送り、画像ごとに指定された解析をまとめて行う
+   * @param {Array<{imageUrl: string, hand: boolean, face: boolean}>} requests - 画像URLごとの解析内容
+   * @param {Map} encoded - エンコード済みの画像（同じスキャン内の次のバッチで再利用する）
+   * @returns {Map<string, {canvas: HTMLCanvasElement, hand?: Object, face?: Object}>} 画像URL → 解析結果
+   */
+  async function analyzePresenceImages(requests, encoded = new Map()) {
+    const results = new Map();
+    const items = [];
 
-      // オフスクリーンに画像データを送信
-      const result = await chrome.runtime.sendMessage({
-        type: 'DETECT_HAND_SIGN',
-        imageData: {
-          data: Array.from(imageData.data),
-          width: imageData.width,
-          height: imageData.height
+    for (const request of requests) {
+      if (!encoded.has(request.imageUrl)) {
+        try {
+          encoded.set(request.imageUrl, await encodePresenceImage(request.imageUrl));
+        } catch (error) {
+          console.error('[HandSign] Failed to load image:', request.imageUrl?.substring(0, 60), error);
+          continue;
         }
-      });
-
-      if (result && result.success && result.gesture) {
-        return result.gesture;
       }
+      items.push({ id: request.imageUrl, image: encoded.get(request.imageUrl).image, hand: request.hand, face: request.face });
+    }
 
-      return null;
+    if (items.length === 0) return results;
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'ANALYZE_IMAGE_BATCH',
+        items,
+        thresholds: settings.thresholds
+      });
+      if (!response?.success) {
+        throw new Error(response?.error || 'Batch analysis failed');
+      }
+      for (const result of response.results) {
+        if (result.success) {
+          results.set(result.id, { ...result, canvas: encoded.get(result.id).canvas });
+        }
+      }
     } catch (error) {
-      console.error('[HandSign] Detection error for', member.name, error);
-      return null;
+      console.error('[HandSign] Batch analysis error:', error);
     }
+
+    return results;
+  }
+
+  /**
+   * 手の解析結果から通知するハンドサインを選ぶ
+   */
+  function pickHandSign(analysis) {
+    if (!analysis?.hand?.success) return null;
+
+    const { hand } = analysis;
+    const gesture = pickGestureCandidate(hand.candidates || (hand.gesture ? [hand.gesture] : []));
+    // 履歴用に在席画像の小さなサムネイルを添付
+    return gesture ? { ...gesture, thumbnail: createHistoryThumbnail(analysis.canvas) } : null;
+  }
+
+  /**
+   * 検出履歴用のサムネイル（JPEG Data URL）を作成
+   */
+  function createHistoryThumbnail(sourceCanvas) {
+    const scale = Math.min(HISTORY_THUMBNAIL_SIZE / sourceCanvas.width, HISTORY_THUMBNAIL_SIZE / sourceCanvas.height, 1);
+    const thumbnail = document.createElement('canvas');
+    thumbnail.width = Math.max(1, Math.floor(sourceCanvas.width * scale));
+    thumbnail.height = Math.max(1, Math.floor(sourceCanvas.height * scale));
+    thumbnail.getContext('2d').drawImage(sourceCanvas, 0, 0, thumbnail.width, thumbnail.height);
+    return thumbnail.toDataURL('image/jpeg', 0.7);
+  }
+
+  /**
+   * 候補のうち、ジェスチャーごとの最低信頼度を満たす最上位のものを選ぶ
+   * 候補はオフスクリーン側で優先度・スコア順に並んでいる
+   */
+  function pickGestureCandidate(candidates) {
+    const picked = candidates.find(candidate => {
+      const minConfidence = settings.minConfidence?.[candidate.type] ?? DEFAULT_MIN_CONFIDENCE;
+      return typeof candidate.score !== 'number' || candidate.score >= minConfidence;
+    });
+    if (!picked && candidates.length > 0) {
+      console.log('[HandSign] Candidates below minimum confidence:',
+        candidates.map(c => `${c.type}(${c.score})`).join(', '));
+    }
+    return picked || null;
+  }
+
+  /**
+   * 信頼度スコアの表示（例: 87%）
+   */
+  function formatGestureScore(score) {
+    return typeof score === 'number' ? `${Math.round(score * 100)}%` : '';
   }
 
   // =============================================
@@ -2021,119 +2551,6 @@
     neutral: '😐'
   };
 
-  /**
-   * 画像の明るさ・コントラストを自動調整（逆光・暗い画像対応）
-   * ガンマ補正 + コントラストストレッチングで顔検出しやすくする
-   */
-  function autoAdjustBrightnessContrast(imageData) {
-    const data = imageData.data;
-    const len = data.length;
-
-    // 輝度のヒストグラムを計算
-    let minLum = 255;
-    let maxLum = 0;
-    let sumLum = 0;
-    let count = 0;
-
-    for (let i = 0; i < len; i += 4) {
-      // 輝度計算 (ITU-R BT.601)
-      const lum = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
-      minLum = Math.min(minLum, lum);
-      maxLum = Math.max(maxLum, lum);
-      sumLum += lum;
-      count++;
-    }
-
-    const avgLum = sumLum / count;
-    const range = maxLum - minLum;
-
-    // 常に調整を適用（逆光や暗い画像に対応）
-    // ガンマ値: 暗いほど低く（明るくする）、明るければ1.0に近づける
-    let gamma = 1.0;
-    if (avgLum < 60) {
-      gamma = 0.4; // 非常に暗い（逆光など）
-    } else if (avgLum < 100) {
-      gamma = 0.6; // 暗め
-    } else if (avgLum < 130) {
-      gamma = 0.8; // やや暗め
-    }
-
-    // コントラストストレッチングのパラメータ
-    const targetMin = 10;
-    const targetMax = 245;
-    const scale = range > 20 ? (targetMax - targetMin) / range : 2.0;
-
-    // ガンマ補正用ルックアップテーブルを作成
-    const gammaLUT = new Uint8Array(256);
-    for (let i = 0; i < 256; i++) {
-      gammaLUT[i] = Math.round(255 * Math.pow(i / 255, gamma));
-    }
-
-    for (let i = 0; i < len; i += 4) {
-      // RGB各チャンネルを調整
-      for (let c = 0; c < 3; c++) {
-        let val = data[i + c];
-        // 1. コントラストストレッチング
-        val = (val - minLum) * scale + targetMin;
-        val = Math.max(0, Math.min(255, val));
-        // 2. ガンマ補正（暗い部分を明るく）
-        val = gammaLUT[Math.round(val)];
-        data[i + c] = val;
-      }
-      // アルファは変更しない
-    }
-
-    if (gamma < 1.0 || range < 150) {
-      console.log(`[HandSign] Image adjusted: avgLum=${avgLum.toFixed(1)}, range=${range.toFixed(1)}, gamma=${gamma}`);
-    }
-  }
-
-  /**
-   * 表情分析を実行（オフスクリーンAPI経由 - ハンドサインと同様）
-   */
-  async function analyzeExpression(member) {
-    try {
-      console.log('[HandSign] Analyzing expression for:', member.name, 'URL:', member.imageUrl?.substring(0, 60));
-
-      // 画像をCanvasに読み込み
-      const originalCanvas = await loadImageToCanvas(member.imageUrl);
-
-      // 画像サイズ（顔検出精度向上のため大きめに設定）
-      const maxSize = 640;
-      const scale = Math.min(maxSize / originalCanvas.width, maxSize / originalCanvas.height, 1);
-      const width = Math.floor(originalCanvas.width * scale);
-      const height = Math.floor(originalCanvas.height * scale);
-
-      const canvas = document.createElement('canvas');
-      canvas.width = width;
-      canvas.height = height;
-      const ctx = canvas.getContext('2d');
-      ctx.drawImage(originalCanvas, 0, 0, width, height);
-
-      // 画像の明るさ・コントラストを自動調整（暗い顔の検出精度向上）
-      const imageData = ctx.getImageData(0, 0, width, height);
-      autoAdjustBrightnessContrast(imageData);
-      ctx.putImageData(imageData, 0, 0);
-      const adjustedImageData = ctx.getImageData(0, 0, width, height);
-
-      // オフスクリーンに画像データを送信（ハンドサインと同じ方法）
-      const result = await chrome.runtime.sendMessage({
-        type: 'ANALYZE_EXPRESSION',
-        imageData: {
-          data: Array.from(adjustedImageData.data),
-          width: adjustedImageData.width,
-          height: adjustedImageData.height
-        }
-      });
-
-      console.log('[HandSign] Expression result for', member.name, ':', result);
-      return result;
-    } catch (error) {
-      console.error('[HandSign] Expression analysis error for', member.name, error);
-      return { success: false, error: error.message };
-    }
-  }
-
   /**
    * メンバー画像の上に感情係数を表示
    */
@@ -2390,6 +2807,19 @@
   async function analyzeAllExpressions() {
     if (!expressionAnalysisEnabled) return;
 
+    const targets = collectExpressionTargets();
+    const results = await analyzePresenceImages(
+      targets.membersToAnalyze.map(member => ({ imageUrl: member.imageUrl, hand: false, face: true }))
+    );
+    showExpressionResults(targets, results);
+  }
+
+  /**
+   * 表情分析の対象を集める
+   * 画像URLが変わったメンバーのみ分析対象、それ以外はキャッシュから表示する
+   * @returns {{membersToAnalyze: Array, membersWithCache: Array<{member, result}>}}
+   */
+  function collectExpressionTargets() {
     // 自分も含めた全メンバーを取得
     const members = getAllMembersIncludingSelf();
 
@@ -2428,9 +2858,18 @@
       }
     }
 
-    // 分析が必要なメンバーのみ処理
+    return { membersToAnalyze, membersWithCache };
+  }
+
+  /**
+   * 表情分析の結果をキャッシュに保存してオーバーレイに表示
+   * @param {Object} targets - collectExpressionTargets() の戻り値
+   * @param {Map} results - analyzePresenceImages() の戻り値
+   */
+  function showExpressionResults({ membersToAnalyze, membersWithCache }, results) {
+    // 分析したメンバーの結果を反映
     for (const member of membersToAnalyze) {
-      const result = await analyzeExpression(member);
+      const result = results.get(member.imageUrl)?.face;
       if (result && result.success) {
         // グローバルキャッシュに保存
         expressionResultCache.set(member.imageUrl, result);
@@ -2541,16 +2980,26 @@
 
   /**
    * トースト通知を表示
+   * @param {Object} options - { persistent: クリックするまで表示し続ける }
    */
-  function showToast(name, gesture) {
-    const toast = document.createElement('div');
-    toast.className = 'rsc-hand-sign-toast';
-    toast.innerHTML = `
+  function showToast(name, gesture, options = {}) {
+    const score = formatGestureScore(gesture.score);
+    displayToast(`
       <div class="rsc-hand-sign-toast-content">
         <span class="rsc-hand-sign-emoji">${gesture.emoji}</span>
         <span class="rsc-hand-sign-text"><strong>${name}</strong>さんが${gesture.message}</span>
+        ${score ? `<span class="rsc-hand-sign-score" title="検出の信頼度">${score}</span>` : ''}
       </div>
-    `;
+    `, options);
+  }
+
+  /**
+   * トースト通知の要素を表示（ハンドサイン・おやすみモードで共通）
+   */
+  function displayToast(html, { persistent = false } = {}) {
+    const toast = document.createElement('div');
+    toast.className = 'rsc-hand-sign-toast';
+    toast.innerHTML = html;
 
     // スタイルを追加
     toast.style.cssText = `
@@ -2605,15 +3054,32 @@
         .rsc-hand-sign-emoji {
           font-size: 32px;
         }
+        .rsc-hand-sign-score {
+          padding: 2px 6px;
+          border-radius: 8px;
+          background: rgba(255,255,255,0.2);
+          font-size: 11px;
+          white-space: nowrap;
+        }
       `;
       document.head.appendChild(style);
     }
 
-    // 5秒後に消える
-    setTimeout(() => {
+    const dismiss = () => {
       toast.style.animation = 'rsc-hand-sign-slide-out 0.5s ease-in forwards';
       setTimeout(() => toast.remove(), 500);
-    }, 5000);
+    };
+
+    // おやすみモードのバナーはクリックで閉じる
+    if (persistent) {
+      toast.style.cursor = 'pointer';
+      toast.title = 'クリックで閉じる';
+      toast.addEventListener('click', dismiss, { once: true });
+      return;
+    }
+
+    // 5秒後に消える
+    setTimeout(dismiss, 5000);
   }
 
   /**
@@ -2621,6 +3087,7 @@
    */
   async function playNotificationSound() {
     if (!settings.notifications.sound) return;
+    if (isDndActive()) return;
 
     try {
       // background.js に通知音再生を依頼
@@ -2655,10 +3122,80 @@
       playNotificationSound();
     }
 
+    // 使用統計（ジェスチャー別）
+    chrome.runtime.sendMessage({
+      type: 'RECORD_STAT',
+      category: 'handSigns',
+      key: GESTURE_CONFIG[gesture.type]?.statKey || gesture.type
+    }).catch(() => {});
+
+    // デスクトップ通知
+    const scoreText = formatGestureScore(gesture.score);
+    sendDesktopNotification('handsign', member.name, `${gesture.emoji} ハンドサイン${scoreText ? `（${scoreText}）` : ''}`, `${member.name}さんが${gesture.message}`);
+
+    // おやすみモード中は終了時にまとめて表示するため記録
+    if (isDndActive()) {
+      chrome.runtime.sendMessage({
+        type: 'RECORD_DND_MISSED',
+        entry: { kind: 'handsign', name: member.name, message: gesture.message, emoji: gesture.emoji, score: gesture.score }
+      }).catch(() => {});
+    }
+
     // クールダウン記録
     notificationCooldowns.set(member.name, Date.now());
   }
 
+  /**
+   * 検出結果を履歴（IndexedDB）に保存
+   * 通知のクールダウン中でも検出は全て記録する
+   */
+  async function recordHandSignHistory(member, gesture) {
+    if (!window.HandSignHistoryDB) return;
+
+    const entry = {
+      name: member.name,
+      type: gesture.type,
+      emoji: gesture.emoji,
+      message: gesture.message,
+      score: typeof gesture.score === 'number' ? gesture.score : null,
+      at: Date.now(),
+      imageUrl: member.imageUrl,
+      thumbnail: gesture.thumbnail || null
+    };
+
+    try {
+      await window.HandSignHistoryDB.save(entry);
+      // 履歴タブを表示中なら即時反映
+      if (currentTab === 'history' && toolsModal?.classList.contains('rsc-active')) {
+        await loadHandSignHistory();
+      }
+    } catch (error) {
+      console.error('[HandSign] Failed to record history:', error);
+    }
+  }
+
+  /**
+   * 検出履歴から処理済み画像・通知クールダウンを復元
+   * リロード直後に同じ在席画像で再検出・再通知しないようにする
+   */
+  async function restoreDetectionStateFromHistory() {
+    if (!window.HandSignHistoryDB) return;
+
+    try {
+      const latest = await window.HandSignHistoryDB.loadLatest();
+      for (const entry of latest) {
+        if (entry.imageUrl) {
+          processedImages.set(entry.name, entry.imageUrl);
+        }
+        if (Date.now() - entry.at < NOTIFICATION_COOLDOWN) {
+          notificationCooldowns.set(entry.name, entry.at);
+        }
+      }
+    } catch (error) {
+      console.error('[HandSign] Failed to restore detection state:', error);
+    }
+  }
+
   /**
    * メンバーの画像をスキャン
    */
@@ -2670,7 +3207,23 @@
       return;
     }
 
+    // 前回のスキャンの解析中は重ねて送らない（処理済みの記録は結果が返ってから行うため）
+    if (isScanning) return;
+    isScanning = true;
+    try {
+      await scanMemberImages();
+    } finally {
+      isScanning = false;
+    }
+  }
+
+  /**
+   * 変更のあった在席画像を解析して通知・感情係数を表示
+   * 通知を表情分析で待たせないよう、手のバッチを先に送り、表情は2つ目のバッチで解析する
+   */
+  async function scanMemberImages() {
     const members = getOnlineMembers();
+    const handMembers = [];
 
     for (const member of members) {
       // 自分は除外
@@ -2682,19 +3235,37 @@
       // 既に処理済みの画像は除外
       if (processedImages.get(member.name) === member.imageUrl) continue;
 
-      // 画像を記録
+      handMembers.push(member);
+    }
+
+    // ハンドサイン検出（変更のあった画像を1バッチで解析）
+    const encoded = new Map();
+    const handUrls = [...new Set(handMembers.map(member => member.imageUrl))];
+    const handResults = handUrls.length > 0
+      ? await analyzePresenceImages(handUrls.map(imageUrl => ({ imageUrl, hand: true, face: false })), encoded)
+      : new Map();
+
+    for (const member of handMembers) {
+      const analysis = handResults.get(member.imageUrl);
+      // 結果が返らなかった画像は処理済みにせず、次回のスキャンで再解析する
+      if (!analysis?.hand?.success) continue;
       processedImages.set(member.name, member.imageUrl);
 
-      // ハンドサイン検出
-      const gesture = await detectHandSign(member);
+      const gesture = pickHandSign(analysis);
       if (gesture) {
+        recordHandSignHistory(member, gesture);
         notify(member, gesture);
       }
     }
 
-    // 感情係数分析（全メンバー対象）
+    // 感情係数分析（全メンバー対象、エンコード済みの画像は再利用）
     if (expressionAnalysisEnabled) {
-      analyzeAllExpressions();
+      const expressionTargets = collectExpressionTargets();
+      const faceResults = expressionTargets.membersToAnalyze.length > 0
+        ? await analyzePresenceImages(
+          expressionTargets.membersToAnalyze.map(member => ({ imageUrl: member.imageUrl, hand: false, face: true })), encoded)
+        : new Map();
+      showExpressionResults(expressionTargets, faceResults);
     }
   }
 
@@ -2733,6 +3304,12 @@
     // 設定を読み込む
     await loadSettings();
 
+    // おやすみモードの状態を読み込む
+    await loadDndState();
+
+    // デスクトップ通知の設定を読み込む
+    await loadDesktopNotificationSettings();
+
     // 感情係数設定を読み込む
     await loadExpressionSettings();
 
@@ -2750,6 +3327,10 @@
     // レート制限カウンターをストレージから復元
     await loadRateLimitFromStorage();
 
+    // 保持期間を過ぎた検出履歴を削除し、処理済み画像・通知クールダウンを復元
+    await window.HandSignHistoryDB?.cleanup(HISTORY_RETENTION_DAYS);
+    await restoreDetectionStateFromHistory();
+
     // 自分の名前を検出
     detectMyName();
 
@@ -2790,6 +3371,23 @@
       console.log('[HandSign] Settings updated:', settings);
       updateTimerVisibility();
     }
+    // デスクトップ通知の設定
+    if (namespace === 'local' && changes.settings) {
+      desktopNotificationSettings = { enabled: false, onlyWhenHidden: true, ...(changes.settings.newValue?.desktopNotifications || {}) };
+    }
+    // 不在着信数
+    if (namespace === 'local' && changes.missedCallCount) {
+      updateMissedCallBadge(changes.missedCallCount.newValue || 0);
+    }
+    // おやすみモードの開始・終了
+    if (namespace === 'local' && changes.dndState) {
+      const wasActive = dndState.active;
+      dndState = changes.dndState.newValue || { active: false, missed: [] };
+      updateDndButton();
+      if (wasActive && !dndState.active && timerElement) {
+        showDndSummary(dndState.missed);
+      }
+    }
     // LLM設定の変更を監視（APIキー変更時にリロード不要に）
     if (namespace === 'local' && changes.llmSettings) {
       llmSettings = changes.llmSettings.newValue;
@@ -2800,7 +3398,7 @@
   // 統合モーダル関連
   let toolsModal = null;
   let cameraStream = null;
-  let currentTab = 'camera'; // 'camera' or 'recorder'
+  let currentTab = 'camera'; // 'camera', 'recorder' or 'history'
 
   // 録音関連
   let mediaRecorder = null;
@@ -2932,47 +3530,22 @@
             <canvas id="rsc-camera-canvas" style="display:none;"></canvas>
           </div>
           <div class="rsc-camera-actions">
-            <button class="rsc-camera-btn rsc-capture-wave">👋 手を振って</button>
-            <button class="rsc-camera-btn rsc-capture-thumbsup">👍 サムズアップで</button>
-            <button class="rsc-camera-btn rsc-capture-peace">✌️ ピースして</button>
-            <button class="rsc-camera-btn rsc-capture-head_in_hands">😢 頭を抱えて</button>
+            ${GESTURE_TYPES.map(type => `<button class="rsc-camera-btn rsc-capture-${type}" data-type="${type}">${getGestureEmoji(type)} ${getGestureGuide(type)}</button>`).join('')}
           </div>
           <div class="rsc-camera-status"></div>
           <div class="rsc-image-counts">
-            <span class="rsc-count-wave">👋 0枚</span>
-            <span class="rsc-count-thumbsup">👍 0枚</span>
-            <span class="rsc-count-peace">✌️ 0枚</span>
-            <span class="rsc-count-head_in_hands">😢 0枚</span>
+            ${GESTURE_TYPES.map(type => `<span class="rsc-count-${type}">${getGestureEmoji(type)} 0枚</span>`).join('')}
           </div>
           <div class="rsc-saved-images">
-            <div class="rsc-saved-images-section" data-type="wave">
-              <div class="rsc-saved-images-header">
-                <span class="rsc-saved-images-title">👋 手を振って</span>
-                <button class="rsc-delete-all-btn" data-type="wave">全削除</button>
-              </div>
-              <div class="rsc-saved-images-grid rsc-wave-grid"></div>
-            </div>
-            <div class="rsc-saved-images-section" data-type="thumbsup">
-              <div class="rsc-saved-images-header">
-                <span class="rsc-saved-images-title">👍 サムズアップで</span>
-                <button class="rsc-delete-all-btn" data-type="thumbsup">全削除</button>
-              </div>
-              <div class="rsc-saved-images-grid rsc-thumbsup-grid"></div>
-            </div>
-            <div class="rsc-saved-images-section" data-type="peace">
-              <div class="rsc-saved-images-header">
-                <span class="rsc-saved-images-title">✌️ ピースして</span>
-                <button class="rsc-delete-all-btn" data-type="peace">全削除</button>
-              </div>
-              <div class="rsc-saved-images-grid rsc-peace-grid"></div>
-            </div>
-            <div class="rsc-saved-images-section" data-type="head_in_hands">
-              <div class="rsc-saved-images-header">
-                <span class="rsc-saved-images-title">😢 頭を抱えて</span>
-                <button class="rsc-delete-all-btn" data-type="head_in_hands">全削除</button>
+            ${GESTURE_TYPES.map(type => `
+              <div class="rsc-saved-images-section" data-type="${type}">
+                <div class="rsc-saved-images-header">
+                  <span class="rsc-saved-images-title">${getGestureEmoji(type)} ${getGestureGuide(type)}</span>
+                  <button class="rsc-delete-all-btn" data-type="${type}">全削除</button>
+                </div>
+                <div class="rsc-saved-images-grid rsc-${type}-grid"></div>
               </div>
-              <div class="rsc-saved-images-grid rsc-head_in_hands-grid"></div>
-            </div>
+            `).join('')}
           </div>
         </div>
 
@@ -3099,6 +3672,28 @@
           </div>
         </div>
 
+        <!-- ハンドサイン履歴タブ -->
+        <div class="rsc-tab-content rsc-tab-history">
+          <div class="rsc-history-filters">
+            <select class="rsc-history-filter-member">
+              <option value="">全員</option>
+            </select>
+            <select class="rsc-history-filter-type">
+              <option value="">全ジェスチャー</option>
+              ${GESTURE_TYPES.map(type => `<option value="${type}">${getGestureEmoji(type)} ${getGestureGuide(type)}</option>`).join('')}
+            </select>
+            <select class="rsc-history-filter-period">
+              <option value="3600000">過去1時間</option>
+              <option value="10800000">過去3時間</option>
+              <option value="today" selected>今日</option>
+              <option value="">すべて</option>
+            </select>
+            <button class="rsc-history-clear-btn" title="履歴を全て削除">全削除</button>
+          </div>
+          <div class="rsc-history-summary"></div>
+          <div class="rsc-history-list"></div>
+        </div>
+
         <div class="rsc-modal-resize-handle"></div>
       </div>
     `;
@@ -3253,22 +3848,11 @@
           -1px -1px 2px rgba(0, 0, 0, 0.3),
           0 0 4px rgba(0, 0, 0, 0.4);
       }
-      .rsc-capture-wave {
-        background: linear-gradient(135deg, #667eea, #764ba2);
+      ${GESTURE_TYPES.map(type => `
+      .rsc-capture-${type} {
+        background: ${GESTURE_CONFIG[type].color};
         color: #fff;
-      }
-      .rsc-capture-thumbsup {
-        background: linear-gradient(135deg, #f093fb, #f5576c);
-        color: #fff;
-      }
-      .rsc-capture-peace {
-        background: linear-gradient(135deg, #43e97b, #38f9d7);
-        color: #fff;
-      }
-      .rsc-capture-head_in_hands {
-        background: linear-gradient(135deg, #fa709a, #fee140);
-        color: #fff;
-      }
+      }`).join('')}
       .rsc-camera-btn:hover {
         transform: translateY(-2px);
         box-shadow: 0 6px 20px rgba(0, 0, 0, 0.3);
@@ -3385,6 +3969,109 @@
         padding: 8px;
       }
 
+      /* ハンドサイン履歴タブ */
+      .rsc-history-filters {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 6px;
+        margin-bottom: 8px;
+        flex-shrink: 0;
+      }
+      .rsc-history-filters select {
+        padding: 4px 6px;
+        border: 1px solid rgba(255,255,255,0.2);
+        border-radius: 6px;
+        background: #2d3748;
+        color: #e2e8f0;
+        font-size: 12px;
+      }
+      .rsc-history-clear-btn {
+        margin-left: auto;
+        padding: 4px 8px;
+        border: none;
+        border-radius: 6px;
+        background: rgba(239, 68, 68, 0.2);
+        color: #f87171;
+        font-size: 11px;
+        cursor: pointer;
+      }
+      .rsc-history-clear-btn:hover {
+        background: rgba(239, 68, 68, 0.4);
+      }
+      .rsc-history-summary {
+        color: #a0aec0;
+        font-size: 11px;
+        margin-bottom: 8px;
+        flex-shrink: 0;
+      }
+      .rsc-history-list {
+        display: flex;
+        flex-direction: column;
+        gap: 6px;
+      }
+      .rsc-history-date {
+        color: #a0aec0;
+        font-size: 11px;
+        font-weight: 600;
+        margin-top: 4px;
+      }
+      .rsc-history-item {
+        display: flex;
+        align-items: center;
+        gap: 10px;
+        padding: 6px 8px;
+        border-radius: 8px;
+        background: rgba(255,255,255,0.05);
+      }
+      .rsc-history-bar {
+        width: 4px;
+        align-self: stretch;
+        border-radius: 2px;
+        flex-shrink: 0;
+      }
+      .rsc-history-item.rsc-negative {
+        background: rgba(239, 68, 68, 0.08);
+      }
+      .rsc-history-thumb {
+        width: 48px;
+        height: 48px;
+        border-radius: 6px;
+        object-fit: cover;
+        background: #000;
+        flex-shrink: 0;
+      }
+      .rsc-history-info {
+        display: flex;
+        flex-direction: column;
+        gap: 2px;
+        min-width: 0;
+        flex: 1;
+      }
+      .rsc-history-name {
+        color: #fff;
+        font-size: 13px;
+        font-weight: 600;
+        overflow: hidden;
+        text-overflow: ellipsis;
+        white-space: nowrap;
+      }
+      .rsc-history-message {
+        color: #cbd5e0;
+        font-size: 12px;
+      }
+      .rsc-history-meta {
+        color: #a0aec0;
+        font-size: 11px;
+        text-align: right;
+        flex-shrink: 0;
+      }
+      .rsc-history-empty {
+        color: #a0aec0;
+        font-size: 12px;
+        text-align: center;
+        padding: 24px 0;
+      }
+
       /* 録音タブ */
       .rsc-recorder-top {
         display: flex;
@@ -3937,10 +4624,9 @@
     // イベント設定
     toolsModal.querySelector('.rsc-modal-overlay').addEventListener('click', closeToolsModal);
     toolsModal.querySelector('.rsc-modal-close').addEventListener('click', closeToolsModal);
-    toolsModal.querySelector('.rsc-capture-wave').addEventListener('click', () => captureImage('wave'));
-    toolsModal.querySelector('.rsc-capture-thumbsup').addEventListener('click', () => captureImage('thumbsup'));
-    toolsModal.querySelector('.rsc-capture-peace').addEventListener('click', () => captureImage('peace'));
-    toolsModal.querySelector('.rsc-capture-head_in_hands').addEventListener('click', () => captureImage('head_in_hands'));
+    toolsModal.querySelectorAll('.rsc-camera-btn[data-type]').forEach(btn => {
+      btn.addEventListener('click', () => captureImage(btn.dataset.type));
+    });
 
     // 録音ボタン
     toolsModal.querySelector('.rsc-recorder-btn-record').addEventListener('click', startRecording);
@@ -3952,6 +4638,12 @@
       btn.addEventListener('click', () => deleteAllImages(btn.dataset.type));
     });
 
+    // ハンドサイン履歴のフィルター・全削除
+    toolsModal.querySelectorAll('.rsc-history-filters select').forEach(select => {
+      select.addEventListener('change', renderHandSignHistory);
+    });
+    toolsModal.querySelector('.rsc-history-clear-btn').addEventListener('click', clearHandSignHistory);
+
     // 構造化ボタン
     const structureBtn = toolsModal.querySelector('.rsc-structure-btn');
     if (structureBtn) {
@@ -4048,12 +4740,13 @@
     // タイトルを更新
     const titleEl = toolsModal.querySelector('.rsc-modal-title');
     if (titleEl) {
-      titleEl.textContent = tabName === 'camera' ? '📷 事前撮影' : '🎙️ 録音';
+      titleEl.textContent = { camera: '📷 事前撮影', recorder: '🎙️ 録音', history: '📜 ハンドサイン履歴' }[tabName];
     }
 
     // コンテンツの表示切り替え
     toolsModal.querySelector('.rsc-tab-camera').classList.toggle('active', tabName === 'camera');
     toolsModal.querySelector('.rsc-tab-recorder').classList.toggle('active', tabName === 'recorder');
+    toolsModal.querySelector('.rsc-tab-history').classList.toggle('active', tabName === 'history');
 
     // カメラタブに切り替えたらカメラ起動
     if (tabName === 'camera' && !cameraStream) {
@@ -4219,14 +4912,112 @@
       payload: { images: images }
     }, '*');
 
-    // UIを更新
-    updateImageCounts();
+    // UIを更新
+    updateImageCounts();
+
+    const status = toolsModal.querySelector('.rsc-camera-status');
+    if (status) {
+      status.textContent = `${getGestureEmoji(type)} の画像を全て削除しました`;
+      status.className = 'rsc-camera-status';
+    }
+  }
+
+  // ハンドサイン検出履歴（新しい順）
+  let handSignHistory = [];
+
+  /**
+   * ハンドサイン履歴をIndexedDBから読み込んで表示
+   */
+  async function loadHandSignHistory() {
+    try {
+      handSignHistory = await window.HandSignHistoryDB?.loadAll() || [];
+    } catch (error) {
+      console.error('[HandSign] Failed to load history:', error);
+      handSignHistory = [];
+    }
+    renderHandSignHistory();
+  }
+
+  /**
+   * 期間フィルターの開始時刻を取得
+   */
+  function getHistoryPeriodStart(value) {
+    if (value === 'today') {
+      const start = new Date();
+      start.setHours(0, 0, 0, 0);
+      return start.getTime();
+    }
+    return value ? Date.now() - Number(value) : 0;
+  }
+
+  /**
+   * ハンドサイン履歴をフィルターに従って描画
+   */
+  function renderHandSignHistory() {
+    if (!toolsModal) return;
+    const memberSelect = toolsModal.querySelector('.rsc-history-filter-member');
+    const typeSelect = toolsModal.querySelector('.rsc-history-filter-type');
+    const periodSelect = toolsModal.querySelector('.rsc-history-filter-period');
+    const summary = toolsModal.querySelector('.rsc-history-summary');
+    const list = toolsModal.querySelector('.rsc-history-list');
+
+    // メンバー選択肢を履歴から作成（選択中の値は維持）
+    const selectedMember = memberSelect.value;
+    const names = [...new Set(handSignHistory.map(entry => entry.name))].sort((a, b) => a.localeCompare(b, 'ja'));
+    memberSelect.innerHTML = '<option value="">全員</option>' +
+      names.map(name => `<option value="${escapeHtml(name).replace(/"/g, '&quot;')}">${escapeHtml(name)}</option>`).join('');
+    memberSelect.value = names.includes(selectedMember) ? selectedMember : '';
+
+    const since = getHistoryPeriodStart(periodSelect.value);
+    const entries = handSignHistory.filter(entry =>
+      entry.at >= since &&
+      (!memberSelect.value || entry.name === memberSelect.value) &&
+      (!typeSelect.value || entry.type === typeSelect.value)
+    );
+
+    summary.textContent = `${entries.length}件 / 全${handSignHistory.length}件（${HISTORY_RETENTION_DAYS}日間保持）`;
+
+    if (entries.length === 0) {
+      list.innerHTML = '<div class="rsc-history-empty">該当するハンドサインはありません</div>';
+      return;
+    }
 
-    const status = toolsModal.querySelector('.rsc-camera-status');
-    if (status) {
-      status.textContent = `${getGestureEmoji(type)} の画像を全て削除しました`;
-      status.className = 'rsc-camera-status';
+    let html = '';
+    let lastDate = null;
+    for (const entry of entries) {
+      const detectedAt = new Date(entry.at);
+      const date = detectedAt.toLocaleDateString('ja-JP', { month: 'numeric', day: 'numeric', weekday: 'short' });
+      if (date !== lastDate) {
+        html += `<div class="rsc-history-date">${date}</div>`;
+        lastDate = date;
+      }
+      const time = detectedAt.toLocaleTimeString('ja-JP', { hour: '2-digit', minute: '2-digit' });
+      const score = formatGestureScore(entry.score);
+      html += `
+        <div class="rsc-history-item${isNegativeGesture(entry.type) ? ' rsc-negative' : ''}">
+          <div class="rsc-history-bar" style="background: ${GESTURE_CONFIG[entry.type]?.color || '#667eea'}"></div>
+          ${isHistoryThumbnail(entry.thumbnail) ? `<img class="rsc-history-thumb" src="${escapeHtml(entry.thumbnail).replace(/"/g, '&quot;')}" alt="">` : ''}
+          <div class="rsc-history-info">
+            <span class="rsc-history-name">${escapeHtml(entry.emoji || getGestureEmoji(entry.type))} ${escapeHtml(entry.name)}</span>
+            <span class="rsc-history-message">${escapeHtml(entry.message || '')}</span>
+          </div>
+          <div class="rsc-history-meta">${time}${score ? `<br>${score}` : ''}</div>
+        </div>
+      `;
     }
+    list.innerHTML = html;
+  }
+
+  /**
+   * ハンドサイン履歴を全て削除
+   */
+  async function clearHandSignHistory() {
+    if (handSignHistory.length === 0) return;
+    if (!confirm('ハンドサイン履歴を全て削除しますか？')) return;
+
+    await window.HandSignHistoryDB?.clear();
+    handSignHistory = [];
+    renderHandSignHistory();
   }
 
   /**
@@ -4258,6 +5049,12 @@
       setupNoticeListeners();
     }
 
+    // ハンドサイン履歴タブを開く場合（古い履歴の自動削除も実行）
+    if (initialTab === 'history') {
+      await window.HandSignHistoryDB?.cleanup(HISTORY_RETENTION_DAYS);
+      await loadHandSignHistory();
+    }
+
     // 保存された高さを復元
     restoreModalHeight();
 
@@ -5693,8 +6490,65 @@
     }
   }
 
+  // =============================================
+  // キーボードショートカット
+  // =============================================
+
+  /**
+   * キーボードショートカットを実行（background.js の chrome.commands から転送）
+   */
+  async function runShortcut(message) {
+    switch (message.command) {
+      case 'toggle-sound-changer':
+        showTimerToast(message.enabled ? '🔊 音声変更を有効にしました' : '🔇 音声変更を無効にしました');
+        break;
+
+      case 'toggle-recording':
+        if (mediaRecorder && mediaRecorder.state !== 'inactive') {
+          stopRecording();
+          showTimerToast('⏹ 録音を停止しました');
+        } else {
+          await openToolsModal('recorder');
+          await startRecording();
+        }
+        break;
+
+      case 'toggle-away-mode':
+        if (!timerElement) return;
+        await toggleAwayMode();
+        break;
+
+      case 'send-wave':
+      case 'send-thumbsup': {
+        const type = message.command === 'send-wave' ? 'wave' : 'thumbsup';
+        const btn = timerElement?.querySelector(`.rsc-send-btn[data-type="${type}"]`);
+        if (!btn) return;
+        await toggleHandSignSend(type, btn);
+        break;
+      }
+
+      case 'open-meeting-notes': {
+        await openToolsModal('recorder');
+        const notes = toolsModal?.querySelector('.rsc-manual-notes');
+        if (notes) {
+          notes.scrollIntoView({ block: 'nearest' });
+          notes.focus();
+        }
+        break;
+      }
+    }
+  }
+
   // メッセージを受信
   chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    // キーボードショートカット
+    if (message.type === 'RUN_SHORTCUT') {
+      runShortcut(message)
+        .then(() => sendResponse({ success: true }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
+    }
+
     // 通知音再生
     if (message.type === 'PLAY_NOTIFICATION_SOUND' && message.url) {
       const audio = new Audio(message.url);
@@ -5725,9 +6579,119 @@
       return true;
     }
 
+    // バックアップ用に録音を書き出し（Blobはメッセージで送れないためData URLに変換）
+    if (message.type === 'EXPORT_RECORDINGS') {
+      window.RecordingsDB.loadAll()
+        .then(all => Promise.all(all.map(async ({ blob, ...rest }) => ({
+          ...rest,
+          data: await blobToDataUrl(blob)
+        }))))
+        .then(data => sendResponse({ success: true, data }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
+    }
+
+    // バックアップ用にハンドサインの検出履歴を書き出し（サムネイルはData URLのまま）
+    if (message.type === 'EXPORT_HAND_SIGN_HISTORY') {
+      window.HandSignHistoryDB.loadAll()
+        .then(data => sendResponse({ success: true, data }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
+    }
+
+    // バックアップからハンドサインの検出履歴を復元（同じIDの履歴は上書き）
+    if (message.type === 'IMPORT_HAND_SIGN_HISTORY') {
+      importHandSignHistory(message.entries || [])
+        .then(count => sendResponse({ success: true, data: count }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
+    }
+
+    // バックアップから録音を復元（同じIDの録音は上書き）
+    if (message.type === 'IMPORT_RECORDINGS') {
+      importRecordings(message.recordings || [])
+        .then(count => sendResponse({ success: true, data: count }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
+    }
+
     return false;
   });
 
+  // ページ（inject.js）からのメッセージを受信
+  window.addEventListener('message', (event) => {
+    if (event.source !== window) return;
+    if (!event.data || event.data.source !== 'remowork-sound-changer-inject') return;
+
+    // おやすみモードでミュートした音声
+    if (event.data.type === 'SOUND_SUPPRESSED') {
+      handleSoundSuppressed(event.data);
+    }
+
+    // 着信・ドアチャイムのデスクトップ通知
+    if (event.data.type === 'CALL_STATE_CHANGED' || event.data.type === 'DOOR_KNOCK') {
+      handleCallEventForNotification(event.data);
+    }
+  });
+
+  /**
+   * BlobをData URLに変換
+   */
+  function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+  }
+
+  /**
+   * バックアップの録音をIndexedDBに保存
+   * @returns {Promise<number>} 保存した件数
+   */
+  async function importRecordings(items) {
+    let count = 0;
+    for (const { data, ...rest } of items) {
+      if (typeof rest.id !== 'number' || typeof data !== 'string' || !data.startsWith('data:')) continue;
+      const blob = await (await fetch(data)).blob();
+      await window.RecordingsDB.save({ ...rest, blob });
+      count++;
+    }
+
+    // 録音ツールを開いている場合は一覧を更新
+    recordings = await window.RecordingsDB.loadAll();
+    updateRecordingsList();
+    return count;
+  }
+
+  /**
+   * 検出履歴のサムネイルとして表示できる値か（Base64の画像Data URLのみ）
+   */
+  function isHistoryThumbnail(value) {
+    return typeof value === 'string' && HISTORY_THUMBNAIL_PATTERN.test(value);
+  }
+
+  /**
+   * バックアップのハンドサイン検出履歴を保存
+   * @returns {number} 復元した件数
+   */
+  async function importHandSignHistory(entries) {
+    const valid = entries.filter(entry =>
+      entry && typeof entry.id === 'number' && typeof entry.name === 'string' &&
+      typeof entry.type === 'string' && typeof entry.at === 'number' &&
+      (entry.thumbnail === null || entry.thumbnail === undefined || isHistoryThumbnail(entry.thumbnail)));
+    if (valid.length === 0) return 0;
+
+    const count = await window.HandSignHistoryDB.putAll(valid);
+
+    // 履歴タブを表示中なら一覧を更新
+    if (currentTab === 'history' && toolsModal?.classList.contains('rsc-active')) {
+      await loadHandSignHistory();
+    }
+    return count;
+  }
+
   /**
    * ウィジェットを非表示にする（ログアウト時）
    */
@@ -5760,6 +6724,10 @@
   let soundSettingsModal = null;
   // presetSounds はファイル先頭で宣言済み
   let soundSettings = null;
+  // サウンドプロファイル
+  let soundProfiles = null;
+  // プリセットピッカーのお気に入り・最近使った音声
+  let presetPickerState = { favorites: [], recents: [] };
 
   const SOUND_LABELS = {
     calling: '発信中（呼び出し音）',
@@ -5769,6 +6737,31 @@
     doorchime: 'ドアチャイム'
   };
 
+  const PRESET_CATEGORY_LABELS = {
+    ...SOUND_LABELS,
+    calling: '呼び出し音',
+    countdown: 'カウントダウン音',
+    library: 'マイライブラリ'
+  };
+
+  const SOUND_MODE_LABELS = {
+    original: 'オリジナル',
+    preset: 'プリセット',
+    custom: 'カスタム',
+    library: 'ライブラリ',
+    rotation: 'ローテーション',
+    announce: '読み上げ'
+  };
+
+  /**
+   * HTMLエスケープ（ユーザー入力をinnerHTMLに埋め込む場合）
+   */
+  function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text ?? '';
+    return div.innerHTML;
+  }
+
   /**
    * 音声設定モーダルを作成
    */
@@ -5994,6 +6987,34 @@
         .rsc-sound-custom-delete:hover {
           color: #f87171;
         }
+        .rsc-sound-search {
+          width: 100%;
+          box-sizing: border-box;
+          margin-bottom: 16px;
+          padding: 8px 12px;
+          border: 1px solid rgba(255,255,255,0.2);
+          border-radius: 8px;
+          background: rgba(255,255,255,0.1);
+          color: #fff;
+          font-size: 13px;
+        }
+        .rsc-sound-search::placeholder {
+          color: rgba(255,255,255,0.5);
+        }
+        .rsc-sound-profile-row {
+          display: flex;
+          align-items: center;
+          gap: 12px;
+          margin-bottom: 16px;
+          padding-bottom: 16px;
+          border-bottom: 1px solid rgba(255,255,255,0.1);
+        }
+        .rsc-sound-profile-label {
+          color: #fff;
+          font-size: 14px;
+          font-weight: 500;
+          white-space: nowrap;
+        }
         .rsc-sound-notification {
           margin-top: 20px;
           padding-top: 20px;
@@ -6240,34 +7261,6 @@
         .rsc-hs-upload-btn:hover {
           background: #4b5563;
         }
-        .rsc-hs-custom-info {
-          display: flex;
-          align-items: center;
-          gap: 8px;
-          margin-top: 8px;
-          padding: 8px 12px;
-          background: #3d3d3d;
-          border-radius: 6px;
-          font-size: 13px;
-        }
-        .rsc-hs-custom-name {
-          flex: 1;
-          color: #4ade80;
-          overflow: hidden;
-          text-overflow: ellipsis;
-          white-space: nowrap;
-        }
-        .rsc-hs-custom-delete {
-          background: none;
-          border: none;
-          color: #ef4444;
-          font-size: 14px;
-          cursor: pointer;
-          padding: 2px 6px;
-        }
-        .rsc-hs-custom-delete:hover {
-          color: #f87171;
-        }
         .rsc-hs-test-btn {
           width: 100%;
           padding: 10px;
@@ -6312,10 +7305,6 @@
               <button class="rsc-hs-sound-btn rsc-hs-upload-btn" id="rsc-hs-sound-upload" title="カスタム音声をアップロード">📁</button>
               <input type="file" id="rsc-hs-sound-file" accept="audio/*" style="display:none;">
             </div>
-            <div class="rsc-hs-custom-info" id="rsc-hs-custom-info" style="display:none;">
-              <span class="rsc-hs-custom-name"></span>
-              <button class="rsc-hs-custom-delete" title="削除">✕</button>
-            </div>
           </div>
           <button class="rsc-hs-test-btn" id="rsc-hs-test">🔔 通知テスト</button>
         </div>
@@ -6382,23 +7371,27 @@
         reader.onload = async (event) => {
           const base64Data = event.target.result;
 
-          // カスタム音声を保存
-          await chrome.runtime.sendMessage({
-            type: 'SAVE_NOTIFICATION_CUSTOM_SOUND',
+          // ライブラリに追加（他の音声からも選べる）
+          const response = await chrome.runtime.sendMessage({
+            type: 'ADD_LIBRARY_SOUND',
             data: base64Data,
             fileName: file.name,
-            mimeType: file.type
+            mimeType: file.type,
+            name: file.name.replace(/\.[^.]+$/, '')
           });
+          if (!response || !response.success) {
+            showTimerToast('アップロードに失敗しました');
+            return;
+          }
 
           // 設定を更新
           if (!settings.notifications) settings.notifications = {};
-          settings.notifications.soundPreset = 'custom';
-          settings.notifications.customFileName = file.name;
+          settings.notifications.soundPreset = `library:${response.data.id}`;
           await saveHandSignSettings();
 
-          // UI更新
-          updateCustomSoundInfo(file.name);
-          showTimerToast('カスタム音声を設定しました');
+          // UI更新（ライブラリの音声を選択肢に反映）
+          await openHandSignSettingsModal();
+          showTimerToast('ライブラリに追加して通知音に設定しました');
         };
         reader.readAsDataURL(file);
       } catch (error) {
@@ -6410,63 +7403,9 @@
       e.target.value = '';
     });
 
-    // カスタム音声削除ボタン
-    handSignSettingsModal.querySelector('.rsc-hs-custom-delete').addEventListener('click', async () => {
-      try {
-        await chrome.runtime.sendMessage({ type: 'DELETE_NOTIFICATION_CUSTOM_SOUND' });
-
-        if (!settings.notifications) settings.notifications = {};
-        settings.notifications.soundPreset = 'outgoing:outgoing_horn';
-        settings.notifications.customFileName = null;
-        await saveHandSignSettings();
-
-        // UI更新
-        updateCustomSoundInfo(null);
-        handSignSettingsModal.querySelector('#rsc-hs-sound').value = 'outgoing:outgoing_horn';
-        showTimerToast('カスタム音声を削除しました');
-      } catch (error) {
-        console.error('[HandSign] Failed to delete custom sound:', error);
-      }
-    });
-
     return handSignSettingsModal;
   }
 
-  /**
-   * カスタム音声情報の表示を更新
-   */
-  function updateCustomSoundInfo(fileName) {
-    const customInfo = handSignSettingsModal?.querySelector('#rsc-hs-custom-info');
-    const customName = handSignSettingsModal?.querySelector('.rsc-hs-custom-name');
-    const soundSelect = handSignSettingsModal?.querySelector('#rsc-hs-sound');
-
-    if (!customInfo) return;
-
-    if (fileName) {
-      customInfo.style.display = 'flex';
-      customName.textContent = `🎵 ${fileName}`;
-      // プルダウンを無効化してカスタムを示す
-      if (soundSelect) {
-        // カスタムオプションを追加または選択
-        let customOption = soundSelect.querySelector('option[value="custom"]');
-        if (!customOption) {
-          customOption = document.createElement('option');
-          customOption.value = 'custom';
-          customOption.textContent = '🎵 カスタム音声';
-          soundSelect.insertBefore(customOption, soundSelect.firstChild);
-        }
-        soundSelect.value = 'custom';
-      }
-    } else {
-      customInfo.style.display = 'none';
-      // カスタムオプションを削除
-      const customOption = soundSelect?.querySelector('option[value="custom"]');
-      if (customOption) {
-        customOption.remove();
-      }
-    }
-  }
-
   /**
    * ハンドサイン設定モーダルを開く
    */
@@ -6491,7 +7430,8 @@
           incoming: '着信音',
           outgoing: '発信音',
           disconnect: '切断音',
-          doorchime: 'ドアチャイム'
+          doorchime: 'ドアチャイム',
+          library: 'マイライブラリ'
         };
         for (const [category, sounds] of Object.entries(presetsResponse.data)) {
           if (Array.isArray(sounds) && sounds.length > 0) {
@@ -6514,13 +7454,7 @@
     // 現在の選択を反映
     const currentSound = settings.notifications?.soundPreset || 'outgoing:outgoing_horn';
 
-    // カスタム音声が設定されている場合
-    if (currentSound === 'custom' && settings.notifications?.customFileName) {
-      updateCustomSoundInfo(settings.notifications.customFileName);
-    } else {
-      updateCustomSoundInfo(null);
-      soundSelect.value = currentSound;
-    }
+    soundSelect.value = currentSound;
   }
 
   /**
@@ -6562,6 +7496,18 @@
       if (settingsResponse && settingsResponse.success) {
         soundSettings = settingsResponse.data;
       }
+
+      // お気に入り・最近使ったプリセットを取得
+      const pickerResponse = await chrome.runtime.sendMessage({ type: 'GET_PRESET_PICKER_STATE' });
+      if (pickerResponse && pickerResponse.success) {
+        presetPickerState = pickerResponse.data;
+      }
+
+      // サウンドプロファイルを取得
+      const profilesResponse = await chrome.runtime.sendMessage({ type: 'GET_SOUND_PROFILES' });
+      if (profilesResponse && profilesResponse.success) {
+        soundProfiles = profilesResponse.data;
+      }
     } catch (error) {
       console.error('[HandSign] Failed to load sound settings:', error);
     }
@@ -6577,33 +7523,58 @@
       return;
     }
 
-    let html = '';
+    // 再描画しても検索語は維持する
+    const searchQuery = content.querySelector('.rsc-sound-search')?.value || '';
+    let html = `
+      <input type="search" class="rsc-sound-search" placeholder="🔍 プリセット・ライブラリを検索" value="${escapeHtml(searchQuery).replace(/"/g, '&quot;')}">
+    `;
+
+    // サウンドプロファイル切り替え
+    const profiles = soundProfiles?.profiles || [];
+    if (profiles.length > 0) {
+      const activeId = soundProfiles.activeId || '';
+      html += `
+        <div class="rsc-sound-profile-row">
+          <span class="rsc-sound-profile-label">📂 プロファイル</span>
+          <select class="rsc-sound-select rsc-sound-profile-select">
+            <option value=""${activeId ? '' : ' selected'}>── 選択 ──</option>
+            ${profiles.map(p => `<option value="${p.id}"${p.id === activeId ? ' selected' : ''}>${escapeHtml(p.name)}</option>`).join('')}
+          </select>
+        </div>
+      `;
+    }
 
     // 各音声タイプ
     const soundTypes = ['calling', 'incoming', 'outgoing', 'disconnect', 'doorchime'];
     for (const type of soundTypes) {
       const label = SOUND_LABELS[type];
-      const presets = presetSounds[type] || [];
       const currentSetting = soundSettings?.sounds?.[type] || { mode: 'original' };
       const currentMode = currentSetting.mode || 'original';
-      const currentPresetId = currentSetting.presetId || '';
+      let currentValue = '';
+      if (currentMode === 'preset') {
+        currentValue = `preset:${currentSetting.presetCategory || type}:${currentSetting.presetId}`;
+      } else if (currentMode === 'library') {
+        currentValue = `library:${currentSetting.librarySoundId}`;
+      }
 
       const customFileName = currentSetting.customFileName || '';
       const hasCustom = currentMode === 'custom' && customFileName;
+      const hasRotation = (currentSetting.rotation?.items?.length || 0) > 0;
+      const hasAnnounce = !!currentSetting.announce;
 
       html += `
         <div class="rsc-sound-item" data-type="${type}">
           <div class="rsc-sound-item-header">
             <span class="rsc-sound-item-label">${label}</span>
-            <span class="rsc-sound-item-mode">${currentMode === 'original' ? 'オリジナル' : currentMode === 'preset' ? 'プリセット' : 'カスタム'}</span>
+            <span class="rsc-sound-item-mode">${SOUND_MODE_LABELS[currentMode] || 'カスタム'}</span>
           </div>
           <div class="rsc-sound-select-row">
             <select class="rsc-sound-select" data-type="${type}">
               <option value="original"${currentMode === 'original' ? ' selected' : ''}>オリジナル</option>
               ${hasCustom ? `<option value="custom" selected>🎵 カスタム音声</option>` : ''}
-              <optgroup label="プリセット">
-                ${presets.map(p => `<option value="preset:${p.id}"${currentMode === 'preset' && currentPresetId === p.id ? ' selected' : ''}>${p.label}</option>`).join('')}
-              </optgroup>
+              ${hasRotation ? `<option value="rotation"${currentMode === 'rotation' ? ' selected' : ''}>🔀 ローテーション（${currentSetting.rotation.items.length}件）</option>` : ''}
+              ${hasAnnounce ? `<option value="announce"${currentMode === 'announce' ? ' selected' : ''}>🗣️ 読み上げ</option>` : ''}
+              ${renderSlotPresetOptions(type, currentValue)}
             </select>
             <button class="rsc-sound-play-btn" data-type="${type}" title="試聴">▶</button>
             <button class="rsc-sound-upload-btn" data-type="${type}" title="カスタム音声をアップロード">📁</button>
@@ -6620,27 +7591,20 @@
     }
 
     // 通知音設定
-    const notifCustom = settings.notifications?.soundPreset === 'custom';
-    const notifFileName = settings.notifications?.customFileName || '';
+    const notifRotationCount = settings.notifications?.rotation?.items?.length || 0;
     html += `
       <div class="rsc-sound-notification">
         <div class="rsc-sound-notification-title">🔔 ハンドサイン検出時の通知音</div>
         <div class="rsc-sound-item" data-type="notification">
           <div class="rsc-sound-select-row">
             <select class="rsc-sound-select" data-type="notification" id="rsc-notification-sound-select">
-              ${notifCustom ? '<option value="custom" selected>🎵 カスタム音声</option>' : ''}
+              ${notifRotationCount > 0 ? `<option value="rotation"${settings.notifications?.soundPreset === 'rotation' ? ' selected' : ''}>🔀 ローテーション（${notifRotationCount}件）</option>` : ''}
               ${renderNotificationOptions()}
             </select>
             <button class="rsc-sound-play-btn" data-type="notification" title="試聴">▶</button>
             <button class="rsc-sound-upload-btn" data-type="notification" title="カスタム音声をアップロード">📁</button>
             <input type="file" class="rsc-sound-file-input" data-type="notification" accept="audio/*" style="display:none;">
           </div>
-          ${notifCustom && notifFileName ? `
-            <div class="rsc-sound-custom-info" data-type="notification">
-              <span class="rsc-sound-custom-name">🎵 ${notifFileName}</span>
-              <button class="rsc-sound-custom-delete" data-type="notification" title="削除">✕</button>
-            </div>
-          ` : ''}
         </div>
       </div>
     `;
@@ -6655,6 +7619,7 @@
           <div class="rsc-sound-select-row">
             <select class="rsc-sound-select" data-type="countdown">
               ${countdownPresets.map(p => `<option value="countdown:${p.id}"${currentCountdown === `countdown:${p.id}` ? ' selected' : ''}>${p.label}</option>`).join('')}
+              ${renderLibraryOptions('library:', currentCountdown)}
             </select>
             <button class="rsc-sound-play-btn" data-type="countdown" title="試聴">▶</button>
           </div>
@@ -6665,9 +7630,13 @@
     content.innerHTML = html;
 
     // イベントハンドラー
-    content.querySelectorAll('.rsc-sound-select').forEach(select => {
+    const searchInput = content.querySelector('.rsc-sound-search');
+    searchInput.addEventListener('input', handleSoundSearch);
+    if (searchQuery) handleSoundSearch({ target: searchInput });
+    content.querySelectorAll('.rsc-sound-select[data-type]').forEach(select => {
       select.addEventListener('change', handleSoundChange);
     });
+    content.querySelector('.rsc-sound-profile-select')?.addEventListener('change', handleSoundProfileChange);
     content.querySelectorAll('.rsc-sound-play-btn').forEach(btn => {
       btn.addEventListener('click', handleSoundPreview);
     });
@@ -6682,6 +7651,32 @@
     });
   }
 
+  /**
+   * サウンドプロファイル切り替えハンドラー
+   */
+  async function handleSoundProfileChange(e) {
+    const profileId = e.target.value;
+    if (!profileId) return;
+
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'APPLY_SOUND_PROFILE', profileId });
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'apply failed');
+      }
+
+      const profile = soundProfiles.profiles.find(p => p.id === profileId);
+      showTimerToast(`🔊 ${profile?.name || 'プロファイル'}に切り替えました`);
+
+      // ハンドサイン設定（通知音・カウントダウン音）も更新されるため再読み込み
+      await loadSettings();
+      await loadSoundSettingsData();
+      renderSoundSettings();
+    } catch (error) {
+      console.error('[HandSign] Failed to apply sound profile:', error);
+      showTimerToast('プロファイルの切り替えに失敗しました');
+    }
+  }
+
   /**
    * 通知音オプションをレンダリング
    */
@@ -6698,6 +7693,7 @@
 
     for (const [category, sounds] of Object.entries(presetSounds || {})) {
       if (category === 'calling') continue; // 呼び出し音は通知には不向き
+      if (category === 'library') continue; // ライブラリは最後にまとめて表示
       const label = categoryLabels[category] || category;
       options += `<optgroup label="${label}">`;
       for (const sound of sounds) {
@@ -6708,7 +7704,96 @@
       options += '</optgroup>';
     }
 
-    return options;
+    return options + renderLibraryOptions('library:', currentPreset);
+  }
+
+  /**
+   * 音声スロットの選択肢をレンダリング（お気に入り・最近使った・全カテゴリ・ライブラリ）
+   */
+  function renderSlotPresetOptions(type, currentValue) {
+    const used = getUsedSlotPresets(type);
+    const choices = [];
+    for (const [category, sounds] of Object.entries(presetSounds || {})) {
+      if (category === 'library') continue;
+      for (const sound of sounds) {
+        choices.push({ key: `${category}:${sound.id}`, value: `preset:${category}:${sound.id}`, category, sound });
+      }
+    }
+    for (const sound of presetSounds?.library || []) {
+      choices.push({ key: `library:${sound.id}`, value: `library:${sound.id}`, category: 'library', sound });
+    }
+
+    const renderOption = (choice, { selectable = true, withCategory = false } = {}) => {
+      const usedBy = used.get(choice.key);
+      const categoryText = withCategory ? `［${PRESET_CATEGORY_LABELS[choice.category] || choice.category}］` : '';
+      const usedText = usedBy ? `（使用中: ${usedBy}）` : '';
+      const selected = selectable && choice.value === currentValue ? ' selected' : '';
+      const tags = (choice.sound.tags || []).join(' ');
+      return `<option value="${choice.value}" data-search="${escapeHtml(`${choice.sound.label} ${choice.sound.packName || ''} ${tags}`.toLowerCase()).replace(/"/g, '&quot;')}"${selected}>${escapeHtml(choice.sound.label)}${categoryText}${usedText}</option>`;
+    };
+    const renderGroup = (label, items, options) => items.length > 0
+      ? `<optgroup label="${label}">${items.map(choice => renderOption(choice, options)).join('')}</optgroup>`
+      : '';
+    const pick = keys => keys.map(key => choices.find(choice => choice.key === key)).filter(Boolean);
+
+    // お気に入り・最近使ったは重複表示になるため選択状態はカテゴリ側にだけ付ける
+    let html = renderGroup('★ お気に入り', pick(presetPickerState.favorites || []), { selectable: false, withCategory: true });
+    html += renderGroup('🕘 最近使った', pick(presetPickerState.recents || []), { selectable: false, withCategory: true });
+
+    // 自分のスロットのカテゴリを先頭に、他のカテゴリも選べるようにする
+    const categories = [...new Set(choices.map(choice => choice.category))]
+      .sort((a, b) => (b === type) - (a === type));
+    for (const category of categories) {
+      html += renderGroup(PRESET_CATEGORY_LABELS[category] || category, choices.filter(choice => choice.category === category));
+    }
+    return html;
+  }
+
+  /**
+   * 他の音声スロットで使用中のプリセットを取得（"カテゴリ:ID" → スロット名）
+   */
+  function getUsedSlotPresets(excludeType) {
+    const used = new Map();
+    for (const [type, sound] of Object.entries(soundSettings?.sounds || {})) {
+      if (type === excludeType) continue;
+      if (sound.mode === 'preset' && sound.presetId) {
+        used.set(`${sound.presetCategory || type}:${sound.presetId}`, SOUND_LABELS[type] || type);
+      } else if (sound.mode === 'library' && sound.librarySoundId) {
+        used.set(`library:${sound.librarySoundId}`, SOUND_LABELS[type] || type);
+      }
+    }
+    return used;
+  }
+
+  /**
+   * 音声検索ハンドラー（各スロットの選択肢を絞り込む）
+   */
+  function handleSoundSearch(e) {
+    const query = e.target.value.trim().toLowerCase();
+    soundSettingsModal.querySelectorAll('.rsc-sound-item .rsc-sound-select[data-type] optgroup').forEach(group => {
+      let visibleCount = 0;
+      group.querySelectorAll('option').forEach(option => {
+        const categoryLabel = group.label.toLowerCase();
+        const matched = !query || option.dataset.search?.includes(query) || categoryLabel.includes(query);
+        option.hidden = !matched;
+        if (matched) visibleCount++;
+      });
+      group.hidden = visibleCount === 0;
+    });
+  }
+
+  /**
+   * ライブラリの音声の選択肢をレンダリング（value は prefix + 音声ID）
+   */
+  function renderLibraryOptions(prefix, currentValue) {
+    const sounds = presetSounds?.library || [];
+    if (sounds.length === 0) return '';
+
+    const options = sounds.map(sound => {
+      const value = `${prefix}${sound.id}`;
+      return `<option value="${value}"${currentValue === value ? ' selected' : ''}>${escapeHtml(sound.label)}</option>`;
+    }).join('');
+    return `<optgroup label="マイライブラリ">${options}</optgroup>`;
   }
 
   /**
@@ -6735,17 +7820,24 @@
         // 通常の音声設定
         if (value === 'original') {
           await chrome.runtime.sendMessage({ type: 'SET_ORIGINAL', id: type });
+        } else if (value === 'rotation') {
+          // 保存済みのプールでローテーションに戻す
+          await chrome.runtime.sendMessage({ type: 'SET_ROTATION', slot: type, rotation: soundSettings?.sounds?.[type]?.rotation });
+        } else if (value === 'announce') {
+          // 保存済みの読み上げ設定に戻す
+          await chrome.runtime.sendMessage({ type: 'SET_ANNOUNCE', id: type, announce: soundSettings?.sounds?.[type]?.announce });
         } else if (value.startsWith('preset:')) {
-          const presetId = value.replace('preset:', '');
-          await chrome.runtime.sendMessage({ type: 'SET_PRESET', id: type, presetId });
+          const [, presetCategory, presetId] = value.split(':');
+          const response = await chrome.runtime.sendMessage({ type: 'SET_PRESET', id: type, presetCategory, presetId });
+          if (!response?.success) throw new Error(response?.error || 'set preset failed');
+        } else if (value.startsWith('library:')) {
+          const soundId = value.replace('library:', '');
+          await chrome.runtime.sendMessage({ type: 'SET_LIBRARY_SOUND', id: type, soundId });
         }
 
-        // モード表示を更新
-        const item = e.target.closest('.rsc-sound-item');
-        const modeSpan = item.querySelector('.rsc-sound-item-mode');
-        if (modeSpan) {
-          modeSpan.textContent = value === 'original' ? 'オリジナル' : 'プリセット';
-        }
+        // モード表示・使用中表示・最近使った一覧を更新するため再描画
+        await loadSoundSettingsData();
+        renderSoundSettings();
         showTimerToast('音声を変更しました');
       }
     } catch (error) {
@@ -6765,14 +7857,20 @@
     try {
       let soundUrl = null;
 
-      if (type === 'notification' || type === 'countdown') {
+      if (value === 'rotation') {
+        showTimerToast('🔀 再生のたびに音が切り替わります');
+        return;
+      } else if (value === 'announce') {
+        showTimerToast('🗣️ 相手の名前を読み上げます');
+        return;
+      } else if (type === 'notification' || type === 'countdown') {
         // 通知音・カウントダウン音
         const [category, presetId] = value.split(':');
         const presets = presetSounds[category];
         if (presets) {
           const preset = presets.find(p => p.id === presetId);
           if (preset && preset.file) {
-            soundUrl = chrome.runtime.getURL(`sounds/${category}/${preset.file}`);
+            soundUrl = await getPresetSoundUrl(category, preset);
           } else if (preset && !preset.file) {
             // なし（無音）の場合
             showTimerToast('無音が設定されています');
@@ -6783,14 +7881,17 @@
         showTimerToast('オリジナル音はRemowork上で再生されます');
         return;
       } else if (value.startsWith('preset:')) {
-        const presetId = value.replace('preset:', '');
-        const presets = presetSounds[type];
-        if (presets) {
-          const preset = presets.find(p => p.id === presetId);
-          if (preset) {
-            soundUrl = chrome.runtime.getURL(`sounds/${type}/${preset.file}`);
-          }
+        const [, category, presetId] = value.split(':');
+        const preset = (presetSounds[category] || []).find(p => p.id === presetId);
+        if (preset && preset.file) {
+          soundUrl = await getPresetSoundUrl(category, preset);
+        } else if (preset) {
+          showTimerToast('無音が設定されています');
+          return;
         }
+      } else if (value.startsWith('library:')) {
+        const sound = (presetSounds.library || []).find(s => s.id === value.replace('library:', ''));
+        soundUrl = sound ? await getPresetSoundUrl('library', sound) : null;
       }
 
       if (soundUrl) {
@@ -6799,20 +7900,11 @@
         await audio.play();
       } else if (value === 'custom') {
         // カスタム音声の試聴
-        if (type === 'notification') {
-          const result = await chrome.storage.local.get('notificationCustomSound');
-          if (result.notificationCustomSound?.data) {
-            const audio = new Audio(result.notificationCustomSound.data);
-            audio.volume = 0.7;
-            await audio.play();
-          }
-        } else {
-          const result = await chrome.runtime.sendMessage({ type: 'GET_SOUND', id: type });
-          if (result.success && result.data) {
-            const audio = new Audio(result.data);
-            audio.volume = 0.7;
-            await audio.play();
-          }
+        const result = await chrome.runtime.sendMessage({ type: 'GET_SOUND', id: type });
+        if (result.success && result.data) {
+          const audio = new Audio(result.data);
+          audio.volume = 0.7;
+          await audio.play();
         }
       }
     } catch (error) {
@@ -6852,17 +7944,21 @@
         const base64Data = event.target.result;
 
         if (type === 'notification') {
-          // 通知音カスタム
-          await chrome.runtime.sendMessage({
-            type: 'SAVE_NOTIFICATION_CUSTOM_SOUND',
+          // 通知音はライブラリに追加して選択（他の音声からも選べる）
+          const response = await chrome.runtime.sendMessage({
+            type: 'ADD_LIBRARY_SOUND',
             data: base64Data,
             fileName: file.name,
-            mimeType: file.type
+            mimeType: file.type,
+            name: file.name.replace(/\.[^.]+$/, '')
           });
+          if (!response || !response.success) {
+            showTimerToast('アップロードに失敗しました');
+            return;
+          }
 
           settings.notifications = settings.notifications || {};
-          settings.notifications.soundPreset = 'custom';
-          settings.notifications.customFileName = file.name;
+          settings.notifications.soundPreset = `library:${response.data.id}`;
           await chrome.storage.local.set({ handSignSettings: settings });
         } else {
           // 通常の音声カスタム
@@ -6905,19 +8001,10 @@
     const type = e.target.closest('.rsc-sound-custom-delete').dataset.type;
 
     try {
-      if (type === 'notification') {
-        await chrome.runtime.sendMessage({ type: 'DELETE_NOTIFICATION_CUSTOM_SOUND' });
-
-        settings.notifications = settings.notifications || {};
-        settings.notifications.soundPreset = 'outgoing:outgoing_horn';
-        settings.notifications.customFileName = null;
-        await chrome.storage.local.set({ handSignSettings: settings });
-      } else {
-        await chrome.runtime.sendMessage({ type: 'DELETE_SOUND', id: type });
+      await chrome.runtime.sendMessage({ type: 'DELETE_SOUND', id: type });
 
-        soundSettings.sounds = soundSettings.sounds || {};
-        soundSettings.sounds[type] = { mode: 'original' };
-      }
+      soundSettings.sounds = soundSettings.sounds || {};
+      soundSettings.sounds[type] = { mode: 'original' };
 
       showTimerToast('カスタム音声を削除しました');
 
@@ -0,0 +1,234 @@
+/**
+ * Remowork Sound Changer - Hand Sign History Database
+ * IndexedDBを使用したハンドサイン検出履歴の永続化管理
+ */
+
+(function() {
+  'use strict';
+
+  const HISTORY_DB_NAME = 'HandSignHistory';
+  const HISTORY_STORE_NAME = 'detections';
+
+  let historyDb = null;
+
+  /**
+   * IndexedDBを初期化
+   */
+  async function initHistoryDb() {
+    if (historyDb) return historyDb;
+
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(HISTORY_DB_NAME, 1);
+
+      request.onerror = () => {
+        console.error('[HandSignHistoryDB] Failed to open DB:', request.error);
+        reject(request.error);
+      };
+
+      request.onsuccess = () => {
+        historyDb = request.result;
+        console.log('[HandSignHistoryDB] DB opened');
+        resolve(historyDb);
+      };
+
+      request.onupgradeneeded = (event) => {
+        const db = event.target.result;
+        if (!db.objectStoreNames.contains(HISTORY_STORE_NAME)) {
+          const store = db.createObjectStore(HISTORY_STORE_NAME, { keyPath: 'id', autoIncrement: true });
+          store.createIndex('at', 'at', { unique: false });
+          console.log('[HandSignHistoryDB] Store created');
+        }
+      };
+    });
+  }
+
+  /**
+   * 検出結果をIndexedDBに保存
+   * @param {Object} entry - { name, type, emoji, message, score, at, thumbnail }
+   */
+  async function saveDetectionToDb(entry) {
+    try {
+      const db = await initHistoryDb();
+      return new Promise((resolve, reject) => {
+        const transaction = db.transaction([HISTORY_STORE_NAME], 'readwrite');
+        const store = transaction.objectStore(HISTORY_STORE_NAME);
+        const request = store.add(entry);
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          console.error('[HandSignHistoryDB] Failed to save detection:', request.error);
+          reject(request.error);
+        };
+      });
+    } catch (e) {
+      console.error('[HandSignHistoryDB] DB error:', e);
+    }
+  }
+
+  /**
+   * 検出履歴をまとめて保存（同じIDの履歴は上書き、バックアップからの復元用）
+   * @param {Array} entries - id 付きの検出履歴
+   * @returns {number} 保存件数
+   */
+  async function putDetectionsToDb(entries) {
+    const db = await initHistoryDb();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([HISTORY_STORE_NAME], 'readwrite');
+      const store = transaction.objectStore(HISTORY_STORE_NAME);
+      for (const entry of entries) {
+        store.put(entry);
+      }
+
+      transaction.oncomplete = () => {
+        console.log('[HandSignHistoryDB] Detections imported:', entries.length);
+        resolve(entries.length);
+      };
+      transaction.onerror = () => {
+        console.error('[HandSignHistoryDB] Failed to import detections:', transaction.error);
+        reject(transaction.error);
+      };
+    });
+  }
+
+  /**
+   * 全ての検出履歴をIndexedDBから読み込み
+   * @returns {Array} 検出履歴の配列（新しい順）
+   */
+  async function loadDetectionsFromDb() {
+    try {
+      const db = await initHistoryDb();
+      return new Promise((resolve, reject) => {
+        const transaction = db.transaction([HISTORY_STORE_NAME], 'readonly');
+        const store = transaction.objectStore(HISTORY_STORE_NAME);
+        const request = store.index('at').getAll();
+
+        request.onsuccess = () => {
+          // インデックス順（古い順）を新しい順に並べ替え
+          resolve((request.result || []).reverse());
+        };
+        request.onerror = () => {
+          console.error('[HandSignHistoryDB] Failed to load detections:', request.error);
+          reject(request.error);
+        };
+      });
+    } catch (e) {
+      console.error('[HandSignHistoryDB] DB error:', e);
+      return [];
+    }
+  }
+
+  /**
+   * メンバーごとの最新の検出をIndexedDBから読み込み（サムネイルは含めない）
+   * 新しい順のカーソルで走査し、全件を配列に読み込まない
+   * @returns {Array<{name, imageUrl, at}>} メンバーごとの最新の検出
+   */
+  async function loadLatestDetectionsFromDb() {
+    try {
+      const db = await initHistoryDb();
+      return new Promise((resolve, reject) => {
+        const transaction = db.transaction([HISTORY_STORE_NAME], 'readonly');
+        const store = transaction.objectStore(HISTORY_STORE_NAME);
+        const request = store.index('at').openCursor(null, 'prev');
+        const latest = new Map();
+
+        request.onsuccess = () => {
+          const cursor = request.result;
+          if (!cursor) {
+            resolve([...latest.values()]);
+            return;
+          }
+          const { name, imageUrl, at } = cursor.value;
+          if (!latest.has(name)) {
+            latest.set(name, { name, imageUrl, at });
+          }
+          cursor.continue();
+        };
+        request.onerror = () => {
+          console.error('[HandSignHistoryDB] Failed to load latest detections:', request.error);
+          reject(request.error);
+        };
+      });
+    } catch (e) {
+      console.error('[HandSignHistoryDB] DB error:', e);
+      return [];
+    }
+  }
+
+  /**
+   * 検出履歴を全て削除
+   */
+  async function clearDetectionsFromDb() {
+    try {
+      const db = await initHistoryDb();
+      return new Promise((resolve, reject) => {
+        const transaction = db.transaction([HISTORY_STORE_NAME], 'readwrite');
+        const store = transaction.objectStore(HISTORY_STORE_NAME);
+        const request = store.clear();
+
+        request.onsuccess = () => {
+          console.log('[HandSignHistoryDB] Detections cleared');
+          resolve();
+        };
+        request.onerror = () => {
+          console.error('[HandSignHistoryDB] Failed to clear detections:', request.error);
+          reject(request.error);
+        };
+      });
+    } catch (e) {
+      console.error('[HandSignHistoryDB] DB error:', e);
+    }
+  }
+
+  /**
+   * 指定日数より古い検出履歴を削除
+   * @param {number} days - 日数（デフォルト30日）
+   * @returns {number} 削除件数
+   */
+  async function cleanupOldDetections(days = 30) {
+    const cutoffTime = Date.now() - (days * 24 * 60 * 60 * 1000);
+
+    try {
+      const db = await initHistoryDb();
+      return new Promise((resolve, reject) => {
+        const transaction = db.transaction([HISTORY_STORE_NAME], 'readwrite');
+        const store = transaction.objectStore(HISTORY_STORE_NAME);
+        const request = store.index('at').openCursor(IDBKeyRange.upperBound(cutoffTime, true));
+        let deleted = 0;
+
+        request.onsuccess = () => {
+          const cursor = request.result;
+          if (cursor) {
+            cursor.delete();
+            deleted++;
+            cursor.continue();
+          }
+        };
+        transaction.oncomplete = () => {
+          if (deleted > 0) {
+            console.log(`[HandSignHistoryDB] Cleaned up ${deleted} old detections`);
+          }
+          resolve(deleted);
+        };
+        transaction.onerror = () => {
+          console.error('[HandSignHistoryDB] Cleanup error:', transaction.error);
+          reject(transaction.error);
+        };
+      });
+    } catch (e) {
+      console.error('[HandSignHistoryDB] Cleanup error:', e);
+      return 0;
+    }
+  }
+
+  // グローバルに公開
+  window.HandSignHistoryDB = {
+    init: initHistoryDb,
+    save: saveDetectionToDb,
+    putAll: putDetectionsToDb,
+    loadAll: loadDetectionsFromDb,
+    loadLatest: loadLatestDetectionsFromDb,
+    clear: clearDetectionsFromDb,
+    cleanup: cleanupOldDetections
+  };
+
+})();
@@ -21,11 +21,7 @@
     }
   }
 
-  if (!config.enabled) {
-    console.log('[RemoworkSoundChanger] Disabled');
-    return;
-  }
-
+  // 無効でも通話状態・おやすみモード・音声URLの検出のためにフックは入れる（差し替えだけを止める）
   console.log('[RemoworkSoundChanger] Initializing with config:', config);
 
   // 対象パスのマッピング（複数パス対応）
@@ -93,10 +89,280 @@
 
   const extensionBaseUrl = getExtensionBaseUrl();
 
+  // =============================================
+  // おやすみモード
+  // 対象の音声をミュートし、誰が鳴らしたかをコンテンツスクリプト側で画面に表示する
+  // =============================================
+
+  /**
+   * おやすみモード中か（終了時刻を過ぎていれば設定の更新を待たずに解除扱い）
+   */
+  function isDndActive() {
+    const dnd = config.dnd;
+    return !!dnd && (!dnd.until || Date.now() < dnd.until);
+  }
+
+  /**
+   * ミュートした音声をコンテンツスクリプトに通知
+   */
+  function notifySoundSuppressed(soundId) {
+    window.postMessage({
+      source: 'remowork-sound-changer-inject',
+      type: 'SOUND_SUPPRESSED',
+      soundId,
+      label: config.sounds[soundId]?.label || soundId,
+      callerName: getCallerName()
+    }, '*');
+  }
+
+  // =============================================
+  // 通話状態
+  // 呼び出し音・切断音の再生、応答ボタン、WebRTC の接続状態から
+  // idle → ringing-in / ringing-out → in-call → ended → idle の状態を判定して通知する
+  // =============================================
+
+  // 呼び出し音と、鳴り始めたときの状態
+  const RINGING_SOUNDS = {
+    incoming: 'ringing-in',
+    calling: 'ringing-out',
+    outgoing: 'ringing-out'
+  };
+  // 呼び出し音が止まってから応答・拒否を判定するまでの待ち時間（拒否時は直後に切断音が鳴る）
+  const RING_STOP_GRACE_MS = 1500;
+  // 発信音が止まってから相手との接続を待つ時間（接続しなければ未応答で終了）
+  const OUTGOING_CONNECT_TIMEOUT_MS = 10000;
+  // 終了してから待機中に戻るまでの時間
+  const CALL_ENDED_RESET_MS = 3000;
+
+  const IDLE_CALL = { state: 'idle', direction: null, callerName: null, ringStartedAt: null, connectedAt: null };
+  let currentCall = { ...IDLE_CALL };
+  let ringStopTimer = null;
+  let callResetTimer = null;
+  // 接続中の RTCPeerConnection と最後に接続した時刻
+  const connectedPeers = new Set();
+  let lastPeerConnectedAt = 0;
+  // 停止イベントを登録済みの Audio 要素
+  const callWatchedAudios = new WeakSet();
+
+  function isRinging() {
+    return currentCall.state === 'ringing-in' || currentCall.state === 'ringing-out';
+  }
+
+  /**
+   * 通話状態を変更してコンテンツスクリプトに通知
+   * @param {string} state - 'idle' | 'ringing-in' | 'ringing-out' | 'in-call' | 'ended'
+   * @param {string|null} reason - 終了理由（省略時は状況から判定）
+   */
+  function setCallState(state, reason = null) {
+    if (currentCall.state === state) return;
+
+    const previousState = currentCall.state;
+    const now = Date.now();
+    clearTimeout(ringStopTimer);
+    ringStopTimer = null;
+    clearTimeout(callResetTimer);
+    callResetTimer = null;
+
+    if (state === 'idle') {
+      currentCall = { ...IDLE_CALL };
+    } else if (state === 'ringing-in' || state === 'ringing-out') {
+      currentCall = {
+        state,
+        direction: state === 'ringing-in' ? 'incoming' : 'outgoing',
+        callerName: getCallerName(),
+        ringStartedAt: now,
+        connectedAt: null
+      };
+    } else if (state === 'in-call') {
+      currentCall = { ...currentCall, state, connectedAt: now, callerName: currentCall.callerName || getCallerName() };
+    } else {
+      currentCall = { ...currentCall, state };
+    }
+
+    if (state === 'ended' && !reason) {
+      if (currentCall.connectedAt) {
+        reason = 'hangup';
+      } else {
+        reason = currentCall.direction === 'incoming' ? 'missed' : 'unanswered';
+      }
+    }
+
+    const event = {
+      state,
+      previousState,
+      direction: currentCall.direction,
+      callerName: currentCall.callerName,
+      timestamp: now,
+      ringStartedAt: currentCall.ringStartedAt,
+      connectedAt: currentCall.connectedAt,
+      endedAt: state === 'ended' ? now : null,
+      duration: state === 'ended' && currentCall.connectedAt ? now - currentCall.connectedAt : null,
+      reason: state === 'ended' ? reason : null
+    };
+    console.log(`[RemoworkSoundChanger] Call state: ${previousState} → ${state}`, event);
+    window.postMessage({
+      source: 'remowork-sound-changer-inject',
+      type: 'CALL_STATE_CHANGED',
+      event
+    }, '*');
+
+    if (state === 'ended') {
+      callResetTimer = setTimeout(() => setCallState('idle'), CALL_ENDED_RESET_MS);
+    }
+  }
+
+  /**
+   * 対象音声の再生開始を通話状態に反映
+   */
+  function handleCallSoundStarted(soundId) {
+    const ringingState = RINGING_SOUNDS[soundId];
+    if (ringingState) {
+      if (currentCall.state === ringingState) {
+        // 鳴り直した場合は停止の判定を取り消す
+        clearTimeout(ringStopTimer);
+        ringStopTimer = null;
+      } else if (currentCall.state === 'idle' || currentCall.state === 'ended') {
+        setCallState(ringingState);
+      }
+      return;
+    }
+
+    if (soundId === 'disconnect' && (isRinging() || currentCall.state === 'in-call')) {
+      setCallState('ended', currentCall.state === 'ringing-in' ? 'declined' : null);
+    }
+
+    // ドアチャイム（ノック）は通話状態を変えずに記録する
+    if (soundId === 'doorchime') {
+      window.postMessage({
+        source: 'remowork-sound-changer-inject',
+        type: 'DOOR_KNOCK',
+        callerName: getCallerName(),
+        timestamp: Date.now()
+      }, '*');
+    }
+  }
+
+  /**
+   * 対象音声の停止を通話状態に反映
+   */
+  function handleCallSoundStopped(soundId) {
+    if (RINGING_SOUNDS[soundId] !== currentCall.state || ringStopTimer) return;
+
+    ringStopTimer = setTimeout(() => {
+      ringStopTimer = null;
+      if (!isRinging()) return;
+
+      // 呼び出し中に相手とつながった場合は通話開始とみなす
+      if (lastPeerConnectedAt >= currentCall.ringStartedAt) {
+        setCallState('in-call');
+      } else if (currentCall.state === 'ringing-out') {
+        // 発信は接続が音の停止より遅れることがあるため、しばらく接続を待つ（接続すれば handlePeerConnectionState で通話開始）
+        ringStopTimer = setTimeout(() => {
+          ringStopTimer = null;
+          if (currentCall.state === 'ringing-out') {
+            setCallState('ended');
+          }
+        }, OUTGOING_CONNECT_TIMEOUT_MS);
+      } else {
+        setCallState('ended');
+      }
+    }, RING_STOP_GRACE_MS);
+  }
+
+  /**
+   * RTCPeerConnection の接続状態を通話状態に反映
+   */
+  function handlePeerConnectionState(pc) {
+    if (pc.connectionState === 'connected') {
+      connectedPeers.add(pc);
+      lastPeerConnectedAt = Date.now();
+      if (isRinging()) {
+        setCallState('in-call');
+      }
+      return;
+    }
+
+    if (pc.connectionState === 'failed' || pc.connectionState === 'closed') {
+      const wasConnected = connectedPeers.delete(pc);
+      if (wasConnected && connectedPeers.size === 0 && currentCall.state === 'in-call') {
+        setCallState('ended');
+      }
+    }
+  }
+
+  /**
+   * RTCPeerConnection をオーバーライドして接続状態を監視
+   */
+  const OriginalRTCPeerConnection = window.RTCPeerConnection;
+  if (OriginalRTCPeerConnection) {
+    window.RTCPeerConnection = function(...args) {
+      const pc = new OriginalRTCPeerConnection(...args);
+      pc.addEventListener('connectionstatechange', () => handlePeerConnectionState(pc));
+      return pc;
+    };
+    window.RTCPeerConnection.prototype = OriginalRTCPeerConnection.prototype;
+    Object.setPrototypeOf(window.RTCPeerConnection, OriginalRTCPeerConnection);
+  }
+
+  // =============================================
+  // 音声URLの検出
+  // ページが読み込む・再生する音声を記録し、未登録の音声をポップアップから設定できるようにする
+  // =============================================
+
+  // fetch / XHR で音声として扱う拡張子（Audio / Howl は拡張子に関係なく記録）
+  const AUDIO_EXTENSION_PATTERN = /\.(mp3|wav|ogg|oga|m4a|aac|webm|opus|flac)$/i;
+
+  /**
+   * 音声URLの読み込み・再生を記録
+   * @param {string} event - 'load' | 'play'
+   * @param {boolean} fromAudioApi - Audio / Howl から（拡張子で判定しない）
+   */
+  function reportAudioUrl(url, event, fromAudioApi) {
+    if (!config.discovery) return;
+
+    const urlStr = Array.isArray(url) ? url[0] : url;
+    if (typeof urlStr !== 'string' || !urlStr) return;
+    if (urlStr.startsWith('data:') || urlStr.startsWith('blob:')) return;
+    if (extensionBaseUrl && urlStr.startsWith(extensionBaseUrl)) return;
+
+    let urlObj;
+    try {
+      urlObj = new URL(urlStr, window.location.origin);
+    } catch (e) {
+      return;
+    }
+    if (!fromAudioApi && !AUDIO_EXTENSION_PATTERN.test(urlObj.pathname)) return;
+
+    // クエリ（トークン等）は記録しない
+    window.postMessage({
+      source: 'remowork-sound-changer-inject',
+      type: 'AUDIO_DISCOVERED',
+      event,
+      path: urlObj.pathname,
+      url: urlObj.origin + urlObj.pathname
+    }, '*');
+  }
+
+  /**
+   * Howl の再生回数を記録
+   */
+  function countHowlPlays(howl, url) {
+    // html5 モードは内部の Audio 要素の play で記録される
+    if (howl._html5) return;
+
+    const play = howl.play;
+    howl.play = function(...args) {
+      reportAudioUrl(url, 'play', true);
+      return play.apply(this, args);
+    };
+  }
+
   /**
    * カスタム音声のURLを取得
    */
   function getCustomSoundUrl(soundId) {
+    // 音声差し替えが無効な場合は元の音声のまま
+    if (!config.enabled) return null;
     const soundConfig = config.sounds[soundId];
     if (!soundConfig) return null;
 
@@ -108,10 +374,15 @@
       return customSoundCache[soundId];
     }
 
+    // サウンドパック・ライブラリの音声（音声データ）
+    if (soundConfig.mode === 'preset' && soundConfig.presetData) {
+      return soundConfig.presetData;
+    }
+
     // プリセット音声（拡張機能内のファイル）
     if (soundConfig.mode === 'preset' && soundConfig.presetFile && extensionBaseUrl) {
-      // soundId からカテゴリを取得（例: doorchime -> doorchime）
-      const category = soundId;
+      // カテゴリは通常 soundId と同じ（時間帯スケジュールでは他カテゴリの場合あり）
+      const category = soundConfig.presetCategory || soundId;
       const presetUrl = `${extensionBaseUrl}sounds/${category}/${encodeURIComponent(soundConfig.presetFile)}`;
       console.log(`[RemoworkSoundChanger] Preset URL: ${presetUrl}`);
       return presetUrl;
@@ -120,21 +391,520 @@
     return null;
   }
 
+  // =============================================
+  // 発信者別ルール
+  // 着信・ドアチャイムが鳴った瞬間の相手の名前で音声を切り替える
+  // =============================================
+
+  // 着信ダイアログ・ノック通知で相手の名前を表示している要素
+  const CALLER_NAME_SELECTORS = [
+    '.v-dialog--active .user-name',
+    '.v-dialog--active [class*="name"]',
+    '.v-snackbar--active .user-name',
+    '.v-snackbar--active [class*="name"]',
+    '[class*="incoming"] .user-name',
+    '[class*="incoming"] [class*="name"]',
+    '[class*="knock"] [class*="name"]',
+    '[class*="chime"] [class*="name"]'
+  ];
+
+  /**
+   * 名前を比較用に正規化（空白除去・小文字化）
+   */
+  function normalizeName(name) {
+    return (name || '').replace(/[\s\u3000]+/g, '').toLowerCase();
+  }
+
+  /**
+   * 着信中・ノック中の相手の名前をページから取得
+   */
+  function getCallerName() {
+    for (const selector of CALLER_NAME_SELECTORS) {
+      const element = document.querySelector(selector);
+      const name = element?.textContent?.trim();
+      if (name) return name;
+    }
+
+    // 「〇〇さんから着信」のような表示から名前を抽出
+    const dialog = document.querySelector('.v-dialog--active, .v-snackbar--active');
+    const match = dialog?.textContent?.match(/([^\s]+?)\s*さん(?:から|が)/);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * 発信者に一致するルールを検索（上から順に最初に一致したもの）
+   */
+  function findCallerRule(soundId) {
+    const rules = (config.callerRules || []).filter(rule => rule.soundTypes.includes(soundId));
+    if (rules.length === 0) return null;
+
+    const callerName = normalizeName(getCallerName());
+    if (!callerName) return null;
+
+    return rules.find(rule => {
+      const pattern = normalizeName(rule.pattern);
+      return pattern && callerName.includes(pattern);
+    }) || null;
+  }
+
+  /**
+   * 発信者別ルールの音声URLを取得
+   */
+  function getCallerRuleUrl(soundId) {
+    const rule = findCallerRule(soundId);
+    if (!rule) return null;
+
+    console.log(`[RemoworkSoundChanger] Caller rule matched for ${soundId}: ${rule.pattern}`);
+    if (rule.customData) {
+      return rule.customData;
+    }
+    return getItemUrl(rule);
+  }
+
+  /**
+   * プリセット・カスタム音声の項目からURLを取得
+   * @param {Object} item - { customData } または { presetCategory, presetFile }
+   */
+  function getItemUrl(item) {
+    if (item.customData) {
+      return item.customData;
+    }
+    if (item.presetFile && extensionBaseUrl) {
+      return `${extensionBaseUrl}sounds/${item.presetCategory}/${encodeURIComponent(item.presetFile)}`;
+    }
+    return null;
+  }
+
+  // =============================================
+  // ローテーション
+  // 再生のたびにプールから1つ選ぶ（ランダム: 直前と重複なし / 順番）
+  // 順番はバックグラウンドが config の sequence で決めておき、ここでは先頭から順に使う
+  // =============================================
+
+  // 音声タイプごとの再生順の位置と直前の再生位置
+  const rotationCursor = {};
+  const rotationLastIndex = {};
+
+  /**
+   * ローテーションから次の音声URLを取得
+   */
+  function getRotationUrl(soundId) {
+    const rotation = config.sounds[soundId]?.rotation;
+    if (config.sounds[soundId]?.mode !== 'rotation' || !rotation || rotation.items.length === 0) {
+      return null;
+    }
+
+    const sequence = (rotation.sequence || []).filter(index => index < rotation.items.length);
+    if (sequence.length === 0) return null;
+    let cursor = (rotationCursor[soundId] || 0) % sequence.length;
+    // 先頭に戻ったとき・設定が更新されたときに直前と同じ項目が続かないようにする
+    if (sequence.length > 1 && rotation.items.length > 1 && sequence[cursor] === rotationLastIndex[soundId]) {
+      cursor = (cursor + 1) % sequence.length;
+    }
+    const index = sequence[cursor];
+    rotationCursor[soundId] = cursor + 1;
+    rotationLastIndex[soundId] = index;
+    console.log(`[RemoworkSoundChanger] Rotation for ${soundId}: ${index + 1}/${rotation.items.length}`);
+    return getItemUrl(rotation.items[index]);
+  }
+
+  /**
+   * 再生の瞬間に決まる音声URLを取得（発信者別ルール → ローテーション）
+   */
+  function resolvePlayTimeUrl(soundId) {
+    return getCallerRuleUrl(soundId) || getRotationUrl(soundId);
+  }
+
+  // =============================================
+  // 読み上げ（音声合成）
+  // 元の音声はミュートで再生し（ページ側のイベントを維持）、相手の名前を読み上げる
+  // =============================================
+
+  // 相手の名前が取得できなかった場合の読み上げ文
+  const ANNOUNCE_FALLBACK_TEXTS = {
+    incoming: '着信です',
+    calling: '呼び出しています',
+    doorchime: 'ノックされました'
+  };
+
+  // ループ再生中に読み上げを繰り返す間隔
+  const ANNOUNCE_REPEAT_DELAY_MS = 1500;
+
+  /**
+   * 読み上げモードかどうか
+   */
+  function isAnnounceMode(soundId) {
+    return config.sounds[soundId]?.mode === 'announce' && !!config.sounds[soundId]?.announce && 'speechSynthesis' in window;
+  }
+
+  /**
+   * 読み上げる文を生成（{name} を相手の名前に置き換え）
+   */
+  function buildAnnounceText(soundId) {
+    const { template } = config.sounds[soundId].announce;
+    const name = getCallerName()?.replace(/\s*(さん|様)$/, '');
+    if (!name && template.includes('{name}')) {
+      return ANNOUNCE_FALLBACK_TEXTS[soundId] || template.replace(/\{name\}/g, '');
+    }
+    return template.replace(/\{name\}/g, name || '');
+  }
+
+  /**
+   * 読み上げを開始（前置きのプリセットがあれば先に鳴らす）
+   * @param {Function} isLooping - true の間は読み上げを繰り返す
+   * @returns {Function} 読み上げを停止する関数
+   */
+  function startAnnouncement(soundId, isLooping) {
+    const announce = config.sounds[soundId].announce;
+    const { volume } = getPlaybackOptions(soundId);
+    const text = buildAnnounceText(soundId);
+    let stopped = false;
+    let chimeAudio = null;
+    let repeatTimer = null;
+
+    const speak = () => {
+      if (stopped) return;
+      const utterance = new SpeechSynthesisUtterance(text);
+      const voice = window.speechSynthesis.getVoices().find(v => v.voiceURI === announce.voice);
+      if (voice) {
+        utterance.voice = voice;
+      } else {
+        utterance.lang = 'ja-JP';
+      }
+      utterance.rate = announce.rate;
+      utterance.pitch = announce.pitch;
+      utterance.volume = volume;
+      utterance.onend = () => {
+        if (!stopped && isLooping()) {
+          repeatTimer = setTimeout(run, ANNOUNCE_REPEAT_DELAY_MS);
+        }
+      };
+      window.speechSynthesis.speak(utterance);
+    };
+
+    const run = () => {
+      if (stopped) return;
+      if (!announce.chimeData && (!announce.chimeFile || !extensionBaseUrl)) {
+        speak();
+        return;
+      }
+
+      let started = false;
+      const speakOnce = () => {
+        if (started) return;
+        started = true;
+        speak();
+      };
+      chimeAudio = createInternalAudio(announce.chimeData ||
+        `${extensionBaseUrl}sounds/${announce.chimeCategory}/${encodeURIComponent(announce.chimeFile)}`);
+      chimeAudio.volume = volume;
+      chimeAudio.onended = speakOnce;
+      chimeAudio.onerror = speakOnce;
+      chimeAudio.play().catch(speakOnce);
+      routeAudioOutput(chimeAudio, soundId, volume, 0);
+    };
+
+    window.speechSynthesis.cancel();
+    run();
+    console.log(`[RemoworkSoundChanger] Announce for ${soundId}: ${text}`);
+
+    return () => {
+      stopped = true;
+      clearTimeout(repeatTimer);
+      if (chimeAudio) {
+        chimeAudio.pause();
+      }
+      window.speechSynthesis.cancel();
+    };
+  }
+
+  // =============================================
+  // 音量・フェードイン
+  // =============================================
+
+  // フェードインの更新間隔（ms）
+  const FADE_STEP_MS = 50;
+
+  // フェードイン中のタイマー（Audio要素ごと）
+  const fadeTimers = new WeakMap();
+
+  /**
+   * 音声タイプの再生オプション（音量・フェードイン秒数）を取得
+   */
+  function getPlaybackOptions(soundId) {
+    // 音声差し替えが無効な場合は元の音量のまま
+    const soundConfig = (config.enabled && config.sounds[soundId]) || {};
+    return {
+      volume: typeof soundConfig.volume === 'number' ? soundConfig.volume : 1,
+      fadeIn: soundConfig.fadeIn || 0
+    };
+  }
+
+  /**
+   * Audio要素に音量を適用（フェードイン指定時は0から徐々に上げる）
+   */
+  function applyAudioVolume(audio, targetVolume, fadeIn) {
+    clearInterval(fadeTimers.get(audio));
+    fadeTimers.delete(audio);
+
+    if (!fadeIn) {
+      audio.volume = targetVolume;
+      return;
+    }
+
+    const steps = Math.max(1, Math.round((fadeIn * 1000) / FADE_STEP_MS));
+    let step = 0;
+    audio.volume = 0;
+    const timer = setInterval(() => {
+      step++;
+      audio.volume = Math.min(targetVolume, (targetVolume * step) / steps);
+      if (step >= steps || audio.paused) {
+        clearInterval(timer);
+        fadeTimers.delete(audio);
+      }
+    }, FADE_STEP_MS);
+    fadeTimers.set(audio, timer);
+  }
+
+  /**
+   * Howlの再生中サウンドに音量を適用
+   */
+  function applyHowlVolume(howl, playId, soundId) {
+    const { volume, fadeIn } = getPlaybackOptions(soundId);
+    if (volume === 1 && !fadeIn) return;
+    if (playId === null || playId === undefined) return;
+
+    const targetVolume = howl.volume() * volume;
+    if (fadeIn) {
+      howl.fade(0, targetVolume, fadeIn * 1000, playId);
+    } else {
+      howl.volume(targetVolume, playId);
+    }
+  }
+
+  // =============================================
+  // ループ区間
+  // ループ再生時、終端に達したらループ開始位置へ戻す（イントロ付きループ）
+  // =============================================
+
+  const LOOP_CHECK_MS = 20;
+
+  // ループ区間を監視中のタイマー（Audio要素ごと）
+  const loopTimers = new WeakMap();
+
+  /**
+   * ループ区間の監視を開始
+   * @param {Object} loopPoints - { start, end }（秒）
+   * @param {Object} player - getTime / setTime / isActive を持つオブジェクト
+   */
+  function watchLoopPoints(loopPoints, player) {
+    const timer = setInterval(() => {
+      if (!player.isActive()) {
+        clearInterval(timer);
+        return;
+      }
+      if (player.getTime() >= loopPoints.end) {
+        player.setTime(loopPoints.start);
+      }
+    }, LOOP_CHECK_MS);
+    return timer;
+  }
+
+  /**
+   * Audio要素のループ区間を適用
+   */
+  function applyAudioLoopPoints(audio, loopPoints) {
+    clearInterval(loopTimers.get(audio));
+    loopTimers.delete(audio);
+    if (!loopPoints || !audio.loop) return;
+
+    loopTimers.set(audio, watchLoopPoints(loopPoints, {
+      getTime: () => audio.currentTime,
+      setTime: (time) => { audio.currentTime = time; },
+      isActive: () => !audio.paused && audio.loop
+    }));
+  }
+
+  /**
+   * Howlのループ区間を適用
+   */
+  function applyHowlLoopPoints(howl, playId, soundId) {
+    const loopPoints = config.sounds[soundId]?.loopPoints;
+    if (!loopPoints || !howl.loop()) return;
+    if (playId === null || playId === undefined) return;
+
+    watchLoopPoints(loopPoints, {
+      getTime: () => howl.seek(playId),
+      setTime: (time) => howl.seek(time, playId),
+      // ロード中はまだ再生状態にならないため監視を続ける
+      isActive: () => howl.playing(playId) || howl.state() === 'loading'
+    });
+  }
+
+  // =============================================
+  // 出力先デバイス
+  // setSinkId で出力先を切り替え、2台目が指定されていれば複製して同時に鳴らす
+  // =============================================
+
+  // 出力先デバイス一覧のキャッシュ（デバイスの抜き差しで再取得）
+  let outputDeviceCache = null;
+
+  // 2台目のデバイスで鳴らしている複製（元の Audio 要素ごと）
+  const mirrorAudios = new WeakMap();
+
+  /**
+   * 音声タイプの出力先デバイスを取得
+   */
+  function getOutputDevices(soundId) {
+    if (!config.enabled) return [];
+    return config.sounds[soundId]?.outputDevices || [];
+  }
+
+  /**
+   * 保存済みのデバイスを現在のデバイスIDに解決（IDが変わっていれば名前で照合）
+   */
+  async function resolveSinkIds(devices) {
+    if (!outputDeviceCache) {
+      const allDevices = await navigator.mediaDevices.enumerateDevices();
+      outputDeviceCache = allDevices.filter(device => device.kind === 'audiooutput');
+    }
+    return devices.map(device => {
+      const match = outputDeviceCache.find(d => d.deviceId === device.deviceId) ||
+        outputDeviceCache.find(d => device.label && d.label === device.label);
+      return match ? match.deviceId : null;
+    });
+  }
+
+  if (navigator.mediaDevices) {
+    navigator.mediaDevices.addEventListener('devicechange', () => {
+      outputDeviceCache = null;
+    });
+  }
+
+  /**
+   * 2台目のデバイスでの再生を停止
+   */
+  function stopMirrorAudio(audio) {
+    const mirror = mirrorAudios.get(audio);
+    if (!mirror) return;
+    mirror.pause();
+    activeAudios.delete(mirror);
+    mirrorAudios.delete(audio);
+  }
+
+  /**
+   * 同じ音声を2台目のデバイスで再生（元の音声が止まったら止める）
+   */
+  function startMirrorAudio(audio, sinkId, targetVolume, fadeIn) {
+    stopMirrorAudio(audio);
+
+    const mirror = createInternalAudio(audio.src);
+    mirror.loop = audio.loop;
+    mirror.muted = audio.muted;
+    mirrorAudios.set(audio, mirror);
+    activeAudios.add(mirror);
+    audio.addEventListener('pause', () => stopMirrorAudio(audio), { once: true });
+
+    mirror.setSinkId(sinkId)
+      .then(() => {
+        if (mirrorAudios.get(audio) !== mirror) return;
+        applyAudioVolume(mirror, targetVolume, fadeIn);
+        return mirror.play();
+      })
+      .catch(e => {
+        console.warn('[RemoworkSoundChanger] Failed to play on second output device:', e);
+      });
+  }
+
+  /**
+   * 再生を開始した Audio 要素を出力先デバイスに振り分け
+   */
+  function routeAudioOutput(audio, soundId, targetVolume, fadeIn) {
+    if (typeof audio.setSinkId !== 'function') return;
+
+    const devices = getOutputDevices(soundId);
+    if (devices.length === 0) {
+      // 以前に振り分けた要素は既定のデバイスに戻す
+      if (audio.sinkId) {
+        audio.setSinkId('').catch(() => {});
+      }
+      return;
+    }
+
+    resolveSinkIds(devices).then(([primary, secondary]) => {
+      // 1台目が見つからない場合は既定のデバイスで鳴らす
+      if (audio.sinkId !== (primary || '')) {
+        audio.setSinkId(primary || '').catch(e => {
+          console.warn('[RemoworkSoundChanger] Failed to set output device:', e);
+        });
+      }
+      if (secondary && secondary !== primary && !audio.paused) {
+        startMirrorAudio(audio, secondary, targetVolume, fadeIn);
+      }
+    }).catch(e => {
+      console.warn('[RemoworkSoundChanger] Failed to resolve output devices:', e);
+    });
+  }
+
   // オリジナルの Audio コンストラクタを保存
   const OriginalAudio = window.Audio;
 
+  // 拡張機能が再生用に作成した Audio 要素（検出の記録から除外）
+  const internalAudios = new WeakSet();
+
+  /**
+   * 拡張機能が再生に使う Audio 要素を作成
+   */
+  function createInternalAudio(url) {
+    const audio = new OriginalAudio(url);
+    internalAudios.add(audio);
+    return audio;
+  }
+
+  // 対象音声の Audio 要素と音声IDの対応（再生時にルールを適用するため）
+  const audioSoundInfo = new WeakMap();
+
+  /**
+   * 対象音声の Audio 要素を登録
+   * originalUrl はページが指定した元の音声（再生時点の設定で差し替えるため保持）
+   */
+  function registerAudio(audio, soundId, originalUrl, currentUrl) {
+    // 停止を通話状態の判定に使う（要素ごとに1回だけ登録）
+    if (!callWatchedAudios.has(audio)) {
+      callWatchedAudios.add(audio);
+      const onStop = () => {
+        const info = audioSoundInfo.get(audio);
+        if (info) handleCallSoundStopped(info.soundId);
+      };
+      audio.addEventListener('pause', onStop);
+      audio.addEventListener('ended', onStop);
+    }
+    audioSoundInfo.set(audio, {
+      soundId,
+      originalUrl,
+      currentUrl,
+      baseVolume: null,
+      appliedVolume: null,
+      muted: false,
+      stopAnnouncement: null
+    });
+  }
+
   /**
    * Audio コンストラクタをオーバーライド
    */
   window.Audio = function(src) {
+    reportAudioUrl(src, 'load', true);
     const soundId = getSoundIdFromUrl(src);
 
     if (soundId) {
       const customUrl = getCustomSoundUrl(soundId);
       if (customUrl) {
         console.log(`[RemoworkSoundChanger] Audio() intercepted for ${soundId}`);
-        return new OriginalAudio(customUrl);
       }
+      const audio = new OriginalAudio(customUrl || src);
+      registerAudio(audio, soundId, src, customUrl || src);
+      return audio;
     }
 
     return new OriginalAudio(src);
@@ -151,14 +921,20 @@
       return originalSrcDescriptor.get.call(this);
     },
     set: function(value) {
+      if (this instanceof HTMLAudioElement) {
+        reportAudioUrl(value, 'load', true);
+      }
       const soundId = getSoundIdFromUrl(value);
 
       if (soundId && this instanceof HTMLAudioElement) {
         const customUrl = getCustomSoundUrl(soundId);
+        registerAudio(this, soundId, value, customUrl || value);
         if (customUrl) {
           console.log(`[RemoworkSoundChanger] src setter intercepted for ${soundId}`);
           return originalSrcDescriptor.set.call(this, customUrl);
         }
+      } else {
+        audioSoundInfo.delete(this);
       }
 
       return originalSrcDescriptor.set.call(this, value);
@@ -167,6 +943,244 @@
     configurable: true
   });
 
+  /**
+   * HTMLMediaElement の play をオーバーライド
+   * 再生の瞬間に発信者別ルール・ローテーション・現在の設定（時間帯スケジュール等）を評価して src を差し替える
+   */
+  const originalMediaPlay = HTMLMediaElement.prototype.play;
+
+  HTMLMediaElement.prototype.play = function(...args) {
+    const info = audioSoundInfo.get(this);
+    if (this instanceof HTMLAudioElement && !internalAudios.has(this)) {
+      reportAudioUrl(info ? info.originalUrl : originalSrcDescriptor.get.call(this), 'play', true);
+    }
+
+    if (info) {
+      handleCallSoundStarted(info.soundId);
+      const overrideUrl = config.enabled ? resolvePlayTimeUrl(info.soundId) : null;
+
+      // 読み上げモード（発信者別ルール・ローテーションが優先）
+      if (info.stopAnnouncement) {
+        info.stopAnnouncement();
+        info.stopAnnouncement = null;
+      }
+
+      // おやすみモード（ミュートで再生し、画面に表示する）
+      if (isDndActive()) {
+        this.muted = true;
+        info.muted = true;
+        notifySoundSuppressed(info.soundId);
+        return originalMediaPlay.apply(this, args);
+      }
+
+      // 音声差し替えが無効な場合は元の音声をそのまま再生
+      if (!config.enabled) {
+        if (info.muted) {
+          this.muted = false;
+          info.muted = false;
+        }
+        if (info.currentUrl !== info.originalUrl) {
+          originalSrcDescriptor.set.call(this, info.originalUrl);
+          info.currentUrl = info.originalUrl;
+        }
+        applyAudioLoopPoints(this, null);
+        return originalMediaPlay.apply(this, args);
+      }
+
+      if (!overrideUrl && isAnnounceMode(info.soundId)) {
+        const audio = this;
+        const stop = startAnnouncement(info.soundId, () => audio.loop && !audio.paused);
+        const onPause = () => {
+          // 再生終了時の pause では止めない（読み上げを最後まで続ける）
+          if (audio.ended) return;
+          audio.removeEventListener('pause', onPause);
+          stop();
+        };
+        audio.addEventListener('pause', onPause);
+        info.stopAnnouncement = () => {
+          audio.removeEventListener('pause', onPause);
+          stop();
+        };
+        this.muted = true;
+        info.muted = true;
+        activeAudios.add(this);
+        return originalMediaPlay.apply(this, args);
+      }
+      if (info.muted) {
+        this.muted = false;
+        info.muted = false;
+      }
+
+      const customUrl = getCustomSoundUrl(info.soundId);
+      const targetUrl = overrideUrl || customUrl || info.originalUrl;
+      if (targetUrl && targetUrl !== info.currentUrl) {
+        originalSrcDescriptor.set.call(this, targetUrl);
+        info.currentUrl = targetUrl;
+      }
+      if (overrideUrl || customUrl) {
+        activeAudios.add(this);
+      }
+
+      // 音量・フェードイン（ページ側で音量が変更されていればそれを基準にする）
+      const { volume, fadeIn } = getPlaybackOptions(info.soundId);
+      let targetVolume = this.volume;
+      if (volume !== 1 || fadeIn) {
+        if (info.baseVolume === null || this.volume !== info.appliedVolume) {
+          info.baseVolume = this.volume;
+        }
+        info.appliedVolume = info.baseVolume * volume;
+        targetVolume = info.appliedVolume;
+        applyAudioVolume(this, info.appliedVolume, fadeIn);
+      }
+
+      // ループ区間（カスタム音声を再生する場合のみ）
+      applyAudioLoopPoints(this, overrideUrl ? null : config.sounds[info.soundId]?.loopPoints);
+
+      // 出力先デバイス
+      const playPromise = originalMediaPlay.apply(this, args);
+      routeAudioOutput(this, info.soundId, targetVolume, fadeIn);
+      return playPromise;
+    }
+
+    return originalMediaPlay.apply(this, args);
+  };
+
+  /**
+   * Howl の再生・停止をラップ
+   * 発信者別ルール・ローテーションで音声が決まる場合や、作成後に設定が変わった場合は
+   * Howl の代わりに Audio で再生する（Howl はミュートで再生し、サウンドIDと end イベントをページに返す）
+   * @param {string|null} createdUrl - Howl 作成時に差し替えたURL（差し替えなしは null）
+   * @param {string} originalUrl - ページが指定した元の音声
+   */
+  function wrapHowlPlayback(howl, soundId, createdUrl, originalUrl) {
+    const intercepted = !!createdUrl;
+    const originalPlay = howl.play.bind(howl);
+    const originalStop = howl.stop.bind(howl);
+    const originalPause = howl.pause.bind(howl);
+    let overrideAudio = null;
+    let stopAnnouncement = null;
+    let muted = false;
+
+    // 差し替えた Audio が止まったら通話状態に反映（自分で止める場合は外してから止める）
+    const onOverrideStopped = () => handleCallSoundStopped(soundId);
+
+    const stopOverrideAudio = () => {
+      if (stopAnnouncement) {
+        stopAnnouncement();
+        stopAnnouncement = null;
+      }
+      if (!overrideAudio) return;
+      overrideAudio.removeEventListener('pause', onOverrideStopped);
+      overrideAudio.removeEventListener('ended', onOverrideStopped);
+      overrideAudio.pause();
+      activeAudios.delete(overrideAudio);
+      overrideAudio = null;
+    };
+
+    howl.play = function(...args) {
+      handleCallSoundStarted(soundId);
+
+      // おやすみモード（ミュートで再生し、画面に表示する）
+      if (isDndActive()) {
+        stopOverrideAudio();
+        const playId = originalPlay(...args);
+        howl.mute(true, playId);
+        muted = true;
+        notifySoundSuppressed(soundId);
+        return playId;
+      }
+
+      // 音声差し替えが無効な場合は元の音声を再生（作成時に差し替えていれば Audio で元の音声を鳴らす）
+      if (!config.enabled) {
+        stopOverrideAudio();
+        if (muted) {
+          howl.mute(false);
+          muted = false;
+        }
+        if (!intercepted) {
+          return originalPlay(...args);
+        }
+      }
+
+      let overrideUrl = config.enabled ? resolvePlayTimeUrl(soundId) : originalUrl;
+
+      // 読み上げモード（元の音声はミュートで再生）
+      if (!overrideUrl && isAnnounceMode(soundId)) {
+        stopOverrideAudio();
+        activeHowls.add(howl);
+        const playId = originalPlay(...args);
+        howl.mute(true, playId);
+        muted = true;
+        stopAnnouncement = startAnnouncement(soundId, () => howl.loop() && howl.playing(playId));
+        return playId;
+      }
+      if (muted) {
+        howl.mute(false);
+        muted = false;
+      }
+
+      if (!overrideUrl) {
+        const customUrl = getCustomSoundUrl(soundId);
+        // 作成後に設定が変わった場合、出力先を指定した場合（Web Audio では出力先を選べない）
+        if (customUrl !== createdUrl || getOutputDevices(soundId).length > 0) {
+          overrideUrl = customUrl || originalUrl;
+        }
+      }
+      if (overrideUrl) {
+        stopOverrideAudio();
+        const audio = createInternalAudio(overrideUrl);
+        overrideAudio = audio;
+        audio.loop = howl.loop();
+        audio.addEventListener('pause', onOverrideStopped);
+        audio.addEventListener('ended', onOverrideStopped);
+        const { volume, fadeIn } = getPlaybackOptions(soundId);
+        applyAudioVolume(audio, howl.volume() * volume, fadeIn);
+        activeAudios.add(audio);
+        audio.play().catch(e => {
+          console.warn('[RemoworkSoundChanger] Failed to play override sound:', e);
+        });
+        routeAudioOutput(audio, soundId, howl.volume() * volume, fadeIn);
+
+        // 元の Howl もミュートで再生し、ページ側に本物のサウンドIDと end イベントを返す
+        activeHowls.add(howl);
+        const playId = originalPlay(...args);
+        howl.mute(true, playId);
+        muted = true;
+        return playId;
+      }
+
+      if (intercepted) {
+        activeHowls.add(howl);
+      }
+      const playId = originalPlay(...args);
+      applyHowlVolume(howl, playId, soundId);
+      applyHowlLoopPoints(howl, playId, soundId);
+      return playId;
+    };
+
+    howl.stop = function(...args) {
+      stopOverrideAudio();
+      activeHowls.delete(howl);
+      handleCallSoundStopped(soundId);
+      return originalStop(...args);
+    };
+
+    howl.pause = function(...args) {
+      stopOverrideAudio();
+      activeHowls.delete(howl);
+      handleCallSoundStopped(soundId);
+      return originalPause(...args);
+    };
+
+    // 再生終了時にも削除（ループ再生では周回ごとに発火するため停止扱いにしない）
+    howl.on('end', () => {
+      activeHowls.delete(howl);
+      if (!howl.loop()) {
+        handleCallSoundStopped(soundId);
+      }
+    });
+  }
+
   /**
    * Howler.js の Howl コンストラクタをオーバーライド
    * Howler.js は Web Audio API を使用するため、src を差し替える必要がある
@@ -179,17 +1193,20 @@
     const OriginalHowl = window.Howl;
 
     window.Howl = function(options) {
-      let interceptedSoundId = null;
+      let createdUrl = null;
+      let originalUrl = null;
+      let soundId = null;
 
       if (options && options.src) {
         const srcArray = Array.isArray(options.src) ? options.src : [options.src];
-        const soundId = getSoundIdFromUrl(srcArray[0]);
+        originalUrl = srcArray[0];
+        soundId = getSoundIdFromUrl(originalUrl);
 
         if (soundId) {
           const customUrl = getCustomSoundUrl(soundId);
           if (customUrl) {
             console.log(`[RemoworkSoundChanger] Howl() intercepted for ${soundId}`);
-            interceptedSoundId = soundId;
+            createdUrl = customUrl;
             // カスタムURLに置き換え
             options = Object.assign({}, options, {
               src: [customUrl],
@@ -201,31 +1218,11 @@
 
       const howl = new OriginalHowl(options);
 
-      // カスタム音声の場合、再生開始・停止を追跡
-      if (interceptedSoundId) {
-        const originalPlay = howl.play.bind(howl);
-        const originalStop = howl.stop.bind(howl);
-        const originalPause = howl.pause.bind(howl);
-
-        howl.play = function(...args) {
-          activeHowls.add(howl);
-          return originalPlay(...args);
-        };
-
-        howl.stop = function(...args) {
-          activeHowls.delete(howl);
-          return originalStop(...args);
-        };
-
-        howl.pause = function(...args) {
-          activeHowls.delete(howl);
-          return originalPause(...args);
-        };
-
-        // 再生終了時にも削除
-        howl.on('end', () => {
-          activeHowls.delete(howl);
-        });
+      if (soundId) {
+        wrapHowlPlayback(howl, soundId, createdUrl, originalUrl);
+      }
+      if (originalUrl) {
+        countHowlPlays(howl, originalUrl);
       }
 
       return howl;
@@ -269,6 +1266,7 @@
     const originalOpen = xhr.open;
 
     xhr.open = function(method, url, ...args) {
+      reportAudioUrl(typeof url === 'string' ? url : String(url), 'load', false);
       const soundId = getSoundIdFromUrl(url);
 
       if (soundId) {
@@ -295,6 +1293,7 @@
     let url = typeof input === 'string' ? input : (input instanceof Request ? input.url : null);
 
     if (url) {
+      reportAudioUrl(url, 'load', false);
       const soundId = getSoundIdFromUrl(url);
 
       if (soundId) {
@@ -344,7 +1343,7 @@
       // キャッシュをクリア
       Object.keys(customSoundCache).forEach(key => delete customSoundCache[key]);
 
-      console.log('[RemoworkSoundChanger] Config reloaded - changes will apply to new audio requests');
+      console.log('[RemoworkSoundChanger] Config reloaded - changes will apply from the next playback');
     }
   });
 
@@ -406,6 +1405,15 @@
         buttonClass.includes('phone');
 
       if (isCallButton) {
+        // 通話状態（拒否・切断ボタン以外は応答とみなす）
+        const isHangupButton = ['拒否', '切断', '終了', 'decline', 'reject', 'hangup', 'hang-up'].some(word =>
+          buttonText.includes(word) || buttonClass.includes(word));
+        if (isHangupButton && (isRinging() || currentCall.state === 'in-call')) {
+          setCallState('ended', currentCall.state === 'ringing-in' ? 'declined' : null);
+        } else if (!isHangupButton && currentCall.state === 'ringing-in') {
+          setCallState('in-call');
+        }
+
         console.log('[RemoworkSoundChanger] Call button clicked, stopping all sounds');
         stopAllCustomSounds();
       }
@@ -92,6 +92,39 @@ async function initDetector() {
   return initPromise;
 }
 
+/**
+ * ジェスチャー判定のしきい値（デフォルト値）
+ * 検出タブで編集した値は handSignSettings.thresholds として届く
+ * 座標は画像サイズで正規化済み（0〜1、上が0）
+ */
+const DEFAULT_GESTURE_THRESHOLDS = {
+  fingerExtended: 0.02,   // 指が伸びている: 指先がPIPよりこの値以上上
+  fingerBent: 0.03,       // 指が曲がっている: 指先がPIPよりこの値以上下
+  thumbUp: 0.12,          // 親指が上向き: 親指先がMCPよりこの値以上上
+  thumbAboveWrist: 0.05,  // 親指先が手首よりこの値以上上
+  fingersAligned: 0.25,   // 指が揃っている: 隣接指先の平均距離 < 手のひら幅 × この値
+  fingersLong: 0.4,       // 指が伸びている: 指の平均長 > 手のひら幅 × この値
+  headHandsMaxY: 0.65,    // 頭を抱える: 両手首のY座標がこの値より上
+  headHandsSpread: 0.2,   // 頭を抱える: 両手首のX座標の差がこの値より大きい
+  okPinch: 0.35,          // OK: 親指と人差し指の先の距離 < 手のひら幅 × この値
+  raisedHandMaxY: 0.4,    // 手を挙げる: 手首のY座標がこの値より上
+  crossedArmsMaxGap: 0.25 // 腕で×: 両手首の距離がこの値より小さい
+};
+
+/**
+ * しきい値をデフォルト値で補完（数値以外は無視）
+ */
+function resolveThresholds(thresholds) {
+  const resolved = { ...DEFAULT_GESTURE_THRESHOLDS };
+  for (const key of Object.keys(DEFAULT_GESTURE_THRESHOLDS)) {
+    const value = Number(thresholds?.[key]);
+    if (Number.isFinite(value)) {
+      resolved[key] = value;
+    }
+  }
+  return resolved;
+}
+
 /**
  * 2点間の距離を計算
  */
@@ -100,7 +133,54 @@ function distance(p1, p2) {
 }
 
 /**
- * 手のランドマークからジェスチャーを検出
+ * ジェスチャーごとの絵文字・通知メッセージ
+ */
+const GESTURE_RESULTS = {
+  wave: { emoji: '👋', message: 'お話ししたいです！！！' },
+  thumbsup: { emoji: '👍', message: 'いつでもお話しいいですよ！！' },
+  peace: { emoji: '✌️', message: '調子いいから聞いて聞いて！！！' },
+  head_in_hands: { emoji: '😢', message: '調子悪いので慰めて。。。；；' },
+  ok: { emoji: '👌', message: 'OKです！いつでもどうぞ！' },
+  raised_hand: { emoji: '✋', message: '手を挙げています（質問・相談したい）' },
+  pointing: { emoji: '☝️', message: 'ひとつ聞きたいことがあります！' },
+  rock: { emoji: '🤘', message: 'ノリノリです！！' },
+  phone: { emoji: '🤙', message: '電話（通話）したいです！' },
+  fist: { emoji: '✊', message: '集中しています。あとでお願いします' },
+  thumbsdown: { emoji: '👎', message: '今はちょっと無理です。。。' },
+  crossed_arms: { emoji: '🙅', message: '×（今は手が離せません）' }
+};
+
+/**
+ * 検出結果を作成
+ */
+function gestureResult(type, score) {
+  return { type, ...GESTURE_RESULTS[type], score };
+}
+
+// 条件の余裕（マージン）を 0〜1 に正規化する基準
+// 座標の差はこの値で割る（0.1 = 画像の高さの10%余裕があれば満点）
+const MARGIN_SCALE = 0.1;
+// 手のひら幅との比で判定する条件の基準
+const RATIO_MARGIN_SCALE = 0.5;
+// 候補として返す最大数
+const MAX_GESTURE_CANDIDATES = 3;
+
+/**
+ * 「value > limit」の余裕（正なら成立、scale で正規化）
+ */
+function above(value, limit, scale = MARGIN_SCALE) {
+  return (value - limit) / scale;
+}
+
+/**
+ * 「value < limit」の余裕（正なら成立、scale で正規化）
+ */
+function below(value, limit, scale = MARGIN_SCALE) {
+  return (limit - value) / scale;
+}
+
+/**
+ * 片手の判定に使う計測値
  *
  * MediaPipe Hand Landmarks:
  * 0: WRIST
@@ -110,226 +190,366 @@ function distance(p1, p2) {
  * 13-16: RING (MCP, PIP, DIP, TIP)
  * 17-20: PINKY (MCP, PIP, DIP, TIP)
  *
- * 検出対象ジェスチャー（片手）:
- * 1. Thumbs Up 👍: 親指が上向き + 4本指が閉じている
- * 2. Peace ✌️: 人差し指と中指が伸びている + 他が閉じている
- * 3. Open Palm 👋: 複数のパターンで検出
- *    - パターンA: 4本指が伸びている（指先がPIPより上）
- *    - パターンB: 指が揃っている（隣接する指先の距離が近い）
- *    - パターンC: 3本以上の指が伸びている
- *
- * 両手ジェスチャー（detectHeadInHands関数で検出）:
- * - Head in Hands 😢: 両手が顔の両側にある（頭を抱えるポーズ）
+ * 指ごとの値は [人差し指, 中指, 薬指, 小指] の順
  */
-function detectGesture(landmarks) {
-  if (!landmarks || landmarks.length === 0) return null;
-
-  // 各指のランドマーク
+function measureHand(landmarks) {
   const wrist = landmarks[0];
-
-  // 親指
   const thumbTip = landmarks[4];
   const thumbIP = landmarks[3];
   const thumbMCP = landmarks[2];
-  const thumbCMC = landmarks[1];
-  const thumbExtended = Math.abs(thumbTip.x - wrist.x) > Math.abs(thumbIP.x - wrist.x);
-  // 親指が上向き判定を厳しく: 0.05 → 0.12（より明確に上を向いている必要あり）
-  const thumbUp = thumbTip.y < thumbMCP.y - 0.12;
-  // 追加: 親指が手のひらより明確に上にある
-  const thumbClearlyUp = thumbTip.y < wrist.y - 0.05;
-
-  // 人差し指
-  const indexTip = landmarks[8];
-  const indexPIP = landmarks[6];
-  const indexMCP = landmarks[5];
-  // 指が伸びている判定（Open Palm用）
-  const indexExtended = indexTip.y < indexPIP.y - 0.02;
-  // 指が曲がっている判定（Thumbs Up用）: より厳しく
-  const indexBent = indexTip.y > indexPIP.y + 0.03;
-
-  // 中指
-  const middleTip = landmarks[12];
-  const middlePIP = landmarks[10];
-  const middleMCP = landmarks[9];
-  const middleExtended = middleTip.y < middlePIP.y - 0.02;
-  const middleBent = middleTip.y > middlePIP.y + 0.03;
-
-  // 薬指
-  const ringTip = landmarks[16];
-  const ringPIP = landmarks[14];
-  const ringMCP = landmarks[13];
-  const ringExtended = ringTip.y < ringPIP.y - 0.02;
-  const ringBent = ringTip.y > ringPIP.y + 0.03;
-
-  // 小指
-  const pinkyTip = landmarks[20];
-  const pinkyPIP = landmarks[18];
-  const pinkyMCP = landmarks[17];
-  const pinkyExtended = pinkyTip.y < pinkyPIP.y - 0.02;
-  const pinkyBent = pinkyTip.y > pinkyPIP.y + 0.03;
-
-  // 4本指の状態
-  const fourFingersClosed = !indexExtended && !middleExtended && !ringExtended && !pinkyExtended;
-  // 4本指が曲がっている（Thumbs Up用のより厳しい判定）
-  const fourFingersBent = indexBent && middleBent && ringBent && pinkyBent;
-  const fourFingersOpen = indexExtended && middleExtended && ringExtended && pinkyExtended;
-
-  // 親指が下を向いているか（y座標がMCPより下）
-  const thumbDown = thumbTip.y > thumbMCP.y + 0.05;
-
-  // === Thumbs Up 検出 ===
-  // 親指が明確に立っていて、他の4本指が曲がっている
-  if (thumbUp && thumbClearlyUp && thumbExtended && fourFingersBent) {
-    console.log('[Offscreen] Detected: Thumbs Up (strict)');
-    return { type: 'thumbsup', emoji: '👍', message: 'いつでもお話しいいですよ！！' };
-  }
-
-  // === Peace 検出 ===
-  // 人差し指と中指が伸びていて、薬指と小指が閉じている
-  const peaceSign = indexExtended && middleExtended && !ringExtended && !pinkyExtended;
-  if (peaceSign) {
-    console.log('[Offscreen] Detected: Peace');
-    return { type: 'peace', emoji: '✌️', message: '調子いいから聞いて聞いて！！！' };
-  }
-
-  // === Open Palm 検出（複数パターン） ===
-
-  // パターンA: 4本指が伸びている（従来の検出）
-  if (fourFingersOpen) {
-    console.log('[Offscreen] Detected: Open Palm (Pattern A: fingers extended)');
-    return { type: 'wave', emoji: '👋', message: 'お話ししたいです！！！' };
-  }
-
-  // パターンB: 指が揃っている（閉じた手のひら）
-  // 隣接する指先の距離が近い = 指が揃っている
-  const indexMiddleDist = distance(indexTip, middleTip);
-  const middleRingDist = distance(middleTip, ringTip);
-  const ringPinkyDist = distance(ringTip, pinkyTip);
-  const avgFingerTipDist = (indexMiddleDist + middleRingDist + ringPinkyDist) / 3;
+  const fingers = [[5, 6, 8], [9, 10, 12], [13, 14, 16], [17, 18, 20]]
+    .map(([mcp, pip, tip]) => ({ mcp: landmarks[mcp], pip: landmarks[pip], tip: landmarks[tip] }));
 
   // 手のひらの幅（人差し指MCPから小指MCPまで）
-  const palmWidth = distance(indexMCP, pinkyMCP);
-
-  // 指先が揃っている（隣接指先の平均距離が手のひら幅の25%以下）
-  const fingersAligned = avgFingerTipDist < palmWidth * 0.25;
-
-  // 指がある程度伸びている（MCPから指先までの距離）
-  const indexLength = distance(indexMCP, indexTip);
-  const middleLength = distance(middleMCP, middleTip);
-  const ringLength = distance(ringMCP, ringTip);
-  const pinkyLength = distance(pinkyMCP, pinkyTip);
-  const avgFingerLength = (indexLength + middleLength + ringLength + pinkyLength) / 4;
-
-  // 指の長さが手のひら幅の40%以上ならある程度伸びている
-  const fingersLongEnough = avgFingerLength > palmWidth * 0.4;
+  const palmWidth = distance(fingers[0].mcp, fingers[3].mcp) || 1e-6;
+  const tipDistances = [0, 1, 2].map(i => distance(fingers[i].tip, fingers[i + 1].tip));
+  const fingerLengths = fingers.map(f => distance(f.mcp, f.tip));
+
+  return {
+    wrist,
+    thumbExtended: Math.abs(thumbTip.x - wrist.x) > Math.abs(thumbIP.x - wrist.x),
+    // 正の値ほど親指が上を向いている
+    thumbRise: thumbMCP.y - thumbTip.y,
+    thumbAboveWrist: wrist.y - thumbTip.y,
+    // 親指が人差し指の付け根からどれだけ離れているか（手のひら幅比）
+    thumbStretch: distance(thumbTip, fingers[0].mcp) / palmWidth,
+    pinchRatio: distance(thumbTip, fingers[0].tip) / palmWidth,
+    // 正の値ほど伸びている（指先がPIPより上）
+    fingerRise: fingers.map(f => f.pip.y - f.tip.y),
+    // 正の値なら曲がり込んでいる（指先がPIPより手首に近い）。手の向きに依存しない
+    fingerCurl: fingers.map(f => (distance(f.pip, wrist) - distance(f.tip, wrist)) / palmWidth),
+    alignRatio: tipDistances.reduce((sum, d) => sum + d, 0) / 3 / palmWidth,
+    lengthRatio: fingerLengths.reduce((sum, d) => sum + d, 0) / 4 / palmWidth
+  };
+}
 
-  // パターンB: 指が揃っていて、ある程度伸びている
-  if (fingersAligned && fingersLongEnough) {
-    console.log('[Offscreen] Detected: Open Palm (Pattern B: fingers aligned)');
-    return { type: 'wave', emoji: '👋', message: 'お話ししたいです！！！' };
+/**
+ * 片手ジェスチャーの判定ルール
+ * evaluate は各条件の余裕の配列を返す（すべて正なら成立）。前提を満たさない場合は null
+ * fallback のルールは、他のジェスチャーに当てはまらない場合の受け皿として候補の後ろに並べる
+ *
+ * 1. Thumbs Up 👍: 親指が上向き + 4本指が閉じている
+ * 2. Thumbs Down 👎: 親指が下向き + 4本指が曲がり込んでいる
+ * 3. OK 👌: 親指と人差し指の先がくっついている + 他の3本が伸びている
+ * 4. Peace ✌️: 人差し指と中指が伸びている + 他が閉じている
+ * 5. Rock 🤘: 人差し指と小指が伸びている + 中指・薬指が閉じている
+ * 6. Phone 🤙: 親指と小指が伸びている + 他の3本が曲がり込んでいる
+ * 7. Pointing ☝️: 人差し指だけが伸びている
+ * 8. Fist ✊: 4本指が曲がり込んでいて、親指も立っていない
+ * 9. Raised Hand ✋: 4本指が伸びていて、手首が画像の上の方にある
+ *    - 顔が検出された場合は、手首が顔の上端より上にある
+ * 10. Open Palm 👋（fallback）: 複数のパターンで検出
+ *    - パターンA: 4本指が伸びている（指先がPIPより上）
+ *    - パターンB: 指が揃っている（隣接する指先の距離が近い）+ ある程度伸びている
+ *    - パターンC: 3本以上の指が伸びている + ある程度伸びている
+ */
+const HAND_RULES = [
+  {
+    type: 'thumbsup',
+    evaluate: (h, t) => h.thumbExtended ? [
+      above(h.thumbRise, t.thumbUp),
+      above(h.thumbAboveWrist, t.thumbAboveWrist),
+      ...h.fingerRise.map(rise => above(-rise, t.fingerBent))
+    ] : null
+  },
+  {
+    type: 'thumbsdown',
+    evaluate: (h, t) => [
+      above(-h.thumbRise, t.thumbUp),
+      above(-h.thumbAboveWrist, t.thumbAboveWrist),
+      ...h.fingerCurl.map(curl => above(curl, 0, RATIO_MARGIN_SCALE))
+    ]
+  },
+  {
+    type: 'ok',
+    evaluate: (h, t) => [
+      below(h.pinchRatio, t.okPinch, RATIO_MARGIN_SCALE),
+      ...h.fingerRise.slice(1).map(rise => above(rise, t.fingerExtended))
+    ]
+  },
+  {
+    type: 'peace',
+    evaluate: (h, t) => [
+      above(h.fingerRise[0], t.fingerExtended),
+      above(h.fingerRise[1], t.fingerExtended),
+      below(h.fingerRise[2], t.fingerExtended),
+      below(h.fingerRise[3], t.fingerExtended)
+    ]
+  },
+  {
+    type: 'rock',
+    evaluate: (h, t) => [
+      above(h.fingerRise[0], t.fingerExtended),
+      above(h.fingerRise[3], t.fingerExtended),
+      below(h.fingerRise[1], t.fingerExtended),
+      below(h.fingerRise[2], t.fingerExtended)
+    ]
+  },
+  {
+    type: 'phone',
+    evaluate: h => [
+      above(h.thumbStretch, 1, RATIO_MARGIN_SCALE),
+      below(h.fingerCurl[3], 0, RATIO_MARGIN_SCALE),
+      ...h.fingerCurl.slice(0, 3).map(curl => above(curl, 0, RATIO_MARGIN_SCALE))
+    ]
+  },
+  {
+    type: 'pointing',
+    evaluate: (h, t) => [
+      above(h.fingerRise[0], t.fingerExtended),
+      ...h.fingerRise.slice(1).map(rise => below(rise, t.fingerExtended)),
+      above(h.fingerCurl[1], 0, RATIO_MARGIN_SCALE),
+      above(h.fingerCurl[2], 0, RATIO_MARGIN_SCALE)
+    ]
+  },
+  {
+    type: 'fist',
+    evaluate: (h, t) => [
+      ...h.fingerCurl.map(curl => above(curl, 0, RATIO_MARGIN_SCALE)),
+      below(h.thumbRise, t.thumbUp),
+      below(-h.thumbRise, t.thumbUp)
+    ]
+  },
+  {
+    type: 'raised_hand',
+    // 顔が見つかった場合は手首が顔の上端より上にあること（顎や頬に手を添えた姿勢を除外）
+    evaluate: (h, t, face) => [
+      ...h.fingerRise.map(rise => above(rise, t.fingerExtended)),
+      below(h.wrist.y, t.raisedHandMaxY),
+      ...(face.top !== null ? [below(h.wrist.y, face.top)] : [])
+    ]
+  },
+  {
+    type: 'wave',
+    fallback: true,
+    evaluate: (h, t) => {
+      const extended = h.fingerRise.map(rise => above(rise, t.fingerExtended)).sort((a, b) => b - a);
+      const longEnough = above(h.lengthRatio, t.fingersLong, RATIO_MARGIN_SCALE);
+      const patternA = Math.min(...extended);
+      const patternB = Math.min(below(h.alignRatio, t.fingersAligned, RATIO_MARGIN_SCALE), longEnough);
+      const patternC = Math.min(extended[2], longEnough);
+      return [Math.max(patternA, patternB, patternC)];
+    }
   }
+];
 
-  // パターンC: 手のひらが正面を向いている（少なくとも3本の指が伸びている）
-  const extendedCount = [indexExtended, middleExtended, ringExtended, pinkyExtended].filter(Boolean).length;
-  if (extendedCount >= 3 && fingersLongEnough) {
-    console.log('[Offscreen] Detected: Open Palm (Pattern C: 3+ fingers extended)');
-    return { type: 'wave', emoji: '👋', message: 'お話ししたいです！！！' };
+/**
+ * 両手ジェスチャーの判定ルール（片手より優先する）
+ *
+ * - Crossed Arms 🙅: 手首を寄せて両手を外側に開く（腕で×）
+ *   - 両手首が近い（腕が交差している）
+ *   - 両手の指の付け根が手首より離れている（手が外側に開いている）
+ *   - 両手とも指が手首より上にある
+ * - Head in Hands 😢: 両手が顔の両側にある（頭を抱えるポーズ）
+ *   - 両手の手首が画像の上部にある（顔より少し下でもOK）
+ *   - 両手の手首が離れている（頭の両側）
+ *   - 左手が中央より左寄り、右手が中央より右寄り（厳密な左右分離は不要）
+ */
+const TWO_HAND_RULES = [
+  {
+    type: 'crossed_arms',
+    evaluate: (landmarks1, landmarks2, t) => {
+      const wrist1 = landmarks1[0];
+      const wrist2 = landmarks2[0];
+      const knuckle1 = landmarks1[9];
+      const knuckle2 = landmarks2[9];
+      const wristGap = distance(wrist1, wrist2);
+      return [
+        below(wristGap, t.crossedArmsMaxGap),
+        above(distance(knuckle1, knuckle2), wristGap * 1.5),
+        above(wrist1.y, knuckle1.y),
+        above(wrist2.y, knuckle2.y)
+      ];
+    }
+  },
+  {
+    type: 'head_in_hands',
+    evaluate: (landmarks1, landmarks2, t) => {
+      const wrist1 = landmarks1[0];
+      const wrist2 = landmarks2[0];
+      const leftWrist = wrist1.x < wrist2.x ? wrist1 : wrist2;
+      const rightWrist = wrist1.x < wrist2.x ? wrist2 : wrist1;
+      return [
+        below(Math.max(wrist1.y, wrist2.y), t.headHandsMaxY),
+        above(Math.abs(wrist1.x - wrist2.x), t.headHandsSpread),
+        below(leftWrist.x, 0.6),
+        above(rightWrist.x, 0.4)
+      ];
+    }
   }
+];
 
-  // それ以外のジェスチャーは無視
-  console.log('[Offscreen] No recognized gesture (extended:', extendedCount, 'aligned:', fingersAligned,
-    'longEnough:', fingersLongEnough, 'thumbUp:', thumbUp, ')');
-  return null;
+/**
+ * 条件の余裕から判定のマージン（0〜1）を求める。不成立なら null
+ */
+function getRuleMargin(slacks) {
+  if (!slacks || slacks.length === 0) return null;
+  const margin = Math.min(...slacks);
+  if (!(margin > 0)) return null;
+  return Math.min(margin, 1);
 }
 
 /**
- * 両手で「頭を抱える」ジェスチャーを検出
- * 条件:
- * - 両手が検出されている
- * - 両手の手首が画像の上部にある（顔の近く）
- * - 両手の手首が離れている（頭の両側）
+ * 信頼度スコア（0〜1）
+ * 手の信頼度に、ルールの余裕を掛け合わせる（ぎりぎりの一致は手の信頼度の半分）
  */
-function detectHeadInHands(landmarks1, landmarks2) {
-  const wrist1 = landmarks1[0];
-  const wrist2 = landmarks2[0];
-
-  // 両手首のY座標が画像上部〜中央付近にある（0.0〜0.65の範囲、上が0）
-  // 緩和: 0.5 → 0.65（顔より少し下でもOK）
-  const bothHandsHigh = wrist1.y < 0.65 && wrist2.y < 0.65;
-
-  // 両手首のX座標が離れている（左右に広がっている）
-  // 緩和: 0.3 → 0.2（より近くてもOK）
-  const handsSpread = Math.abs(wrist1.x - wrist2.x) > 0.2;
+function getGestureScore(handScore, margin) {
+  return Math.round(handScore * (0.5 + 0.5 * margin) * 100) / 100;
+}
 
-  // 両手首が画像の両端にある（左手は左側、右手は右側）
-  // 緩和: 厳密な左右分離は不要、ある程度離れていればOK
-  const leftHand = wrist1.x < wrist2.x ? landmarks1 : landmarks2;
-  const rightHand = wrist1.x < wrist2.x ? landmarks2 : landmarks1;
-  // 左手が中央より左寄り、または右手が中央より右寄りであればOK
-  const properPosition = leftHand[0].x < 0.6 && rightHand[0].x > 0.4;
+/**
+ * 検出された手からジェスチャーの候補を作成（優先度 → スコアの順）
+ * 片手のルールは各手で判定し、同じジェスチャーは最もスコアの高いものを採用
+ */
+function scoreGestureCandidates(hands, thresholds, face) {
+  const candidates = new Map();
+  const addCandidate = (type, score, priority) => {
+    const existing = candidates.get(type);
+    if (!existing || existing.score < score) {
+      candidates.set(type, { ...gestureResult(type, score), priority });
+    }
+  };
 
-  // 指の状態をチェック（開いている or 閉じている、どちらでもOK）
-  // 頭を抱える時は指が開いていることが多い
+  if (hands.length >= 2) {
+    const handScore = Math.min(hands[0].handScore, hands[1].handScore);
+    for (const rule of TWO_HAND_RULES) {
+      const margin = getRuleMargin(rule.evaluate(hands[0].landmarks, hands[1].landmarks, thresholds));
+      if (margin !== null) addCandidate(rule.type, getGestureScore(handScore, margin), 0);
+    }
+  }
 
-  if (bothHandsHigh && handsSpread && properPosition) {
-    console.log('[Offscreen] Detected: Head in Hands (両手で頭を抱える)');
-    return { type: 'head_in_hands', emoji: '😢', message: '調子悪いので慰めて。。。；；' };
+  for (const hand of hands) {
+    const measured = measureHand(hand.landmarks);
+    for (const rule of HAND_RULES) {
+      const margin = getRuleMargin(rule.evaluate(measured, thresholds, face));
+      if (margin !== null) addCandidate(rule.type, getGestureScore(hand.handScore, margin), rule.fallback ? 2 : 1);
+    }
   }
 
-  return null;
+  return [...candidates.values()]
+    .sort((a, b) => a.priority - b.priority || b.score - a.score)
+    .slice(0, MAX_GESTURE_CANDIDATES)
+    .map(({ priority, ...candidate }) => candidate);
 }
 
 /**
- * 画像データからハンドサインを検出
+ * 画像から手のランドマークを検出
+ * 手の存在スコアは結果に含まれない（minHandPresenceConfidence を通過した手だけが返る）ため、
+ * 左右判定（handedness）のスコアを手の信頼度として使う
+ * @param {HTMLCanvasElement} image - 手の検出用に縮小済みの画像
+ * @returns {Array<{landmarks: Array, handScore: number}>}
  */
-async function detectHandSign(imageData) {
+async function detectLandmarks(image) {
   if (!isInitialized || !handLandmarker) {
-    const success = await initDetector();
-    if (!success) {
-      return { success: false, error: 'Detector not initialized' };
+    const result = await initDetector();
+    if (!result.success) {
+      throw new Error('Detector not initialized');
     }
   }
 
+  // 手を検出
+  const results = handLandmarker.detect(image);
+
+  return (results.landmarks || []).map((landmarks, i) => ({
+    landmarks,
+    handScore: results.handedness?.[i]?.[0]?.score ?? 1
+  }));
+}
+
+/**
+ * 手の判定に使う顔の位置（上端のY座標、画像の高さで正規化）
+ * face-api が使えない、または顔が見つからない場合は top: null
+ * @param {HTMLCanvasElement} image - 手の検出用に縮小済みの画像
+ */
+async function detectFaceTop(image) {
+  if (!isFaceApiInitialized) {
+    const result = await initFaceApi();
+    if (!result.success) return { top: null };
+  }
+
   try {
-    // ImageData から ImageBitmap を作成
-    const imageBitmap = await createImageBitmap(
-      new ImageData(
-        new Uint8ClampedArray(imageData.data),
-        imageData.width,
-        imageData.height
-      )
+    const detection = await faceapi.detectSingleFace(
+      image,
+      new faceapi.TinyFaceDetectorOptions({ inputSize: 224, scoreThreshold: 0.3 })
     );
+    return { top: detection ? detection.box.y / image.height : null };
+  } catch (error) {
+    console.warn('[Offscreen] Face position detection failed:', error);
+    return { top: null };
+  }
+}
 
-    // 手を検出
-    const results = handLandmarker.detect(imageBitmap);
-    imageBitmap.close();
+/**
+ * 画像からハンドサインを検出
+ * @returns {{success: boolean, gesture: Object|null, candidates: Array}} gesture は最上位の候補
+ */
+async function detectHandSign(image, thresholdSettings) {
+  try {
+    const thresholds = resolveThresholds(thresholdSettings);
+    const hands = await detectLandmarks(image);
 
-    if (!results.landmarks || results.landmarks.length === 0) {
-      return { success: true, gesture: null };
+    if (hands.length === 0) {
+      return { success: true, gesture: null, candidates: [] };
     }
 
-    // 両手が検出された場合、「頭を抱える」ジェスチャーをチェック
-    if (results.landmarks.length >= 2) {
-      const headInHandsGesture = detectHeadInHands(
-        results.landmarks[0],
-        results.landmarks[1]
-      );
-      if (headInHandsGesture) {
-        return { success: true, gesture: headInHandsGesture };
-      }
+    const face = await detectFaceTop(image);
+    const candidates = scoreGestureCandidates(hands, thresholds, face);
+    if (candidates.length > 0) {
+      console.log('[Offscreen] Detected:', candidates.map(c => `${c.type}(${c.score})`).join(', '));
+    } else {
+      console.log('[Offscreen] No recognized gesture (hands:', hands.length, ')');
     }
 
-    // 片手のジェスチャーをチェック
-    const landmarks = results.landmarks[0];
-    const gesture = detectGesture(landmarks);
-
-    return { success: true, gesture };
+    return { success: true, gesture: candidates[0] || null, candidates };
   } catch (error) {
     console.error('[Offscreen] Detection error:', error);
     return { success: false, error: error.message };
   }
 }
 
+/**
+ * キャリブレーション用に、しきい値と比較している生の計測値を返す
+ * 指ごとの値は [人差し指, 中指, 薬指, 小指] の順
+ */
+function measureHandFeatures(hands) {
+  if (hands.length === 0) return null;
+
+  const measured = measureHand(hands[0].landmarks);
+  const features = {
+    handCount: hands.length,
+    wristY: measured.wrist.y,
+    pinchRatio: measured.pinchRatio,
+    fingerRise: measured.fingerRise,
+    thumbRise: measured.thumbRise,
+    thumbAboveWrist: measured.thumbAboveWrist,
+    alignRatio: measured.alignRatio,
+    lengthRatio: measured.lengthRatio
+  };
+
+  if (hands.length >= 2) {
+    const wrist1 = hands[0].landmarks[0];
+    const wrist2 = hands[1].landmarks[0];
+    features.wristMaxY = Math.max(wrist1.y, wrist2.y);
+    features.wristSpread = Math.abs(wrist1.x - wrist2.x);
+    features.wristGap = distance(wrist1, wrist2);
+  }
+
+  return features;
+}
+
+/**
+ * 画像からキャリブレーション用の計測値を取得
+ */
+async function measureHandSign(image) {
+  try {
+    const hands = await detectLandmarks(image);
+    return { success: true, features: measureHandFeatures(hands) };
+  } catch (error) {
+    console.error('[Offscreen] Measurement error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
 // メッセージリスナー
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.target !== 'offscreen') return false;
@@ -341,8 +561,9 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       });
       return true;
 
-    case 'DETECT_HAND_SIGN':
-      detectHandSign(message.imageData).then(result => {
+    // 手のサイン・表情・キャリブレーション計測の一括解析
+    case 'ANALYZE_IMAGE_BATCH':
+      analyzeImageBatch(message.items, message.thresholds).then(result => {
         sendResponse(result);
       });
       return true;
@@ -363,12 +584,6 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       });
       return true;
 
-    case 'ANALYZE_EXPRESSION':
-      analyzeExpression(message.imageData).then(result => {
-        sendResponse(result);
-      });
-      return true;
-
     // 文字起こし関連
     case 'START_TRANSCRIPTION':
       sendResponse(startTranscription());
@@ -389,6 +604,20 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       });
       return true;
 
+    // 切り出し（トリム・フェードアウト）
+    case 'RENDER_AUDIO_CLIP':
+      renderAudioClip(message.data, message.start, message.end, message.fadeOut, message.normalize).then(result => {
+        sendResponse(result);
+      });
+      return true;
+
+    // ラウドネス正規化
+    case 'NORMALIZE_AUDIO':
+      normalizeAudio(message.data).then(result => {
+        sendResponse(result);
+      });
+      return true;
+
     default:
       return false;
   }
@@ -717,12 +946,79 @@ async function loadFaceApiModel(net, basePath, modelName) {
   console.log('[Offscreen] Model loaded successfully via loadFromUri');
 }
 
+/**
+ * 画像の明るさ・コントラストを自動調整（逆光・暗い画像対応）
+ * ガンマ補正 + コントラストストレッチングで顔検出しやすくする
+ */
+function autoAdjustBrightnessContrast(imageData) {
+  const data = imageData.data;
+  const len = data.length;
+
+  // 輝度のヒストグラムを計算
+  let minLum = 255;
+  let maxLum = 0;
+  let sumLum = 0;
+  let count = 0;
+
+  for (let i = 0; i < len; i += 4) {
+    // 輝度計算 (ITU-R BT.601)
+    const lum = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+    minLum = Math.min(minLum, lum);
+    maxLum = Math.max(maxLum, lum);
+    sumLum += lum;
+    count++;
+  }
+
+  const avgLum = sumLum / count;
+  const range = maxLum - minLum;
+
+  // 常に調整を適用（逆光や暗い画像に対応）
+  // ガンマ値: 暗いほど低く（明るくする）、明るければ1.0に近づける
+  let gamma = 1.0;
+  if (avgLum < 60) {
+    gamma = 0.4; // 非常に暗い（逆光など）
+  } else if (avgLum < 100) {
+    gamma = 0.6; // 暗め
+  } else if (avgLum < 130) {
+    gamma = 0.8; // やや暗め
+  }
+
+  // コントラストストレッチングのパラメータ
+  const targetMin = 10;
+  const targetMax = 245;
+  const scale = range > 20 ? (targetMax - targetMin) / range : 2.0;
+
+  // ガンマ補正用ルックアップテーブルを作成
+  const gammaLUT = new Uint8Array(256);
+  for (let i = 0; i < 256; i++) {
+    gammaLUT[i] = Math.round(255 * Math.pow(i / 255, gamma));
+  }
+
+  for (let i = 0; i < len; i += 4) {
+    // RGB各チャンネルを調整
+    for (let c = 0; c < 3; c++) {
+      let val = data[i + c];
+      // 1. コントラストストレッチング
+      val = (val - minLum) * scale + targetMin;
+      val = Math.max(0, Math.min(255, val));
+      // 2. ガンマ補正（暗い部分を明るく）
+      val = gammaLUT[Math.round(val)];
+      data[i + c] = val;
+    }
+    // アルファは変更しない
+  }
+
+  if (gamma < 1.0 || range < 150) {
+    console.log(`[Offscreen] Image adjusted: avgLum=${avgLum.toFixed(1)}, range=${range.toFixed(1)}, gamma=${gamma}`);
+  }
+}
+
 /**
  * 表情を分析
- * @param {Object} imageData - 画像データ
+ * @param {HTMLCanvasElement} image - デコード済みの画像（元画像は変更しない）
  * @returns {Object} 分析結果（感情係数）
  */
-async function analyzeExpression(imageData) {
+async function analyzeExpression(image) {
   if (!isFaceApiInitialized) {
     const result = await initFaceApi();
     if (!result.success) {
@@ -731,19 +1027,15 @@ async function analyzeExpression(imageData) {
   }
 
   try {
-    // ImageData から Canvas を作成
+    // 作業用 Canvas に写して明るさ・コントラストを自動調整（暗い顔の検出精度向上）
     const canvas = document.getElementById('canvas');
-    canvas.width = imageData.width;
-    canvas.height = imageData.height;
+    canvas.width = image.width;
+    canvas.height = image.height;
     const ctx = canvas.getContext('2d');
-    ctx.putImageData(
-      new ImageData(
-        new Uint8ClampedArray(imageData.data),
-        imageData.width,
-        imageData.height
-      ),
-      0, 0
-    );
+    ctx.drawImage(image, 0, 0);
+    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    autoAdjustBrightnessContrast(imageData);
+    ctx.putImageData(imageData, 0, 0);
 
     // 顔検出 + 表情分析
     // TinyFaceDetectorOptions:
@@ -810,6 +1102,78 @@ async function analyzeExpression(imageData) {
   }
 }
 
+// =============================================
+// 画像の一括解析（ハンドサイン・表情・キャリブレーション）
+// =============================================
+
+// 手の検出に使う画像サイズ（しきい値はこのサイズで調整済み）
+const HAND_IMAGE_SIZE = 256;
+
+/**
+ * Data URL の画像をデコードして Canvas に読み込む
+ */
+async function decodeImageToCanvas(dataUrl) {
+  const img = new Image();
+  img.src = dataUrl;
+  await img.decode();
+
+  const canvas = document.createElement('canvas');
+  canvas.width = img.naturalWidth;
+  canvas.height = img.naturalHeight;
+  canvas.getContext('2d').drawImage(img, 0, 0);
+  return canvas;
+}
+
+/**
+ * Canvas を指定サイズ以下に縮小（小さい画像はそのまま返す）
+ */
+function shrinkCanvas(source, maxSize) {
+  const scale = Math.min(maxSize / source.width, maxSize / source.height, 1);
+  if (scale === 1) return source;
+
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.floor(source.width * scale));
+  canvas.height = Math.max(1, Math.floor(source.height * scale));
+  canvas.getContext('2d').drawImage(source, 0, 0, canvas.width, canvas.height);
+  return canvas;
+}
+
+/**
+ * 画像をまとめて解析
+ * 各画像は1回だけデコードし、指定された解析（hand / face / measure）を続けて実行する
+ * @param {Array<{id: string, image: string, hand?: boolean, face?: boolean, measure?: boolean}>} items - image は Data URL
+ * @param {Object} thresholdSettings - ハンドサイン判定のしきい値
+ * @returns {{success: boolean, results: Array<{id: string, success: boolean, hand?: Object, face?: Object, measure?: Object}>}}
+ */
+async function analyzeImageBatch(items, thresholdSettings) {
+  const results = [];
+  const startTime = performance.now();
+
+  for (const item of items || []) {
+    const result = { id: item.id, success: true };
+    try {
+      const image = await decodeImageToCanvas(item.image);
+
+      if (item.hand || item.measure) {
+        const handImage = shrinkCanvas(image, HAND_IMAGE_SIZE);
+        if (item.hand) result.hand = await detectHandSign(handImage, thresholdSettings);
+        if (item.measure) result.measure = await measureHandSign(handImage);
+      }
+      if (item.face) {
+        result.face = await analyzeExpression(image);
+      }
+    } catch (error) {
+      console.error('[Offscreen] Batch item error:', item.id, error);
+      result.success = false;
+      result.error = error.message;
+    }
+    results.push(result);
+  }
+
+  console.log(`[Offscreen] Batch analyzed: ${results.length} images in ${Math.round(performance.now() - startTime)}ms`);
+  return { success: true, results };
+}
+
 // =============================================
 // MP3変換機能 (lamejs)
 // =============================================
@@ -831,69 +1195,283 @@ async function convertToMp3(audioData) {
     const tempAudioContext = new (window.AudioContext || window.webkitAudioContext)();
     const audioBuffer = await tempAudioContext.decodeAudioData(audioData);
 
-    // サンプルレートとチャンネル数を取得
-    const sampleRate = audioBuffer.sampleRate;
-    const numberOfChannels = audioBuffer.numberOfChannels;
+    console.log(`[Offscreen] Audio: ${audioBuffer.sampleRate}Hz, ${audioBuffer.numberOfChannels}ch, ${audioBuffer.duration.toFixed(2)}s`);
 
-    console.log(`[Offscreen] Audio: ${sampleRate}Hz, ${numberOfChannels}ch, ${audioBuffer.duration.toFixed(2)}s`);
+    const mp3Array = encodeMp3(audioBuffer);
 
-    // Float32Arrayを取得
-    const leftChannel = audioBuffer.getChannelData(0);
-    const rightChannel = numberOfChannels > 1 ? audioBuffer.getChannelData(1) : leftChannel;
+    tempAudioContext.close();
 
-    // MP3エンコーダーを初期化（128kbps）
-    const mp3encoder = new lamejs.Mp3Encoder(numberOfChannels, sampleRate, 128);
+    console.log('[Offscreen] MP3 conversion complete, output size:', mp3Array.length);
 
-    // Float32 -> Int16 に変換
-    const leftSamples = floatTo16BitPCM(leftChannel);
-    const rightSamples = numberOfChannels > 1 ? floatTo16BitPCM(rightChannel) : leftSamples;
+    return {
+      success: true,
+      mp3Data: Array.from(mp3Array)
+    };
+  } catch (error) {
+    console.error('[Offscreen] MP3 conversion error:', error);
+    return { success: false, error: error.message };
+  }
+}
 
-    // MP3データを格納する配列
-    const mp3Data = [];
+/**
+ * AudioBuffer を MP3（128kbps）にエンコード
+ */
+function encodeMp3(audioBuffer) {
+  // サンプルレートとチャンネル数を取得（lamejsは2chまで）
+  const sampleRate = audioBuffer.sampleRate;
+  const numberOfChannels = Math.min(audioBuffer.numberOfChannels, 2);
+
+  // Float32Arrayを取得
+  const leftChannel = audioBuffer.getChannelData(0);
+  const rightChannel = numberOfChannels > 1 ? audioBuffer.getChannelData(1) : leftChannel;
+
+  // MP3エンコーダーを初期化（128kbps）
+  const mp3encoder = new lamejs.Mp3Encoder(numberOfChannels, sampleRate, 128);
+
+  // Float32 -> Int16 に変換
+  const leftSamples = floatTo16BitPCM(leftChannel);
+  const rightSamples = numberOfChannels > 1 ? floatTo16BitPCM(rightChannel) : leftSamples;
+
+  // MP3データを格納する配列
+  const mp3Data = [];
+
+  // エンコード（1152サンプルごとに処理）
+  const sampleBlockSize = 1152;
+  for (let i = 0; i < leftSamples.length; i += sampleBlockSize) {
+    const leftChunk = leftSamples.subarray(i, i + sampleBlockSize);
+    const rightChunk = rightSamples.subarray(i, i + sampleBlockSize);
+
+    let mp3buf;
+    if (numberOfChannels === 1) {
+      mp3buf = mp3encoder.encodeBuffer(leftChunk);
+    } else {
+      mp3buf = mp3encoder.encodeBuffer(leftChunk, rightChunk);
+    }
 
-    // エンコード（1152サンプルごとに処理）
-    const sampleBlockSize = 1152;
-    for (let i = 0; i < leftSamples.length; i += sampleBlockSize) {
-      const leftChunk = leftSamples.subarray(i, i + sampleBlockSize);
-      const rightChunk = rightSamples.subarray(i, i + sampleBlockSize);
+    if (mp3buf.length > 0) {
+      mp3Data.push(new Uint8Array(mp3buf));
+    }
+  }
 
-      let mp3buf;
-      if (numberOfChannels === 1) {
-        mp3buf = mp3encoder.encodeBuffer(leftChunk);
-      } else {
-        mp3buf = mp3encoder.encodeBuffer(leftChunk, rightChunk);
+  // 最終フラッシュ
+  const mp3buf = mp3encoder.flush();
+  if (mp3buf.length > 0) {
+    mp3Data.push(new Uint8Array(mp3buf));
+  }
+
+  // MP3データを結合
+  const totalLength = mp3Data.reduce((acc, arr) => acc + arr.length, 0);
+  const mp3Array = new Uint8Array(totalLength);
+  let offset = 0;
+  for (const chunk of mp3Data) {
+    mp3Array.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return mp3Array;
+}
+
+// =============================================
+// 切り出し（トリム・フェードアウト）
+// =============================================
+
+/**
+ * 音声の指定区間を切り出してMP3で返す
+ * 保存時に再エンコードしないよう、ラウドネス正規化もここでまとめて行う
+ * @param {string} dataUrl - 元の音声（base64 data URL）
+ * @param {number} start - 開始位置（秒）
+ * @param {number} end - 終了位置（秒）
+ * @param {number} fadeOut - フェードアウト秒数
+ * @param {boolean} normalize - ラウドネスを正規化するか
+ */
+async function renderAudioClip(dataUrl, start, end, fadeOut = 0, normalize = false) {
+  try {
+    if (typeof lamejs === 'undefined') {
+      throw new Error('lamejs is not loaded');
+    }
+
+    const tempAudioContext = new (window.AudioContext || window.webkitAudioContext)();
+    const source = await tempAudioContext.decodeAudioData(dataUrlToArrayBuffer(dataUrl));
+
+    const sampleRate = source.sampleRate;
+    const startSample = Math.max(0, Math.floor(start * sampleRate));
+    const endSample = Math.min(source.length, Math.ceil(end * sampleRate));
+    if (endSample <= startSample) {
+      tempAudioContext.close();
+      throw new Error('切り出し範囲が正しくありません');
+    }
+
+    const length = endSample - startSample;
+    const clip = tempAudioContext.createBuffer(source.numberOfChannels, length, sampleRate);
+    const fadeSamples = Math.min(length, Math.floor(fadeOut * sampleRate));
+
+    for (let c = 0; c < source.numberOfChannels; c++) {
+      const data = source.getChannelData(c).subarray(startSample, endSample);
+      // フェードアウト（線形）
+      if (fadeSamples > 0) {
+        const fadeStart = length - fadeSamples;
+        for (let i = fadeStart; i < length; i++) {
+          data[i] *= (length - i) / fadeSamples;
+        }
       }
+      clip.copyToChannel(data, c);
+    }
+    tempAudioContext.close();
+
+    console.log(`[Offscreen] Clip rendered: ${start.toFixed(2)}s - ${end.toFixed(2)}s, fade-out ${fadeOut}s`);
+
+    const { normalized, gainDb } = normalize ? applyLoudnessGain(clip) : { normalized: false, gainDb: 0 };
+    const mp3Array = encodeMp3(clip);
+    return {
+      success: true,
+      data: bytesToDataUrl(mp3Array, 'audio/mpeg'),
+      mimeType: 'audio/mpeg',
+      duration: length / sampleRate,
+      normalized,
+      gainDb
+    };
+  } catch (error) {
+    console.error('[Offscreen] Clip render error:', error);
+    return { success: false, error: error.message };
+  }
+}
 
-      if (mp3buf.length > 0) {
-        mp3Data.push(new Uint8Array(mp3buf));
+// =============================================
+// ラウドネス正規化
+// =============================================
+
+// 目標ラウドネス（dBFS、ゲート付きRMS）
+const NORMALIZE_TARGET_DB = -16;
+// この範囲内の差なら再エンコードしない
+const NORMALIZE_TOLERANCE_DB = 1;
+// ピークの上限（クリップ防止）
+const NORMALIZE_PEAK_LIMIT = 0.98;
+// 無音区間とみなすブロックの閾値
+const NORMALIZE_GATE_DB = -60;
+
+/**
+ * data URL を ArrayBuffer に変換
+ */
+function dataUrlToArrayBuffer(dataUrl) {
+  const base64 = dataUrl.substring(dataUrl.indexOf(',') + 1);
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes.buffer;
+}
+
+/**
+ * Uint8Array を base64 data URL に変換
+ */
+function bytesToDataUrl(bytes, mimeType) {
+  let binary = '';
+  const chunkSize = 0x8000;
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+  }
+  return `data:${mimeType};base64,${btoa(binary)}`;
+}
+
+/**
+ * ラウドネスとピークを計測
+ * 400msブロックごとのRMSから無音ブロックを除いて平均する
+ */
+function measureLoudness(audioBuffer) {
+  const blockSize = Math.max(1, Math.floor(audioBuffer.sampleRate * 0.4));
+  const channels = [];
+  for (let c = 0; c < audioBuffer.numberOfChannels; c++) {
+    channels.push(audioBuffer.getChannelData(c));
+  }
+
+  let peak = 0;
+  let gatedSum = 0;
+  let gatedBlocks = 0;
+
+  for (let start = 0; start < audioBuffer.length; start += blockSize) {
+    const end = Math.min(start + blockSize, audioBuffer.length);
+    let sum = 0;
+    for (const data of channels) {
+      for (let i = start; i < end; i++) {
+        const v = data[i];
+        sum += v * v;
+        const abs = Math.abs(v);
+        if (abs > peak) peak = abs;
       }
     }
+    const meanSquare = sum / ((end - start) * channels.length);
+    const blockDb = 10 * Math.log10(meanSquare || 1e-12);
+    if (blockDb > NORMALIZE_GATE_DB) {
+      gatedSum += meanSquare;
+      gatedBlocks++;
+    }
+  }
 
-    // 最終フラッシュ
-    const mp3buf = mp3encoder.flush();
-    if (mp3buf.length > 0) {
-      mp3Data.push(new Uint8Array(mp3buf));
+  const loudnessDb = gatedBlocks > 0 ? 10 * Math.log10(gatedSum / gatedBlocks) : -Infinity;
+  return { loudnessDb, peak };
+}
+
+/**
+ * ラウドネスを目標値に合わせるゲインを AudioBuffer に直接適用
+ * @returns {{normalized: boolean, gainDb: number}} normalized が false ならバッファは変更していない
+ */
+function applyLoudnessGain(audioBuffer) {
+  const { loudnessDb, peak } = measureLoudness(audioBuffer);
+  if (!isFinite(loudnessDb) || peak === 0) {
+    // 無音ファイルはそのまま
+    return { normalized: false, gainDb: 0 };
+  }
+
+  // 目標との差分からゲインを算出し、ピークがクリップしない範囲に制限
+  let gainDb = NORMALIZE_TARGET_DB - loudnessDb;
+  const maxGainDb = 20 * Math.log10(NORMALIZE_PEAK_LIMIT / peak);
+  gainDb = Math.min(gainDb, maxGainDb);
+
+  console.log(`[Offscreen] Loudness: ${loudnessDb.toFixed(1)}dB, peak: ${peak.toFixed(3)}, gain: ${gainDb.toFixed(1)}dB`);
+
+  if (Math.abs(gainDb) < NORMALIZE_TOLERANCE_DB) {
+    return { normalized: false, gainDb };
+  }
+
+  const gain = Math.pow(10, gainDb / 20);
+  for (let c = 0; c < audioBuffer.numberOfChannels; c++) {
+    const data = audioBuffer.getChannelData(c);
+    for (let i = 0; i < data.length; i++) {
+      data[i] *= gain;
     }
+  }
+  return { normalized: true, gainDb };
+}
 
+/**
+ * 音声のラウドネスを正規化してMP3で返す
+ * @param {string} dataUrl - アップロードされた音声（base64 data URL）
+ */
+async function normalizeAudio(dataUrl) {
+  try {
+    if (typeof lamejs === 'undefined') {
+      throw new Error('lamejs is not loaded');
+    }
+
+    const tempAudioContext = new (window.AudioContext || window.webkitAudioContext)();
+    const audioBuffer = await tempAudioContext.decodeAudioData(dataUrlToArrayBuffer(dataUrl));
     tempAudioContext.close();
 
-    // MP3データを結合
-    const totalLength = mp3Data.reduce((acc, arr) => acc + arr.length, 0);
-    const mp3Array = new Uint8Array(totalLength);
-    let offset = 0;
-    for (const chunk of mp3Data) {
-      mp3Array.set(chunk, offset);
-      offset += chunk.length;
+    const { normalized, gainDb } = applyLoudnessGain(audioBuffer);
+    if (!normalized) {
+      return { success: true, normalized: false, gainDb };
     }
 
-    console.log('[Offscreen] MP3 conversion complete, output size:', mp3Array.length);
-
+    const mp3Array = encodeMp3(audioBuffer);
     return {
       success: true,
-      mp3Data: Array.from(mp3Array)
+      normalized: true,
+      gainDb,
+      data: bytesToDataUrl(mp3Array, 'audio/mpeg'),
+      mimeType: 'audio/mpeg'
     };
   } catch (error) {
-    console.error('[Offscreen] MP3 conversion error:', error);
+    console.error('[Offscreen] Normalization error:', error);
     return { success: false, error: error.message };
   }
 }
@@ -0,0 +1,5478 @@
+/**
+ * Remowork Sound Changer - Options Script
+ * 設定画面（オプションページ）のロジック
+ */
+
+const MAX_FILE_SIZE = 300 * 1024 * 1024; // 300MB
+const MAX_DURATION_SECONDS = 10 * 60; // 10分
+
+const SOUND_LABELS = {
+  calling: '発信中（呼び出し音）',
+  incoming: '着信音',
+  outgoing: '発信音',
+  disconnect: '切断音',
+  doorchime: 'ドアチャイム',
+  // プリセット一覧でのライブラリのカテゴリ名
+  library: 'マイライブラリ'
+};
+
+const SOUND_DESCRIPTIONS = {
+  calling: '相手を呼び出し中に鳴る音',
+  incoming: '電話がかかってきた時に鳴る音',
+  outgoing: '発信ボタンを押した時に鳴る音',
+  disconnect: '通話が終了・切断された時に鳴る音',
+  doorchime: '内線着信時に鳴る音'
+};
+
+const MODE_LABELS = {
+  original: 'オリジナル',
+  custom: 'カスタム',
+  library: 'ライブラリ',
+  rotation: 'ローテーション',
+  announce: '読み上げ'
+};
+
+// 読み上げ（音声合成）に対応する音声タイプと既定の読み上げ文
+const ANNOUNCE_SOUND_TYPES = ['incoming', 'calling', 'doorchime'];
+const DEFAULT_ANNOUNCE_TEMPLATES = {
+  incoming: '{name}さんから着信です',
+  calling: '{name}さんを呼び出しています',
+  doorchime: '{name}さんがノックしています'
+};
+const ANNOUNCE_SAMPLE_NAME = '山田';
+
+// 出力先デバイス（Remoworkのタブから取得、取得できなければ null）
+let outputDevices = null;
+
+// Chrome拡張機能として動作しているかチェック
+const isExtension = typeof chrome !== 'undefined' && chrome.runtime && chrome.runtime.sendMessage;
+
+// デモ用のデフォルトデータ
+const DEFAULT_SOUND_TYPES = {
+  calling: { path: '/client/calling.mp3', label: '発信中（呼び出し音）' },
+  incoming: { path: '/client/incoming.mp3', label: '着信音' },
+  outgoing: { path: '/client/outgoing.mp3', label: '発信音' },
+  disconnect: { path: '/client/disconnect.mp3', label: '切断音' },
+  doorchime: { path: '/client/doorchime.mp3', label: 'ドアチャイム' }
+};
+
+let soundTypes = {};
+let presetSounds = {};
+let soundPacks = [];
+let soundLibrary = [];
+let presetPickerState = { favorites: [], recents: [] };
+let presetPicker = null; // プリセットの選択画面の状態 { soundId, item, filter, previewTimer, previewAudio }
+let settings = { enabled: true, sounds: {} };
+let savedSounds = [];
+let previewAudio = null;
+let currentPlayingId = null;
+let pendingCallerRuleFile = null;
+// 試聴中のアップロード音声の Blob URL
+let callerRulePreviewUrl = null;
+let soundProfiles = { activeId: null, profiles: [] };
+
+// 発信者別ルールの対象
+const CALLER_RULE_TARGETS = {
+  incoming: ['incoming'],
+  doorchime: ['doorchime'],
+  both: ['incoming', 'doorchime']
+};
+
+// 時間帯スケジュール
+const SCHEDULE_DAY_LABELS = ['日', '月', '火', '水', '木', '金', '土'];
+let activeScheduleIds = [];
+
+// 自動検出した音声の一覧
+let discoveredAudio = [];
+
+// おやすみモードの状態
+let dndState = { active: false, missed: [] };
+
+// 通話履歴
+let callHistory = [];
+
+// ハンドサイン設定
+let handSignSettings = {
+  enabled: true,
+  myName: '',
+  detectAll: true,
+  targetMembers: [],
+  notifications: {
+    toast: true,
+    sound: true,
+    soundPreset: 'outgoing:outgoing_horn' // デフォルトは法螺貝
+  }
+};
+
+// LLM設定
+let llmSettings = {
+  enabled: false,
+  provider: 'gemini',
+  model: 'gemini-2.0-flash',
+  apiKey: '',
+  customEndpoint: '',
+  autoStructure: true,
+  extractActions: true,
+  extractDecisions: true,
+  profile: {
+    name: '',
+    company: '',
+    role: '',
+    context: ''
+  }
+};
+
+// Whisper設定（相手の声の文字起こし用）
+let whisperSettings = {
+  enabled: false,
+  apiKey: '',
+  language: 'ja'
+};
+
+// 統計設定
+let statsSettings = {
+  enabled: true,
+  lastSentAt: null
+};
+
+// LLMモデルの定義
+const LLM_MODELS = {
+  gemini: [
+    { id: 'gemini-2.0-flash', name: 'Gemini 2.0 Flash（推奨）' },
+    { id: 'gemini-2.0-flash-lite', name: 'Gemini 2.0 Flash-Lite（軽量）' },
+    { id: 'gemini-1.5-flash', name: 'Gemini 1.5 Flash' },
+    { id: 'gemini-1.5-pro', name: 'Gemini 1.5 Pro' }
+  ],
+  openai: [
+    { id: 'gpt-4o-mini', name: 'GPT-4o Mini（推奨）' },
+    { id: 'gpt-4o', name: 'GPT-4o' },
+    { id: 'gpt-4-turbo', name: 'GPT-4 Turbo' },
+    { id: 'gpt-3.5-turbo', name: 'GPT-3.5 Turbo' }
+  ],
+  claude: [
+    { id: 'claude-sonnet-4-20250514', name: 'Claude Sonnet 4（推奨）' },
+    { id: 'claude-3-5-haiku-20241022', name: 'Claude 3.5 Haiku（高速）' },
+    { id: 'claude-opus-4-20250514', name: 'Claude Opus 4' }
+  ],
+  custom: [
+    { id: 'custom', name: 'カスタムモデル' }
+  ]
+};
+
+/**
+ * 初期化
+ */
+document.addEventListener('DOMContentLoaded', async () => {
+  previewAudio = document.getElementById('preview-audio');
+
+  if (isExtension) {
+    try {
+      // 音声タイプを取得
+      const typesResponse = await sendMessage({ type: 'GET_SOUND_TYPES' });
+      console.log('[Options] typesResponse:', typesResponse);
+      if (typesResponse && typesResponse.success && typesResponse.data) {
+        soundTypes = typesResponse.data;
+      } else {
+        // フォールバック: デフォルト値を使用
+        soundTypes = DEFAULT_SOUND_TYPES;
+      }
+
+      // 設定を取得
+      const settingsResponse = await sendMessage({ type: 'GET_SETTINGS' });
+      console.log('[Options] settingsResponse:', settingsResponse);
+      if (settingsResponse && settingsResponse.success && settingsResponse.data) {
+        settings = settingsResponse.data;
+      }
+
+      // サウンドプロファイルを取得
+      const profilesResponse = await sendMessage({ type: 'GET_SOUND_PROFILES' });
+      if (profilesResponse && profilesResponse.success && profilesResponse.data) {
+        soundProfiles = profilesResponse.data;
+      }
+
+      // 保存済み音声を取得
+      const soundsResponse = await sendMessage({ type: 'GET_ALL_SOUNDS' });
+      console.log('[Options] soundsResponse:', soundsResponse);
+      if (soundsResponse && soundsResponse.success && soundsResponse.data) {
+        savedSounds = soundsResponse.data;
+      }
+
+      // プリセット音声を取得
+      const presetsResponse = await sendMessage({ type: 'GET_PRESET_SOUNDS' });
+      console.log('[Options] presetsResponse:', presetsResponse);
+      if (presetsResponse && presetsResponse.success && presetsResponse.data) {
+        presetSounds = presetsResponse.data;
+      }
+
+      // プリセットのお気に入り・最近使った音声を取得
+      const pickerResponse = await sendMessage({ type: 'GET_PRESET_PICKER_STATE' });
+      if (pickerResponse && pickerResponse.success && pickerResponse.data) {
+        presetPickerState = pickerResponse.data;
+      }
+
+      // 出力先デバイスを取得（Remoworkのタブが開いている場合のみ）
+      const devicesResponse = await sendMessage({ type: 'GET_OUTPUT_DEVICES' });
+      if (devicesResponse && devicesResponse.success && devicesResponse.data) {
+        outputDevices = devicesResponse.data;
+      }
+    } catch (error) {
+      console.error('[Options] Error loading data:', error);
+      // エラー時はデフォルト値を使用
+      soundTypes = DEFAULT_SOUND_TYPES;
+    }
+  } else {
+    // デモモード（ブラウザで直接開いた場合）
+    soundTypes = DEFAULT_SOUND_TYPES;
+    console.log('[Demo Mode] Chrome拡張機能としてインストールしてください');
+  }
+
+  console.log('[Options] soundTypes:', soundTypes);
+  console.log('[Options] settings:', settings);
+
+  // ハンドサイン設定を読み込む
+  if (isExtension) {
+    try {
+      const handSignResponse = await sendMessage({ type: 'GET_HAND_SIGN_SETTINGS' });
+      console.log('[Options] handSignResponse:', handSignResponse);
+      if (handSignResponse && handSignResponse.success && handSignResponse.data) {
+        handSignSettings = { ...handSignSettings, ...handSignResponse.data };
+      }
+    } catch (error) {
+      console.error('[Options] Error loading hand sign settings:', error);
+    }
+  }
+
+  // LLM設定を読み込む
+  if (isExtension) {
+    try {
+      const llmResponse = await sendMessage({ type: 'GET_LLM_SETTINGS' });
+      console.log('[Options] llmResponse:', llmResponse);
+      if (llmResponse && llmResponse.success && llmResponse.data) {
+        llmSettings = { ...llmSettings, ...llmResponse.data };
+      }
+    } catch (error) {
+      console.error('[Options] Error loading LLM settings:', error);
+    }
+  }
+
+  // Whisper設定を読み込む
+  if (isExtension) {
+    try {
+      const whisperResponse = await sendMessage({ type: 'GET_WHISPER_SETTINGS' });
+      console.log('[Options] whisperResponse:', whisperResponse);
+      if (whisperResponse && whisperResponse.success && whisperResponse.data) {
+        whisperSettings = { ...whisperSettings, ...whisperResponse.data };
+      }
+    } catch (error) {
+      console.error('[Options] Error loading Whisper settings:', error);
+    }
+  }
+
+  // 統計設定を読み込む
+  if (isExtension) {
+    try {
+      const statsResponse = await sendMessage({ type: 'GET_STATS_SETTINGS' });
+      console.log('[Options] statsResponse:', statsResponse);
+      if (statsResponse && statsResponse.success && statsResponse.data) {
+        statsSettings = { ...statsSettings, ...statsResponse.data };
+      }
+    } catch (error) {
+      console.error('[Options] Error loading stats settings:', error);
+    }
+  }
+
+  // UIを構築
+  renderSoundList();
+  setupDnd();
+  setupTrimEditor();
+  setupMicRecorder();
+  setupPresetPicker();
+  setupSoundProfiles();
+  setupCallerRules();
+  setupSchedules();
+  setupSoundPacks();
+  setupSoundLibrary();
+  setupAudioDiscovery();
+  setupEventListeners();
+  setupTabNavigation();
+  await setupHandSignSettings();
+  setupVirtualCamera();
+  setupLLMSettings();
+  setupWhisperSettings();
+  setupStatsSettings();
+  setupCallHistory();
+  setupShortcuts();
+  setupDesktopNotifications();
+  setupBackup();
+  setupSettingsSearch();
+
+  // 有効/無効トグルの初期状態
+  document.getElementById('enabled-toggle').checked = settings.enabled !== false;
+
+  // 設定画面を開いた統計を記録
+  recordUiClick('options_open');
+});
+
+/**
+ * 音声リストをレンダリング
+ */
+function renderSoundList() {
+  const container = document.getElementById('sound-list');
+  const template = document.getElementById('sound-item-template');
+
+  container.innerHTML = '';
+
+  for (const [id, typeInfo] of Object.entries(soundTypes)) {
+    const clone = template.content.cloneNode(true);
+    const item = clone.querySelector('.sound-item');
+
+    item.dataset.id = id;
+    item.querySelector('.sound-label').textContent = SOUND_LABELS[id] || typeInfo.label;
+    item.querySelector('.sound-description').textContent = SOUND_DESCRIPTIONS[id] || '';
+
+    // 検出した音声から追加した音声タイプは削除できる
+    if (typeInfo.userDefined) {
+      item.querySelector('.sound-description').textContent = typeInfo.path;
+      const deleteBtn = document.createElement('button');
+      deleteBtn.className = 'btn btn-small btn-danger sound-type-delete';
+      deleteBtn.title = 'この音声タイプを削除';
+      deleteBtn.textContent = '×';
+      item.querySelector('.sound-header').appendChild(deleteBtn);
+    }
+
+    // 選択中のプリセット・ライブラリの音声（一覧はプリセットの選択画面で表示）
+    const modeSelect = item.querySelector('.sound-mode');
+    const pickerOption = document.createElement('option');
+    pickerOption.value = 'picker';
+    pickerOption.textContent = '🔍 プリセット・ライブラリから選ぶ…';
+    modeSelect.insertBefore(pickerOption, modeSelect.querySelector('option[value="custom"]'));
+    syncSoundModeSelect(item, id);
+
+    // ステータス表示
+    const currentSetting = settings.sounds?.[id] || { mode: 'original' };
+    const currentMode = currentSetting.mode || 'original';
+    updateStatusBadge(item, currentMode,
+      currentMode === 'library' ? currentSetting.librarySoundId : currentSetting.presetId,
+      currentSetting.presetCategory);
+
+    // 読み上げは着信・呼び出し・ドアチャイムのみ
+    if (!ANNOUNCE_SOUND_TYPES.includes(id)) {
+      modeSelect.querySelector('option[value="announce"]').remove();
+    }
+
+    // ローテーション・読み上げ
+    renderModeEditors(item, id);
+
+    // 音量・フェードイン
+    const volume = settings.sounds?.[id]?.volume ?? 1;
+    item.querySelector('.sound-volume').value = Math.round(volume * 100);
+    item.querySelector('.sound-volume-value').textContent = `${Math.round(volume * 100)}%`;
+    item.querySelector('.sound-fade-in').value = String(settings.sounds?.[id]?.fadeIn || 0);
+
+    // 出力先デバイス
+    renderOutputDeviceOptions(item, id);
+
+    // ファイル情報（カスタムモードの場合、または保存済み音声がある場合）
+    const savedSound = savedSounds.find(s => s.id === id);
+    const fileInfo = item.querySelector('.sound-file-info');
+    if (savedSound) {
+      if (currentMode === 'custom') {
+        fileInfo.textContent = savedSound.fileName || 'カスタム音声';
+      } else {
+        // オリジナルモードでもカスタム音声があることを表示
+        fileInfo.textContent = `(保存済み: ${savedSound.fileName || 'カスタム音声'})`;
+        fileInfo.style.opacity = '0.6';
+      }
+    }
+
+    container.appendChild(clone);
+  }
+}
+
+/**
+ * ステータスバッジを更新（presetId: プリセットまたはライブラリの音声のID）
+ */
+function updateStatusBadge(item, mode, presetId = null, presetCategory = null) {
+  const badge = item.querySelector('.sound-status');
+
+  if (mode === 'preset' && presetId) {
+    // プリセットの場合はプリセット名を表示
+    const category = presetCategory || item.dataset.id;
+    const preset = (presetSounds[category] || []).find(p => p.id === presetId);
+    badge.textContent = preset ? preset.label : 'プリセット';
+    badge.className = 'sound-status preset';
+  } else if (mode === 'library' && presetId) {
+    // ライブラリの場合は音声の名前を表示
+    const sound = (presetSounds.library || []).find(s => s.id === presetId);
+    badge.textContent = sound ? sound.label : MODE_LABELS.library;
+    badge.className = 'sound-status preset';
+  } else {
+    badge.textContent = MODE_LABELS[mode] || mode;
+    badge.className = `sound-status ${mode}`;
+  }
+}
+
+/**
+ * イベントリスナーを設定
+ */
+function setupEventListeners() {
+  // 有効/無効トグル
+  document.getElementById('enabled-toggle').addEventListener('change', async (e) => {
+    settings.enabled = e.target.checked;
+    if (isExtension) {
+      await sendMessage({ type: 'SAVE_SETTINGS', settings });
+    }
+    showToast(settings.enabled ? '有効化しました' : '無効化しました');
+  });
+
+  // 音声リスト内のイベント（イベント委譲）
+  document.getElementById('sound-list').addEventListener('change', handleSoundListChange);
+  document.getElementById('sound-list').addEventListener('click', handleSoundListClick);
+  document.getElementById('sound-list').addEventListener('input', (e) => {
+    // 音量スライダーの表示をドラッグ中に更新
+    if (e.target.classList.contains('sound-volume')) {
+      const item = e.target.closest('.sound-item');
+      item.querySelector('.sound-volume-value').textContent = `${e.target.value}%`;
+    }
+  });
+
+  // 読み上げの声一覧は非同期に読み込まれる
+  if ('speechSynthesis' in window) {
+    speechSynthesis.addEventListener('voiceschanged', () => {
+      document.querySelectorAll('.sound-item').forEach(item => {
+        const soundSetting = settings.sounds?.[item.dataset.id];
+        if (soundSetting?.mode === 'announce') {
+          populateAnnounceVoiceOptions(item.querySelector('.announce-voice'), soundSetting.announce?.voice);
+        }
+      });
+    });
+  }
+
+  // ラウドネス正規化
+  const normalizeToggle = document.getElementById('normalize-loudness-toggle');
+  normalizeToggle.checked = settings.normalizeLoudness !== false;
+  normalizeToggle.addEventListener('change', async (e) => {
+    settings.normalizeLoudness = e.target.checked;
+    if (isExtension) {
+      await sendMessage({ type: 'SAVE_SETTINGS', settings });
+    }
+    showToast(settings.normalizeLoudness ? '音量の自動調整を有効にしました' : '音量の自動調整を無効にしました');
+  });
+}
+
+/**
+ * 音声リストの変更イベント
+ */
+async function handleSoundListChange(e) {
+  const target = e.target;
+  const item = target.closest('.sound-item');
+  if (!item) return;
+
+  const soundId = item.dataset.id;
+
+  // 読み上げの編集
+  if (target.closest('.sound-announce')) {
+    await handleAnnounceChange(soundId, item);
+    return;
+  }
+
+  // ローテーションの編集
+  if (target.closest('.sound-rotation')) {
+    await handleRotationChange(soundId, target, item);
+    return;
+  }
+
+  // モード変更
+  if (target.classList.contains('sound-mode')) {
+    const mode = target.value;
+    await handleModeChange(soundId, mode, item);
+  }
+
+  // 音量・フェードイン
+  if (target.classList.contains('sound-volume') || target.classList.contains('sound-fade-in')) {
+    await handlePlaybackChange(soundId, item);
+  }
+
+  // 出力先デバイス
+  if (target.classList.contains('sound-output-primary') || target.classList.contains('sound-output-secondary')) {
+    await handleOutputDeviceChange(soundId, item);
+  }
+
+  // ファイルアップロード
+  if (target.type === 'file' && target.files.length > 0) {
+    await handleFileUpload(soundId, target.files[0], item);
+    target.value = ''; // リセット
+  }
+}
+
+/**
+ * 音量・フェードインの変更処理
+ */
+async function handlePlaybackChange(soundId, item) {
+  const volume = Number(item.querySelector('.sound-volume').value) / 100;
+  const fadeIn = Number(item.querySelector('.sound-fade-in').value);
+
+  if (isExtension) {
+    await sendMessage({ type: 'SET_SOUND_PLAYBACK', id: soundId, volume, fadeIn });
+  }
+
+  if (!settings.sounds) settings.sounds = {};
+  settings.sounds[soundId] = { mode: 'original', ...settings.sounds[soundId], volume, fadeIn };
+
+  // 再生中なら音量を反映
+  if (currentPlayingId === soundId && previewAudio) {
+    previewAudio.volume = volume;
+  }
+}
+
+/**
+ * 出力先デバイスの選択肢をレンダリング
+ * 保存済みで現在見つからないデバイスも選択状態を保つために表示する
+ */
+function renderOutputDeviceOptions(item, soundId) {
+  const saved = settings.sounds?.[soundId]?.outputDevices || [];
+  const devices = [...(outputDevices || [])];
+  for (const device of saved) {
+    if (!devices.some(d => d.deviceId === device.deviceId)) {
+      devices.push({ ...device, missing: true });
+    }
+  }
+
+  document.getElementById('output-device-note').hidden = outputDevices !== null;
+
+  ['.sound-output-primary', '.sound-output-secondary'].forEach((selector, index) => {
+    const select = item.querySelector(selector);
+    select.querySelectorAll('option:not([value=""])').forEach(option => option.remove());
+    for (const device of devices) {
+      // 「既定」は1台目の「既定のデバイス」と重複するため除外
+      if (device.deviceId === 'default') continue;
+      const option = document.createElement('option');
+      option.value = device.deviceId;
+      option.textContent = (device.label || 'デバイス') + (device.missing ? '（未接続）' : '');
+      select.appendChild(option);
+    }
+    const deviceId = saved[index]?.deviceId;
+    select.value = deviceId && deviceId !== 'default' ? deviceId : '';
+  });
+}
+
+/**
+ * 出力先デバイスの変更処理
+ */
+async function handleOutputDeviceChange(soundId, item) {
+  const primaryId = item.querySelector('.sound-output-primary').value;
+  const secondaryId = item.querySelector('.sound-output-secondary').value;
+  const findDevice = (deviceId) => {
+    const known = [...(outputDevices || []), ...(settings.sounds?.[soundId]?.outputDevices || [])];
+    const device = known.find(d => d.deviceId === deviceId);
+    return { deviceId, label: device?.label || '' };
+  };
+
+  // 2台目だけ指定した場合は1台目を既定のデバイスとして扱う
+  const selected = [];
+  selected.push(findDevice(primaryId || 'default'));
+  if (secondaryId && secondaryId !== primaryId) {
+    selected.push(findDevice(secondaryId));
+  }
+  const newDevices = selected.length === 1 && !primaryId ? [] : selected;
+
+  try {
+    if (isExtension) {
+      const response = await sendMessage({ type: 'SET_SOUND_OUTPUT', id: soundId, outputDevices: newDevices });
+      if (!response || !response.success) {
+        throw new Error(response?.error || '保存に失敗しました');
+      }
+    }
+
+    if (!settings.sounds) settings.sounds = {};
+    settings.sounds[soundId] = { mode: 'original', ...settings.sounds[soundId], outputDevices: newDevices };
+    renderOutputDeviceOptions(item, soundId);
+    showToast(newDevices.length > 1 ? '2台のデバイスで鳴らします' : '出力先を変更しました', 'success');
+  } catch (error) {
+    showToast('エラーが発生しました: ' + error.message, 'error');
+  }
+}
+
+/**
+ * 他の音声タイプで使用中のプリセットを取得
+ */
+function getUsedPresets(excludeSoundId = null) {
+  const used = new Map(); // presetLabel -> soundType
+
+  for (const [id, soundSetting] of Object.entries(settings.sounds || {})) {
+    if (id === excludeSoundId) continue;
+    const selected = getSelectedPreset(id, soundSetting);
+    if (selected) {
+      used.set(getPresetFileKey(selected.preset, selected.category), SOUND_LABELS[id] || soundTypes[id]?.label || id);
+    }
+  }
+
+  return used;
+}
+
+/**
+ * 音声タイプで選択中のプリセット・ライブラリの音声
+ * @returns {{category: string, preset: Object}|null}
+ */
+function getSelectedPreset(soundId, soundSetting) {
+  let category = null;
+  let presetId = null;
+  if (soundSetting?.mode === 'preset' && soundSetting.presetId) {
+    category = soundSetting.presetCategory || soundId;
+    presetId = soundSetting.presetId;
+  } else if (soundSetting?.mode === 'library' && soundSetting.librarySoundId) {
+    category = 'library';
+    presetId = soundSetting.librarySoundId;
+  }
+  const preset = category ? (presetSounds[category] || []).find(p => p.id === presetId) : null;
+  return preset ? { category, preset } : null;
+}
+
+/**
+ * プリセットが他で使用中かチェック
+ */
+function isPresetUsedElsewhere(category, presetId, soundId) {
+  const preset = (presetSounds[category] || []).find(p => p.id === presetId);
+  if (!preset) return null;
+
+  // 同じファイル名が他で使われているかチェック
+  return getUsedPresets(soundId).get(getPresetFileKey(preset, category)) || null;
+}
+
+/**
+ * プリセットの重複判定用のキー（サウンドパックはパックごと、ライブラリは音声ごとに区別）
+ */
+function getPresetFileKey(preset, category = null) {
+  if (category === 'library') return `library/${preset.id}`;
+  return preset.packId ? `${preset.packId}/${preset.file}` : preset.file;
+}
+
+/**
+ * 音声タイプのモード選択を現在の設定に合わせる（選択中のプリセットを選択肢に表示）
+ */
+function syncSoundModeSelect(item, soundId) {
+  const modeSelect = item.querySelector('.sound-mode');
+  modeSelect.querySelector('.sound-mode-selected')?.remove();
+
+  const soundSetting = settings.sounds?.[soundId] || { mode: 'original' };
+  const selected = getSelectedPreset(soundId, soundSetting);
+  if (!selected) {
+    modeSelect.value = ['preset', 'library'].includes(soundSetting.mode) ? 'original' : soundSetting.mode;
+    return;
+  }
+
+  const option = document.createElement('option');
+  option.className = 'sound-mode-selected';
+  option.value = selected.category === 'library'
+    ? `library:${selected.preset.id}`
+    : `preset:${selected.category}:${selected.preset.id}`;
+  option.textContent = `🎵 ${getPresetLabel(selected.preset)}` +
+    (selected.category !== soundId ? `（${SOUND_LABELS[selected.category] || selected.category}）` : '');
+  modeSelect.insertBefore(option, modeSelect.querySelector('option[value="picker"]'));
+  modeSelect.value = option.value;
+}
+
+/**
+ * プリセットの表示名（サウンドパックの音声はパック名を付ける）
+ */
+function getPresetLabel(preset) {
+  return preset.packName ? `${preset.label}（${preset.packName}）` : preset.label;
+}
+
+/**
+ * モード変更の処理
+ */
+async function handleModeChange(soundId, mode, item) {
+  // 該当の音声が再生中なら停止
+  if (currentPlayingId === soundId) {
+    stopPlayback();
+  }
+
+  item.classList.add('loading');
+
+  try {
+    if (mode === 'picker') {
+      // プリセットの選択画面（選んだ時点で設定する）
+      openPresetPicker(soundId, item);
+    } else if (mode.startsWith('preset:')) {
+      // preset:カテゴリ:プリセットID 形式
+      const [, presetCategory, presetId] = mode.split(':');
+
+      // 重複チェック
+      const usedIn = isPresetUsedElsewhere(presetCategory, presetId, soundId);
+      if (usedIn) {
+        const preset = (presetSounds[presetCategory] || []).find(p => p.id === presetId);
+        showToast(`「${preset?.label || 'この音声'}」は「${usedIn}」で使用中です`, 'error');
+        return;
+      }
+
+      if (isExtension) {
+        const response = await sendMessage({ type: 'SET_PRESET', id: soundId, presetCategory, presetId });
+        if (!response || !response.success) {
+          throw new Error(response?.error || '保存に失敗しました');
+        }
+      }
+
+      // 設定を更新
+      if (!settings.sounds) settings.sounds = {};
+      settings.sounds[soundId] = { ...settings.sounds[soundId], mode: 'preset', presetId };
+      if (presetCategory === soundId) {
+        delete settings.sounds[soundId].presetCategory;
+      } else {
+        settings.sounds[soundId].presetCategory = presetCategory;
+      }
+      recordRecentPresetLocally(`${presetCategory}:${presetId}`);
+
+      item.querySelector('.sound-file-info').textContent = '';
+      renderModeEditors(item, soundId);
+      updateStatusBadge(item, 'preset', presetId, presetCategory);
+
+      const preset = (presetSounds[presetCategory] || []).find(p => p.id === presetId);
+      showToast(`${preset?.label || 'プリセット'}に変更しました`, 'success');
+    } else if (mode.startsWith('library:')) {
+      const librarySoundId = mode.replace('library:', '');
+      if (isExtension) {
+        const response = await sendMessage({ type: 'SET_LIBRARY_SOUND', id: soundId, soundId: librarySoundId });
+        if (!response || !response.success) {
+          throw new Error(response?.error || '保存に失敗しました');
+        }
+      }
+
+      if (!settings.sounds) settings.sounds = {};
+      settings.sounds[soundId] = { ...settings.sounds[soundId], mode: 'library', librarySoundId };
+      delete settings.sounds[soundId].presetId;
+      delete settings.sounds[soundId].presetCategory;
+      recordRecentPresetLocally(`library:${librarySoundId}`);
+
+      item.querySelector('.sound-file-info').textContent = '';
+      renderModeEditors(item, soundId);
+      updateStatusBadge(item, 'library', librarySoundId);
+
+      const sound = (presetSounds.library || []).find(s => s.id === librarySoundId);
+      showToast(`${sound?.label || 'ライブラリの音声'}に変更しました`, 'success');
+      refreshSoundLibrary();
+    } else if (mode === 'original') {
+      if (isExtension) {
+        await sendMessage({ type: 'SET_ORIGINAL', id: soundId });
+      }
+
+      // 設定を更新
+      if (!settings.sounds) settings.sounds = {};
+      if (!settings.sounds[soundId]) settings.sounds[soundId] = {};
+      settings.sounds[soundId].mode = 'original';
+      delete settings.sounds[soundId].presetId;
+      delete settings.sounds[soundId].presetCategory;
+
+      item.querySelector('.sound-file-info').textContent = '';
+      renderModeEditors(item, soundId);
+      updateStatusBadge(item, mode);
+      showToast('オリジナル音声に戻しました', 'success');
+    } else if (mode === 'custom') {
+      // カスタムの場合は既存のカスタム音声があるか確認
+      let hasCustomSound = false;
+
+      if (isExtension) {
+        const soundResponse = await sendMessage({ type: 'GET_SOUND', id: soundId });
+        hasCustomSound = soundResponse && soundResponse.data;
+        if (hasCustomSound) {
+          item.querySelector('.sound-file-info').textContent = soundResponse.data.fileName || 'カスタム音声';
+        }
+      }
+
+      if (!hasCustomSound) {
+        // カスタム音声がない場合はファイル選択を促す
+        showToast('音声ファイルをアップロードしてください', 'info');
+        item.querySelector('input[type="file"]').click();
+        return;
+      }
+
+      if (!settings.sounds) settings.sounds = {};
+      settings.sounds[soundId] = { ...settings.sounds[soundId], mode: 'custom' };
+      renderModeEditors(item, soundId);
+      updateStatusBadge(item, mode);
+      showToast('カスタム音声に変更しました', 'success');
+    } else if (mode === 'rotation') {
+      // 初回はこの音声タイプのプリセットすべてをプールに入れる
+      let rotation = settings.sounds?.[soundId]?.rotation;
+      if (!rotation || rotation.items.length === 0) {
+        rotation = {
+          order: 'random',
+          items: (presetSounds[soundId] || []).map(p => ({ type: 'preset', value: `${soundId}:${p.id}` }))
+        };
+      }
+      await saveRotation(soundId, rotation, item);
+      item.querySelector('.sound-file-info').textContent = '';
+      updateStatusBadge(item, mode);
+      showToast('ローテーションに変更しました', 'success');
+    } else if (mode === 'announce') {
+      const announce = settings.sounds?.[soundId]?.announce || { template: DEFAULT_ANNOUNCE_TEMPLATES[soundId], rate: 1, pitch: 1 };
+      await saveAnnounce(soundId, announce, item);
+      item.querySelector('.sound-file-info').textContent = '';
+      updateStatusBadge(item, mode);
+      showToast('読み上げに変更しました', 'success');
+    }
+  } catch (error) {
+    showToast('エラーが発生しました: ' + error.message, 'error');
+  } finally {
+    // 選択できなかった場合は元の値に戻す
+    syncSoundModeSelect(item, soundId);
+    item.classList.remove('loading');
+  }
+}
+
+// =====================================
+// プリセットの選択（検索・お気に入り・最近使った音声・試聴）
+// =====================================
+
+// マウスを重ねてから試聴を始めるまでの時間（ミリ秒）
+const PRESET_PICKER_PREVIEW_DELAY = 300;
+// 最近使った音声の件数（background.js と同じ）
+const PRESET_PICKER_MAX_RECENTS = 8;
+
+/**
+ * プリセットの選択画面を設定
+ */
+function setupPresetPicker() {
+  const list = document.getElementById('preset-picker-list');
+
+  document.getElementById('preset-picker-search').addEventListener('input', renderPresetPicker);
+  document.getElementById('preset-picker-cancel').addEventListener('click', closePresetPicker);
+  document.getElementById('preset-picker').addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') closePresetPicker();
+  });
+
+  // 絞り込み（すべて・お気に入り・最近・カテゴリ）
+  document.getElementById('preset-picker-filters').addEventListener('click', (e) => {
+    const button = e.target.closest('[data-filter]');
+    if (!button || !presetPicker) return;
+    presetPicker.filter = button.dataset.filter;
+    renderPresetPicker();
+  });
+
+  // お気に入りの切り替え・選択
+  list.addEventListener('click', async (e) => {
+    const row = e.target.closest('.preset-picker-item');
+    if (!row || !presetPicker) return;
+
+    if (e.target.closest('.preset-picker-favorite')) {
+      await togglePresetFavorite(row.dataset.favoriteValue);
+      return;
+    }
+
+    const { soundId, item } = presetPicker;
+    closePresetPicker();
+    const value = row.dataset.value;
+    await handleModeChange(soundId, value.startsWith('library:') ? value : `preset:${value}`, item);
+  });
+
+  // マウスを重ねて試聴
+  list.addEventListener('mouseover', (e) => {
+    const row = e.target.closest('.preset-picker-item');
+    if (!row || !presetPicker || row.contains(e.relatedTarget)) return;
+    stopPresetPickerPreview();
+    presetPicker.previewTimer = setTimeout(() => playPresetPickerPreview(row.dataset.value), PRESET_PICKER_PREVIEW_DELAY);
+  });
+  list.addEventListener('mouseout', (e) => {
+    const row = e.target.closest('.preset-picker-item');
+    if (!row || row.contains(e.relatedTarget)) return;
+    stopPresetPickerPreview();
+  });
+}
+
+/**
+ * プリセットの選択画面を開く
+ */
+function openPresetPicker(soundId, item) {
+  stopPlayback();
+  presetPicker = { soundId, item, filter: 'all', previewTimer: null, previewAudio: new Audio() };
+
+  document.getElementById('preset-picker-target').textContent = SOUND_LABELS[soundId] || soundTypes[soundId]?.label || soundId;
+  const searchInput = document.getElementById('preset-picker-search');
+  searchInput.value = '';
+  renderPresetPicker();
+
+  document.getElementById('preset-picker').hidden = false;
+  searchInput.focus();
+}
+
+/**
+ * プリセットの選択画面を閉じる
+ */
+function closePresetPicker() {
+  if (!presetPicker) return;
+  stopPresetPickerPreview();
+  presetPicker = null;
+  document.getElementById('preset-picker').hidden = true;
+}
+
+/**
+ * 選択できるプリセットの一覧（全カテゴリ・ライブラリ）
+ * @returns {Array<{value, category, preset, key}>}
+ */
+function getPresetPickerEntries() {
+  const entries = [];
+  for (const [category, presets] of Object.entries(presetSounds)) {
+    for (const preset of presets) {
+      if (!preset.file) continue; // なし（無音）
+      entries.push({ value: `${category}:${preset.id}`, category, preset, key: getPresetFileKey(preset, category) });
+    }
+  }
+  return entries;
+}
+
+/**
+ * プリセットの選択画面をレンダリング
+ */
+function renderPresetPicker() {
+  if (!presetPicker) return;
+  const { soundId, filter } = presetPicker;
+  const query = document.getElementById('preset-picker-search').value.trim().toLowerCase();
+  const entries = getPresetPickerEntries();
+
+  // 絞り込みボタン
+  const filters = document.getElementById('preset-picker-filters');
+  filters.innerHTML = '';
+  const categories = [...new Set(entries.map(entry => entry.category))];
+  const filterOptions = [
+    ['all', 'すべて'],
+    ['favorites', `★ お気に入り (${presetPickerState.favorites.length})`],
+    ['recents', '🕘 最近'],
+    ...categories.map(category => [category, SOUND_LABELS[category] || category])
+  ];
+  for (const [value, label] of filterOptions) {
+    const button = document.createElement('button');
+    button.className = 'btn btn-small btn-secondary preset-picker-filter';
+    button.classList.toggle('active', value === filter);
+    button.dataset.filter = value;
+    button.textContent = label;
+    filters.appendChild(button);
+  }
+
+  // 表示する項目
+  const byValue = new Map(entries.map(entry => [entry.value, entry]));
+  let rows;
+  if (filter === 'favorites') {
+    rows = presetPickerState.favorites.map(value => byValue.get(value)).filter(Boolean);
+  } else if (filter === 'recents') {
+    rows = presetPickerState.recents.map(value => byValue.get(value)).filter(Boolean);
+  } else if (filter === 'all') {
+    // 同じファイルはまとめて1件（この音声タイプのカテゴリを優先）
+    const groups = new Map();
+    for (const entry of entries) {
+      const group = groups.get(entry.key);
+      if (!group) {
+        groups.set(entry.key, { ...entry, categories: [entry.category] });
+      } else {
+        group.categories.push(entry.category);
+        if (entry.category === soundId) Object.assign(group, { value: entry.value, category: entry.category, preset: entry.preset });
+      }
+    }
+    rows = [...groups.values()];
+  } else {
+    rows = entries.filter(entry => entry.category === filter);
+  }
+
+  if (query) {
+    rows = rows.filter(row => [
+      row.preset.label,
+      row.preset.packName,
+      ...(row.categories || [row.category]).map(category => SOUND_LABELS[category] || category),
+      ...(row.preset.tags || [])
+    ].some(text => text && text.toLowerCase().includes(query)));
+  }
+
+  const list = document.getElementById('preset-picker-list');
+  list.innerHTML = '';
+  document.getElementById('preset-picker-empty').hidden = rows.length > 0;
+
+  const usedPresets = getUsedPresets(soundId);
+  const current = getSelectedPreset(soundId, settings.sounds?.[soundId]);
+  const currentKey = current ? getPresetFileKey(current.preset, current.category) : null;
+  // お気に入りは同じファイルの別カテゴリで登録されていても表示する
+  const favoriteByKey = new Map(presetPickerState.favorites
+    .filter(value => byValue.has(value))
+    .map(value => [byValue.get(value).key, value]));
+
+  for (const row of rows) {
+    const favoriteValue = favoriteByKey.get(row.key);
+    const item = document.createElement('div');
+    item.className = 'preset-picker-item';
+    item.classList.toggle('current', row.key === currentKey);
+    item.dataset.value = row.value;
+    item.dataset.favoriteValue = favoriteValue || row.value;
+
+    const favoriteBtn = document.createElement('button');
+    favoriteBtn.className = 'preset-picker-favorite';
+    favoriteBtn.classList.toggle('active', !!favoriteValue);
+    favoriteBtn.title = favoriteValue ? 'お気に入りから外す' : 'お気に入りに追加';
+    favoriteBtn.textContent = favoriteValue ? '★' : '☆';
+
+    const name = document.createElement('span');
+    name.className = 'preset-picker-name';
+    name.textContent = getPresetLabel(row.preset);
+
+    const category = document.createElement('span');
+    category.className = 'preset-picker-category';
+    category.textContent = (row.categories || [row.category]).map(c => SOUND_LABELS[c] || c).join('・');
+
+    item.append(favoriteBtn, name, category);
+
+    // 他の音声タイプで使用中
+    const usedIn = usedPresets.get(row.key);
+    if (usedIn) {
+      const used = document.createElement('span');
+      used.className = 'preset-picker-used';
+      used.textContent = `使用中: ${usedIn}`;
+      item.appendChild(used);
+    }
+
+    list.appendChild(item);
+  }
+}
+
+/**
+ * お気に入りの追加・解除
+ */
+async function togglePresetFavorite(value) {
+  if (isExtension) {
+    const response = await sendMessage({ type: 'TOGGLE_PRESET_FAVORITE', value });
+    if (!response || !response.success) {
+      showToast('エラーが発生しました: ' + (response?.error || '保存に失敗しました'), 'error');
+      return;
+    }
+    presetPickerState = response.data;
+  }
+  renderPresetPicker();
+}
+
+/**
+ * 最近使った音声の表示を更新（保存は background で行う）
+ */
+function recordRecentPresetLocally(value) {
+  presetPickerState.recents = [value, ...presetPickerState.recents.filter(v => v !== value)].slice(0, PRESET_PICKER_MAX_RECENTS);
+}
+
+/**
+ * プリセットを試聴
+ */
+async function playPresetPickerPreview(value) {
+  if (!presetPicker) return;
+  const url = await getPresetSoundUrl(value);
+  if (!url || !presetPicker) return;
+
+  const audio = presetPicker.previewAudio;
+  audio.src = url;
+  audio.volume = 0.7;
+  audio.play().catch(() => {});
+}
+
+/**
+ * プリセットの試聴を停止
+ */
+function stopPresetPickerPreview() {
+  if (!presetPicker) return;
+  clearTimeout(presetPicker.previewTimer);
+  presetPicker.previewTimer = null;
+  presetPicker.previewAudio.pause();
+}
+
+/**
+ * ファイルアップロードの処理
+ */
+async function handleFileUpload(soundId, file, item) {
+  const clip = await prepareUploadClip(file);
+  if (!clip) return;
+
+  item.classList.add('loading');
+
+  try {
+    let normalized = false;
+
+    if (isExtension) {
+      // 保存
+      const response = await sendMessage({
+        type: 'SAVE_SOUND',
+        id: soundId,
+        data: clip.data,
+        fileName: clip.fileName,
+        mimeType: clip.mimeType,
+        loopPoints: clip.loopPoints,
+        rendered: !!clip.rendered
+      });
+
+      if (!response || !response.success) {
+        throw new Error(response?.error || '保存に失敗しました');
+      }
+      normalized = !!clip.normalized || !!response.data?.normalized;
+    }
+
+    // UI更新
+    if (!settings.sounds) settings.sounds = {};
+    settings.sounds[soundId] = { ...settings.sounds[soundId], mode: 'custom' };
+    syncSoundModeSelect(item, soundId);
+    updateStatusBadge(item, 'custom');
+    item.querySelector('.sound-file-info').textContent = clip.fileName;
+    renderModeEditors(item, soundId);
+
+    showToast(normalized ? '音量を調整して保存しました' : '音声を保存しました', 'success');
+  } catch (error) {
+    showToast('アップロードに失敗しました: ' + error.message, 'error');
+  } finally {
+    item.classList.remove('loading');
+  }
+}
+
+/**
+ * アップロードされたファイルを検証し、切り出しエディターで範囲を選択
+ * @returns {Promise<Object|null>} 切り出した音声（キャンセル・エラー時は null）
+ */
+async function prepareUploadClip(file) {
+  // サイズチェック
+  if (file.size > MAX_FILE_SIZE) {
+    showToast('ファイルサイズが300MBを超えています', 'error');
+    return null;
+  }
+
+  // 音声ファイルかチェック
+  if (!file.type.startsWith('audio/')) {
+    showToast('音声ファイルを選択してください', 'error');
+    return null;
+  }
+
+  // 音声の長さをチェック
+  try {
+    const duration = await getAudioDuration(file);
+    // 録音したWebMは長さが不明（Infinity）になるため判定しない
+    if (Number.isFinite(duration) && duration > MAX_DURATION_SECONDS) {
+      showToast('音声の長さは10分以内にしてください', 'error');
+      return null;
+    }
+  } catch (e) {
+    console.warn('Duration check failed:', e);
+  }
+
+  // 切り出しエディターで使う範囲を選択
+  try {
+    return await openTrimEditor(file);
+  } catch (error) {
+    showToast('ファイルの読み込みに失敗しました: ' + error.message, 'error');
+    return null;
+  }
+}
+
+/**
+ * モードごとの編集欄（ローテーション・読み上げ）をレンダリング
+ */
+function renderModeEditors(item, soundId) {
+  renderRotationEditor(item, soundId);
+  renderAnnounceEditor(item, soundId);
+}
+
+// =====================================
+// 読み上げ（音声合成）
+// =====================================
+
+/**
+ * 読み上げ編集欄をレンダリング（読み上げモード時のみ表示）
+ */
+function renderAnnounceEditor(item, soundId) {
+  const editor = item.querySelector('.sound-announce');
+  const soundSetting = settings.sounds?.[soundId];
+
+  editor.hidden = soundSetting?.mode !== 'announce';
+  if (editor.hidden) return;
+
+  const announce = soundSetting.announce || {};
+  editor.querySelector('.announce-template').value = announce.template || DEFAULT_ANNOUNCE_TEMPLATES[soundId];
+  editor.querySelector('.announce-rate').value = String(announce.rate ?? 1);
+  editor.querySelector('.announce-pitch').value = String(announce.pitch ?? 1);
+
+  populateAnnounceVoiceOptions(editor.querySelector('.announce-voice'), announce.voice);
+
+  const chimeSelect = editor.querySelector('.announce-chime');
+  if (chimeSelect.options.length <= 1) {
+    populateCallerRuleSoundOptions(chimeSelect, false);
+    const noneOption = document.createElement('option');
+    noneOption.value = '';
+    noneOption.textContent = '前置きの音なし';
+    chimeSelect.insertBefore(noneOption, chimeSelect.firstChild);
+  }
+  chimeSelect.value = announce.chime || '';
+}
+
+/**
+ * 声の選択肢を生成（日本語の声を優先、なければすべて）
+ */
+function populateAnnounceVoiceOptions(selectElement, selectedVoice) {
+  if (!('speechSynthesis' in window)) return;
+
+  const voices = speechSynthesis.getVoices();
+  const japaneseVoices = voices.filter(v => v.lang.startsWith('ja'));
+
+  selectElement.querySelectorAll('option:not([value=""])').forEach(option => option.remove());
+  for (const voice of japaneseVoices.length > 0 ? japaneseVoices : voices) {
+    const option = document.createElement('option');
+    option.value = voice.voiceURI;
+    option.textContent = voice.name;
+    selectElement.appendChild(option);
+  }
+  selectElement.value = selectedVoice || '';
+}
+
+/**
+ * 編集欄から読み上げ設定を取得
+ */
+function collectAnnounce(item) {
+  const editor = item.querySelector('.sound-announce');
+  return {
+    template: editor.querySelector('.announce-template').value.trim(),
+    voice: editor.querySelector('.announce-voice').value || null,
+    rate: Number(editor.querySelector('.announce-rate').value),
+    pitch: Number(editor.querySelector('.announce-pitch').value),
+    chime: editor.querySelector('.announce-chime').value || null
+  };
+}
+
+/**
+ * 読み上げ設定を保存してUIに反映
+ */
+async function saveAnnounce(soundId, announce, item) {
+  if (isExtension) {
+    const response = await sendMessage({ type: 'SET_ANNOUNCE', id: soundId, announce });
+    if (!response || !response.success) {
+      throw new Error(response?.error || '保存に失敗しました');
+    }
+  }
+
+  if (!settings.sounds) settings.sounds = {};
+  settings.sounds[soundId] = { ...settings.sounds[soundId], mode: 'announce', announce };
+  delete settings.sounds[soundId].presetId;
+  renderModeEditors(item, soundId);
+}
+
+/**
+ * 読み上げ編集欄の変更処理
+ */
+async function handleAnnounceChange(soundId, item) {
+  try {
+    await saveAnnounce(soundId, collectAnnounce(item), item);
+  } catch (error) {
+    showToast('エラーが発生しました: ' + error.message, 'error');
+  }
+}
+
+/**
+ * 読み上げを試聴（サンプルの名前で読み上げる）
+ */
+async function playAnnounceTest(soundId, item) {
+  if (!('speechSynthesis' in window)) {
+    showToast('このブラウザは読み上げに対応していません', 'error');
+    return;
+  }
+
+  stopPlayback();
+  speechSynthesis.cancel();
+
+  const announce = collectAnnounce(item);
+  const template = announce.template || DEFAULT_ANNOUNCE_TEMPLATES[soundId];
+  const volume = Number(item.querySelector('.sound-volume').value) / 100;
+
+  const speak = () => {
+    const utterance = new SpeechSynthesisUtterance(template.replace(/\{name\}/g, ANNOUNCE_SAMPLE_NAME));
+    const voice = speechSynthesis.getVoices().find(v => v.voiceURI === announce.voice);
+    if (voice) {
+      utterance.voice = voice;
+    } else {
+      utterance.lang = 'ja-JP';
+    }
+    utterance.rate = announce.rate;
+    utterance.pitch = announce.pitch;
+    utterance.volume = volume;
+    speechSynthesis.speak(utterance);
+  };
+
+  const chimeUrl = await getPresetSoundUrl(announce.chime);
+  if (!chimeUrl) {
+    speak();
+    return;
+  }
+  previewAudio.src = chimeUrl;
+  previewAudio.volume = volume;
+  previewAudio.onended = speak;
+  previewAudio.onerror = speak;
+  previewAudio.play();
+}
+
+// =====================================
+// ローテーション（複数の音から順番/ランダムに再生）
+// =====================================
+
+/**
+ * ローテーション編集欄をレンダリング（ローテーションモード時のみ表示）
+ */
+function renderRotationEditor(item, soundId) {
+  const editor = item.querySelector('.sound-rotation');
+  const soundSetting = settings.sounds?.[soundId];
+  const rotation = soundSetting?.rotation || { order: 'random', items: [] };
+
+  editor.hidden = soundSetting?.mode !== 'rotation';
+  if (editor.hidden) return;
+
+  editor.querySelector('.rotation-order').value = rotation.order || 'random';
+
+  // プリセット（チェックでプールに追加）
+  const presetList = editor.querySelector('.rotation-presets');
+  presetList.innerHTML = '';
+  const selectedPresets = new Set(rotation.items.filter(i => i.type === 'preset').map(i => i.value));
+  const choices = [
+    ...(presetSounds[soundId] || []).map(preset => ({ value: `${soundId}:${preset.id}`, label: getPresetLabel(preset) })),
+    ...(presetSounds.library || []).map(sound => ({ value: `library:${sound.id}`, label: `${SOUND_LABELS.library}: ${sound.label}` }))
+  ];
+  for (const choice of choices) {
+    const label = document.createElement('label');
+    label.className = 'checkbox-label rotation-preset';
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.className = 'rotation-preset-toggle';
+    checkbox.value = choice.value;
+    checkbox.checked = selectedPresets.has(choice.value);
+
+    const name = document.createElement('span');
+    name.textContent = choice.label;
+
+    label.append(checkbox, name);
+    presetList.appendChild(label);
+  }
+
+  // アップロードした音声
+  const customList = editor.querySelector('.rotation-customs');
+  customList.innerHTML = '';
+  for (const entry of rotation.items.filter(i => i.type === 'custom')) {
+    const row = document.createElement('div');
+    row.className = 'rotation-custom-item';
+
+    const name = document.createElement('span');
+    name.className = 'rotation-custom-name';
+    name.textContent = entry.fileName || 'カスタム音声';
+    name.title = name.textContent;
+
+    const previewBtn = document.createElement('button');
+    previewBtn.className = 'btn btn-small btn-secondary rotation-custom-preview';
+    previewBtn.dataset.rotationSoundId = entry.soundId;
+    previewBtn.title = '試聴';
+    previewBtn.textContent = '▶';
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'btn btn-small btn-danger rotation-custom-delete';
+    deleteBtn.dataset.rotationSoundId = entry.soundId;
+    deleteBtn.title = '削除';
+    deleteBtn.textContent = '×';
+
+    row.append(name, previewBtn, deleteBtn);
+    customList.appendChild(row);
+  }
+
+  editor.querySelector('.rotation-count').textContent = `${rotation.items.length}件の音声`;
+}
+
+/**
+ * ローテーションを保存してUIに反映
+ */
+async function saveRotation(soundId, rotation, item) {
+  if (isExtension) {
+    const response = await sendMessage({ type: 'SET_ROTATION', slot: soundId, rotation });
+    if (!response || !response.success) {
+      throw new Error(response?.error || '保存に失敗しました');
+    }
+  }
+
+  if (!settings.sounds) settings.sounds = {};
+  settings.sounds[soundId] = { ...settings.sounds[soundId], mode: 'rotation', rotation };
+  delete settings.sounds[soundId].presetId;
+  renderModeEditors(item, soundId);
+}
+
+/**
+ * ローテーション編集欄の変更処理（順番・プリセット選択・アップロード）
+ */
+async function handleRotationChange(soundId, target, item) {
+  const rotation = settings.sounds?.[soundId]?.rotation || { order: 'random', items: [] };
+
+  try {
+    if (target.classList.contains('rotation-order')) {
+      await saveRotation(soundId, { ...rotation, order: target.value }, item);
+      showToast(target.value === 'sequential' ? '順番に再生します' : 'ランダムに再生します', 'success');
+    } else if (target.classList.contains('rotation-preset-toggle')) {
+      const items = rotation.items.filter(i => !(i.type === 'preset' && i.value === target.value));
+      if (target.checked) {
+        items.push({ type: 'preset', value: target.value });
+      }
+      await saveRotation(soundId, { ...rotation, items }, item);
+    } else if (target.type === 'file' && target.files.length > 0) {
+      const file = target.files[0];
+      target.value = ''; // リセット
+      await handleRotationUpload(soundId, file, item);
+    }
+  } catch (error) {
+    showToast('エラーが発生しました: ' + error.message, 'error');
+  }
+}
+
+/**
+ * ローテーションに音声ファイルを追加
+ */
+async function handleRotationUpload(soundId, file, item) {
+  const clip = await prepareUploadClip(file);
+  if (!clip) return;
+
+  if (!isExtension) {
+    showToast('デモモードでは追加できません');
+    return;
+  }
+
+  item.classList.add('loading');
+
+  try {
+    const response = await sendMessage({
+      type: 'ADD_ROTATION_SOUND',
+      slot: soundId,
+      data: clip.data,
+      fileName: clip.fileName,
+      mimeType: clip.mimeType,
+      rendered: !!clip.rendered
+    });
+    if (!response || !response.success) {
+      throw new Error(response?.error || '保存に失敗しました');
+    }
+
+    const rotation = settings.sounds?.[soundId]?.rotation || { order: 'random', items: [] };
+    settings.sounds[soundId] = {
+      ...settings.sounds[soundId],
+      mode: 'rotation',
+      rotation: { ...rotation, items: [...rotation.items, response.data] }
+    };
+    renderRotationEditor(item, soundId);
+    showToast(`「${clip.fileName}」をローテーションに追加しました`, 'success');
+  } catch (error) {
+    showToast('アップロードに失敗しました: ' + error.message, 'error');
+  } finally {
+    item.classList.remove('loading');
+  }
+}
+
+/**
+ * ローテーションからアップロードした音声を削除
+ */
+async function handleRotationDelete(soundId, rotationSoundId, item) {
+  if (currentPlayingId === soundId) {
+    stopPlayback();
+  }
+
+  try {
+    if (isExtension) {
+      const response = await sendMessage({ type: 'DELETE_ROTATION_SOUND', slot: soundId, soundId: rotationSoundId });
+      if (!response || !response.success) {
+        throw new Error(response?.error || '削除に失敗しました');
+      }
+    }
+
+    const rotation = settings.sounds[soundId].rotation;
+    rotation.items = rotation.items.filter(i => i.soundId !== rotationSoundId);
+    renderRotationEditor(item, soundId);
+    showToast('削除しました', 'success');
+  } catch (error) {
+    showToast('エラーが発生しました: ' + error.message, 'error');
+  }
+}
+
+/**
+ * ローテーションの項目の音声URLを取得
+ */
+async function getRotationItemUrl(entry) {
+  if (entry.type === 'preset') {
+    return getPresetSoundUrl(entry.value);
+  }
+  if (!isExtension) return null;
+  const soundResponse = await sendMessage({ type: 'GET_SOUND', id: entry.soundId });
+  return soundResponse?.data?.data || null;
+}
+
+/**
+ * 音声リストのクリックイベント
+ */
+async function handleSoundListClick(e) {
+  const target = e.target.closest('button');
+  if (!target) return;
+
+  const item = target.closest('.sound-item');
+  if (!item) return;
+
+  const soundId = item.dataset.id;
+
+  // 再生ボタン
+  if (target.classList.contains('btn-play')) {
+    await handlePlayClick(soundId, target, item);
+  }
+
+  // 読み上げを試聴
+  if (target.classList.contains('announce-test')) {
+    playAnnounceTest(soundId, item);
+  }
+
+  // ローテーションの音声を試聴
+  if (target.classList.contains('rotation-custom-preview')) {
+    stopPlayback();
+    const audioUrl = await getRotationItemUrl({ type: 'custom', soundId: target.dataset.rotationSoundId });
+    if (audioUrl) {
+      previewAudio.src = audioUrl;
+      previewAudio.volume = Number(item.querySelector('.sound-volume').value) / 100;
+      previewAudio.play();
+    }
+  }
+
+  // ローテーションの音声を削除
+  if (target.classList.contains('rotation-custom-delete')) {
+    await handleRotationDelete(soundId, target.dataset.rotationSoundId, item);
+  }
+
+  // マイクで録音
+  if (target.classList.contains('btn-record')) {
+    stopPlayback();
+    await openMicRecorder(soundId, item);
+  }
+
+  // 追加した音声タイプを削除
+  if (target.classList.contains('sound-type-delete')) {
+    if (!confirm(`「${soundTypes[soundId].label}」を削除しますか？`)) return;
+    stopPlayback();
+    const response = await sendMessage({ type: 'DELETE_SOUND_TYPE', id: soundId });
+    if (!response || !response.success) {
+      showToast('エラーが発生しました: ' + (response?.error || '削除に失敗しました'), 'error');
+      return;
+    }
+    await reloadSoundTypes();
+    showToast('音声タイプを削除しました', 'success');
+  }
+}
+
+/**
+ * 再生を停止する共通関数
+ */
+function stopPlayback() {
+  if (!previewAudio) return;
+
+  // イベントハンドラをクリア（前の音声の終了イベントが発火しないように）
+  previewAudio.onended = null;
+  previewAudio.onerror = null;
+
+  previewAudio.pause();
+  previewAudio.currentTime = 0;
+  previewAudio.src = ''; // 現在のソースをクリア
+
+  if (currentPlayingId) {
+    const prevButton = document.querySelector(`.sound-item[data-id="${currentPlayingId}"] .btn-play`);
+    if (prevButton) {
+      updatePlayButtonState(prevButton, false);
+    }
+    currentPlayingId = null;
+  }
+}
+
+/**
+ * 再生ボタンの状態を更新
+ */
+function updatePlayButtonState(button, isPlaying) {
+  const iconPlay = button.querySelector('.icon-play');
+  const iconStop = button.querySelector('.icon-stop');
+
+  if (isPlaying) {
+    button.classList.add('playing');
+    button.title = '停止';
+    if (iconPlay) iconPlay.style.display = 'none';
+    if (iconStop) iconStop.style.display = 'block';
+  } else {
+    button.classList.remove('playing');
+    button.title = '再生';
+    if (iconPlay) iconPlay.style.display = 'block';
+    if (iconStop) iconStop.style.display = 'none';
+  }
+}
+
+/**
+ * 再生ボタンのクリック処理
+ */
+async function handlePlayClick(soundId, button, item) {
+  // 再生中なら停止
+  if (currentPlayingId === soundId) {
+    stopPlayback();
+    return;
+  }
+
+  // 他の再生を停止
+  stopPlayback();
+
+  const modeValue = item.querySelector('.sound-mode').value;
+  let audioUrl = null;
+
+  try {
+    if (modeValue === 'original') {
+      showToast('オリジナル音声はRemoworkサイトで再生されます', 'info');
+      return;
+    }
+
+    if (modeValue === 'announce') {
+      playAnnounceTest(soundId, item);
+      return;
+    }
+
+    // プリセット音声
+    if (modeValue.startsWith('preset:')) {
+      const [, category, presetId] = modeValue.split(':');
+      const presets = presetSounds[category] || [];
+      const preset = presets.find(p => p.id === presetId);
+
+      if (preset) {
+        // 拡張機能内のプリセット音声を再生
+        audioUrl = await getPresetSoundUrl(`${category}:${presetId}`);
+      } else {
+        showToast('プリセット音声が見つかりません');
+        return;
+      }
+    }
+
+    // ライブラリの音声
+    if (modeValue.startsWith('library:')) {
+      audioUrl = await getPresetSoundUrl(modeValue);
+      if (!audioUrl) {
+        showToast('ライブラリの音声が見つかりません');
+        return;
+      }
+    }
+
+    // ローテーション（プールからランダムに1つ試聴）
+    if (modeValue === 'rotation') {
+      const items = settings.sounds?.[soundId]?.rotation?.items || [];
+      if (items.length === 0) {
+        showToast('ローテーションに音声がありません');
+        return;
+      }
+      audioUrl = await getRotationItemUrl(items[Math.floor(Math.random() * items.length)]);
+    }
+
+    // カスタム音声
+    if (modeValue === 'custom') {
+      if (isExtension) {
+        const soundResponse = await sendMessage({ type: 'GET_SOUND', id: soundId });
+        if (soundResponse && soundResponse.data && soundResponse.data.data) {
+          audioUrl = soundResponse.data.data;
+        } else {
+          showToast('カスタム音声が設定されていません');
+          return;
+        }
+      } else {
+        showToast('デモモードでは再生できません');
+        return;
+      }
+    }
+
+    if (audioUrl) {
+      previewAudio.src = audioUrl;
+      previewAudio.volume = Number(item.querySelector('.sound-volume').value) / 100;
+      previewAudio.play();
+      updatePlayButtonState(button, true);
+      currentPlayingId = soundId;
+
+      previewAudio.onended = () => {
+        updatePlayButtonState(button, false);
+        currentPlayingId = null;
+      };
+
+      previewAudio.onerror = () => {
+        updatePlayButtonState(button, false);
+        currentPlayingId = null;
+        showToast('再生に失敗しました', 'error');
+      };
+    }
+  } catch (error) {
+    showToast('再生に失敗しました', 'error');
+  }
+}
+
+/**
+ * サウンドプロファイルのUIを設定
+ */
+function setupSoundProfiles() {
+  const profileSelect = document.getElementById('profile-select');
+  const nameInput = document.getElementById('profile-name');
+
+  renderProfileOptions();
+
+  // プロファイル切り替え
+  profileSelect.addEventListener('change', async () => {
+    const profileId = profileSelect.value;
+    if (!profileId) return;
+
+    const response = await sendMessage({ type: 'APPLY_SOUND_PROFILE', profileId });
+    if (!response || !response.success) {
+      showToast('エラーが発生しました: ' + (response?.error || '切り替えに失敗しました'), 'error');
+      renderProfileOptions();
+      return;
+    }
+
+    soundProfiles.activeId = profileId;
+    await reloadSoundSettings();
+    const profile = soundProfiles.profiles.find(p => p.id === profileId);
+    showToast(`「${profile?.name}」に切り替えました`, 'success');
+  });
+
+  // 新規保存
+  document.getElementById('profile-new').addEventListener('click', async () => {
+    const name = nameInput.value.trim();
+    if (!name) {
+      showToast('プロファイル名を入力してください', 'error');
+      return;
+    }
+
+    const response = await sendMessage({ type: 'SAVE_SOUND_PROFILE', name });
+    if (!response || !response.success) {
+      showToast('エラーが発生しました: ' + (response?.error || '保存に失敗しました'), 'error');
+      return;
+    }
+
+    soundProfiles.profiles.push(response.data);
+    soundProfiles.activeId = response.data.id;
+    nameInput.value = '';
+    renderProfileOptions();
+    showToast(`「${name}」を保存しました`, 'success');
+  });
+
+  // 上書き保存
+  document.getElementById('profile-save').addEventListener('click', async () => {
+    const profile = getSelectedProfile();
+    if (!profile) return;
+
+    const response = await sendMessage({ type: 'SAVE_SOUND_PROFILE', profileId: profile.id, name: profile.name });
+    if (!response || !response.success) {
+      showToast('エラーが発生しました: ' + (response?.error || '保存に失敗しました'), 'error');
+      return;
+    }
+
+    soundProfiles.profiles = soundProfiles.profiles.map(p => p.id === profile.id ? response.data : p);
+    showToast(`「${profile.name}」を現在の設定で上書きしました`, 'success');
+  });
+
+  // 書き出し
+  document.getElementById('profile-export').addEventListener('click', async () => {
+    const profile = getSelectedProfile();
+    if (!profile) return;
+
+    const response = await sendMessage({ type: 'EXPORT_SOUND_PROFILE', profileId: profile.id });
+    if (!response || !response.success) {
+      showToast('エラーが発生しました: ' + (response?.error || '書き出しに失敗しました'), 'error');
+      return;
+    }
+
+    const blob = new Blob([JSON.stringify(response.data)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${profile.name}.rsc-profile.json`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  });
+
+  // 読み込み
+  document.getElementById('profile-import').addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const data = JSON.parse(await file.text());
+      const response = await sendMessage({ type: 'IMPORT_SOUND_PROFILE', data });
+      if (!response || !response.success) {
+        throw new Error(response?.error || '読み込みに失敗しました');
+      }
+
+      soundProfiles.profiles.push(response.data);
+      renderProfileOptions();
+      showToast(`「${response.data.name}」を読み込みました`, 'success');
+    } catch (error) {
+      showToast('エラーが発生しました: ' + error.message, 'error');
+    }
+  });
+
+  // 削除
+  document.getElementById('profile-delete').addEventListener('click', async () => {
+    const profile = getSelectedProfile();
+    if (!profile) return;
+    if (!confirm(`「${profile.name}」を削除しますか？`)) return;
+
+    await sendMessage({ type: 'DELETE_SOUND_PROFILE', profileId: profile.id });
+    soundProfiles.profiles = soundProfiles.profiles.filter(p => p.id !== profile.id);
+    if (soundProfiles.activeId === profile.id) {
+      soundProfiles.activeId = null;
+    }
+    renderProfileOptions();
+    showToast('プロファイルを削除しました', 'success');
+  });
+}
+
+/**
+ * プロファイルの選択肢をレンダリング
+ */
+function renderProfileOptions() {
+  const profileSelect = document.getElementById('profile-select');
+  profileSelect.innerHTML = '';
+
+  const placeholder = document.createElement('option');
+  placeholder.value = '';
+  placeholder.textContent = soundProfiles.profiles.length > 0 ? '── プロファイルを選択 ──' : '（プロファイルなし）';
+  profileSelect.appendChild(placeholder);
+
+  for (const profile of soundProfiles.profiles) {
+    const option = document.createElement('option');
+    option.value = profile.id;
+    option.textContent = profile.name;
+    profileSelect.appendChild(option);
+  }
+
+  profileSelect.value = soundProfiles.activeId || '';
+  populateScheduleProfileOptions();
+}
+
+/**
+ * 選択中のプロファイルを取得
+ */
+function getSelectedProfile() {
+  const profileId = document.getElementById('profile-select').value;
+  const profile = soundProfiles.profiles.find(p => p.id === profileId);
+  if (!profile) {
+    showToast('プロファイルを選択してください', 'info');
+    return null;
+  }
+  return profile;
+}
+
+/**
+ * 音声設定を再読み込みしてUIに反映
+ */
+async function reloadSoundSettings() {
+  const settingsResponse = await sendMessage({ type: 'GET_SETTINGS' });
+  if (settingsResponse && settingsResponse.success && settingsResponse.data) {
+    settings = settingsResponse.data;
+  }
+
+  const soundsResponse = await sendMessage({ type: 'GET_ALL_SOUNDS' });
+  if (soundsResponse && soundsResponse.success && soundsResponse.data) {
+    savedSounds = soundsResponse.data;
+  }
+
+  const handSignResponse = await sendMessage({ type: 'GET_HAND_SIGN_SETTINGS' });
+  if (handSignResponse && handSignResponse.success && handSignResponse.data) {
+    handSignSettings = { ...handSignSettings, ...handSignResponse.data };
+    const soundPresetSelect = document.getElementById('handsign-sound-preset');
+    if (soundPresetSelect) {
+      soundPresetSelect.value = handSignSettings.notifications?.soundPreset || 'outgoing:outgoing_horn';
+    }
+  }
+
+  renderSoundList();
+}
+
+/**
+ * 発信者別ルールのUIを設定
+ */
+function setupCallerRules() {
+  const patternInput = document.getElementById('caller-rule-pattern');
+  const targetSelect = document.getElementById('caller-rule-target');
+  const soundSelect = document.getElementById('caller-rule-sound');
+  const previewBtn = document.getElementById('caller-rule-preview');
+  const uploadInput = document.getElementById('caller-rule-upload');
+  const fileInfo = document.getElementById('caller-rule-file-info');
+
+  populateCallerRuleSoundOptions(soundSelect);
+  renderCallerRules();
+
+  // カスタム音声を選択
+  uploadInput.addEventListener('change', (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    if (file.size > MAX_FILE_SIZE) {
+      showToast('ファイルサイズが300MBを超えています', 'error');
+      return;
+    }
+    if (!file.type.startsWith('audio/')) {
+      showToast('音声ファイルを選択してください', 'error');
+      return;
+    }
+
+    pendingCallerRuleFile = file;
+    soundSelect.value = 'custom:uploaded';
+    fileInfo.textContent = file.name;
+  });
+
+  soundSelect.addEventListener('change', () => {
+    if (soundSelect.value === 'custom:uploaded' && !pendingCallerRuleFile) {
+      uploadInput.click();
+    }
+  });
+
+  // 試聴
+  previewBtn.addEventListener('click', async () => {
+    if (currentPlayingId === 'caller-rule') {
+      stopPlayback();
+      updatePlayButtonState(previewBtn, false);
+      revokeCallerRulePreviewUrl();
+      return;
+    }
+
+    let audioUrl = null;
+    if (soundSelect.value === 'custom:uploaded') {
+      if (!pendingCallerRuleFile) {
+        showToast('音声ファイルをアップロードしてください', 'info');
+        return;
+      }
+      revokeCallerRulePreviewUrl();
+      callerRulePreviewUrl = URL.createObjectURL(pendingCallerRuleFile);
+      audioUrl = callerRulePreviewUrl;
+    } else {
+      audioUrl = await getPresetSoundUrl(soundSelect.value);
+    }
+    if (!audioUrl) return;
+
+    stopPlayback();
+    previewAudio.src = audioUrl;
+    previewAudio.volume = 1;
+    previewAudio.play();
+    updatePlayButtonState(previewBtn, true);
+    currentPlayingId = 'caller-rule';
+    // 再生が終わったら（失敗した場合も）アップロードした音声の Blob URL を解放
+    const finishPreview = () => {
+      updatePlayButtonState(previewBtn, false);
+      currentPlayingId = null;
+      revokeCallerRulePreviewUrl();
+    };
+    previewAudio.onended = finishPreview;
+    previewAudio.onerror = finishPreview;
+  });
+
+  // ルールを追加
+  document.getElementById('caller-rule-add').addEventListener('click', async () => {
+    const pattern = patternInput.value.trim();
+    if (!pattern) {
+      showToast('相手の名前を入力してください', 'error');
+      return;
+    }
+
+    const isCustom = soundSelect.value === 'custom:uploaded';
+    if (isCustom && !pendingCallerRuleFile) {
+      showToast('音声ファイルをアップロードしてください', 'info');
+      return;
+    }
+
+    const rule = {
+      pattern,
+      soundTypes: CALLER_RULE_TARGETS[targetSelect.value],
+      mode: isCustom ? 'custom' : 'preset',
+      preset: isCustom ? null : soundSelect.value
+    };
+
+    try {
+      const message = { type: 'SAVE_CALLER_RULE', rule };
+      if (isCustom) {
+        message.data = await fileToBase64(pendingCallerRuleFile);
+        message.fileName = pendingCallerRuleFile.name;
+        message.mimeType = pendingCallerRuleFile.type;
+      }
+
+      const response = await sendMessage(message);
+      if (!response || !response.success) {
+        throw new Error(response?.error || '保存に失敗しました');
+      }
+
+      if (!settings.callerRules) settings.callerRules = [];
+      settings.callerRules.push(response.data);
+      renderCallerRules();
+
+      patternInput.value = '';
+      pendingCallerRuleFile = null;
+      fileInfo.textContent = '';
+      showToast(`「${pattern}」のルールを追加しました`, 'success');
+    } catch (error) {
+      showToast('エラーが発生しました: ' + error.message, 'error');
+    }
+  });
+
+  // ルールを削除（イベント委譲）
+  document.getElementById('caller-rule-list').addEventListener('click', async (e) => {
+    const button = e.target.closest('.caller-rule-delete');
+    if (!button) return;
+
+    const ruleId = button.dataset.ruleId;
+    await sendMessage({ type: 'DELETE_CALLER_RULE', ruleId });
+    settings.callerRules = (settings.callerRules || []).filter(r => r.id !== ruleId);
+    renderCallerRules();
+    showToast('ルールを削除しました', 'success');
+  });
+}
+
+/**
+ * 発信者別ルールの試聴に使った Blob URL を解放
+ */
+function revokeCallerRulePreviewUrl() {
+  if (!callerRulePreviewUrl) return;
+  URL.revokeObjectURL(callerRulePreviewUrl);
+  callerRulePreviewUrl = null;
+}
+
+/**
+ * 発信者別ルールの音声選択肢を生成（カテゴリ別）
+ */
+function populateCallerRuleSoundOptions(selectElement, includeCustom = true) {
+  selectElement.innerHTML = '';
+
+  for (const [category, presets] of Object.entries(presetSounds)) {
+    const optgroup = document.createElement('optgroup');
+    optgroup.label = SOUND_LABELS[category] || category;
+
+    for (const preset of presets) {
+      if (!preset.file) continue;
+      const option = document.createElement('option');
+      option.value = `${category}:${preset.id}`;
+      option.textContent = getPresetLabel(preset);
+      optgroup.appendChild(option);
+    }
+
+    if (optgroup.children.length > 0) {
+      selectElement.appendChild(optgroup);
+    }
+  }
+
+  if (!includeCustom) return;
+
+  const separator = document.createElement('option');
+  separator.disabled = true;
+  separator.textContent = '── カスタム ──';
+  selectElement.appendChild(separator);
+
+  const customOption = document.createElement('option');
+  customOption.value = 'custom:uploaded';
+  customOption.textContent = 'アップロードした音声';
+  selectElement.appendChild(customOption);
+}
+
+/**
+ * 「category:presetId」形式のプリセットのURLを取得
+ * サウンドパック・ライブラリの音声データは再生するときだけバックグラウンドから受け取る
+ */
+async function getPresetSoundUrl(value) {
+  const [category, presetId] = (value || '').split(':');
+  const preset = (presetSounds[category] || []).find(p => p.id === presetId);
+  if (!preset || !preset.file || !isExtension) return null;
+  if (preset.source === 'builtin') {
+    return chrome.runtime.getURL(`sounds/${category}/${preset.file}`);
+  }
+  const response = await sendMessage({ type: 'GET_PRESET_SOUND_URL', value: `${category}:${presetId}` });
+  return response?.data || null;
+}
+
+/**
+ * 発信者別ルールの一覧をレンダリング
+ */
+function renderCallerRules() {
+  const container = document.getElementById('caller-rule-list');
+  container.innerHTML = '';
+
+  for (const rule of settings.callerRules || []) {
+    const item = document.createElement('div');
+    item.className = 'caller-rule-item';
+
+    const name = document.createElement('span');
+    name.className = 'caller-rule-name';
+    name.textContent = rule.pattern;
+
+    const targets = rule.soundTypes.map(type => SOUND_LABELS[type] || type).join('・');
+    let soundLabel = rule.fileName || 'カスタム音声';
+    if (rule.mode === 'preset') {
+      const [category, presetId] = (rule.preset || '').split(':');
+      const preset = (presetSounds[category] || []).find(p => p.id === presetId);
+      soundLabel = preset ? preset.label : 'プリセット';
+    }
+
+    const detail = document.createElement('span');
+    detail.className = 'caller-rule-detail';
+    detail.textContent = `${targets} → ${soundLabel}`;
+    detail.title = detail.textContent;
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'btn btn-small btn-danger caller-rule-delete';
+    deleteBtn.dataset.ruleId = rule.id;
+    deleteBtn.title = '削除';
+    deleteBtn.textContent = '×';
+
+    item.append(name, detail, deleteBtn);
+    container.appendChild(item);
+  }
+}
+
+// =====================================
+// 時間帯スケジュール
+// =====================================
+
+/**
+ * 時間帯スケジュールのUIを設定
+ */
+function setupSchedules() {
+  const nameInput = document.getElementById('schedule-name');
+  const targetSelect = document.getElementById('schedule-target');
+  const actionSelect = document.getElementById('schedule-action');
+  const presetSelect = document.getElementById('schedule-preset');
+  const profileSelect = document.getElementById('schedule-profile');
+
+  // 曜日（デフォルトは平日）
+  const daysContainer = document.getElementById('schedule-days');
+  SCHEDULE_DAY_LABELS.forEach((label, day) => {
+    const dayLabel = document.createElement('label');
+    dayLabel.className = 'checkbox-label schedule-day';
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.value = String(day);
+    checkbox.checked = day >= 1 && day <= 5;
+    dayLabel.append(checkbox, label);
+    daysContainer.appendChild(dayLabel);
+  });
+
+  populateScheduleTargetOptions();
+  populateCallerRuleSoundOptions(presetSelect, false);
+  populateScheduleProfileOptions();
+
+  actionSelect.addEventListener('change', () => {
+    presetSelect.hidden = actionSelect.value !== 'preset';
+    profileSelect.hidden = actionSelect.value !== 'profile';
+  });
+
+  // スケジュールを追加
+  document.getElementById('schedule-add').addEventListener('click', async () => {
+    const days = [...daysContainer.querySelectorAll('input:checked')].map(input => Number(input.value));
+    const rule = {
+      name: nameInput.value.trim(),
+      days,
+      start: document.getElementById('schedule-start').value,
+      end: document.getElementById('schedule-end').value,
+      soundTypes: targetSelect.value === 'all' ? Object.keys(soundTypes) : [targetSelect.value],
+      action: actionSelect.value,
+      preset: presetSelect.value,
+      profileId: profileSelect.value
+    };
+
+    try {
+      const response = await sendMessage({ type: 'SAVE_SCHEDULE_RULE', rule });
+      if (!response || !response.success) {
+        throw new Error(response?.error || '保存に失敗しました');
+      }
+
+      if (!settings.schedules) settings.schedules = [];
+      settings.schedules.push(response.data);
+      nameInput.value = '';
+      await refreshSchedules();
+      showToast('スケジュールを追加しました', 'success');
+    } catch (error) {
+      showToast('エラーが発生しました: ' + error.message, 'error');
+    }
+  });
+
+  // 有効/無効の切り替え（イベント委譲）
+  document.getElementById('schedule-list').addEventListener('change', async (e) => {
+    if (!e.target.classList.contains('schedule-toggle')) return;
+
+    const rule = (settings.schedules || []).find(r => r.id === e.target.dataset.ruleId);
+    if (!rule) return;
+
+    const response = await sendMessage({ type: 'SAVE_SCHEDULE_RULE', rule: { ...rule, enabled: e.target.checked } });
+    if (!response || !response.success) {
+      showToast('エラーが発生しました: ' + (response?.error || '保存に失敗しました'), 'error');
+      e.target.checked = !e.target.checked;
+      return;
+    }
+    Object.assign(rule, response.data);
+    await refreshSchedules();
+  });
+
+  // スケジュールを削除（イベント委譲）
+  document.getElementById('schedule-list').addEventListener('click', async (e) => {
+    const button = e.target.closest('.schedule-delete');
+    if (!button) return;
+
+    const ruleId = button.dataset.ruleId;
+    await sendMessage({ type: 'DELETE_SCHEDULE_RULE', ruleId });
+    settings.schedules = (settings.schedules || []).filter(r => r.id !== ruleId);
+    await refreshSchedules();
+    showToast('スケジュールを削除しました', 'success');
+  });
+
+  refreshSchedules();
+}
+
+/**
+ * スケジュールの対象にできる音声の選択肢を生成
+ */
+function populateScheduleTargetOptions() {
+  const targetSelect = document.getElementById('schedule-target');
+  if (!targetSelect) return;
+
+  targetSelect.innerHTML = '';
+  const allOption = document.createElement('option');
+  allOption.value = 'all';
+  allOption.textContent = 'すべての音声';
+  targetSelect.appendChild(allOption);
+  for (const [id, typeInfo] of Object.entries(soundTypes)) {
+    const option = document.createElement('option');
+    option.value = id;
+    option.textContent = SOUND_LABELS[id] || typeInfo.label;
+    targetSelect.appendChild(option);
+  }
+}
+
+/**
+ * スケジュールで選べるプロファイルの選択肢を生成
+ */
+function populateScheduleProfileOptions() {
+  const profileSelect = document.getElementById('schedule-profile');
+  if (!profileSelect) return;
+
+  profileSelect.innerHTML = '';
+  for (const profile of soundProfiles.profiles) {
+    const option = document.createElement('option');
+    option.value = profile.id;
+    option.textContent = profile.name;
+    profileSelect.appendChild(option);
+  }
+}
+
+/**
+ * 現在適用中のスケジュールを取得して一覧を再描画
+ */
+async function refreshSchedules() {
+  if (isExtension) {
+    const response = await sendMessage({ type: 'GET_ACTIVE_SCHEDULES' });
+    activeScheduleIds = response && response.success ? response.data : [];
+  }
+  renderSchedules();
+}
+
+/**
+ * 曜日の表示（平日・土日・毎日はまとめて表示）
+ */
+function formatScheduleDays(days) {
+  const key = days.join(',');
+  if (key === '0,1,2,3,4,5,6') return '毎日';
+  if (key === '1,2,3,4,5') return '平日';
+  if (key === '0,6') return '土日';
+  return days.map(day => SCHEDULE_DAY_LABELS[day]).join('・');
+}
+
+/**
+ * 時間帯スケジュールの一覧をレンダリング
+ */
+function renderSchedules() {
+  const container = document.getElementById('schedule-list');
+  container.innerHTML = '';
+
+  for (const rule of settings.schedules || []) {
+    const item = document.createElement('div');
+    item.className = `caller-rule-item${rule.enabled ? '' : ' disabled'}`;
+
+    const toggle = document.createElement('input');
+    toggle.type = 'checkbox';
+    toggle.className = 'schedule-toggle';
+    toggle.dataset.ruleId = rule.id;
+    toggle.checked = rule.enabled;
+    toggle.title = rule.enabled ? '有効' : '無効';
+
+    const name = document.createElement('span');
+    name.className = 'caller-rule-name';
+    name.textContent = rule.name || `${rule.start}〜${rule.end}`;
+
+    const targets = rule.soundTypes.length === Object.keys(soundTypes).length
+      ? 'すべて'
+      : rule.soundTypes.map(type => SOUND_LABELS[type] || soundTypes[type]?.label || type).join('・');
+    let actionLabel = 'ミュート';
+    if (rule.action === 'preset') {
+      const [category, presetId] = (rule.preset || '').split(':');
+      const preset = (presetSounds[category] || []).find(p => p.id === presetId);
+      actionLabel = preset ? preset.label : 'プリセット';
+    } else if (rule.action === 'profile') {
+      const profile = soundProfiles.profiles.find(p => p.id === rule.profileId);
+      actionLabel = profile ? `「${profile.name}」` : '（削除されたプロファイル）';
+    }
+
+    const detail = document.createElement('span');
+    detail.className = 'caller-rule-detail';
+    detail.textContent = `${formatScheduleDays(rule.days)} ${rule.start}〜${rule.end} ${targets} → ${actionLabel}`;
+    detail.title = detail.textContent;
+
+    item.append(toggle, name, detail);
+
+    if (activeScheduleIds.includes(rule.id)) {
+      const active = document.createElement('span');
+      active.className = 'schedule-active';
+      active.textContent = '● 適用中';
+      item.appendChild(active);
+    }
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'btn btn-small btn-danger schedule-delete';
+    deleteBtn.dataset.ruleId = rule.id;
+    deleteBtn.title = '削除';
+    deleteBtn.textContent = '×';
+
+    item.appendChild(deleteBtn);
+    container.appendChild(item);
+  }
+}
+
+/**
+ * おやすみモードを設定
+ */
+function setupDnd() {
+  const toggleBtn = document.getElementById('dnd-toggle');
+  document.getElementById('dnd-visual').value = settings.dndVisual || 'banner';
+
+  toggleBtn.addEventListener('click', async () => {
+    const response = dndState.active
+      ? await sendMessage({ type: 'END_DND' })
+      : await sendMessage({
+        type: 'START_DND',
+        minutes: Number(document.getElementById('dnd-duration').value),
+        visual: document.getElementById('dnd-visual').value
+      });
+    if (!response || !response.success) {
+      showToast('エラーが発生しました: ' + (response?.error || '切り替えに失敗しました'), 'error');
+      return;
+    }
+
+    dndState = response.data;
+    renderDnd();
+    showToast(dndState.active ? 'おやすみモードを開始しました' : 'おやすみモードを終了しました', 'success');
+  });
+
+  refreshDnd();
+}
+
+/**
+ * おやすみモードの状態を取得して表示を更新
+ */
+async function refreshDnd() {
+  if (isExtension) {
+    const response = await sendMessage({ type: 'GET_DND_STATE' });
+    if (response && response.success) {
+      dndState = response.data;
+    }
+  }
+  renderDnd();
+}
+
+/**
+ * おやすみモードの状態・見逃した通知をレンダリング
+ */
+function renderDnd() {
+  const toggleBtn = document.getElementById('dnd-toggle');
+  const status = document.getElementById('dnd-status');
+  const missedContainer = document.getElementById('dnd-missed');
+  const active = dndState.active && (!dndState.until || Date.now() < dndState.until);
+
+  toggleBtn.textContent = active ? '🔔 終了' : '🔕 開始';
+  toggleBtn.classList.toggle('active', active);
+  document.getElementById('dnd-duration').disabled = active;
+  document.getElementById('dnd-visual').disabled = active;
+
+  if (active) {
+    const until = dndState.until
+      ? new Date(dndState.until).toLocaleTimeString('ja-JP', { hour: '2-digit', minute: '2-digit' })
+      : null;
+    status.textContent = until ? `🔕 ${until}まで音を鳴らさず画面に表示しています` : '🔕 解除するまで音を鳴らさず画面に表示しています';
+  } else {
+    status.textContent = '着信音・ドアチャイム・ハンドサインの通知音・カウントダウン音を鳴らさず、誰が鳴らしたかを画面に表示します';
+  }
+
+  // 見逃した通知（実行中、または前回の終了後）
+  const missed = dndState.missed || [];
+  missedContainer.innerHTML = '';
+  missedContainer.hidden = missed.length === 0;
+  if (missed.length === 0) return;
+
+  const title = document.createElement('div');
+  title.textContent = active ? `見逃した通知（${missed.length}件）` : `前回のおやすみモード中の通知（${missed.length}件）`;
+  missedContainer.appendChild(title);
+  for (const entry of missed) {
+    const line = document.createElement('div');
+    const time = new Date(entry.at).toLocaleTimeString('ja-JP', { hour: '2-digit', minute: '2-digit' });
+    const score = typeof entry.score === 'number' ? `（${Math.round(entry.score * 100)}%）` : '';
+    line.textContent = `${time} ${entry.emoji} ${entry.name || '誰か'}さんが${entry.message}${score}`;
+    missedContainer.appendChild(line);
+  }
+}
+
+/**
+ * 未登録の音声（自動検出）を設定
+ */
+function setupAudioDiscovery() {
+  const toggle = document.getElementById('discovery-toggle');
+  const form = document.getElementById('discovery-form');
+  const targetSelect = document.getElementById('discovery-target');
+  const labelInput = document.getElementById('discovery-label');
+
+  toggle.checked = settings.discoveryEnabled !== false;
+  toggle.addEventListener('change', async () => {
+    settings.discoveryEnabled = toggle.checked;
+    if (isExtension) {
+      await sendMessage({ type: 'SAVE_SETTINGS', settings });
+    }
+    showToast(toggle.checked ? '音声の検出を有効にしました' : '音声の検出を無効にしました');
+  });
+
+  // 新しい音声タイプのときだけ名前を入力
+  targetSelect.addEventListener('change', () => {
+    labelInput.hidden = targetSelect.value !== 'new';
+  });
+
+  // 試聴・割り当て（イベント委譲）
+  document.getElementById('discovery-list').addEventListener('click', (e) => {
+    const button = e.target.closest('button');
+    if (!button) return;
+
+    const record = discoveredAudio.find(r => r.path === button.dataset.path);
+    if (!record) return;
+
+    if (button.classList.contains('discovery-preview')) {
+      stopPlayback();
+      previewAudio.src = record.url;
+      previewAudio.volume = 1;
+      previewAudio.play().catch(() => showToast('この音声は再生できませんでした', 'error'));
+    }
+
+    if (button.classList.contains('discovery-assign')) {
+      populateDiscoveryTargetOptions();
+      form.dataset.path = record.path;
+      document.getElementById('discovery-form-path').textContent = record.path;
+      labelInput.value = '';
+      labelInput.hidden = targetSelect.value !== 'new';
+      form.hidden = false;
+    }
+  });
+
+  document.getElementById('discovery-cancel').addEventListener('click', () => {
+    form.hidden = true;
+  });
+
+  document.getElementById('discovery-map').addEventListener('click', async () => {
+    const response = await sendMessage({
+      type: 'MAP_DISCOVERED_AUDIO',
+      path: form.dataset.path,
+      target: targetSelect.value,
+      label: labelInput.value
+    });
+    if (!response || !response.success) {
+      showToast('エラーが発生しました: ' + (response?.error || '割り当てに失敗しました'), 'error');
+      return;
+    }
+
+    form.hidden = true;
+    await reloadSoundTypes();
+    showToast('音声タイプに割り当てました', 'success');
+  });
+
+  document.getElementById('discovery-clear').addEventListener('click', async () => {
+    await sendMessage({ type: 'CLEAR_DISCOVERED_AUDIO' });
+    form.hidden = true;
+    await refreshDiscoveredAudio();
+    showToast('検出履歴をクリアしました', 'success');
+  });
+
+  refreshDiscoveredAudio();
+}
+
+/**
+ * 割り当て先の選択肢を生成
+ */
+function populateDiscoveryTargetOptions() {
+  const targetSelect = document.getElementById('discovery-target');
+  targetSelect.innerHTML = '';
+
+  const newOption = document.createElement('option');
+  newOption.value = 'new';
+  newOption.textContent = '新しい音声タイプ';
+  targetSelect.appendChild(newOption);
+
+  for (const [id, typeInfo] of Object.entries(soundTypes)) {
+    const option = document.createElement('option');
+    option.value = id;
+    option.textContent = `${SOUND_LABELS[id] || typeInfo.label}に追加`;
+    targetSelect.appendChild(option);
+  }
+}
+
+/**
+ * 検出した音声を取得して一覧を再描画
+ */
+async function refreshDiscoveredAudio() {
+  if (isExtension) {
+    const response = await sendMessage({ type: 'GET_DISCOVERED_AUDIO' });
+    discoveredAudio = response && response.success ? response.data : [];
+  }
+  renderDiscoveredAudio();
+}
+
+/**
+ * 未登録の音声の一覧をレンダリング
+ */
+function renderDiscoveredAudio() {
+  const container = document.getElementById('discovery-list');
+  container.innerHTML = '';
+
+  const unmapped = discoveredAudio.filter(record => !record.soundId);
+  if (unmapped.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'discovery-empty';
+    empty.textContent = '未登録の音声はまだ検出されていません';
+    container.appendChild(empty);
+    return;
+  }
+
+  for (const record of unmapped) {
+    const item = document.createElement('div');
+    item.className = 'caller-rule-item';
+
+    const name = document.createElement('span');
+    name.className = 'caller-rule-name';
+    name.textContent = record.path.split('/').pop();
+
+    const detail = document.createElement('span');
+    detail.className = 'caller-rule-detail';
+    detail.textContent = record.path;
+    detail.title = record.url;
+
+    const count = document.createElement('span');
+    count.className = 'discovery-count';
+    count.textContent = `再生 ${record.playCount}回`;
+
+    const previewBtn = document.createElement('button');
+    previewBtn.className = 'btn btn-small discovery-preview';
+    previewBtn.dataset.path = record.path;
+    previewBtn.title = '試聴';
+    previewBtn.textContent = '▶';
+
+    const assignBtn = document.createElement('button');
+    assignBtn.className = 'btn btn-small btn-secondary discovery-assign';
+    assignBtn.dataset.path = record.path;
+    assignBtn.textContent = '割り当て';
+
+    item.append(name, detail, count, previewBtn, assignBtn);
+    container.appendChild(item);
+  }
+}
+
+/**
+ * サウンドパックを設定
+ */
+function setupSoundPacks() {
+  document.getElementById('sound-pack-import').addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const data = await fileToBase64(file);
+      const response = await sendMessage({ type: 'IMPORT_SOUND_PACK', data });
+      if (!response || !response.success) {
+        throw new Error(response?.error || '読み込みに失敗しました');
+      }
+      showToast(`「${response.data.name}」を追加しました（${response.data.count}件）`, 'success');
+      await reloadPresetSounds();
+    } catch (error) {
+      showToast('エラーが発生しました: ' + error.message, 'error');
+    }
+  });
+
+  // パックの削除（イベント委譲）
+  document.getElementById('sound-pack-list').addEventListener('click', async (e) => {
+    const button = e.target.closest('.caller-rule-delete');
+    if (!button) return;
+
+    const pack = soundPacks.find(p => p.id === button.dataset.packId);
+    if (!pack || !confirm(`「${pack.name}」を削除しますか？\nこのパックの音声を参照している設定は既定の音に戻ります（スケジュールは無効になり、発信者別ルールは削除されます）`)) return;
+
+    const response = await sendMessage({ type: 'DELETE_SOUND_PACK', packId: pack.id });
+    if (!response || !response.success) {
+      showToast('エラーが発生しました: ' + (response?.error || '削除に失敗しました'), 'error');
+      return;
+    }
+    showToast(`「${pack.name}」を削除しました`, 'success');
+    await reloadPresetSounds();
+  });
+
+  refreshSoundPacks();
+}
+
+/**
+ * サウンドパックの一覧を取得して表示を更新
+ */
+async function refreshSoundPacks() {
+  if (isExtension) {
+    const response = await sendMessage({ type: 'GET_SOUND_PACKS' });
+    if (response && response.success) {
+      soundPacks = response.data;
+    }
+  }
+  renderSoundPacks();
+}
+
+/**
+ * サウンドパックの一覧をレンダリング
+ */
+function renderSoundPacks() {
+  const container = document.getElementById('sound-pack-list');
+  container.innerHTML = '';
+
+  for (const pack of soundPacks) {
+    const item = document.createElement('div');
+    item.className = 'caller-rule-item';
+
+    const name = document.createElement('span');
+    name.className = 'caller-rule-name';
+    name.textContent = pack.version ? `${pack.name} v${pack.version}` : pack.name;
+
+    const categories = [...new Set(pack.sounds.map(sound => SOUND_LABELS[sound.category] || sound.category))];
+    const detail = document.createElement('span');
+    detail.className = 'caller-rule-detail';
+    detail.textContent = [`${pack.sounds.length}件`, categories.join('・'), pack.license].filter(Boolean).join(' / ');
+    detail.title = [pack.author, ...pack.sounds.map(sound => `${sound.label}${sound.license ? ` (${sound.license})` : ''}`)]
+      .filter(Boolean).join('\n');
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'btn btn-small btn-danger caller-rule-delete';
+    deleteBtn.dataset.packId = pack.id;
+    deleteBtn.title = '削除';
+    deleteBtn.textContent = '×';
+
+    item.append(name, detail, deleteBtn);
+    container.appendChild(item);
+  }
+}
+
+// =====================================
+// サウンドライブラリ
+// =====================================
+
+/**
+ * ライブラリのUIを設定
+ */
+function setupSoundLibrary() {
+  document.getElementById('sound-library-upload').addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const librarySound = await addFileToSoundLibrary(file);
+    if (librarySound) {
+      showToast(`「${librarySound.name}」をライブラリに追加しました`, 'success');
+      await reloadPresetSounds();
+    }
+  });
+
+  document.getElementById('sound-library-filter').addEventListener('input', renderSoundLibrary);
+
+  const list = document.getElementById('sound-library-list');
+
+  // 名前・タグの変更
+  list.addEventListener('change', async (e) => {
+    const input = e.target.closest('.sound-library-name, .sound-library-tags');
+    if (!input) return;
+
+    const soundId = input.closest('.sound-library-item').dataset.soundId;
+    const changes = input.classList.contains('sound-library-name') ? { name: input.value } : { tags: input.value };
+    const response = await sendMessage({ type: 'UPDATE_LIBRARY_SOUND', soundId, ...changes });
+    if (!response || !response.success) {
+      showToast('エラーが発生しました: ' + (response?.error || '保存に失敗しました'), 'error');
+      return;
+    }
+    showToast('ライブラリを更新しました', 'success');
+    await reloadPresetSounds();
+  });
+
+  // 試聴・削除（イベント委譲）
+  list.addEventListener('click', async (e) => {
+    const button = e.target.closest('button');
+    if (!button) return;
+
+    const sound = soundLibrary.find(s => s.id === button.closest('.sound-library-item').dataset.soundId);
+    if (!sound) return;
+
+    if (button.classList.contains('sound-library-preview')) {
+      const url = await getPresetSoundUrl(`library:${sound.id}`);
+      if (url) {
+        stopPlayback();
+        previewAudio.src = url;
+        previewAudio.volume = 1;
+        previewAudio.play();
+      }
+      return;
+    }
+
+    if (button.classList.contains('caller-rule-delete')) {
+      const usage = sound.usage.length > 0
+        ? `\n使用中: ${sound.usage.join('・')}\n（既定の音に戻ります。スケジュールは無効になり、発信者別ルールは削除されます）`
+        : '';
+      if (!confirm(`「${sound.name}」をライブラリから削除しますか？${usage}`)) return;
+
+      const response = await sendMessage({ type: 'DELETE_LIBRARY_SOUND', soundId: sound.id });
+      if (!response || !response.success) {
+        showToast('エラーが発生しました: ' + (response?.error || '削除に失敗しました'), 'error');
+        return;
+      }
+      showToast(`「${sound.name}」を削除しました`, 'success');
+      await reloadHandSignSettings();
+      await reloadPresetSounds();
+    }
+  });
+
+  refreshSoundLibrary();
+}
+
+/**
+ * ライブラリの一覧を取得して表示を更新
+ */
+async function refreshSoundLibrary() {
+  if (isExtension) {
+    const response = await sendMessage({ type: 'GET_SOUND_LIBRARY' });
+    if (response && response.success) {
+      soundLibrary = response.data;
+    }
+  }
+  renderSoundLibrary();
+}
+
+/**
+ * ライブラリの一覧をレンダリング（名前・タグで絞り込み）
+ */
+function renderSoundLibrary() {
+  const container = document.getElementById('sound-library-list');
+  const filterInput = document.getElementById('sound-library-filter');
+  const query = filterInput.value.trim().toLowerCase();
+  container.innerHTML = '';
+
+  filterInput.hidden = soundLibrary.length === 0;
+  document.getElementById('sound-library-empty').hidden = soundLibrary.length > 0;
+
+  const matches = soundLibrary.filter(sound => !query ||
+    sound.name.toLowerCase().includes(query) ||
+    sound.tags.some(tag => tag.toLowerCase().includes(query)));
+
+  for (const sound of matches) {
+    const item = document.createElement('div');
+    item.className = 'caller-rule-item sound-library-item';
+    item.dataset.soundId = sound.id;
+
+    const previewBtn = document.createElement('button');
+    previewBtn.className = 'btn btn-small btn-secondary sound-library-preview';
+    previewBtn.title = '試聴';
+    previewBtn.textContent = '▶';
+
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.className = 'text-input sound-library-name';
+    nameInput.value = sound.name;
+    nameInput.title = sound.fileName;
+
+    const tagsInput = document.createElement('input');
+    tagsInput.type = 'text';
+    tagsInput.className = 'text-input sound-library-tags';
+    tagsInput.value = sound.tags.join(', ');
+    tagsInput.placeholder = 'タグ（カンマ区切り）';
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'btn btn-small btn-danger caller-rule-delete';
+    deleteBtn.title = '削除';
+    deleteBtn.textContent = '×';
+
+    const detail = document.createElement('span');
+    detail.className = 'caller-rule-detail';
+    detail.textContent = [
+      formatLibraryDuration(sound.duration),
+      sound.usage.length > 0 ? `使用中: ${sound.usage.join('・')}` : '未使用'
+    ].filter(Boolean).join(' / ');
+    detail.title = detail.textContent;
+
+    item.append(previewBtn, nameInput, tagsInput, deleteBtn, detail);
+    container.appendChild(item);
+  }
+}
+
+/**
+ * ライブラリの音声の長さを表示用に整形
+ */
+function formatLibraryDuration(duration) {
+  if (typeof duration !== 'number') return '';
+  return duration < 60
+    ? `${duration.toFixed(1)}秒`
+    : `${Math.floor(duration / 60)}分${Math.round(duration % 60)}秒`;
+}
+
+/**
+ * 音声ファイルを切り出してライブラリに追加
+ * @returns {Promise<Object|null>} 追加した音声 { id, name }（キャンセル時は null）
+ */
+async function addFileToSoundLibrary(file) {
+  const clip = await prepareUploadClip(file);
+  if (!clip) return null;
+
+  if (!isExtension) {
+    showToast('デモモードでは保存できません');
+    return null;
+  }
+
+  const name = clip.fileName.replace(/\.[^.]+$/, '');
+  const response = await sendMessage({
+    type: 'ADD_LIBRARY_SOUND',
+    data: clip.data,
+    fileName: clip.fileName,
+    mimeType: clip.mimeType,
+    name,
+    tags: [],
+    duration: await getClipDuration(clip),
+    rendered: !!clip.rendered
+  });
+  if (!response || !response.success) {
+    showToast('エラーが発生しました: ' + (response?.error || '保存に失敗しました'), 'error');
+    return null;
+  }
+  return { id: response.data.id, name };
+}
+
+/**
+ * 切り出した音声の長さ（秒、取得できない場合は null）
+ */
+async function getClipDuration(clip) {
+  try {
+    const blob = await (await fetch(clip.data)).blob();
+    const duration = await getAudioDuration(blob);
+    return Number.isFinite(duration) ? Math.round(duration * 10) / 10 : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * プリセット音声（サウンドパック・ライブラリを含む）を読み込み直して画面に反映
+ */
+async function reloadPresetSounds() {
+  const presetsResponse = await sendMessage({ type: 'GET_PRESET_SOUNDS' });
+  if (presetsResponse && presetsResponse.success && presetsResponse.data) {
+    presetSounds = presetsResponse.data;
+  }
+
+  populateCallerRuleSoundOptions(document.getElementById('caller-rule-sound'));
+  populateCallerRuleSoundOptions(document.getElementById('schedule-preset'), false);
+  renderCallerRules();
+
+  const handSignSoundSelect = document.getElementById('handsign-sound-preset');
+  await populateHandSignSoundOptions(handSignSoundSelect);
+  handSignSoundSelect.value = handSignSettings.notifications?.soundPreset || 'outgoing:outgoing_horn';
+  renderHandSignRotation();
+
+  await refreshSoundPacks();
+  await refreshSoundLibrary();
+  await reloadSoundTypes();
+}
+
+/**
+ * 音声タイプと設定を読み込み直して画面に反映
+ */
+async function reloadSoundTypes() {
+  const typesResponse = await sendMessage({ type: 'GET_SOUND_TYPES' });
+  if (typesResponse && typesResponse.success && typesResponse.data) {
+    soundTypes = typesResponse.data;
+  }
+  const settingsResponse = await sendMessage({ type: 'GET_SETTINGS' });
+  if (settingsResponse && settingsResponse.success && settingsResponse.data) {
+    settings = settingsResponse.data;
+  }
+
+  renderSoundList();
+  populateScheduleTargetOptions();
+  renderSchedules();
+  await refreshDiscoveredAudio();
+}
+
+/**
+ * 通話履歴を設定
+ */
+function setupCallHistory() {
+  ['history-kind', 'history-status', 'history-period'].forEach(id => {
+    document.getElementById(id).addEventListener('change', renderCallHistory);
+  });
+  document.getElementById('history-search').addEventListener('input', renderCallHistory);
+
+  // 履歴タブを開いたら読み込み、不在着信を確認済みにする
+  document.querySelector('.tab-btn[data-tab="history"]').addEventListener('click', async () => {
+    await refreshCallHistory();
+    if (callHistory.some(entry => !entry.seen)) {
+      await sendMessage({ type: 'MARK_CALL_HISTORY_SEEN' });
+    }
+  });
+
+  document.getElementById('history-clear').addEventListener('click', async () => {
+    if (!confirm('通話履歴をすべて削除しますか？')) return;
+    await sendMessage({ type: 'CLEAR_CALL_HISTORY' });
+    await refreshCallHistory();
+    showToast('通話履歴を削除しました', 'success');
+  });
+}
+
+/**
+ * 通話履歴を取得して一覧を再描画
+ */
+async function refreshCallHistory() {
+  if (isExtension) {
+    const response = await sendMessage({ type: 'GET_CALL_HISTORY' });
+    callHistory = response && response.success ? response.data : [];
+  }
+  renderCallHistory();
+}
+
+/**
+ * 秒数を「1分23秒」形式で表示
+ */
+function formatHistoryDuration(ms) {
+  const seconds = Math.round(ms / 1000);
+  if (seconds < 60) return `${seconds}秒`;
+  return `${Math.floor(seconds / 60)}分${seconds % 60}秒`;
+}
+
+/**
+ * 絞り込み条件に合う通話履歴をレンダリング
+ */
+function renderCallHistory() {
+  const container = document.getElementById('history-list');
+  const kind = document.getElementById('history-kind').value;
+  const status = document.getElementById('history-status').value;
+  const period = document.getElementById('history-period').value;
+  const search = document.getElementById('history-search').value.trim().toLowerCase();
+
+  const now = new Date();
+  let since = 0;
+  if (period === 'today') {
+    since = new Date(now.getFullYear(), now.getMonth(), now.getDate()).getTime();
+  } else if (period === 'week') {
+    since = now.getTime() - 7 * 24 * 60 * 60 * 1000;
+  }
+
+  const entries = callHistory.filter(entry => {
+    if (kind === 'knock' && entry.kind !== 'knock') return false;
+    if ((kind === 'incoming' || kind === 'outgoing') && (entry.kind !== 'call' || entry.direction !== kind)) return false;
+    if (status === 'answered' && !entry.answered) return false;
+    if (status === 'missed' && entry.answered) return false;
+    if (entry.startedAt < since) return false;
+    if (search && !(entry.name || '').toLowerCase().includes(search)) return false;
+    return true;
+  });
+
+  container.innerHTML = '';
+  if (entries.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'note';
+    empty.textContent = '該当する履歴はありません';
+    container.appendChild(empty);
+    return;
+  }
+
+  for (const entry of entries) {
+    const item = document.createElement('div');
+    item.className = `history-item${entry.answered ? '' : ' missed'}`;
+
+    const icon = document.createElement('span');
+    icon.className = 'history-icon';
+    if (entry.kind === 'knock') {
+      icon.textContent = '🚪';
+    } else {
+      icon.textContent = entry.direction === 'outgoing' ? '↗️' : '↙️';
+    }
+
+    const main = document.createElement('div');
+    main.className = 'history-main';
+    const name = document.createElement('span');
+    name.className = 'history-name';
+    name.textContent = entry.name || '（名前不明）';
+
+    const detail = document.createElement('span');
+    detail.className = 'history-detail';
+    const parts = [];
+    if (entry.kind === 'knock') {
+      parts.push(entry.answered ? 'ノック（応答）' : 'ノック（不在）');
+    } else {
+      parts.push(entry.direction === 'outgoing' ? '発信' : '着信');
+      if (entry.ringDuration !== null) parts.push(`呼び出し ${formatHistoryDuration(entry.ringDuration)}`);
+      parts.push(entry.answered ? `通話 ${formatHistoryDuration(entry.callDuration || 0)}` : (entry.direction === 'outgoing' ? '応答なし' : '不在'));
+    }
+    detail.textContent = parts.join(' / ');
+    main.append(name, detail);
+
+    const time = document.createElement('span');
+    time.className = 'history-time';
+    time.textContent = new Date(entry.startedAt).toLocaleString('ja-JP', {
+      month: 'numeric', day: 'numeric', hour: '2-digit', minute: '2-digit'
+    });
+
+    item.append(icon, main, time);
+    container.appendChild(item);
+  }
+}
+
+/**
+ * キーボードショートカットの一覧を表示
+ */
+async function setupShortcuts() {
+  document.getElementById('shortcut-edit').addEventListener('click', () => {
+    chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+  });
+
+  if (!isExtension) return;
+
+  const container = document.getElementById('shortcut-list');
+  const commands = await chrome.commands.getAll();
+  container.innerHTML = '';
+  for (const command of commands) {
+    if (!command.description) continue;
+
+    const row = document.createElement('div');
+    row.className = 'shortcut-item';
+
+    const label = document.createElement('span');
+    label.textContent = command.description;
+
+    const key = document.createElement('kbd');
+    key.className = command.shortcut ? 'shortcut-key' : 'shortcut-key unset';
+    key.textContent = command.shortcut || '未設定';
+
+    row.append(label, key);
+    container.appendChild(row);
+  }
+}
+
+/**
+ * デスクトップ通知を設定
+ */
+function setupDesktopNotifications() {
+  const toggle = document.getElementById('desktop-notification-toggle');
+  const options = document.getElementById('desktop-notification-options');
+  const hiddenOnly = document.getElementById('desktop-notification-hidden-only');
+  const current = {
+    enabled: false,
+    onlyWhenHidden: true,
+    call: true,
+    knock: true,
+    handsign: true,
+    ...(settings.desktopNotifications || {})
+  };
+
+  toggle.checked = current.enabled;
+  hiddenOnly.checked = current.onlyWhenHidden;
+  options.querySelectorAll('input[data-kind]').forEach(input => {
+    input.checked = current[input.dataset.kind] !== false;
+  });
+
+  const save = async () => {
+    settings.desktopNotifications = {
+      enabled: toggle.checked,
+      onlyWhenHidden: hiddenOnly.checked
+    };
+    options.querySelectorAll('input[data-kind]').forEach(input => {
+      settings.desktopNotifications[input.dataset.kind] = input.checked;
+    });
+    if (isExtension) {
+      await sendMessage({ type: 'SAVE_SETTINGS', settings });
+    }
+  };
+
+  toggle.addEventListener('change', async () => {
+    await save();
+    showToast(toggle.checked ? 'デスクトップ通知を有効にしました' : 'デスクトップ通知を無効にしました');
+  });
+  options.addEventListener('change', save);
+
+  // 通知を止めているメンバーの解除
+  document.getElementById('desktop-notification-snoozes').addEventListener('click', async (e) => {
+    const button = e.target.closest('.caller-rule-delete');
+    if (!button) return;
+    await sendMessage({ type: 'CLEAR_NOTIFICATION_SNOOZE', memberName: button.dataset.memberName });
+    refreshNotificationSnoozes();
+  });
+
+  refreshNotificationSnoozes();
+}
+
+/**
+ * 通知を止めているメンバーの一覧を更新
+ */
+async function refreshNotificationSnoozes() {
+  const container = document.getElementById('desktop-notification-snoozes');
+  if (!isExtension) return;
+
+  const response = await sendMessage({ type: 'GET_NOTIFICATION_SNOOZES' });
+  const snoozes = response && response.success ? response.data : {};
+  container.innerHTML = '';
+  container.hidden = Object.keys(snoozes).length === 0;
+
+  for (const [memberName, until] of Object.entries(snoozes)) {
+    const item = document.createElement('div');
+    item.className = 'caller-rule-item';
+
+    const name = document.createElement('span');
+    name.className = 'caller-rule-name';
+    name.textContent = memberName;
+
+    const detail = document.createElement('span');
+    detail.className = 'caller-rule-detail';
+    detail.textContent = `${new Date(until).toLocaleTimeString('ja-JP', { hour: '2-digit', minute: '2-digit' })}まで通知しない`;
+
+    const clearBtn = document.createElement('button');
+    clearBtn.className = 'btn btn-small btn-danger caller-rule-delete';
+    clearBtn.dataset.memberName = memberName;
+    clearBtn.title = '解除';
+    clearBtn.textContent = '×';
+
+    item.append(name, detail, clearBtn);
+    container.appendChild(item);
+  }
+}
+
+/**
+ * バックアップと復元を設定
+ */
+function setupBackup() {
+  const passphraseInput = document.getElementById('backup-passphrase');
+
+  document.getElementById('backup-create').addEventListener('click', async (e) => {
+    const button = e.currentTarget;
+    button.disabled = true;
+    try {
+      const response = await sendMessage({ type: 'CREATE_BACKUP', passphrase: passphraseInput.value });
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'バックアップに失敗しました');
+      }
+
+      const date = new Date().toISOString().slice(0, 10);
+      const blob = new Blob([JSON.stringify(response.data)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `remowork-sound-changer-${date}.rsc-backup.json`;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+
+      if (response.data.recordings === null || response.data.handSignHistory === null) {
+        showToast('録音・ハンドサイン履歴はRemoworkのタブを開いているときのみ含まれます', 'info');
+      } else {
+        showToast('バックアップを作成しました', 'success');
+      }
+    } catch (error) {
+      showToast('エラーが発生しました: ' + error.message, 'error');
+    } finally {
+      button.disabled = false;
+    }
+  });
+
+  document.getElementById('backup-restore').addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    if (!confirm('バックアップから復元しますか？同じ項目の設定は上書きされます')) return;
+
+    try {
+      const data = JSON.parse(await file.text());
+      const response = await sendMessage({ type: 'RESTORE_BACKUP', data, passphrase: passphraseInput.value });
+      if (!response || !response.success) {
+        throw new Error(response?.error || '復元に失敗しました');
+      }
+
+      const result = response.data;
+      const skipped = [];
+      if (result.apiKeysSkipped) skipped.push('APIキー（パスフレーズ未入力）');
+      if (result.recordingsSkipped > 0) skipped.push(`録音${result.recordingsSkipped}件（Remoworkのタブを開いてください）`);
+      if (result.handSignHistorySkipped) skipped.push('ハンドサイン履歴（Remoworkのタブを開いてください）');
+      showToast(skipped.length > 0
+        ? `復元しました（未復元: ${skipped.join('、')}）`
+        : '復元しました', 'success');
+
+      // 復元した設定で画面を作り直す
+      setTimeout(() => location.reload(), 3000);
+    } catch (error) {
+      showToast('エラーが発生しました: ' + error.message, 'error');
+    }
+  });
+}
+
+/**
+ * ファイルをBase64に変換
+ */
+function fileToBase64(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+}
+
+/**
+ * 音声ファイルの長さを取得（秒）
+ */
+function getAudioDuration(file) {
+  return new Promise((resolve, reject) => {
+    const audio = new Audio();
+    audio.onloadedmetadata = () => {
+      resolve(audio.duration);
+      URL.revokeObjectURL(audio.src);
+    };
+    audio.onerror = () => {
+      reject(new Error('Failed to load audio'));
+      URL.revokeObjectURL(audio.src);
+    };
+    audio.src = URL.createObjectURL(file);
+  });
+}
+
+/**
+ * Background Scriptにメッセージを送信
+ */
+function sendMessage(message) {
+  return new Promise((resolve) => {
+    if (!isExtension) {
+      resolve({ success: false, error: 'Not running as extension' });
+      return;
+    }
+    try {
+      chrome.runtime.sendMessage(message, (response) => {
+        // chrome.runtime.lastError をチェック
+        if (chrome.runtime.lastError) {
+          console.error('[Options] sendMessage error:', chrome.runtime.lastError.message);
+          resolve({ success: false, error: chrome.runtime.lastError.message });
+          return;
+        }
+        resolve(response);
+      });
+    } catch (error) {
+      console.error('[Options] sendMessage exception:', error);
+      resolve({ success: false, error: error.message });
+    }
+  });
+}
+
+/**
+ * トースト通知を表示
+ */
+function showToast(message, type = 'info') {
+  // 既存のトーストを削除
+  const existingToast = document.querySelector('.toast');
+  if (existingToast) {
+    existingToast.remove();
+  }
+
+  const toast = document.createElement('div');
+  toast.className = `toast ${type}`;
+  toast.textContent = message;
+  document.body.appendChild(toast);
+
+  setTimeout(() => {
+    toast.remove();
+  }, 3000);
+}
+
+/**
+ * タブナビゲーションを設定
+ */
+function setupTabNavigation() {
+  const tabButtons = document.querySelectorAll('.tab-btn');
+  const tabContents = document.querySelectorAll('.tab-content');
+
+  // タブ名と統計キーのマッピング
+  const tabStatKeys = {
+    'sound': 'tab_sound',
+    'handsign': 'tab_handSign',
+    'virtual-camera': 'tab_virtualCamera',
+    'llm': 'tab_llm',
+    'settings': 'tab_settings'
+  };
+
+  const showTab = (tabId) => {
+    // ボタンのアクティブ状態を更新
+    tabButtons.forEach(b => b.classList.toggle('active', b.dataset.tab === tabId));
+
+    // コンテンツの表示を切り替え
+    tabContents.forEach(content => {
+      if (content.id === `tab-${tabId}`) {
+        content.classList.add('active');
+      } else {
+        content.classList.remove('active');
+      }
+    });
+  };
+
+  tabButtons.forEach(btn => {
+    btn.addEventListener('click', () => {
+      const tabId = btn.dataset.tab;
+      showTab(tabId);
+      history.replaceState(null, '', `#${tabId}`);
+
+      // タブクリックを統計に記録
+      const statKey = tabStatKeys[tabId];
+      if (statKey) {
+        recordUiClick(statKey);
+      }
+    });
+  });
+
+  // ポップアップのリンクから開いた場合（options.html#handsign など）
+  // タブ以外のIDの場合（options.html#profiles など）は、そのセクションのタブを開いてスクロール
+  const openTab = () => {
+    const tabId = location.hash.slice(1);
+    if (!tabId) return;
+    const btn = document.querySelector(`.tab-btn[data-tab="${CSS.escape(tabId)}"]`);
+    if (btn) {
+      btn.click();
+      return;
+    }
+    const section = document.getElementById(tabId);
+    const tabContent = section?.closest('.tab-content');
+    if (!tabContent) return;
+    showTab(tabContent.id.replace(/^tab-/, ''));
+    section.scrollIntoView({ block: 'start' });
+  };
+  window.addEventListener('hashchange', openTab);
+  openTab();
+}
+
+// 検索対象の項目（各タブのセクション・音声の一覧）
+const SEARCHABLE_SELECTOR = ':scope > section, :scope > .checkbox-group, .sound-item';
+
+/**
+ * 設定の検索（すべてのタブから一致する項目だけを表示）
+ */
+function setupSettingsSearch() {
+  const input = document.getElementById('settings-search');
+  const container = document.querySelector('.container');
+
+  input.addEventListener('input', () => {
+    const query = input.value.trim().toLowerCase();
+    container.classList.toggle('searching', query.length > 0);
+
+    let total = 0;
+    document.querySelectorAll('.tab-content').forEach(tab => {
+      let matches = 0;
+      tab.querySelectorAll(SEARCHABLE_SELECTOR).forEach(element => {
+        const matched = !query || getSearchText(element).includes(query);
+        element.classList.toggle('search-hidden', !matched);
+        if (matched) matches++;
+      });
+      tab.classList.toggle('search-empty', query.length > 0 && matches === 0);
+      total += matches;
+    });
+
+    document.getElementById('settings-search-empty').hidden = !query || total > 0;
+  });
+}
+
+
+/**
+ * 検索に使う文字列（ラベル・説明・選択肢・入力欄のプレースホルダー）
+ */
+function getSearchText(element) {
+  const placeholders = [...element.querySelectorAll('[placeholder]')].map(el => el.placeholder);
+  return [element.textContent, ...placeholders].join(' ').toLowerCase();
+}
+
+/**
+ * ハンドサイン設定を初期化
+ */
+async function setupHandSignSettings() {
+  // 有効/無効トグル
+  const enabledToggle = document.getElementById('handsign-enabled-toggle');
+  if (enabledToggle) {
+    enabledToggle.checked = handSignSettings.enabled !== false;
+    enabledToggle.addEventListener('change', async (e) => {
+      handSignSettings.enabled = e.target.checked;
+      await saveHandSignSettings();
+      showToast(handSignSettings.enabled ? 'ハンドサイン検出を有効化しました' : 'ハンドサイン検出を無効化しました');
+    });
+  }
+
+  // 自分の名前
+  const myNameInput = document.getElementById('handsign-myname');
+  if (myNameInput) {
+    myNameInput.value = handSignSettings.myName || '';
+    myNameInput.addEventListener('blur', async () => {
+      handSignSettings.myName = myNameInput.value.trim();
+      await saveHandSignSettings();
+    });
+  }
+
+  // 検出対象（全員/選択）
+  const detectTargetRadios = document.querySelectorAll('input[name="detect-target"]');
+  detectTargetRadios.forEach(radio => {
+    if (radio.value === 'all') {
+      radio.checked = handSignSettings.detectAll !== false;
+    } else {
+      radio.checked = handSignSettings.detectAll === false;
+    }
+
+    radio.addEventListener('change', async () => {
+      handSignSettings.detectAll = document.querySelector('input[name="detect-target"]:checked').value === 'all';
+      const memberList = document.getElementById('member-list');
+      if (memberList) {
+        memberList.style.display = handSignSettings.detectAll ? 'none' : 'block';
+      }
+      await saveHandSignSettings();
+    });
+  });
+
+  // メンバーリストの表示/非表示
+  const memberList = document.getElementById('member-list');
+  if (memberList) {
+    memberList.style.display = handSignSettings.detectAll ? 'none' : 'block';
+  }
+
+  // トースト通知
+  const toastCheckbox = document.getElementById('handsign-toast');
+  if (toastCheckbox) {
+    toastCheckbox.checked = handSignSettings.notifications?.toast !== false;
+    toastCheckbox.addEventListener('change', async () => {
+      handSignSettings.notifications = handSignSettings.notifications || {};
+      handSignSettings.notifications.toast = toastCheckbox.checked;
+      await saveHandSignSettings();
+    });
+  }
+
+  // 通知音
+  const soundCheckbox = document.getElementById('handsign-sound');
+  if (soundCheckbox) {
+    soundCheckbox.checked = handSignSettings.notifications?.sound !== false;
+    soundCheckbox.addEventListener('change', async () => {
+      handSignSettings.notifications = handSignSettings.notifications || {};
+      handSignSettings.notifications.sound = soundCheckbox.checked;
+      await saveHandSignSettings();
+    });
+  }
+
+  // 通知音プリセット - 全音声からプルダウン生成
+  const soundPresetSelect = document.getElementById('handsign-sound-preset');
+  if (soundPresetSelect) {
+    await populateHandSignSoundOptions(soundPresetSelect);
+    soundPresetSelect.value = handSignSettings.notifications?.soundPreset || 'outgoing:outgoing_horn';
+    soundPresetSelect.addEventListener('change', async () => {
+      handSignSettings.notifications = handSignSettings.notifications || {};
+      handSignSettings.notifications.soundPreset = soundPresetSelect.value;
+
+      // ローテーション（初回は法螺貝から開始）
+      if (soundPresetSelect.value === 'rotation' && !handSignSettings.notifications.rotation?.items?.length) {
+        handSignSettings.notifications.rotation = {
+          order: 'random',
+          items: [{ type: 'preset', value: 'outgoing:outgoing_horn' }]
+        };
+      }
+      renderHandSignRotation();
+
+      await saveHandSignSettings();
+    });
+  }
+
+  // 通知音ローテーション
+  setupHandSignRotation();
+
+  // 判定のしきい値・キャリブレーション
+  setupGestureThresholds();
+
+  // テスト再生ボタン
+  const testSoundBtn = document.getElementById('test-handsign-sound');
+  if (testSoundBtn) {
+    testSoundBtn.addEventListener('click', async () => {
+      const soundValue = handSignSettings.notifications?.soundPreset || 'outgoing:outgoing_horn';
+      await playHandSignTestSound(soundValue);
+    });
+  }
+
+  // カスタムアップロード
+  const customUpload = document.getElementById('handsign-custom-upload');
+  if (customUpload) {
+    customUpload.addEventListener('change', async (e) => {
+      if (e.target.files.length > 0) {
+        await handleHandSignCustomUpload(e.target.files[0]);
+        e.target.value = '';
+      }
+    });
+  }
+
+}
+
+/**
+ * ハンドサイン通知音のプルダウンを生成
+ */
+async function populateHandSignSoundOptions(selectElement) {
+  selectElement.innerHTML = '';
+
+  // プリセット音声を取得
+  if (isExtension) {
+    try {
+      const response = await sendMessage({ type: 'GET_PRESET_SOUNDS' });
+      if (response.success && response.data) {
+        const categoryLabels = {
+          doorchime: 'ドアチャイム',
+          incoming: '着信音',
+          outgoing: '発信音',
+          disconnect: '切断音',
+          calling: '呼び出し音',
+          library: SOUND_LABELS.library
+        };
+
+        for (const [category, sounds] of Object.entries(response.data)) {
+          if (sounds.length === 0) continue;
+          const optgroup = document.createElement('optgroup');
+          optgroup.label = categoryLabels[category] || category;
+
+          for (const sound of sounds) {
+            const option = document.createElement('option');
+            option.value = `${category}:${sound.id}`;
+            option.textContent = sound.label;
+            // デフォルトは法螺貝
+            if (category === 'outgoing' && sound.id === 'outgoing_horn') {
+              option.selected = true;
+            }
+            optgroup.appendChild(option);
+          }
+
+          selectElement.appendChild(optgroup);
+        }
+      }
+    } catch (error) {
+      console.error('[Options] Error loading preset sounds:', error);
+    }
+  }
+
+  // アップロードした音声はライブラリの音声として選ぶ
+  const separator = document.createElement('option');
+  separator.disabled = true;
+  separator.textContent = '── カスタム ──';
+  selectElement.appendChild(separator);
+
+  const rotationOption = document.createElement('option');
+  rotationOption.value = 'rotation';
+  rotationOption.textContent = 'ローテーション（複数の音）';
+  selectElement.appendChild(rotationOption);
+}
+
+/**
+ * 通知音ローテーションのUIを設定
+ */
+function setupHandSignRotation() {
+  const editor = document.getElementById('handsign-rotation');
+  if (!editor) return;
+
+  editor.addEventListener('change', async (e) => {
+    const rotation = handSignSettings.notifications.rotation || { order: 'random', items: [] };
+
+    if (e.target.id === 'handsign-rotation-order') {
+      rotation.order = e.target.value;
+    } else if (e.target.classList.contains('rotation-preset-toggle')) {
+      rotation.items = rotation.items.filter(i => !(i.type === 'preset' && i.value === e.target.value));
+      if (e.target.checked) {
+        rotation.items.push({ type: 'preset', value: e.target.value });
+      }
+    }
+
+    handSignSettings.notifications.rotation = rotation;
+    renderHandSignRotation();
+    await saveHandSignSettings();
+  });
+
+  renderHandSignRotation();
+}
+
+/**
+ * 通知音ローテーションの編集欄をレンダリング（全カテゴリのプリセットから選択）
+ */
+function renderHandSignRotation() {
+  const editor = document.getElementById('handsign-rotation');
+  if (!editor) return;
+
+  const rotation = handSignSettings.notifications?.rotation || { order: 'random', items: [] };
+  editor.hidden = handSignSettings.notifications?.soundPreset !== 'rotation';
+  if (editor.hidden) return;
+
+  document.getElementById('handsign-rotation-order').value = rotation.order || 'random';
+  document.getElementById('handsign-rotation-count').textContent = `${rotation.items.length}件の音声`;
+
+  const presetList = document.getElementById('handsign-rotation-presets');
+  presetList.innerHTML = '';
+  const selectedPresets = new Set(rotation.items.filter(i => i.type === 'preset').map(i => i.value));
+  for (const [category, presets] of Object.entries(presetSounds)) {
+    for (const preset of presets) {
+      const value = `${category}:${preset.id}`;
+      const label = document.createElement('label');
+      label.className = 'checkbox-label rotation-preset';
+
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.className = 'rotation-preset-toggle';
+      checkbox.value = value;
+      checkbox.checked = selectedPresets.has(value);
+
+      const name = document.createElement('span');
+      name.textContent = `${SOUND_LABELS[category] || category}: ${preset.label}`;
+
+      label.append(checkbox, name);
+      presetList.appendChild(label);
+    }
+  }
+}
+
+/**
+ * ハンドサイン通知音をテスト再生
+ */
+async function playHandSignTestSound(soundValue) {
+  if (!isExtension) {
+    showToast('デモモードでは再生できません');
+    return;
+  }
+
+  try {
+    if (soundValue === 'rotation') {
+      // ローテーション（プールからランダムに1つ）
+      const items = (handSignSettings.notifications?.rotation?.items || []).filter(i => i.type === 'preset');
+      if (items.length === 0) {
+        showToast('ローテーションに音声がありません', 'error');
+        return;
+      }
+      soundValue = items[Math.floor(Math.random() * items.length)].value;
+    }
+
+    // プリセット・ライブラリの音声
+    const soundUrl = await getPresetSoundUrl(soundValue);
+    if (soundUrl) {
+      const audio = new Audio(soundUrl);
+      audio.volume = 0.7;
+      await audio.play();
+      showToast('テスト再生中', 'info');
+    } else {
+      showToast('音声が見つかりません', 'error');
+    }
+  } catch (error) {
+    console.error('[Options] Test play error:', error);
+    showToast('再生に失敗しました', 'error');
+  }
+}
+
+/**
+ * ハンドサイン用カスタム音声アップロード（ライブラリに追加して通知音に設定）
+ */
+async function handleHandSignCustomUpload(file) {
+  const librarySound = await addFileToSoundLibrary(file);
+  if (!librarySound) return;
+
+  handSignSettings.notifications = handSignSettings.notifications || {};
+  handSignSettings.notifications.soundPreset = `library:${librarySound.id}`;
+  await saveHandSignSettings();
+
+  // ライブラリの音声を選択肢に反映
+  await reloadPresetSounds();
+  document.getElementById('handsign-custom-file-info').textContent = `${SOUND_LABELS.library}: ${librarySound.name}`;
+  showToast('ライブラリに追加して通知音に設定しました', 'success');
+}
+
+/**
+ * ハンドサイン設定を読み込み直す（ライブラリの削除で通知音が戻る場合など）
+ */
+async function reloadHandSignSettings() {
+  const response = await sendMessage({ type: 'GET_HAND_SIGN_SETTINGS' });
+  if (response && response.success && response.data) {
+    handSignSettings = { ...handSignSettings, ...response.data };
+  }
+}
+
+/**
+ * ハンドサイン設定を保存
+ */
+async function saveHandSignSettings() {
+  if (isExtension) {
+    try {
+      await sendMessage({ type: 'SAVE_HAND_SIGN_SETTINGS', settings: handSignSettings });
+      console.log('[Options] Hand sign settings saved:', handSignSettings);
+    } catch (error) {
+      console.error('[Options] Error saving hand sign settings:', error);
+    }
+  }
+}
+
+// ===============================================
+// ジェスチャー判定のしきい値・キャリブレーション
+// ===============================================
+
+// offscreen.js の DEFAULT_GESTURE_THRESHOLDS と揃える
+const GESTURE_THRESHOLD_FIELDS = [
+  { key: 'fingerExtended', label: '指が伸びている（指先がPIPより上）', defaultValue: 0.02, step: 0.005 },
+  { key: 'fingerBent', label: '指が曲がっている（指先がPIPより下）', defaultValue: 0.03, step: 0.005 },
+  { key: 'thumbUp', label: '👍 親指の立ち上がり（MCPより上）', defaultValue: 0.12, step: 0.01 },
+  { key: 'thumbAboveWrist', label: '👍 親指先が手首より上', defaultValue: 0.05, step: 0.01 },
+  { key: 'fingersAligned', label: '👋 指先の揃い（手のひら幅比・未満）', defaultValue: 0.25, step: 0.01 },
+  { key: 'fingersLong', label: '👋 指の長さ（手のひら幅比・以上）', defaultValue: 0.4, step: 0.01 },
+  { key: 'headHandsMaxY', label: '😢 両手首の高さ（上端から・未満）', defaultValue: 0.65, step: 0.01 },
+  { key: 'headHandsSpread', label: '😢 両手首の間隔（以上）', defaultValue: 0.2, step: 0.01 },
+  { key: 'okPinch', label: '👌 親指と人差し指の先の距離（手のひら幅比・未満）', defaultValue: 0.35, step: 0.01 },
+  { key: 'raisedHandMaxY', label: '✋ 手首の高さ（上端から・未満）', defaultValue: 0.4, step: 0.01 },
+  { key: 'crossedArmsMaxGap', label: '🙅 両手首の距離（未満）', defaultValue: 0.25, step: 0.01 }
+];
+
+// 検出できるジェスチャー（hand-sign-detector.js の GESTURE_CONFIG と揃える）
+const HAND_SIGN_GESTURES = [
+  { type: 'wave', emoji: '👋', label: '手を振る' },
+  { type: 'thumbsup', emoji: '👍', label: 'サムズアップ' },
+  { type: 'peace', emoji: '✌️', label: 'ピース' },
+  { type: 'ok', emoji: '👌', label: 'OKサイン' },
+  { type: 'raised_hand', emoji: '✋', label: '手を挙げる' },
+  { type: 'pointing', emoji: '☝️', label: '指を立てる' },
+  { type: 'rock', emoji: '🤘', label: 'ロックサイン' },
+  { type: 'phone', emoji: '🤙', label: '電話のポーズ' },
+  { type: 'head_in_hands', emoji: '😢', label: '頭を抱える' },
+  { type: 'fist', emoji: '✊', label: 'グー' },
+  { type: 'thumbsdown', emoji: '👎', label: 'サムズダウン' },
+  { type: 'crossed_arms', emoji: '🙅', label: '腕で×' }
+];
+
+// キャリブレーションの対象（撮影済み画像の種類）
+const CALIBRATION_GESTURES = ['wave', 'thumbsup', 'peace', 'head_in_hands', 'ok', 'raised_hand', 'crossed_arms']
+  .map(type => HAND_SIGN_GESTURES.find(gesture => gesture.type === type));
+const CALIBRATION_IMAGE_SIZE = 256;
+// ネガティブが無い場合に、最も低い正例からどれだけ余裕を持たせるか
+const CALIBRATION_MARGIN = 0.01;
+
+// ネガティブ写真（data URL、保存はしない）
+let calibrationNegatives = [];
+// 提案値（キー → { value, errors, total }）
+let calibrationSuggestion = null;
+
+/**
+ * 現在のしきい値（未設定の項目はデフォルト値）
+ */
+function getGestureThresholds() {
+  const thresholds = {};
+  for (const field of GESTURE_THRESHOLD_FIELDS) {
+    const value = Number(handSignSettings.thresholds?.[field.key]);
+    thresholds[field.key] = Number.isFinite(value) ? value : field.defaultValue;
+  }
+  return thresholds;
+}
+
+/**
+ * 最低信頼度・しきい値の編集とキャリブレーションを初期化
+ */
+function setupGestureThresholds() {
+  renderGestureConfidences();
+  renderGestureThresholds();
+
+  document.getElementById('gesture-threshold-reset-btn')?.addEventListener('click', async () => {
+    // 空にしておくとオフスクリーン側でデフォルト値が使われる
+    handSignSettings.thresholds = {};
+    await saveHandSignSettings();
+    renderGestureThresholds();
+    showToast('しきい値をデフォルトに戻しました', 'success');
+  });
+
+  const wizard = document.getElementById('calibration-wizard');
+  document.getElementById('calibration-open-btn')?.addEventListener('click', () => {
+    wizard.hidden = false;
+    renderCalibrationSources();
+  });
+  document.getElementById('calibration-close-btn')?.addEventListener('click', () => {
+    wizard.hidden = true;
+  });
+
+  document.getElementById('calibration-negative-input')?.addEventListener('change', async (e) => {
+    for (const file of e.target.files) {
+      calibrationNegatives.push(await fileToBase64(file));
+    }
+    e.target.value = '';
+    renderCalibrationSources();
+  });
+
+  document.getElementById('calibration-run-btn')?.addEventListener('click', runCalibration);
+  document.getElementById('calibration-apply-btn')?.addEventListener('click', applyCalibrationSuggestion);
+}
+
+/**
+ * しきい値の入力欄をレンダリング
+ */
+function renderGestureThresholds() {
+  const list = document.getElementById('gesture-threshold-list');
+  if (!list) return;
+
+  const thresholds = getGestureThresholds();
+  list.innerHTML = '';
+  for (const field of GESTURE_THRESHOLD_FIELDS) {
+    const item = document.createElement('label');
+    item.className = 'gesture-threshold-item';
+
+    const label = document.createElement('span');
+    label.textContent = field.label;
+    label.title = `デフォルト: ${field.defaultValue}`;
+
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.className = 'text-input';
+    input.step = field.step;
+    input.min = -1;
+    input.max = 1;
+    input.value = thresholds[field.key];
+    input.addEventListener('change', async () => {
+      const value = parseFloat(input.value);
+      if (!Number.isFinite(value) || value < -1 || value > 1) {
+        input.value = getGestureThresholds()[field.key];
+        showToast('-1〜1の数値を入力してください', 'error');
+        return;
+      }
+      handSignSettings.thresholds = { ...handSignSettings.thresholds, [field.key]: value };
+      await saveHandSignSettings();
+    });
+
+    item.append(label, input);
+    list.appendChild(item);
+  }
+}
+
+/**
+ * ジェスチャーごとの最低信頼度の入力欄をレンダリング（％で表示、0〜1で保存）
+ */
+function renderGestureConfidences() {
+  const list = document.getElementById('gesture-confidence-list');
+  if (!list) return;
+
+  list.innerHTML = '';
+  for (const gesture of HAND_SIGN_GESTURES) {
+    const item = document.createElement('label');
+    item.className = 'gesture-threshold-item';
+
+    const label = document.createElement('span');
+    label.textContent = `${gesture.emoji} ${gesture.label}`;
+
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.className = 'text-input';
+    input.min = 0;
+    input.max = 100;
+    input.step = 5;
+    input.value = Math.round((handSignSettings.minConfidence?.[gesture.type] ?? 0) * 100);
+    input.addEventListener('change', async () => {
+      const percent = parseInt(input.value, 10);
+      if (!Number.isFinite(percent) || percent < 0 || percent > 100) {
+        input.value = Math.round((handSignSettings.minConfidence?.[gesture.type] ?? 0) * 100);
+        showToast('0〜100の数値を入力してください', 'error');
+        return;
+      }
+      handSignSettings.minConfidence = { ...handSignSettings.minConfidence, [gesture.type]: percent / 100 };
+      await saveHandSignSettings();
+    });
+
+    const unit = document.createElement('small');
+    unit.textContent = '%';
+
+    item.append(label, input, unit);
+    list.appendChild(item);
+  }
+}
+
+/**
+ * キャリブレーションに使う画像の枚数を表示
+ */
+async function renderCalibrationSources() {
+  const container = document.getElementById('calibration-sources');
+  if (!container) return;
+
+  const result = isExtension ? await chrome.storage.local.get('virtualCameraImages') : {};
+  const images = result.virtualCameraImages || {};
+
+  container.innerHTML = '';
+  for (const gesture of CALIBRATION_GESTURES) {
+    const count = document.createElement('span');
+    count.textContent = `${gesture.emoji} ${images[gesture.type]?.length || 0}枚`;
+    container.appendChild(count);
+  }
+  const negativeCount = document.createElement('span');
+  negativeCount.textContent = `🚫 ネガティブ ${calibrationNegatives.length}枚`;
+  container.appendChild(negativeCount);
+}
+
+/**
+ * 撮影済み画像とネガティブ写真を判定して、しきい値の提案値を作成
+ */
+async function runCalibration() {
+  const runBtn = document.getElementById('calibration-run-btn');
+  const progress = document.getElementById('calibration-progress');
+  const resultTable = document.getElementById('calibration-result');
+  const applyBtn = document.getElementById('calibration-apply-btn');
+
+  const result = await chrome.storage.local.get('virtualCameraImages');
+  const images = result.virtualCameraImages || {};
+  const sources = CALIBRATION_GESTURES.map(gesture => ({ type: gesture.type, list: images[gesture.type] || [] }));
+  sources.push({ type: 'negative', list: calibrationNegatives });
+
+  const total = sources.reduce((sum, source) => sum + source.list.length, 0);
+  if (total === 0) {
+    progress.textContent = '画像がありません。Remoworkページのツールでハンドサインを撮影してください';
+    return;
+  }
+
+  runBtn.disabled = true;
+  resultTable.hidden = true;
+  applyBtn.hidden = true;
+  calibrationSuggestion = null;
+
+  try {
+    // 全画像を縮小してから1回のメッセージでまとめて計測
+    const items = [];
+    for (const source of sources) {
+      for (const dataUrl of source.list) {
+        progress.textContent = `画像を準備中… ${items.length + 1}/${total}`;
+        items.push({ id: `${source.type}:${items.length}`, type: source.type, image: await encodeCalibrationImage(dataUrl), measure: true });
+      }
+    }
+
+    progress.textContent = `判定中… ${total}枚`;
+    const response = await sendMessage({
+      type: 'ANALYZE_IMAGE_BATCH',
+      items: items.map(({ type, ...item }) => item)
+    });
+    if (!response?.success) {
+      throw new Error(response?.error || 'measure failed');
+    }
+
+    const samples = Object.fromEntries(sources.map(source => [source.type, []]));
+    const measured = new Map(response.results.map(result => [result.id, result]));
+    let skipped = 0;
+    for (const item of items) {
+      const result = measured.get(item.id);
+      if (!result?.success || !result.measure?.success) {
+        throw new Error(result?.measure?.error || result?.error || 'measure failed');
+      }
+      if (result.measure.features) {
+        samples[item.type].push(result.measure.features);
+      } else if (item.type !== 'negative') {
+        skipped++;
+      }
+    }
+
+    calibrationSuggestion = suggestGestureThresholds(samples);
+    renderCalibrationResult();
+    progress.textContent = `${total}枚を判定しました` + (skipped > 0 ? `（手が見つからなかった${skipped}枚は除外）` : '');
+  } catch (error) {
+    console.error('[Options] Calibration failed:', error);
+    progress.textContent = `判定に失敗しました: ${error.message}`;
+  } finally {
+    runBtn.disabled = false;
+  }
+}
+
+/**
+ * 画像（data URL）を縮小して JPEG の data URL にエンコード
+ */
+function encodeCalibrationImage(dataUrl) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => {
+      const scale = Math.min(CALIBRATION_IMAGE_SIZE / img.width, CALIBRATION_IMAGE_SIZE / img.height, 1);
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.max(1, Math.floor(img.width * scale));
+      canvas.height = Math.max(1, Math.floor(img.height * scale));
+      const ctx = canvas.getContext('2d');
+      ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+      resolve(canvas.toDataURL('image/jpeg', 0.9));
+    };
+    img.onerror = () => reject(new Error('Image load failed'));
+    img.src = dataUrl;
+  });
+}
+
+/**
+ * 計測値から各しきい値の提案値を作成
+ * 正例（そのジェスチャーの画像）と負例（他のジェスチャー・ネガティブ写真）を分ける値を選ぶ
+ */
+function suggestGestureThresholds(samples) {
+  const current = getGestureThresholds();
+  const { wave, thumbsup, peace, ok, negative } = samples;
+  const { head_in_hands: headInHands, raised_hand: raisedHand, crossed_arms: crossedArms } = samples;
+
+  // 伸びているはずの指 / 閉じているはずの指（fingerRise は [人差し指, 中指, 薬指, 小指]）
+  const openFingers = [...wave.flatMap(f => f.fingerRise), ...peace.flatMap(f => f.fingerRise.slice(0, 2))];
+  const closedFingers = [...thumbsup.flatMap(f => f.fingerRise), ...peace.flatMap(f => f.fingerRise.slice(2))];
+  const notThumbsUp = [...wave, ...peace, ...negative];
+  const notWave = [...thumbsup, ...peace, ...negative];
+  const headPoses = headInHands.filter(f => f.handCount >= 2);
+  const crossedPoses = crossedArms.filter(f => f.handCount >= 2);
+  const otherTwoHands = [...wave, ...thumbsup, ...peace, ...ok, ...raisedHand, ...negative].filter(f => f.handCount >= 2);
+
+  const rules = {
+    fingerExtended: [openFingers, closedFingers, 'above'],
+    fingerBent: [closedFingers.map(v => -v), openFingers.map(v => -v), 'above'],
+    thumbUp: [thumbsup.map(f => f.thumbRise), notThumbsUp.map(f => f.thumbRise), 'above'],
+    thumbAboveWrist: [thumbsup.map(f => f.thumbAboveWrist), notThumbsUp.map(f => f.thumbAboveWrist), 'above'],
+    fingersAligned: [wave.map(f => f.alignRatio), notWave.map(f => f.alignRatio), 'below'],
+    fingersLong: [wave.map(f => f.lengthRatio), [...thumbsup, ...negative].map(f => f.lengthRatio), 'above'],
+    headHandsMaxY: [headPoses.map(f => f.wristMaxY), [...crossedPoses, ...otherTwoHands].map(f => f.wristMaxY), 'below'],
+    headHandsSpread: [headPoses.map(f => f.wristSpread), [...crossedPoses, ...otherTwoHands].map(f => f.wristSpread), 'above'],
+    okPinch: [ok.map(f => f.pinchRatio), [...wave, ...peace, ...raisedHand, ...negative].map(f => f.pinchRatio), 'below'],
+    raisedHandMaxY: [raisedHand.map(f => f.wristY), wave.map(f => f.wristY), 'below'],
+    crossedArmsMaxGap: [crossedPoses.map(f => f.wristGap), [...headPoses, ...otherTwoHands].map(f => f.wristGap), 'below']
+  };
+
+  const suggestion = {};
+  for (const [key, [positives, negatives, direction]] of Object.entries(rules)) {
+    const result = suggestThreshold(positives, negatives, direction, current[key]);
+    if (result) suggestion[key] = result;
+  }
+  return suggestion;
+}
+
+/**
+ * 正例と負例を最も少ない誤判定で分ける値を求める
+ * direction が 'above' なら「値 > しきい値」、'below' なら「値 < しきい値」を正例とする
+ * 誤判定が同じなら、最も近い計測値から離れている（余裕のある）値を選ぶ
+ */
+function suggestThreshold(positives, negatives, direction, currentValue) {
+  if (positives.length === 0) return null;
+
+  // 'below' は符号を反転して 'above' として扱う
+  const sign = direction === 'above' ? 1 : -1;
+  const pos = positives.map(v => v * sign);
+  const neg = negatives.map(v => v * sign);
+  const values = [...pos, ...neg].sort((a, b) => a - b);
+
+  const countErrors = t => pos.filter(v => v <= t).length + neg.filter(v => v > t).length;
+  const getMargin = t => Math.min(...values.map(v => Math.abs(v - t)));
+
+  // 候補: 現在値、隣り合う計測値の中間点、最も低い正例の少し下
+  const candidates = [currentValue * sign, Math.min(...pos) - CALIBRATION_MARGIN];
+  for (let i = 0; i < values.length - 1; i++) {
+    candidates.push((values[i] + values[i + 1]) / 2);
+  }
+
+  let best = candidates[0];
+  let bestErrors = countErrors(best);
+  let bestMargin = getMargin(best);
+  for (const candidate of candidates.slice(1)) {
+    const errors = countErrors(candidate);
+    const margin = getMargin(candidate);
+    if (errors < bestErrors || (errors === bestErrors && margin > bestMargin)) {
+      best = candidate;
+      bestErrors = errors;
+      bestMargin = margin;
+    }
+  }
+
+  return {
+    value: Math.round(best * sign * 1000) / 1000,
+    errors: bestErrors,
+    total: values.length
+  };
+}
+
+/**
+ * キャリブレーション結果（現在値と提案値の比較）をレンダリング
+ */
+function renderCalibrationResult() {
+  const table = document.getElementById('calibration-result');
+  const tbody = table.querySelector('tbody');
+  const current = getGestureThresholds();
+  tbody.innerHTML = '';
+
+  for (const field of GESTURE_THRESHOLD_FIELDS) {
+    const suggested = calibrationSuggestion[field.key];
+    const row = document.createElement('tr');
+
+    const labelCell = document.createElement('td');
+    labelCell.textContent = field.label;
+    const currentCell = document.createElement('td');
+    currentCell.textContent = current[field.key];
+    const suggestedCell = document.createElement('td');
+    suggestedCell.textContent = suggested ? suggested.value : '—';
+    suggestedCell.classList.toggle('changed', !!suggested && suggested.value !== current[field.key]);
+    const errorsCell = document.createElement('td');
+    errorsCell.textContent = suggested ? `${suggested.errors}/${suggested.total}` : '画像なし';
+
+    row.append(labelCell, currentCell, suggestedCell, errorsCell);
+    tbody.appendChild(row);
+  }
+
+  table.hidden = false;
+  document.getElementById('calibration-apply-btn').hidden = Object.keys(calibrationSuggestion).length === 0;
+}
+
+/**
+ * 提案値をしきい値に適用
+ */
+async function applyCalibrationSuggestion() {
+  if (!calibrationSuggestion) return;
+
+  const thresholds = { ...handSignSettings.thresholds };
+  for (const [key, suggested] of Object.entries(calibrationSuggestion)) {
+    thresholds[key] = suggested.value;
+  }
+  handSignSettings.thresholds = thresholds;
+  await saveHandSignSettings();
+
+  renderGestureThresholds();
+  renderCalibrationResult();
+  showToast('提案値を適用しました', 'success');
+}
+
+// ===============================================
+// 音声の切り出し（トリム）エディター
+// ===============================================
+
+// 掴める範囲（ハンドルからのピクセル数）
+const TRIM_HANDLE_HIT_PX = 10;
+// 切り出し・ループ区間の最短長（秒）
+const TRIM_MIN_LENGTH = 0.1;
+
+// 編集中の状態（エディターを開いている間のみ）
+let trimState = null;
+
+/**
+ * 切り出しエディターのイベントを設定
+ */
+function setupTrimEditor() {
+  const canvas = document.getElementById('trim-waveform');
+  const startInput = document.getElementById('trim-start');
+  const endInput = document.getElementById('trim-end');
+  const loopToggle = document.getElementById('trim-loop-enabled');
+  const loopStartInput = document.getElementById('trim-loop-start');
+  const loopEndInput = document.getElementById('trim-loop-end');
+
+  // ハンドルのドラッグ
+  canvas.addEventListener('mousedown', (e) => {
+    if (!trimState) return;
+    const x = e.offsetX * (canvas.width / canvas.clientWidth);
+    const startX = timeToTrimX(trimState.start);
+    const endX = timeToTrimX(trimState.end);
+
+    if (Math.abs(x - startX) <= TRIM_HANDLE_HIT_PX) {
+      trimState.dragging = 'start';
+    } else if (Math.abs(x - endX) <= TRIM_HANDLE_HIT_PX) {
+      trimState.dragging = 'end';
+    } else {
+      // 近い方のハンドルを移動
+      trimState.dragging = Math.abs(x - startX) < Math.abs(x - endX) ? 'start' : 'end';
+    }
+    moveTrimHandle(x);
+  });
+
+  window.addEventListener('mousemove', (e) => {
+    if (!trimState || !trimState.dragging) return;
+    const rect = canvas.getBoundingClientRect();
+    moveTrimHandle((e.clientX - rect.left) * (canvas.width / rect.width));
+  });
+
+  window.addEventListener('mouseup', () => {
+    if (trimState) trimState.dragging = null;
+  });
+
+  // 数値入力
+  startInput.addEventListener('change', () => setTrimRange(Number(startInput.value), trimState.end));
+  endInput.addEventListener('change', () => setTrimRange(trimState.start, Number(endInput.value)));
+
+  // ループ区間
+  loopToggle.addEventListener('change', () => {
+    loopStartInput.disabled = !loopToggle.checked;
+    loopEndInput.disabled = !loopToggle.checked;
+    if (loopToggle.checked) {
+      setTrimLoop(0, trimState.end - trimState.start);
+    } else {
+      trimState.loop = null;
+      updateTrimEditor();
+    }
+  });
+  loopStartInput.addEventListener('change', () => setTrimLoop(Number(loopStartInput.value), trimState.loop?.end));
+  loopEndInput.addEventListener('change', () => setTrimLoop(trimState.loop?.start, Number(loopEndInput.value)));
+
+  // 試聴
+  document.getElementById('trim-preview').addEventListener('click', toggleTrimPreview);
+
+  // キャンセル
+  document.getElementById('trim-cancel').addEventListener('click', () => closeTrimEditor(null));
+
+  // そのまま保存（ループ区間は切り出し時のみ有効）
+  document.getElementById('trim-save-original').addEventListener('click', () => {
+    const { file, data } = trimState;
+    closeTrimEditor({ data, fileName: file.name, mimeType: file.type, loopPoints: null });
+  });
+
+  // 切り出して保存
+  document.getElementById('trim-save').addEventListener('click', saveTrimmedClip);
+}
+
+/**
+ * 切り出しエディターを開く
+ * @returns {Promise<Object|null>} 保存する音声 { data, fileName, mimeType, loopPoints, rendered, normalized }（キャンセル時はnull）
+ */
+async function openTrimEditor(file) {
+  const data = await fileToBase64(file);
+
+  // 波形表示用にデコード（失敗した場合はそのまま保存）
+  let audioBuffer;
+  try {
+    const audioContext = new AudioContext();
+    audioBuffer = await audioContext.decodeAudioData(await file.arrayBuffer());
+    audioContext.close();
+  } catch (e) {
+    console.warn('[Options] Failed to decode audio for trimming:', e);
+    return { data, fileName: file.name, mimeType: file.type, loopPoints: null };
+  }
+
+  const canvas = document.getElementById('trim-waveform');
+  return new Promise((resolve) => {
+    trimState = {
+      file,
+      data,
+      audioBuffer,
+      peaks: computeWaveformPeaks(audioBuffer, canvas.width),
+      start: 0,
+      end: audioBuffer.duration,
+      loop: null,
+      dragging: null,
+      previewContext: null,
+      previewSource: null,
+      resolve
+    };
+
+    document.getElementById('trim-file-name').textContent = file.name;
+    document.getElementById('trim-loop-enabled').checked = false;
+    document.getElementById('trim-loop-start').disabled = true;
+    document.getElementById('trim-loop-end').disabled = true;
+    document.getElementById('trim-editor').hidden = false;
+    updateTrimEditor();
+  });
+}
+
+/**
+ * 切り出しエディターを閉じて結果を返す
+ */
+function closeTrimEditor(result) {
+  if (!trimState) return;
+  stopTrimPreview();
+  document.getElementById('trim-editor').hidden = true;
+  const { resolve } = trimState;
+  trimState = null;
+  resolve(result);
+}
+
+/**
+ * 波形のピーク値を計算（横幅1pxごと）
+ */
+function computeWaveformPeaks(audioBuffer, width) {
+  const peaks = new Float32Array(width);
+  const samplesPerPixel = Math.max(1, Math.floor(audioBuffer.length / width));
+  const channels = [];
+  for (let c = 0; c < audioBuffer.numberOfChannels; c++) {
+    channels.push(audioBuffer.getChannelData(c));
+  }
+
+  for (let x = 0; x < width; x++) {
+    const from = x * samplesPerPixel;
+    const to = Math.min(from + samplesPerPixel, audioBuffer.length);
+    let peak = 0;
+    for (const data of channels) {
+      for (let i = from; i < to; i++) {
+        const abs = Math.abs(data[i]);
+        if (abs > peak) peak = abs;
+      }
+    }
+    peaks[x] = peak;
+  }
+  return peaks;
+}
+
+/**
+ * 時間（秒）をキャンバスのX座標に変換
+ */
+function timeToTrimX(time) {
+  const canvas = document.getElementById('trim-waveform');
+  return (time / trimState.audioBuffer.duration) * canvas.width;
+}
+
+/**
+ * ドラッグ中のハンドルを移動
+ */
+function moveTrimHandle(x) {
+  const canvas = document.getElementById('trim-waveform');
+  const time = Math.max(0, Math.min(1, x / canvas.width)) * trimState.audioBuffer.duration;
+  if (trimState.dragging === 'start') {
+    setTrimRange(time, trimState.end);
+  } else if (trimState.dragging === 'end') {
+    setTrimRange(trimState.start, time);
+  }
+}
+
+/**
+ * 切り出し範囲を設定
+ */
+function setTrimRange(start, end) {
+  if (!trimState) return;
+  const duration = trimState.audioBuffer.duration;
+  start = Math.max(0, Math.min(isNaN(start) ? 0 : start, duration - TRIM_MIN_LENGTH));
+  end = Math.max(start + TRIM_MIN_LENGTH, Math.min(isNaN(end) ? duration : end, duration));
+  trimState.start = start;
+  trimState.end = end;
+
+  // ループ区間を切り出し範囲に収める
+  if (trimState.loop) {
+    setTrimLoop(trimState.loop.start, trimState.loop.end);
+    return;
+  }
+  updateTrimEditor();
+}
+
+/**
+ * ループ区間を設定（切り出し後の秒数）
+ */
+function setTrimLoop(start, end) {
+  if (!trimState) return;
+  const clipLength = trimState.end - trimState.start;
+  start = Math.max(0, Math.min(isNaN(start) ? 0 : start, clipLength - TRIM_MIN_LENGTH));
+  end = Math.max(start + TRIM_MIN_LENGTH, Math.min(isNaN(end) ? clipLength : end, clipLength));
+  trimState.loop = { start, end };
+  updateTrimEditor();
+}
+
+/**
+ * 入力欄と波形表示を更新
+ */
+function updateTrimEditor() {
+  const { start, end, loop } = trimState;
+  document.getElementById('trim-start').value = start.toFixed(1);
+  document.getElementById('trim-end').value = end.toFixed(1);
+  document.getElementById('trim-length').textContent = `長さ ${(end - start).toFixed(1)}秒`;
+  document.getElementById('trim-loop-start').value = loop ? loop.start.toFixed(1) : '';
+  document.getElementById('trim-loop-end').value = loop ? loop.end.toFixed(1) : '';
+  drawTrimWaveform();
+}
+
+/**
+ * 波形と選択範囲を描画
+ */
+function drawTrimWaveform() {
+  const canvas = document.getElementById('trim-waveform');
+  const ctx = canvas.getContext('2d');
+  const styles = getComputedStyle(document.documentElement);
+  const primaryColor = styles.getPropertyValue('--primary-color').trim() || '#4a90d9';
+  const successColor = styles.getPropertyValue('--success-color').trim() || '#4caf50';
+  const mutedColor = styles.getPropertyValue('--text-secondary').trim() || '#888';
+  const { width, height } = canvas;
+  const startX = timeToTrimX(trimState.start);
+  const endX = timeToTrimX(trimState.end);
+
+  ctx.clearRect(0, 0, width, height);
+
+  // 波形（選択範囲内は強調）
+  for (let x = 0; x < width; x++) {
+    const barHeight = Math.max(1, trimState.peaks[x] * (height - 8));
+    ctx.fillStyle = x >= startX && x <= endX ? primaryColor : mutedColor;
+    ctx.globalAlpha = x >= startX && x <= endX ? 1 : 0.35;
+    ctx.fillRect(x, (height - barHeight) / 2, 1, barHeight);
+  }
+  ctx.globalAlpha = 1;
+
+  // ループ区間
+  if (trimState.loop) {
+    const loopStartX = timeToTrimX(trimState.start + trimState.loop.start);
+    const loopEndX = timeToTrimX(trimState.start + trimState.loop.end);
+    ctx.fillStyle = successColor;
+    ctx.globalAlpha = 0.25;
+    ctx.fillRect(loopStartX, 0, loopEndX - loopStartX, height);
+    ctx.globalAlpha = 1;
+    ctx.fillRect(loopStartX, height - 4, loopEndX - loopStartX, 4);
+  }
+
+  // 開始・終了ハンドル
+  ctx.fillStyle = primaryColor;
+  for (const x of [startX, endX]) {
+    ctx.fillRect(x - 1, 0, 2, height);
+    ctx.fillRect(x - 4, 0, 8, 10);
+  }
+}
+
+/**
+ * 選択範囲を試聴（フェードアウト・ループ区間を反映）
+ */
+function toggleTrimPreview() {
+  const button = document.getElementById('trim-preview');
+  if (trimState.previewSource) {
+    stopTrimPreview();
+    return;
+  }
+
+  const { audioBuffer, start, end, loop } = trimState;
+  const fadeOut = Number(document.getElementById('trim-fade-out').value);
+  const context = new AudioContext();
+  const source = context.createBufferSource();
+  const gain = context.createGain();
+  source.buffer = audioBuffer;
+  source.connect(gain);
+  gain.connect(context.destination);
+
+  if (loop) {
+    // ループ区間を繰り返す（停止ボタンで止める）
+    source.loop = true;
+    source.loopStart = start + loop.start;
+    source.loopEnd = start + loop.end;
+    source.start(0, start);
+  } else {
+    const length = end - start;
+    if (fadeOut > 0) {
+      const fadeStart = Math.max(0, length - fadeOut);
+      gain.gain.setValueAtTime(1, context.currentTime + fadeStart);
+      gain.gain.linearRampToValueAtTime(0, context.currentTime + length);
+    }
+    source.start(0, start, length);
+  }
+
+  source.onended = () => stopTrimPreview();
+  trimState.previewContext = context;
+  trimState.previewSource = source;
+  updatePlayButtonState(button, true);
+}
+
+/**
+ * 試聴を停止
+ */
+function stopTrimPreview() {
+  if (!trimState || !trimState.previewSource) return;
+  trimState.previewSource.onended = null;
+  try {
+    trimState.previewSource.stop();
+  } catch (e) {
+    // 停止済み
+  }
+  trimState.previewContext.close();
+  trimState.previewSource = null;
+  trimState.previewContext = null;
+  updatePlayButtonState(document.getElementById('trim-preview'), false);
+}
+
+/**
+ * 選択範囲をMP3に書き出して保存
+ */
+async function saveTrimmedClip() {
+  const { file, data, start, end, loop } = trimState;
+  const fadeOut = Number(document.getElementById('trim-fade-out').value);
+  const saveButton = document.getElementById('trim-save');
+
+  stopTrimPreview();
+  saveButton.disabled = true;
+  saveButton.textContent = '書き出し中...';
+
+  try {
+    const response = await sendMessage({ type: 'RENDER_AUDIO_CLIP', data, start, end, fadeOut });
+    if (!response || !response.success) {
+      throw new Error(response?.error || '書き出しに失敗しました');
+    }
+
+    const baseName = file.name.replace(/\.[^.]+$/, '');
+    // 書き出し時に正規化済みのため、保存時は再エンコードしない（rendered）
+    closeTrimEditor({
+      data: response.data,
+      fileName: `${baseName}.mp3`,
+      mimeType: response.mimeType,
+      loopPoints: loop ? { start: loop.start, end: loop.end } : null,
+      rendered: true,
+      normalized: !!response.normalized
+    });
+  } catch (error) {
+    showToast('書き出しに失敗しました: ' + error.message, 'error');
+  } finally {
+    saveButton.disabled = false;
+    saveButton.textContent = '切り出して保存';
+  }
+}
+
+// ===============================================
+// マイクで録音
+// ===============================================
+
+// 録音の最長秒数
+const MIC_MAX_SECONDS = 30;
+// 録音開始までのカウントダウン（秒）
+const MIC_COUNTDOWN_SECONDS = 3;
+
+// 録音中の状態（ダイアログを開いている間のみ）
+let micState = null;
+
+/**
+ * 録音ダイアログのイベントを設定
+ */
+function setupMicRecorder() {
+  document.getElementById('mic-cancel').addEventListener('click', closeMicRecorder);
+
+  // 録音開始・停止・録り直し
+  document.getElementById('mic-record').addEventListener('click', () => {
+    if (!micState) return;
+    if (micState.recorder && micState.recorder.state === 'recording') {
+      stopMicRecording();
+    } else if (!micState.countdownTimer) {
+      startMicCountdown();
+    }
+  });
+
+  // 録音を使う（切り出しエディター → SAVE_SOUND）
+  document.getElementById('mic-use').addEventListener('click', async () => {
+    if (!micState || !micState.blob) return;
+    const { soundId, item, blob } = micState;
+    const label = soundTypes[soundId]?.label || soundId;
+    const file = new File([blob], `${label}_録音.webm`, { type: 'audio/webm' });
+    closeMicRecorder();
+    await handleFileUpload(soundId, file, item);
+  });
+}
+
+/**
+ * 録音ダイアログを開く（マイクの入力レベルを表示）
+ */
+async function openMicRecorder(soundId, item) {
+  let stream;
+  try {
+    stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+  } catch (error) {
+    console.error('[Options] Microphone access failed:', error);
+    showToast('マイクにアクセスできません。ブラウザの設定でマイクを許可してください', 'error');
+    return;
+  }
+
+  const audioContext = new AudioContext();
+  const analyser = audioContext.createAnalyser();
+  analyser.fftSize = 1024;
+  audioContext.createMediaStreamSource(stream).connect(analyser);
+
+  micState = {
+    soundId,
+    item,
+    stream,
+    audioContext,
+    analyser,
+    recorder: null,
+    blob: null,
+    previewUrl: null,
+    countdownTimer: null,
+    elapsedTimer: null,
+    meterFrame: null
+  };
+
+  document.getElementById('mic-sound-label').textContent = soundTypes[soundId]?.label || soundId;
+  setMicStatus('準備ができたら録音を開始してください');
+  document.getElementById('mic-record').textContent = '● 録音開始';
+  document.getElementById('mic-use').disabled = true;
+  document.getElementById('mic-preview').hidden = true;
+  document.getElementById('mic-recorder').hidden = false;
+  updateMicLevel();
+}
+
+/**
+ * 入力レベルのメーターを更新
+ */
+function updateMicLevel() {
+  if (!micState) return;
+  const samples = new Float32Array(micState.analyser.fftSize);
+  micState.analyser.getFloatTimeDomainData(samples);
+  const peak = samples.reduce((max, value) => Math.max(max, Math.abs(value)), 0);
+
+  const bar = document.getElementById('mic-level-bar');
+  bar.style.width = `${Math.min(100, peak * 100)}%`;
+  bar.classList.toggle('clipping', peak >= 0.99);
+
+  micState.meterFrame = requestAnimationFrame(updateMicLevel);
+}
+
+/**
+ * 状態の表示を更新
+ */
+function setMicStatus(text, counting = false) {
+  const status = document.getElementById('mic-status');
+  status.textContent = text;
+  status.classList.toggle('counting', counting);
+}
+
+/**
+ * カウントダウンしてから録音を開始
+ */
+function startMicCountdown() {
+  const preview = document.getElementById('mic-preview');
+  preview.pause();
+  preview.hidden = true;
+  document.getElementById('mic-use').disabled = true;
+  document.getElementById('mic-record').disabled = true;
+
+  let remaining = MIC_COUNTDOWN_SECONDS;
+  setMicStatus(String(remaining), true);
+  micState.countdownTimer = setInterval(() => {
+    remaining--;
+    if (remaining > 0) {
+      setMicStatus(String(remaining), true);
+      return;
+    }
+    clearInterval(micState.countdownTimer);
+    micState.countdownTimer = null;
+    startMicRecording();
+  }, 1000);
+}
+
+/**
+ * 録音を開始（最長 MIC_MAX_SECONDS 秒で自動停止）
+ */
+function startMicRecording() {
+  const chunks = [];
+  const recorder = new MediaRecorder(micState.stream, { mimeType: 'audio/webm;codecs=opus' });
+  recorder.ondataavailable = (event) => {
+    if (event.data.size > 0) chunks.push(event.data);
+  };
+  recorder.onstop = () => {
+    if (!micState) return;
+    clearInterval(micState.elapsedTimer);
+    micState.elapsedTimer = null;
+    micState.blob = new Blob(chunks, { type: 'audio/webm' });
+
+    if (micState.previewUrl) URL.revokeObjectURL(micState.previewUrl);
+    micState.previewUrl = URL.createObjectURL(micState.blob);
+    const preview = document.getElementById('mic-preview');
+    preview.src = micState.previewUrl;
+    preview.hidden = false;
+
+    setMicStatus('試聴して、よければ「次へ」で切り出してください');
+    document.getElementById('mic-record').textContent = '↺ 録り直す';
+    document.getElementById('mic-use').disabled = false;
+  };
+
+  micState.recorder = recorder;
+  micState.blob = null;
+  recorder.start();
+
+  const startedAt = Date.now();
+  setMicStatus(`● 録音中 0.0秒 / ${MIC_MAX_SECONDS}秒`);
+  micState.elapsedTimer = setInterval(() => {
+    const elapsed = (Date.now() - startedAt) / 1000;
+    if (elapsed >= MIC_MAX_SECONDS) {
+      stopMicRecording();
+      return;
+    }
+    setMicStatus(`● 録音中 ${elapsed.toFixed(1)}秒 / ${MIC_MAX_SECONDS}秒`);
+  }, 100);
+
+  const recordButton = document.getElementById('mic-record');
+  recordButton.textContent = '■ 停止';
+  recordButton.disabled = false;
+}
+
+/**
+ * 録音を停止
+ */
+function stopMicRecording() {
+  if (micState?.recorder && micState.recorder.state === 'recording') {
+    micState.recorder.stop();
+  }
+}
+
+/**
+ * 録音ダイアログを閉じてマイクを解放
+ */
+function closeMicRecorder() {
+  if (!micState) return;
+  const state = micState;
+  micState = null;
+
+  clearInterval(state.countdownTimer);
+  clearInterval(state.elapsedTimer);
+  cancelAnimationFrame(state.meterFrame);
+  if (state.recorder && state.recorder.state !== 'inactive') {
+    state.recorder.onstop = null;
+    state.recorder.stop();
+  }
+  state.stream.getTracks().forEach(track => track.stop());
+  state.audioContext.close();
+  if (state.previewUrl) URL.revokeObjectURL(state.previewUrl);
+
+  const preview = document.getElementById('mic-preview');
+  preview.pause();
+  preview.removeAttribute('src');
+  document.getElementById('mic-record').disabled = false;
+  document.getElementById('mic-recorder').hidden = true;
+}
+
+// ===============================================
+// 仮想カメラ機能
+// ===============================================
+
+const MAX_IMAGES_PER_TYPE = 12;
+let virtualCameraImages = {
+  wave: [],     // 最大12枚の配列
+  thumbsup: []  // 最大12枚の配列
+};
+
+/**
+ * 仮想カメラ設定を初期化
+ */
+async function setupVirtualCamera() {
+  // グリッドを初期化
+  renderImageGrid('wave');
+  renderImageGrid('thumbsup');
+
+  // ストレージから画像を読み込み
+  if (isExtension) {
+    try {
+      const result = await chrome.storage.local.get(['virtualCameraImages']);
+      if (result.virtualCameraImages) {
+        // 旧形式（単一画像）から新形式（配列）への移行
+        if (result.virtualCameraImages.wave && !Array.isArray(result.virtualCameraImages.wave)) {
+          virtualCameraImages.wave = [result.virtualCameraImages.wave];
+        } else {
+          virtualCameraImages.wave = result.virtualCameraImages.wave || [];
+        }
+        if (result.virtualCameraImages.thumbsup && !Array.isArray(result.virtualCameraImages.thumbsup)) {
+          virtualCameraImages.thumbsup = [result.virtualCameraImages.thumbsup];
+        } else {
+          virtualCameraImages.thumbsup = result.virtualCameraImages.thumbsup || [];
+        }
+        updateImageGrids();
+      }
+    } catch (error) {
+      console.error('[Options] Error loading virtual camera settings:', error);
+    }
+  }
+
+  // カメラ起動ボタン（Remoworkサイト上でモーダルを開く）
+  const startCameraBtn = document.getElementById('start-camera-btn');
+  if (startCameraBtn) {
+    startCameraBtn.addEventListener('click', openCameraOnSite);
+  }
+
+  // 撮影ボタン（ポップアップ内のカメラは廃止、サイト上で撮影）
+  const captureWaveBtn = document.getElementById('capture-wave-btn');
+  const captureThumbsupBtn = document.getElementById('capture-thumbsup-btn');
+
+  if (captureWaveBtn) {
+    captureWaveBtn.addEventListener('click', openCameraOnSite);
+  }
+  if (captureThumbsupBtn) {
+    captureThumbsupBtn.addEventListener('click', openCameraOnSite);
+  }
+
+  // 全削除ボタン
+  const clearWaveBtn = document.getElementById('clear-wave-btn');
+  const clearThumbsupBtn = document.getElementById('clear-thumbsup-btn');
+
+  if (clearWaveBtn) {
+    clearWaveBtn.addEventListener('click', () => clearAllImages('wave'));
+  }
+  if (clearThumbsupBtn) {
+    clearThumbsupBtn.addEventListener('click', () => clearAllImages('thumbsup'));
+  }
+
+  // デフォルト画像ボタン
+  const defaultWaveBtn = document.getElementById('default-wave-btn');
+  const defaultThumbsupBtn = document.getElementById('default-thumbsup-btn');
+
+  if (defaultWaveBtn) {
+    defaultWaveBtn.addEventListener('click', () => setDefaultImages('wave'));
+  }
+  if (defaultThumbsupBtn) {
+    defaultThumbsupBtn.addEventListener('click', () => setDefaultImages('thumbsup'));
+  }
+}
+
+/**
+ * カメラ撮影モーダルを開く（Remoworkサイト上で）
+ */
+async function openCameraOnSite() {
+  try {
+    // 開いているRemoworkタブを取得（表示中のものを優先）
+    const tabs = await chrome.tabs.query({ url: ['https://remowork.biz/*', 'https://stage.remowork.biz/*'] });
+    const tab = tabs.find(t => t.active) || tabs[0];
+
+    if (!tab) {
+      showToast('Remoworkサイトを開いてから\n撮影ボタンを押してください', 'error');
+      return;
+    }
+
+    // content scriptにメッセージを送信してカメラモーダルを開く
+    await chrome.tabs.sendMessage(tab.id, { type: 'OPEN_CAMERA_MODAL' });
+
+    // Remoworkのタブに切り替え（ユーザーがサイトで操作できるように）
+    await chrome.tabs.update(tab.id, { active: true });
+    await chrome.windows.update(tab.windowId, { focused: true });
+  } catch (error) {
+    console.error('[Options] Failed to open camera modal:', error);
+    showToast('カメラの起動に失敗しました\nRemoworkサイトを開いてください', 'error');
+  }
+}
+
+/**
+ * 画像グリッドを描画
+ */
+function renderImageGrid(type) {
+  const grid = document.getElementById(`${type}-images-grid`);
+  if (!grid) return;
+
+  grid.innerHTML = '';
+  for (let i = 0; i < MAX_IMAGES_PER_TYPE; i++) {
+    const slot = document.createElement('div');
+    slot.className = 'registered-image-item';
+    slot.dataset.index = i;
+    slot.innerHTML = `
+      <span class="slot-number">${i + 1}</span>
+      <button class="delete-btn" title="削除">×</button>
+    `;
+
+    // 削除ボタンのイベント
+    slot.querySelector('.delete-btn').addEventListener('click', (e) => {
+      e.stopPropagation();
+      deleteImageAt(type, i);
+    });
+
+    grid.appendChild(slot);
+  }
+}
+
+/**
+ * 画像グリッドを更新
+ */
+function updateImageGrids() {
+  updateImageGrid('wave');
+  updateImageGrid('thumbsup');
+}
+
+/**
+ * 特定タイプの画像グリッドを更新
+ */
+function updateImageGrid(type) {
+  const grid = document.getElementById(`${type}-images-grid`);
+  const countSpan = document.getElementById(`${type}-count`);
+  const clearBtn = document.getElementById(`clear-${type}-btn`);
+
+  if (!grid) return;
+
+  const images = virtualCameraImages[type] || [];
+  const slots = grid.querySelectorAll('.registered-image-item');
+
+  slots.forEach((slot, i) => {
+    const existingImg = slot.querySelector('img');
+    if (existingImg) existingImg.remove();
+
+    if (images[i]) {
+      slot.classList.add('has-image');
+      const img = document.createElement('img');
+      img.src = images[i];
+      img.alt = `${type} ${i + 1}`;
+      slot.insertBefore(img, slot.firstChild);
+    } else {
+      slot.classList.remove('has-image');
+    }
+  });
+
+  // カウント更新
+  if (countSpan) {
+    countSpan.textContent = images.length;
+  }
+
+  // 全削除ボタンの表示
+  if (clearBtn) {
+    clearBtn.style.display = images.length > 0 ? 'inline-block' : 'none';
+  }
+}
+
+/**
+ * 特定インデックスの画像を削除
+ */
+function deleteImageAt(type, index) {
+  if (virtualCameraImages[type] && virtualCameraImages[type][index]) {
+    virtualCameraImages[type].splice(index, 1);
+    saveVirtualCameraImages();
+    updateImageGrid(type);
+
+    const emoji = type === 'wave' ? '👋' : '👍';
+    showToast(`${emoji} を削除しました`, 'info');
+  }
+}
+
+/**
+ * 全画像を削除
+ */
+function clearAllImages(type) {
+  virtualCameraImages[type] = [];
+  saveVirtualCameraImages();
+  updateImageGrid(type);
+
+  const emoji = type === 'wave' ? '👋' : '👍';
+  showToast(`${emoji} を全て削除しました`, 'info');
+}
+
+/**
+ * デフォルト画像を生成（1〜12の数字入り）
+ */
+function generateDefaultImage(number, emoji) {
+  const canvas = document.createElement('canvas');
+  canvas.width = 640;
+  canvas.height = 480;
+  const ctx = canvas.getContext('2d');
+
+  // 背景
+  ctx.fillStyle = emoji === '👋' ? '#4CAF50' : '#2196F3';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+  // 絵文字
+  ctx.font = '120px sans-serif';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(emoji, canvas.width / 2, canvas.height / 2 - 40);
+
+  // 番号
+  ctx.font = 'bold 80px sans-serif';
+  ctx.fillStyle = 'white';
+  ctx.fillText(number.toString(), canvas.width / 2, canvas.height / 2 + 100);
+
+  return canvas.toDataURL('image/jpeg', 0.8);
+}
+
+/**
+ * デフォルト画像をセット
+ */
+function setDefaultImages(type) {
+  const emoji = type === 'wave' ? '👋' : '👍';
+  virtualCameraImages[type] = [];
+
+  for (let i = 1; i <= MAX_IMAGES_PER_TYPE; i++) {
+    virtualCameraImages[type].push(generateDefaultImage(i, emoji));
+  }
+
+  saveVirtualCameraImages();
+  updateImageGrid(type);
+
+  showToast(`${emoji} にデフォルト画像をセットしました`, 'success');
+}
+
+/**
+ * 仮想カメラ画像を保存
+ */
+async function saveVirtualCameraImages() {
+  if (isExtension) {
+    try {
+      await chrome.storage.local.set({ virtualCameraImages });
+      console.log('[Options] Virtual camera images saved');
+    } catch (error) {
+      console.error('[Options] Error saving virtual camera images:', error);
+    }
+  }
+}
+
+// ストレージ変更を監視（content scriptで撮影した画像を反映）
+if (isExtension) {
+  chrome.storage.onChanged.addListener((changes, namespace) => {
+    if (namespace === 'local' && changes.virtualCameraImages) {
+      const newImages = changes.virtualCameraImages.newValue;
+      if (newImages) {
+        virtualCameraImages = newImages;
+        updateImageGrids();
+        console.log('[Options] Virtual camera images updated from storage');
+      }
+    }
+  });
+}
+
+/**
+ * LLM設定をセットアップ
+ */
+function setupLLMSettings() {
+  const enabledToggle = document.getElementById('llm-enabled-toggle');
+  const providerSelect = document.getElementById('llm-provider');
+  const modelSelect = document.getElementById('llm-model');
+  const apiKeyInput = document.getElementById('llm-api-key');
+  const toggleVisibilityBtn = document.getElementById('toggle-api-key-visibility');
+  const customEndpointInput = document.getElementById('llm-custom-endpoint');
+  const customSection = document.getElementById('llm-custom-section');
+  const apiNote = document.getElementById('llm-api-note');
+  const autoStructureCheckbox = document.getElementById('llm-auto-structure');
+  const extractActionsCheckbox = document.getElementById('llm-extract-actions');
+  const extractDecisionsCheckbox = document.getElementById('llm-extract-decisions');
+  const testConnectionBtn = document.getElementById('test-llm-connection');
+  const testResultEl = document.getElementById('llm-test-result');
+
+  // プロフィール入力欄
+  const profileNameInput = document.getElementById('llm-profile-name');
+  const profileCompanyInput = document.getElementById('llm-profile-company');
+  const profileRoleInput = document.getElementById('llm-profile-role');
+  const profileContextInput = document.getElementById('llm-profile-context');
+
+  // 初期値を設定
+  enabledToggle.checked = llmSettings.enabled;
+  providerSelect.value = llmSettings.provider;
+  apiKeyInput.value = llmSettings.apiKey || '';
+  customEndpointInput.value = llmSettings.customEndpoint || '';
+  autoStructureCheckbox.checked = llmSettings.autoStructure !== false;
+  extractActionsCheckbox.checked = llmSettings.extractActions !== false;
+  extractDecisionsCheckbox.checked = llmSettings.extractDecisions !== false;
+
+  // プロフィール情報を設定
+  const profile = llmSettings.profile || {};
+  profileNameInput.value = profile.name || '';
+  profileCompanyInput.value = profile.company || '';
+  profileRoleInput.value = profile.role || '';
+  profileContextInput.value = profile.context || '';
+
+  // モデルリストを更新
+  updateModelList(llmSettings.provider);
+  if (llmSettings.model) {
+    modelSelect.value = llmSettings.model;
+  }
+
+  // カスタムセクションの表示切替
+  customSection.style.display = llmSettings.provider === 'custom' ? 'block' : 'none';
+
+  // APIノートを更新
+  updateApiNote(llmSettings.provider);
+
+  // 有効/無効トグル
+  enabledToggle.addEventListener('change', async () => {
+    llmSettings.enabled = enabledToggle.checked;
+    await saveLLMSettings();
+    showToast(llmSettings.enabled ? 'AI構造化メモを有効化しました' : 'AI構造化メモを無効化しました');
+  });
+
+  // プロバイダー変更
+  providerSelect.addEventListener('change', async () => {
+    llmSettings.provider = providerSelect.value;
+    updateModelList(providerSelect.value);
+    llmSettings.model = modelSelect.value;
+    customSection.style.display = providerSelect.value === 'custom' ? 'block' : 'none';
+    updateApiNote(providerSelect.value);
+    await saveLLMSettings();
+  });
+
+  // モデル変更
+  modelSelect.addEventListener('change', async () => {
+    llmSettings.model = modelSelect.value;
+    await saveLLMSettings();
+  });
+
+  // APIキー変更
+  apiKeyInput.addEventListener('change', async () => {
+    llmSettings.apiKey = apiKeyInput.value.trim();
+    await saveLLMSettings();
+    showToast('APIキーを保存しました');
+  });
+
+  // APIキー表示/非表示
+  toggleVisibilityBtn.addEventListener('click', () => {
+    if (apiKeyInput.type === 'password') {
+      apiKeyInput.type = 'text';
+      toggleVisibilityBtn.textContent = '🙈';
+    } else {
+      apiKeyInput.type = 'password';
+      toggleVisibilityBtn.textContent = '👁';
+    }
+  });
+
+  // カスタムエンドポイント変更
+  customEndpointInput.addEventListener('change', async () => {
+    llmSettings.customEndpoint = customEndpointInput.value.trim();
+    await saveLLMSettings();
+  });
+
+  // 構造化設定
+  autoStructureCheckbox.addEventListener('change', async () => {
+    llmSettings.autoStructure = autoStructureCheckbox.checked;
+    await saveLLMSettings();
+  });
+
+  extractActionsCheckbox.addEventListener('change', async () => {
+    llmSettings.extractActions = extractActionsCheckbox.checked;
+    await saveLLMSettings();
+  });
+
+  extractDecisionsCheckbox.addEventListener('change', async () => {
+    llmSettings.extractDecisions = extractDecisionsCheckbox.checked;
+    await saveLLMSettings();
+  });
+
+  // プロフィール情報変更
+  const saveProfile = async () => {
+    llmSettings.profile = {
+      name: profileNameInput.value.trim(),
+      company: profileCompanyInput.value.trim(),
+      role: profileRoleInput.value.trim(),
+      context: profileContextInput.value.trim()
+    };
+    await saveLLMSettings();
+  };
+
+  profileNameInput.addEventListener('change', saveProfile);
+  profileCompanyInput.addEventListener('change', saveProfile);
+  profileRoleInput.addEventListener('change', saveProfile);
+  profileContextInput.addEventListener('change', saveProfile);
+
+  // 接続テスト
+  testConnectionBtn.addEventListener('click', async () => {
+    await testLLMConnection(testResultEl);
+  });
+}
+
+/**
+ * モデルリストを更新
+ */
+function updateModelList(provider) {
+  const modelSelect = document.getElementById('llm-model');
+  modelSelect.innerHTML = '';
+
+  const models = LLM_MODELS[provider] || [];
+  for (const model of models) {
+    const option = document.createElement('option');
+    option.value = model.id;
+    option.textContent = model.name;
+    modelSelect.appendChild(option);
+  }
+}
+
+/**
+ * APIノートを更新
+ */
+function updateApiNote(provider) {
+  const apiNote = document.getElementById('llm-api-note');
+  const notes = {
+    gemini: '⚠️ 文字起こし機能はBraveブラウザでは利用できません（Chromeを推奨）\nGeminiは無料枠で利用可能（15 RPM / 250 RPD）',
+    openai: '⚠️ 文字起こし機能はBraveブラウザでは利用できません（Chromeを推奨）\nOpenAIは従量課金制です',
+    claude: '⚠️ 文字起こし機能はBraveブラウザでは利用できません（Chromeを推奨）\nClaudeは従量課金制です',
+    custom: '⚠️ 文字起こし機能はBraveブラウザでは利用できません（Chromeを推奨）\nOpenAI互換のエンドポイントを指定してください'
+  };
+  apiNote.textContent = notes[provider] || '';
+  apiNote.style.whiteSpace = 'pre-line';
+}
+
+/**
+ * LLM設定を保存
+ */
+async function saveLLMSettings() {
+  if (isExtension) {
+    try {
+      await sendMessage({ type: 'SAVE_LLM_SETTINGS', settings: llmSettings });
+      console.log('[Options] LLM settings saved');
+    } catch (error) {
+      console.error('[Options] Error saving LLM settings:', error);
+    }
+  }
+}
+
+/**
+ * LLM接続テスト
+ */
+async function testLLMConnection(resultEl) {
+  if (!llmSettings.apiKey && llmSettings.provider !== 'custom') {
+    resultEl.textContent = '❌ APIキーを入力してください';
+    resultEl.style.color = 'var(--danger-color)';
+    return;
+  }
+
+  resultEl.textContent = '🔄 テスト中...';
+  resultEl.style.color = 'var(--text-secondary)';
+
+  try {
+    const response = await sendMessage({
+      type: 'TEST_LLM_CONNECTION',
+      settings: llmSettings
+    });
+
+    if (response.success) {
+      resultEl.textContent = `✅ 接続成功！レスポンス: "${response.message}"`;
+      resultEl.style.color = 'var(--success-color)';
+    } else {
+      resultEl.textContent = `❌ エラー: ${response.error}`;
+      resultEl.style.color = 'var(--danger-color)';
+    }
+  } catch (error) {
+    resultEl.textContent = `❌ 接続エラー: ${error.message}`;
+    resultEl.style.color = 'var(--danger-color)';
+  }
+}
+
+/**
+ * Whisper設定をセットアップ
+ */
+function setupWhisperSettings() {
+  const enabledToggle = document.getElementById('whisper-enabled-toggle');
+  const apiKeyInput = document.getElementById('whisper-api-key');
+  const toggleVisibilityBtn = document.getElementById('toggle-whisper-key-visibility');
+  const languageSelect = document.getElementById('whisper-language');
+  const testConnectionBtn = document.getElementById('test-whisper-connection');
+  const testResultEl = document.getElementById('whisper-test-result');
+
+  if (!enabledToggle) return; // 要素がなければスキップ
+
+  // 初期値を設定
+  enabledToggle.checked = whisperSettings.enabled;
+  apiKeyInput.value = whisperSettings.apiKey || '';
+  languageSelect.value = whisperSettings.language || 'ja';
+
+  // 有効/無効トグル
+  enabledToggle.addEventListener('change', async () => {
+    whisperSettings.enabled = enabledToggle.checked;
+    await saveWhisperSettings();
+    showToast(whisperSettings.enabled ? 'Whisper文字起こしを有効化しました' : 'Whisper文字起こしを無効化しました');
+  });
+
+  // APIキー変更
+  apiKeyInput.addEventListener('change', async () => {
+    whisperSettings.apiKey = apiKeyInput.value.trim();
+    await saveWhisperSettings();
+    showToast('Whisper APIキーを保存しました');
+  });
+
+  // APIキー表示/非表示
+  toggleVisibilityBtn.addEventListener('click', () => {
+    if (apiKeyInput.type === 'password') {
+      apiKeyInput.type = 'text';
+      toggleVisibilityBtn.textContent = '🙈';
+    } else {
+      apiKeyInput.type = 'password';
+      toggleVisibilityBtn.textContent = '👁';
+    }
+  });
+
+  // 言語変更
+  languageSelect.addEventListener('change', async () => {
+    whisperSettings.language = languageSelect.value;
+    await saveWhisperSettings();
+  });
+
+  // 接続テスト
+  testConnectionBtn.addEventListener('click', () => {
+    testWhisperConnection(testResultEl);
+  });
+}
+
+/**
+ * Whisper設定を保存
+ */
+async function saveWhisperSettings() {
+  if (isExtension) {
+    try {
+      await sendMessage({ type: 'SAVE_WHISPER_SETTINGS', settings: whisperSettings });
+      console.log('[Options] Whisper settings saved');
+    } catch (error) {
+      console.error('[Options] Error saving Whisper settings:', error);
+    }
+  }
+}
+
+/**
+ * Whisper接続テスト
+ */
+async function testWhisperConnection(resultEl) {
+  if (!whisperSettings.apiKey) {
+    resultEl.textContent = '❌ APIキーを入力してください';
+    resultEl.style.color = 'var(--danger-color)';
+    return;
+  }
+
+  resultEl.textContent = '🔄 テスト中...';
+  resultEl.style.color = 'var(--text-secondary)';
+
+  try {
+    const response = await sendMessage({
+      type: 'TEST_WHISPER_CONNECTION',
+      apiKey: whisperSettings.apiKey
+    });
+
+    if (response.success) {
+      resultEl.textContent = `✅ ${response.message}`;
+      resultEl.style.color = 'var(--success-color)';
+    } else {
+      resultEl.textContent = `❌ エラー: ${response.error}`;
+      resultEl.style.color = 'var(--danger-color)';
+    }
+  } catch (error) {
+    resultEl.textContent = `❌ 接続エラー: ${error.message}`;
+    resultEl.style.color = 'var(--danger-color)';
+  }
+}
+
+// ===============================================
+// 統計設定
+// ===============================================
+
+/**
+ * 統計設定をセットアップ
+ */
+async function setupStatsSettings() {
+  const enabledToggle = document.getElementById('stats-enabled-toggle');
+  const sendNowBtn = document.getElementById('send-stats-now');
+  const lastSentEl = document.getElementById('stats-last-sent');
+  const statsPreviewEl = document.getElementById('stats-preview');
+  const versionEl = document.getElementById('extension-version');
+
+  if (!enabledToggle) return;
+
+  // バージョン表示
+  if (versionEl && isExtension) {
+    const manifest = chrome.runtime.getManifest();
+    versionEl.textContent = `v${manifest.version}`;
+  }
+
+  // 初期値を設定
+  enabledToggle.checked = statsSettings.enabled !== false;
+
+  // 最終送信時刻を表示
+  if (lastSentEl && statsSettings.lastSentAt) {
+    const lastSent = new Date(statsSettings.lastSentAt);
+    lastSentEl.textContent = `最終送信: ${lastSent.toLocaleString('ja-JP')}`;
+  }
+
+  // 現在の統計を表示
+  await updateStatsPreview(statsPreviewEl);
+
+  // 有効/無効トグル
+  enabledToggle.addEventListener('change', async () => {
+    statsSettings.enabled = enabledToggle.checked;
+    await saveStatsSettings();
+    showToast(statsSettings.enabled ? '統計送信を有効化しました' : '統計送信を無効化しました');
+  });
+
+  // 今すぐ送信ボタン
+  if (sendNowBtn) {
+    sendNowBtn.addEventListener('click', async () => {
+      sendNowBtn.disabled = true;
+      sendNowBtn.textContent = '📊 送信中...';
+
+      try {
+        const response = await sendMessage({ type: 'SEND_STATS_NOW' });
+
+        if (response.success) {
+          showToast('統計を送信しました', 'success');
+          statsSettings.lastSentAt = new Date().toISOString();
+          if (lastSentEl) {
+            lastSentEl.textContent = `最終送信: ${new Date().toLocaleString('ja-JP')}`;
+          }
+          // 統計プレビューを更新
+          await updateStatsPreview(statsPreviewEl);
+        } else {
+          showToast(`送信失敗: ${response.error || response.reason}`, 'error');
+        }
+      } catch (error) {
+        showToast(`送信エラー: ${error.message}`, 'error');
+      } finally {
+        sendNowBtn.disabled = false;
+        sendNowBtn.textContent = '📊 今すぐ統計を送信';
+      }
+    });
+  }
+}
+
+/**
+ * 統計プレビューを更新
+ */
+async function updateStatsPreview(previewEl) {
+  if (!previewEl || !isExtension) return;
+
+  try {
+    const response = await sendMessage({ type: 'GET_CURRENT_STATS' });
+
+    if (response.success && response.data) {
+      const stats = response.data;
+      const html = `
+        <div class="stats-grid">
+          <div class="stat-item">
+            <span class="stat-label">ハンドサイン検出</span>
+            <span class="stat-value">${sumObject(stats.handSigns || {})}回</span>
+          </div>
+          <div class="stat-item">
+            <span class="stat-label">表情分析</span>
+            <span class="stat-value">${stats.expression?.analyzeCount || 0}回</span>
+          </div>
+          <div class="stat-item">
+            <span class="stat-label">外線通話</span>
+            <span class="stat-value">${stats.calls?.external?.count || 0}回</span>
+          </div>
+          <div class="stat-item">
+            <span class="stat-label">内線通話</span>
+            <span class="stat-value">${stats.calls?.internal?.count || 0}回</span>
+          </div>
+          <div class="stat-item">
+            <span class="stat-label">ポップアップ表示</span>
+            <span class="stat-value">${stats.uiClicks?.popup_open || 0}回</span>
+          </div>
+          <div class="stat-item">
+            <span class="stat-label">エラー</span>
+            <span class="stat-value">${sumObject(stats.errors || {})}回</span>
+          </div>
+        </div>
+      `;
+      previewEl.innerHTML = html;
+    } else {
+      previewEl.innerHTML = '<p class="note">統計データがありません</p>';
+    }
+  } catch (error) {
+    console.error('[Options] Error loading stats:', error);
+    previewEl.innerHTML = '<p class="note">統計の読み込みに失敗しました</p>';
+  }
+}
+
+/**
+ * オブジェクトの値を合計
+ */
+function sumObject(obj) {
+  if (!obj || typeof obj !== 'object') return 0;
+  return Object.values(obj).reduce((sum, val) => sum + (Number(val) || 0), 0);
+}
+
+/**
+ * 統計設定を保存
+ */
+async function saveStatsSettings() {
+  if (isExtension) {
+    try {
+      await sendMessage({ type: 'SAVE_STATS_SETTINGS', settings: statsSettings });
+      console.log('[Options] Stats settings saved');
+    } catch (error) {
+      console.error('[Options] Error saving stats settings:', error);
+    }
+  }
+}
+
+/**
+ * UIクリックを記録
+ */
+async function recordUiClick(key) {
+  if (!isExtension) return;
+  try {
+    await sendMessage({ type: 'RECORD_STAT', category: 'uiClicks', key: key });
+  } catch (error) {
+    console.error('[Options] Error recording UI click:', error);
+  }
+}
+
+/**
+ * エラーを記録
+ */
+async function recordError(key) {
+  if (!isExtension) return;
+  try {
+    await sendMessage({ type: 'RECORD_STAT', category: 'errors', key: key });
+  } catch (error) {
+    console.error('[Options] Error recording error:', error);
+  }
+}
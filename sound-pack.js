@@ -0,0 +1,214 @@
+/**
+ * Remowork Sound Changer - Sound Pack Reader
+ * サウンドパック（ZIPアーカイブ + manifest.json）の読み込み
+ *
+ * manifest.json の形式:
+ * {
+ *   "id": "acme-sounds",
+ *   "name": "ACME サウンドパック",
+ *   "version": "1.0.0",
+ *   "author": "ACME",
+ *   "license": "CC-BY-4.0",
+ *   "sounds": [
+ *     { "id": "ring", "label": "社内の着信音", "category": "incoming", "license": "CC0-1.0", "file": "sounds/ring.mp3" }
+ *   ]
+ * }
+ */
+
+const SOUND_PACK_MANIFEST_FILE = 'manifest.json';
+const SOUND_PACK_ID_PATTERN = /^[A-Za-z0-9_-]{1,40}$/;
+const SOUND_PACK_MAX_SOUNDS = 200;
+const SOUND_PACK_MIME_TYPES = {
+  mp3: 'audio/mpeg',
+  wav: 'audio/wav',
+  ogg: 'audio/ogg',
+  oga: 'audio/ogg',
+  m4a: 'audio/mp4',
+  aac: 'audio/aac',
+  webm: 'audio/webm',
+  flac: 'audio/flac'
+};
+
+// ZIPのシグネチャ
+const ZIP_END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const ZIP_CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const ZIP_LOCAL_FILE_HEADER = 0x04034b50;
+
+/**
+ * ZIPアーカイブのファイル一覧を読み込む（無圧縮・Deflateのみ対応）
+ * @param {Uint8Array} bytes
+ * @returns {Map<string, {method, compressedSize, size, offset}>} パス → エントリ
+ */
+function readZipEntries(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  // 末尾から End of Central Directory を探す（コメントは最大65535バイト）
+  let eocd = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 65535); i--) {
+    if (view.getUint32(i, true) === ZIP_END_OF_CENTRAL_DIRECTORY) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) {
+    throw new Error('ZIPファイルではありません');
+  }
+
+  const entryCount = view.getUint16(eocd + 10, true);
+  let offset = view.getUint32(eocd + 16, true);
+  const decoder = new TextDecoder();
+  const entries = new Map();
+
+  for (let i = 0; i < entryCount; i++) {
+    if (offset + 46 > bytes.length || view.getUint32(offset, true) !== ZIP_CENTRAL_DIRECTORY_HEADER) {
+      throw new Error('ZIPファイルが壊れています');
+    }
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const size = view.getUint32(offset + 24, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+    if (!name.endsWith('/')) {
+      entries.set(name, { method, compressedSize, size, offset: localOffset });
+    }
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+/**
+ * ZIPエントリの中身を展開
+ * @returns {Promise<Uint8Array>}
+ */
+async function extractZipEntry(bytes, entry) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (view.getUint32(entry.offset, true) !== ZIP_LOCAL_FILE_HEADER) {
+    throw new Error('ZIPファイルが壊れています');
+  }
+  const nameLength = view.getUint16(entry.offset + 26, true);
+  const extraLength = view.getUint16(entry.offset + 28, true);
+  const start = entry.offset + 30 + nameLength + extraLength;
+  const compressed = bytes.subarray(start, start + entry.compressedSize);
+
+  if (entry.method === 0) {
+    return compressed;
+  }
+  if (entry.method === 8) {
+    const stream = new Blob([compressed]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+  throw new Error(`対応していない圧縮形式です（${entry.method}）`);
+}
+
+/**
+ * バイト列をData URLに変換
+ */
+function bytesToDataUrl(bytes, mimeType) {
+  let binary = '';
+  const chunkSize = 0x8000;
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+  }
+  return `data:${mimeType};base64,${btoa(binary)}`;
+}
+
+/**
+ * manifest.json の文字列項目を取り出す
+ */
+function pickManifestString(value, maxLength) {
+  return typeof value === 'string' ? value.trim().slice(0, maxLength) : '';
+}
+
+/**
+ * サウンドパックのアーカイブを読み込む
+ * manifest.json はアーカイブの直下、または1階層のフォルダ内に置く
+ * @param {Uint8Array} bytes - ZIPアーカイブ
+ * @param {string[]} categories - 使用できるカテゴリ（プリセット音声のカテゴリ）
+ * @returns {Promise<Object>} { id, name, version, author, license, sounds: [{ id, label, category, license, file, mimeType, data }] }
+ */
+async function readSoundPackArchive(bytes, categories) {
+  const entries = readZipEntries(bytes);
+
+  const manifestPath = [...entries.keys()]
+    .filter(path => path === SOUND_PACK_MANIFEST_FILE || /^[^/]+\/manifest\.json$/.test(path))
+    .sort((a, b) => a.length - b.length)[0];
+  if (!manifestPath) {
+    throw new Error('manifest.json が見つかりません');
+  }
+  const basePath = manifestPath.slice(0, -SOUND_PACK_MANIFEST_FILE.length);
+
+  let manifest;
+  try {
+    manifest = JSON.parse(new TextDecoder().decode(await extractZipEntry(bytes, entries.get(manifestPath))));
+  } catch (error) {
+    throw new Error('manifest.json を読み込めませんでした');
+  }
+
+  const id = pickManifestString(manifest.id, 40);
+  if (!SOUND_PACK_ID_PATTERN.test(id)) {
+    throw new Error('manifest.json の id は英数字・「-」「_」で指定してください');
+  }
+  if (!Array.isArray(manifest.sounds) || manifest.sounds.length === 0) {
+    throw new Error('manifest.json に sounds がありません');
+  }
+  if (manifest.sounds.length > SOUND_PACK_MAX_SOUNDS) {
+    throw new Error(`1つのパックに含められる音声は${SOUND_PACK_MAX_SOUNDS}件までです`);
+  }
+
+  const pack = {
+    id,
+    name: pickManifestString(manifest.name, 100) || id,
+    version: pickManifestString(manifest.version, 40),
+    author: pickManifestString(manifest.author, 100),
+    license: pickManifestString(manifest.license, 100),
+    sounds: []
+  };
+
+  const soundIds = new Set();
+  for (const sound of manifest.sounds) {
+    const soundId = pickManifestString(sound?.id, 40);
+    const label = pickManifestString(sound?.label, 100);
+    const category = pickManifestString(sound?.category, 40);
+    const file = pickManifestString(sound?.file, 200).replace(/^\.?\//, '');
+
+    if (!SOUND_PACK_ID_PATTERN.test(soundId) || soundIds.has(soundId)) {
+      throw new Error(`音声のidが不正、または重複しています: ${soundId || '(空)'}`);
+    }
+    if (!categories.includes(category)) {
+      throw new Error(`「${soundId}」のカテゴリ「${category}」は使用できません（${categories.join(', ')}）`);
+    }
+    const mimeType = SOUND_PACK_MIME_TYPES[file.split('.').pop().toLowerCase()];
+    if (!mimeType) {
+      throw new Error(`「${soundId}」は対応していない形式です: ${file}`);
+    }
+    const entry = entries.get(basePath + file);
+    if (!entry) {
+      throw new Error(`「${soundId}」のファイルがアーカイブにありません: ${file}`);
+    }
+
+    soundIds.add(soundId);
+    pack.sounds.push({
+      id: soundId,
+      label: label || soundId,
+      category,
+      license: pickManifestString(sound.license, 100) || pack.license,
+      file,
+      mimeType,
+      data: bytesToDataUrl(await extractZipEntry(bytes, entry), mimeType)
+    });
+  }
+
+  return pack;
+}
+
+// エクスポート（background.jsから使用）
+if (typeof globalThis !== 'undefined') {
+  globalThis.SoundPack = {
+    readSoundPackArchive
+  };
+}
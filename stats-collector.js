@@ -33,7 +33,9 @@ function getDefaultStats() {
       rock: 0,
       call: 0,
       openPalm: 0,
-      fist: 0
+      fist: 0,
+      headInHands: 0,
+      crossedArms: 0
     },
     // 表情分析
     expression: {
@@ -19,23 +19,16 @@
   let originalGetUserMedia = null;
 
   // ジェスチャータイプ一覧
-  const GESTURE_TYPES = ['wave', 'thumbsup', 'peace', 'head_in_hands'];
-
-  // 登録済み画像（ストレージから読み込み）- 配列形式
-  let registeredImages = {
-    wave: [],           // 👋 (最大12枚)
-    thumbsup: [],       // 👍 (最大12枚)
-    peace: [],          // ✌️ (最大12枚)
-    head_in_hands: []   // 😢 (最大12枚)
-  };
+  const GESTURE_TYPES = [
+    'wave', 'thumbsup', 'peace', 'ok', 'raised_hand', 'pointing', 'rock', 'phone',
+    'head_in_hands', 'fist', 'thumbsdown', 'crossed_arms'
+  ];
+
+  // 登録済み画像（ストレージから読み込み）- 配列形式、各タイプ最大12枚
+  let registeredImages = Object.fromEntries(GESTURE_TYPES.map(type => [type, []]));
 
   // デフォルト画像（拡張機能のリソース）
-  let defaultImages = {
-    wave: null,
-    thumbsup: null,
-    peace: null,
-    head_in_hands: null
-  };
+  let defaultImages = Object.fromEntries(GESTURE_TYPES.map(type => [type, null]));
 
   // 描画用interval ID（メモリリーク防止用）
   let currentDrawInterval = null;